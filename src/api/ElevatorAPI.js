@@ -4,41 +4,218 @@
  * API for interacting with elevators using the CANopen protocol
  */
 
+const SDOProtocol = require('../transport/SDOProtocol');
+const PDOProtocol = require('../transport/PDOProtocol');
+const NMTProtocol = require('../transport/NMTProtocol');
+const EMCYProtocol = require('../transport/EMCYProtocol');
+const SYNCProtocol = require('../transport/SYNCProtocol');
+const CallProtocol = require('../transport/CallProtocol');
+const ReservationProtocol = require('../transport/ReservationProtocol');
+const ElevatorProtocolError = require('./ElevatorProtocolError');
+const ElevatorConnectionError = require('./ElevatorConnectionError');
+const ElevatorTimeoutError = require('./ElevatorTimeoutError');
+
+// NMT command that puts the node in each state it can be commanded to stay in
+const NMT_COMMAND_BY_STATE = {
+  OPERATIONAL: NMTProtocol.COMMAND.START,
+  STOPPED: NMTProtocol.COMMAND.STOP,
+  PRE_OPERATIONAL: NMTProtocol.COMMAND.ENTER_PRE_OPERATIONAL,
+};
+
+// Whether a failed transfer was refused by the node, which is how it tells
+// it lacks an optional object. A transfer that went unanswered says nothing
+// about the object and fails the operation.
+function isMissingObject(error) {
+  return error instanceof ElevatorProtocolError && error.abortCode !== ElevatorProtocolError.ABORT_CODE.TIMEOUT;
+}
+
 class ElevatorAPI {
-    constructor(transport) {
+    constructor(transport, options = {}) {
       this.transport = transport; // Communication transport (CANopen, TCP/IP, etc.)
       this.connected = false;
+      
+      // Node monitoring, configured on the elevator when connecting. A
+      // heartbeat takes precedence over node guarding; both off by default.
+      this.options = {
+        nmtMaster: true, // Manage and configure the node on connect; false for clients that only observe a shared bus
+        heartbeatTime: 0, // Producer heartbeat time to set on the node in ms
+        heartbeatTimeout: null, // Connection lost after this many ms without a heartbeat, defaults to 2 * heartbeatTime
+        guardTime: 0, // Node guarding period in ms
+        lifeTimeFactor: 3, // Connection lost after guardTime * lifeTimeFactor ms without a guarding response
+        pdoTransmissionType: null, // Set on every TPDO when connecting, e.g. 1 to send them on every SYNC
+        reconnect: false, // Retry in the background when connecting fails or the transport drops the link
+        reconnectDelay: 1000, // Delay before the first retry in ms, doubled with every further attempt
+        reconnectMaxDelay: 30000, // Upper bound of the retry delay in ms
+        reconnectJitter: 0.2, // Each delay is varied randomly by up to this fraction, so clients do not retry in step
+        reconnectMaxAttempts: 10, // Retries before giving up (0 for no limit)
+        offlineCommands: 'reject', // Commands issued while reconnecting: 'reject' them or 'buffer' them until reconnected
+        offlineBufferSize: 100, // Buffered commands beyond this are rejected
+        offlineBufferTimeout: 30000, // Buffered commands still waiting after this many ms are rejected
+        ...options
+      };
+      
       this.eventHandlers = {
+        'connecting': [],
+        'connected': [],
+        'disconnected': [],
         'floorChanged': [],
         'doorStateChanged': [],
         'directionChanged': [],
         'emergencyStateChanged': [],
+        'nmtStateChanged': [],
+        'connectionLost': [],
+        'connectionRestored': [],
+        'emergency': [],
+        'emergencyCleared': [],
+        'sync': [],
+        'callRegistered': [],
+        'callAnswered': [],
+        'callCancelled': [],
+        'reservationLost': [],
       };
+      
+      // TPDO layouts by COB-ID, read from the elevator on connect
+      this.pdoMappings = new Map();
+      
+      // NMT state of the elevator node as last commanded or reported
+      this.nmtState = null;
+      
+      // NMT state last commanded, repeated while heartbeats show the node in
+      // another one
+      this.commandedNmtState = null;
+      
+      // Emergency bit of the manufacturer status (0x1002) as last reported
+      this.emergencyState = false;
+      
+      // Current floor (0x6001) and elevator status (0x6000) as last received
+      // in a PDO, for SYNC snapshots
+      this.pdoState = { floor: null, status: null };
+      
+      // Last call event (0x6111) value handled. The node sends the object
+      // again with every PDO it repeats; only a changed value is an event.
+      this.lastCallEvent = null;
+      
+      // Set while the node is not answering its heartbeat or node guarding
+      this.connectionLostError = null;
+      
+      // Calls in progress, rejected as soon as the connection is lost
+      this.pendingCalls = new Set();
+      
+      // Transport listeners by event while attached
+      this.transportListeners = null;
+      
+      // 'disconnected', 'connecting' or 'connected', announced by the events
+      // of the same name
+      this.connectionState = 'disconnected';
+      this.reconnectAttempt = 0;
+      this.reconnectTimer = null;
+      
+      // Connection attempt in progress, and its number: disconnect() moves the
+      // number on, which abandons the attempt
+      this.pendingConnection = null;
+      this.connectionAttempt = 0;
+      
+      // Commands issued while reconnecting, with offlineCommands 'buffer'
+      this.offlineCommands = [];
+      
+      // { owner, heartbeatTimer } while this client holds a car reservation
+      this.reservation = null;
     }
     
-    // Connect to elevator system
+    // Connect to elevator system. Resolves to false when the transport or
+    // the node cannot be brought up; with the reconnect option, connecting
+    // is then retried in the background.
     async connect() {
+      if (this.connectionState !== 'disconnected' || this.reconnectTimer) {
+        return this.connected;
+      }
+      
+      this.reconnectAttempt = 0;
+      return this.attemptConnection();
+    }
+    
+    // Run a connection attempt, remembered as the pending connection
+    async attemptConnection() {
+      const connection = this.performConnection(++this.connectionAttempt);
+      this.pendingConnection = connection;
+      
+      try {
+        return await connection;
+      } finally {
+        if (this.pendingConnection === connection) {
+          this.pendingConnection = null;
+        }
+      }
+    }
+    
+    // Connect the transport, listen to it and (re)configure the node: its
+    // PDO mappings, SYNC and heartbeat settings are set up again on every
+    // reconnect, as the node or the link may have been reset meanwhile. An
+    // attempt abandoned by disconnect() closes what it opened and resolves
+    // to false.
+    async performConnection(attempt) {
+      const abandoned = () => attempt !== this.connectionAttempt;
+      this.setConnectionState('connecting', { retry: this.reconnectAttempt });
+      
       try {
         await this.transport.connect();
+        if (abandoned()) {
+          await this.transport.disconnect().catch(() => {});
+          return false;
+        }
         this.connected = true;
         
         // Start listening for events
-        this.transport.on('message', this.handleMessage.bind(this));
+        this.attachTransportListeners();
         
-        return true;
+        await this.bringNodeOperational();
       } catch (error) {
+        if (abandoned()) return false;
+        
         console.error('Failed to connect to elevator:', error);
+        
+        if (this.connected) {
+          this.connected = false;
+          await this.transport.disconnect().catch(() => {});
+        }
+        this.handleOffline(error);
         return false;
       }
+      
+      // disconnect() has closed the connection meanwhile
+      if (abandoned()) return false;
+      
+      this.reconnectAttempt = 0;
+      this.setConnectionState('connected', {});
+      this.flushOfflineCommands();
+      return true;
     }
     
-    // Disconnect from elevator system
+    // Disconnect from elevator system, cancelling any reconnect and any
+    // connection attempt in progress. Resolves once the transport is closed.
     async disconnect() {
-      if (!this.connected) return true;
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+      this.connectionAttempt++;
+      this.forgetReservation();
+      this.rejectOfflineCommands(new ElevatorConnectionError('Disconnected from elevator', this.transport.config.nodeId));
+      
+      if (!this.connected) {
+        if (this.connectionState !== 'disconnected') {
+          this.setConnectionState('disconnected', { error: null, reconnecting: false });
+        }
+        // An attempt still connecting the transport closes it again
+        await this.pendingConnection;
+        return true;
+      }
       
       try {
         await this.transport.disconnect();
         this.connected = false;
+        this.connectionLostError = null;
+        this.detachTransportListeners();
+        this.failPendingCalls(new ElevatorConnectionError('Disconnected from elevator', this.transport.config.nodeId));
+        this.setConnectionState('disconnected', { error: null, reconnecting: false });
         return true;
       } catch (error) {
         console.error('Failed to disconnect from elevator:', error);
@@ -46,36 +223,492 @@ class ElevatorAPI {
       }
     }
     
+    setConnectionState(state, data) {
+      this.connectionState = state;
+      this.notifyListeners(state, data);
+    }
+    
+    attachTransportListeners() {
+      if (this.transportListeners) return;
+      
+      this.transportListeners = {
+        message: this.handleMessage.bind(this),
+        nodeLost: this.handleConnectionLost.bind(this),
+        nodeRestored: this.handleConnectionRestored.bind(this),
+        nodeState: this.handleNodeState.bind(this),
+        sync: this.handleSync.bind(this),
+        object: this.handleObjectUpdate.bind(this),
+        bootUp: this.handleBootUp.bind(this),
+        disconnected: this.handleTransportDisconnected.bind(this),
+      };
+      Object.entries(this.transportListeners).forEach(([event, listener]) => this.transport.on(event, listener));
+    }
+    
+    detachTransportListeners() {
+      if (!this.transportListeners) return;
+      
+      Object.entries(this.transportListeners).forEach(([event, listener]) => this.transport.removeListener(event, listener));
+      this.transportListeners = null;
+    }
+    
+    // The transport dropped the link (CAN interface down, gateway connection
+    // closed): fail the calls in progress and go offline
+    handleTransportDisconnected(error) {
+      if (this.connectionState !== 'connected') return;
+      
+      this.connected = false;
+      const connectionError = new ElevatorConnectionError(`Connection to elevator dropped: ${error.message}`, this.transport.config.nodeId);
+      this.failPendingCalls(connectionError);
+      this.handleOffline(connectionError);
+    }
+    
+    // After a failed attempt or a dropped link, retry if the reconnect policy
+    // allows another attempt. Otherwise buffered commands are rejected.
+    handleOffline(error) {
+      const { reconnect, reconnectMaxAttempts } = this.options;
+      const reconnecting = reconnect && (reconnectMaxAttempts === 0 || this.reconnectAttempt < reconnectMaxAttempts);
+      
+      this.setConnectionState('disconnected', { error, reconnecting });
+      
+      if (reconnecting) {
+        this.scheduleReconnect();
+      } else {
+        this.rejectOfflineCommands(new ElevatorConnectionError(`Could not connect to elevator: ${error.message}`, this.transport.config.nodeId));
+      }
+    }
+    
+    // Exponential backoff with jitter: reconnectDelay * 2^(attempt - 1), at
+    // most reconnectMaxDelay, varied by up to reconnectJitter either way
+    scheduleReconnect() {
+      const { reconnectDelay, reconnectMaxDelay, reconnectJitter } = this.options;
+      
+      this.reconnectAttempt++;
+      const delay = Math.min(reconnectMaxDelay, reconnectDelay * 2 ** (this.reconnectAttempt - 1));
+      const jittered = delay * (1 + reconnectJitter * (Math.random() * 2 - 1));
+      
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        this.attemptConnection();
+      }, jittered);
+    }
+    
+    // Not connected, but connecting or waiting to retry
+    isReconnecting() {
+      return !this.connected && (this.connectionState === 'connecting' || this.reconnectTimer !== null);
+    }
+    
+    // Run a command issued while reconnecting once reconnected, or reject
+    // it, following the offlineCommands option
+    whenOnline(command) {
+      const { offlineCommands, offlineBufferSize, offlineBufferTimeout } = this.options;
+      const nodeId = this.transport.config.nodeId;
+      
+      if (offlineCommands !== 'buffer') {
+        return Promise.reject(new ElevatorConnectionError('Elevator is offline, reconnecting', nodeId));
+      }
+      if (this.offlineCommands.length >= offlineBufferSize) {
+        return Promise.reject(new ElevatorConnectionError(`Elevator is offline and ${offlineBufferSize} commands are already waiting`, nodeId));
+      }
+      
+      return new Promise((resolve, reject) => {
+        const entry = {
+          run: () => command().then(resolve, reject),
+          reject,
+          timer: setTimeout(() => {
+            this.offlineCommands = this.offlineCommands.filter(other => other !== entry);
+            reject(new ElevatorConnectionError(`Elevator still offline after ${offlineBufferTimeout}ms`, nodeId));
+          }, offlineBufferTimeout),
+        };
+        this.offlineCommands.push(entry);
+      });
+    }
+    
+    // Send the buffered commands, in the order they were issued
+    flushOfflineCommands() {
+      const entries = this.offlineCommands;
+      this.offlineCommands = [];
+      
+      entries.forEach(entry => {
+        clearTimeout(entry.timer);
+        entry.run();
+      });
+    }
+    
+    rejectOfflineCommands(error) {
+      const entries = this.offlineCommands;
+      this.offlineCommands = [];
+      
+      entries.forEach(entry => {
+        clearTimeout(entry.timer);
+        entry.reject(error);
+      });
+    }
+    
+    // Drive the elevator node to operational: enter pre-operational (so SDOs
+    // are served whatever state it was in), read its PDO configuration, set up
+    // node monitoring, then start it. Observers only read the PDO
+    // configuration and leave the node to the NMT master.
+    async bringNodeOperational() {
+      if (!this.options.nmtMaster) {
+        await this.loadPdoMappings();
+        await this.loadLastCallEvent();
+        return;
+      }
+      
+      await this.enterPreOperational();
+      await this.loadPdoMappings();
+      await this.loadLastCallEvent();
+      await this.configureSync();
+      await this.configureNodeMonitoring();
+      await this.startNode();
+    }
+    
+    // Read the call event the node will repeat in its first PDOs, so that
+    // an event from before connecting is not reported as new. The object is
+    // optional on the node.
+    async loadLastCallEvent() {
+      try {
+        this.lastCallEvent = (await this.readObject(CallProtocol.OBJECT.CALL_EVENT)).data;
+      } catch (error) {
+        if (!isMissingObject(error)) throw error;
+      }
+    }
+    
+    // Tell the node the SYNC COB-ID, cycle period and window of the
+    // transport's SYNC producer, and set the TPDO transmission type if
+    // configured. The period and window objects are optional on the node.
+    async configureSync() {
+      const { syncPeriod, syncCobId, syncWindow } = this.transport.config;
+      
+      if (syncPeriod > 0) {
+        await this.writeObject(SYNCProtocol.OBJECT.COB_ID_SYNC, syncCobId, 4);
+        await this.writeOptionalObject(SYNCProtocol.OBJECT.COMMUNICATION_CYCLE_PERIOD, syncPeriod * 1000, 4);
+        await this.writeOptionalObject(SYNCProtocol.OBJECT.SYNCHRONOUS_WINDOW_LENGTH, syncWindow * 1000, 4);
+      }
+      
+      if (this.options.pdoTransmissionType !== null) {
+        for (let n = 0; n < PDOProtocol.TPDO_COB_ID.length; n++) {
+          await this.writeOptionalObject(PDOProtocol.TPDO_COMMUNICATION + n, this.options.pdoTransmissionType, 1,
+            PDOProtocol.COMMUNICATION_SUB.TRANSMISSION_TYPE);
+        }
+      }
+    }
+    
+    // Write an object the node may not implement; its refusals are ignored
+    async writeOptionalObject(index, data, size, subIndex = 0) {
+      try {
+        await this.writeObject(index, data, size, subIndex);
+      } catch (error) {
+        if (!isMissingObject(error)) throw error;
+      }
+    }
+    
+    // Register a hook called once per SYNC cycle with a snapshot of the
+    // elevator sampled at that SYNC: { counter, timestamp, floor, doorState,
+    // direction }. Needs a transport with a SYNC producer (syncPeriod) and
+    // synchronous TPDOs (see the pdoTransmissionType option).
+    onSync(callback) {
+      return this.on('sync', callback);
+    }
+    
+    // SYNC sent: synchronous PDOs arrive within the synchronous window, after
+    // which the snapshot is complete
+    handleSync({ counter, timestamp }) {
+      if (this.eventHandlers.sync.length === 0) return;
+      
+      setTimeout(() => {
+        const { floor, status } = this.pdoState;
+        
+        this.notifyListeners('sync', {
+          counter,
+          timestamp,
+          floor,
+          doorState: status === null ? null : this.doorStateFromStatus(status),
+          direction: status === null ? null : this.directionFromStatus(status)
+        });
+      }, this.transport.config.syncWindow || 0);
+    }
+    
+    // Configure the heartbeat producer or node guarding on the elevator and
+    // start watching it
+    async configureNodeMonitoring() {
+      const { heartbeatTime, heartbeatTimeout, guardTime, lifeTimeFactor } = this.options;
+      
+      if (heartbeatTime > 0) {
+        await this.writeObject(NMTProtocol.OBJECT.PRODUCER_HEARTBEAT_TIME, heartbeatTime, 2);
+        this.transport.startHeartbeatConsumer(heartbeatTimeout || heartbeatTime * 2);
+      } else if (guardTime > 0) {
+        await this.writeObject(NMTProtocol.OBJECT.GUARD_TIME, guardTime, 2);
+        await this.writeObject(NMTProtocol.OBJECT.LIFE_TIME_FACTOR, lifeTimeFactor, 1);
+        this.transport.startNodeGuarding(guardTime, lifeTimeFactor);
+      }
+    }
+    
+    // The elevator stopped answering: fail everything in progress and every
+    // new call until it is heard from again
+    handleConnectionLost(error) {
+      this.connectionLostError = error;
+      this.failPendingCalls(error);
+      this.notifyListeners('connectionLost', error);
+    }
+    
+    handleConnectionRestored(state) {
+      this.connectionLostError = null;
+      this.notifyListeners('connectionRestored', state);
+    }
+    
+    // Heartbeats and guarding responses report the node's actual NMT state.
+    // A boot-up is handled in handleMessage. NMT commands are not confirmed:
+    // a node in another state than commanded missed the command, which the
+    // NMT master sends again.
+    handleNodeState(state) {
+      if (!state || state === 'INITIALISATION') return;
+      
+      this.setNmtState(state);
+      
+      const command = NMT_COMMAND_BY_STATE[this.commandedNmtState];
+      if (this.options.nmtMaster && this.connected && command !== undefined && state !== this.commandedNmtState) {
+        this.transport.sendNmtCommand(command).catch(error => {
+          console.error(`Failed to repeat NMT command for ${this.commandedNmtState}:`, error);
+        });
+      }
+    }
+    
+    isConnectionLost() {
+      return this.connectionLostError !== null;
+    }
+    
+    // Settle with `promise`, or reject early when the connection is lost
+    trackCall(promise) {
+      return new Promise((resolve, reject) => {
+        const call = { reject };
+        this.pendingCalls.add(call);
+        
+        promise.then(resolve, reject).finally(() => this.pendingCalls.delete(call));
+      });
+    }
+    
+    failPendingCalls(error) {
+      const calls = Array.from(this.pendingCalls);
+      this.pendingCalls.clear();
+      calls.forEach(call => call.reject(error));
+    }
+    
+    // Reject calls made while not connected or while the elevator is lost
+    checkConnection() {
+      if (!this.connected) {
+        throw new Error('Not connected to elevator');
+      }
+      if (this.connectionLostError) {
+        throw this.connectionLostError;
+      }
+    }
+    
+    // NMT commands. The expected state is recorded before the command is sent,
+    // since the node may answer (boot-up, PDOs) before the send resolves.
+    async sendNmtCommand(command, state) {
+      if (!this.connected) {
+        throw new Error('Not connected to elevator');
+      }
+      
+      this.commandedNmtState = state;
+      this.setNmtState(state);
+      await this.transport.sendNmtCommand(command);
+      return true;
+    }
+    
+    async startNode() {
+      return this.sendNmtCommand(NMTProtocol.COMMAND.START, 'OPERATIONAL');
+    }
+    
+    async stopNode() {
+      return this.sendNmtCommand(NMTProtocol.COMMAND.STOP, 'STOPPED');
+    }
+    
+    async enterPreOperational() {
+      return this.sendNmtCommand(NMTProtocol.COMMAND.ENTER_PRE_OPERATIONAL, 'PRE_OPERATIONAL');
+    }
+    
+    // The node answers a reset with a boot-up message, after which it is
+    // brought back to operational (see handleBootUp)
+    async resetNode() {
+      return this.sendNmtCommand(NMTProtocol.COMMAND.RESET_NODE, 'INITIALISATION');
+    }
+    
+    async resetCommunication() {
+      return this.sendNmtCommand(NMTProtocol.COMMAND.RESET_COMMUNICATION, 'INITIALISATION');
+    }
+    
+    getNmtState() {
+      return this.nmtState;
+    }
+    
+    setNmtState(state) {
+      if (this.nmtState === state) return;
+      
+      this.nmtState = state;
+      this.notifyListeners('nmtStateChanged', state);
+    }
+    
+    // A boot-up message means the node (re)started and lost its NMT state and
+    // possibly its PDO configuration: bring it back to operational
+    handleBootUp() {
+      this.setNmtState('PRE_OPERATIONAL');
+      
+      if (this.connected) {
+        this.bringNodeOperational().catch(error => {
+          console.error('Failed to restart elevator node after boot-up:', error);
+        });
+      }
+    }
+    
+    // Motion commands are only accepted by an operational node. While
+    // reconnecting the node's state is unknown: commands buffered meanwhile
+    // are left to the node to refuse.
+    ensureOperational(index) {
+      if (this.isReconnecting()) return;
+      
+      if (this.nmtState !== 'OPERATIONAL') {
+        throw new ElevatorProtocolError(ElevatorProtocolError.ABORT_CODE.DEVICE_STATE, index, 0, `node is ${this.nmtState}`);
+      }
+    }
+    
+    // Read the TPDO communication and mapping parameters so that received
+    // PDOs can be decoded. TPDOs the elevator does not implement are skipped.
+    async loadPdoMappings() {
+      this.pdoMappings.clear();
+      
+      for (let n = 0; n < PDOProtocol.TPDO_COB_ID.length; n++) {
+        try {
+          const cobId = (await this.readObject(PDOProtocol.TPDO_COMMUNICATION + n, PDOProtocol.COMMUNICATION_SUB.COB_ID)).data;
+          if (cobId & PDOProtocol.COB_ID_INVALID) continue;
+          
+          const count = (await this.readObject(PDOProtocol.TPDO_MAPPING + n, 0)).data;
+          const mappings = [];
+          for (let i = 1; i <= count; i++) {
+            mappings.push(PDOProtocol.decodeMapping((await this.readObject(PDOProtocol.TPDO_MAPPING + n, i)).data));
+          }
+          
+          this.pdoMappings.set(cobId & 0x7FF, mappings);
+        } catch (error) {
+          if (!isMissingObject(error)) throw error;
+        }
+      }
+      
+      return this.pdoMappings;
+    }
+    
     // Handle incoming messages from elevator
     handleMessage(message) {
-      // Parse CANopen message
-      const { index, subIndex, data } = this.parseCANopenMessage(message);
+      const bootUp = NMTProtocol.encodeState(this.transport.config.nodeId, NMTProtocol.STATE.INITIALISATION);
+      if (message.id === bootUp.id && message.data.equals(bootUp.data)) {
+        this.handleBootUp();
+        return;
+      }
+      
+      if (message.id === EMCYProtocol.COB_ID + this.transport.config.nodeId) {
+        this.handleEmergency(message);
+        return;
+      }
       
-      // Handle based on object index
+      // Parse CANopen message
+      const objects = this.parseCANopenMessage(message);
+      objects.forEach(object => this.handleObjectUpdate(object));
+    }
+    
+    // Object value received from the elevator: in a PDO, or as an 'object'
+    // event from transports that do not carry PDOs (e.g. KONETransport)
+    handleObjectUpdate({ index, data }) {
       switch (index) {
         case 0x6001: // Current floor
+          this.pdoState.floor = data;
           this.notifyListeners('floorChanged', data);
           break;
         case 0x6000: // Elevator status
+          this.pdoState.status = data;
           this.handleStatusChange(data);
           break;
-        case 0x1002: // Manufacturer status (emergency)
-          if (data & 0x1) {
-            this.notifyListeners('emergencyStateChanged', true);
+        case CallProtocol.OBJECT.CALL_EVENT:
+          this.handleCallEvent(data);
+          break;
+        case 0x1002: { // Manufacturer status (emergency)
+          const emergency = (data & 0x1) !== 0;
+          if (emergency !== this.emergencyState) {
+            this.emergencyState = emergency;
+            this.notifyListeners('emergencyStateChanged', emergency);
           }
           break;
+        }
+      }
+    }
+    
+    // EMCY message: an error code raises 'emergency' with { code, register,
+    // description, manufacturerData }; an error reset (code 0) raises
+    // 'emergencyCleared' with the remaining error register, which is 0 once
+    // no error is active
+    handleEmergency(message) {
+      let emergency;
+      try {
+        emergency = EMCYProtocol.decode(message);
+      } catch (error) {
+        console.error('Failed to parse EMCY message:', error);
+        return;
+      }
+      
+      if (emergency.code === EMCYProtocol.ERROR_CODE.NO_ERROR) {
+        this.notifyListeners('emergencyCleared', { register: emergency.register });
+      } else {
+        this.notifyListeners('emergency', emergency);
+      }
+    }
+    
+    // Call event (0x6111): raises 'callRegistered', 'callAnswered' or
+    // 'callCancelled' with { floor, type }, type being 'HALL_UP', 'HALL_DOWN'
+    // or 'CAR'. The object reads 0 until the first call event. A value equal
+    // to the last one is the same event sent again (see CallProtocol.encodeEvent).
+    handleCallEvent(value) {
+      if (value === 0 || value === this.lastCallEvent) return;
+      this.lastCallEvent = value;
+      
+      let call;
+      try {
+        call = CallProtocol.decodeEvent(value);
+      } catch (error) {
+        console.error('Failed to parse call event:', error);
+        return;
       }
+      
+      const event = `call${call.event.charAt(0)}${call.event.slice(1).toLowerCase()}`;
+      this.notifyListeners(event, { floor: call.floor, type: call.type });
     }
     
-    // Parse CANopen message
+    // Parse CANopen message into the objects it carries: a TPDO is unpacked
+    // following its mapping, an SDO upload response yields a single object
     parseCANopenMessage(message) {
-      // In a real implementation, this would parse the CAN frame
-      // For simulation, we assume a simplified format
-      return {
-        index: message.index,
-        subIndex: message.subIndex || 0,
-        data: message.data
-      };
+      try {
+        const mappings = this.pdoMappings.get(message.id);
+        if (mappings) {
+          return PDOProtocol.unpack(mappings, message.data).map(({ index, subIndex, value }) => ({
+            index,
+            subIndex,
+            data: value
+          }));
+        }
+        
+        if (message.id === SDOProtocol.COB_ID.SDO_TX + this.transport.config.nodeId) {
+          const decoded = SDOProtocol.decode(message.data, true);
+          return [{
+            index: decoded.index,
+            subIndex: decoded.subIndex,
+            data: decoded.data
+          }];
+        }
+        
+        return [];
+      } catch (error) {
+        console.error('Failed to parse CANopen message:', error);
+        return [];
+      }
     }
     
     // Handle status change messages
@@ -101,155 +734,474 @@ class ElevatorAPI {
       }
     }
     
+    // Read an object from the elevator's object dictionary. Rejects with an
+    // ElevatorProtocolError when the elevator aborts the transfer, with an
+    // ElevatorConnectionError when its heartbeat stopped, or with the
+    // transport's error when the bus cannot be reached. When the elevator
+    // does not answer, it rejects with abort code TIMEOUT; `options` can set
+    // the transport's { timeout, retries } for this request.
+    async readObject(index, subIndex = 0, options = {}) {
+      if (this.isReconnecting()) {
+        return this.whenOnline(() => this.readObject(index, subIndex, options));
+      }
+      this.checkConnection();
+      
+      const response = await this.trackCall(this.transport.sendMessage({
+        index,
+        subIndex,
+        isRead: true,
+        ...options
+      }));
+      
+      if (!response.success) {
+        throw response.error;
+      }
+      
+      return response;
+    }
+    
+    // Write an object in the elevator's object dictionary (see readObject for errors)
+    async writeObject(index, data, size = 1, subIndex = 0, options = {}) {
+      if (this.isReconnecting()) {
+        return this.whenOnline(() => this.writeObject(index, data, size, subIndex, options));
+      }
+      this.checkConnection();
+      
+      const response = await this.trackCall(this.transport.sendMessage({
+        index,
+        subIndex,
+        data,
+        size,
+        ...options
+      }));
+      
+      if (!response.success) {
+        throw response.error;
+      }
+      
+      return true;
+    }
+    
     // Request elevator to a specific floor
     async requestFloor(floorNumber) {
-      if (!this.connected) {
-        throw new Error('Not connected to elevator');
-      }
+      this.ensureOperational(0x6002);
       
-      try {
-        // Write to CANopen object 0x6002 (target floor)
-        await this.transport.sendMessage({
-          index: 0x6002,
-          data: floorNumber
-        });
-        
-        return true;
-      } catch (error) {
-        console.error('Failed to request floor:', error);
-        return false;
+      // Write to CANopen object 0x6002 (target floor)
+      return this.writeObject(0x6002, floorNumber);
+    }
+    
+    // Register a hall call at a floor, direction 'UP' or 'DOWN'. Resolves
+    // once the elevator has acknowledged the call and lit its lamp; rejects
+    // with an ElevatorProtocolError when it refuses the call (e.g. up at the
+    // top floor, or during an emergency stop).
+    async registerHallCall(floor, direction) {
+      return this.writeCall(this.hallCallType(direction), floor, 1);
+    }
+    
+    async cancelHallCall(floor, direction) {
+      return this.writeCall(this.hallCallType(direction), floor, 0);
+    }
+    
+    // Register a car call, as if pressed on the car operating panel
+    async registerCarCall(floor) {
+      return this.writeCall('CAR', floor, 1);
+    }
+    
+    async cancelCarCall(floor) {
+      return this.writeCall('CAR', floor, 0);
+    }
+    
+    hallCallType(direction) {
+      if (direction !== 'UP' && direction !== 'DOWN') {
+        throw new Error(`Invalid hall call direction: ${direction}`);
       }
+      
+      return direction === 'UP' ? 'HALL_UP' : 'HALL_DOWN';
+    }
+    
+    async writeCall(type, floor, value) {
+      const index = CallProtocol.CALL_OBJECT[type];
+      this.ensureOperational(index);
+      
+      // One sub-index per floor
+      return this.writeObject(index, value, 1, floor);
+    }
+    
+    // Call lamps of a floor (0x6110): { up, down, car }, true while the
+    // respective call is registered
+    async getCallLamps(floor) {
+      const lamps = (await this.readObject(CallProtocol.OBJECT.CALL_LAMPS, floor)).data;
+      
+      return {
+        up: (lamps & CallProtocol.LAMP.HALL_UP) !== 0,
+        down: (lamps & CallProtocol.LAMP.HALL_DOWN) !== 0,
+        car: (lamps & CallProtocol.LAMP.CAR) !== 0,
+      };
     }
     
     // Get current floor
     async getCurrentFloor() {
-      if (!this.connected) {
-        throw new Error('Not connected to elevator');
-      }
+      // Read CANopen object 0x6001 (current floor)
+      const response = await this.readObject(0x6001);
       
-      try {
-        // Read CANopen object 0x6001 (current floor)
-        const response = await this.transport.sendMessage({
-          index: 0x6001,
-          isRead: true
-        });
-        
-        return response.data;
-      } catch (error) {
-        console.error('Failed to get current floor:', error);
-        return null;
-      }
+      return response.data;
     }
     
     // Get door state
     async getDoorState() {
-      if (!this.connected) {
-        throw new Error('Not connected to elevator');
-      }
+      // Read CANopen object 0x6000 (status)
+      const response = await this.readObject(0x6000);
       
-      try {
-        // Read CANopen object 0x6000 (status)
-        const response = await this.transport.sendMessage({
-          index: 0x6000,
-          isRead: true
-        });
-        
-        const status = response.data;
-        
-        if (status & 0x1) return 'OPEN';
-        if (status & 0x2) return 'OPENING';
-        if (status & 0x8) return 'CLOSING';
-        if (status & 0x10) return 'CLOSED';
-        
-        return 'UNKNOWN';
-      } catch (error) {
-        console.error('Failed to get door state:', error);
-        return null;
-      }
+      return this.doorStateFromStatus(response.data);
+    }
+    
+    // Door state from the elevator status bits (0x6000)
+    doorStateFromStatus(status) {
+      if (status & 0x1) return 'OPEN';
+      if (status & 0x2) return 'OPENING';
+      if (status & 0x8) return 'CLOSING';
+      if (status & 0x10) return 'CLOSED';
+      
+      return 'UNKNOWN';
     }
     
     // Command door to open
     async openDoor() {
-      if (!this.connected) {
-        throw new Error('Not connected to elevator');
-      }
+      this.ensureOperational(0x6010);
       
-      try {
-        // Write to CANopen object 0x6010 (door command)
-        await this.transport.sendMessage({
-          index: 0x6010,
-          data: 1 // Open command
-        });
-        
-        return true;
-      } catch (error) {
-        console.error('Failed to open door:', error);
-        return false;
-      }
+      // Write to CANopen object 0x6010 (door command)
+      return this.writeObject(0x6010, 1); // Open command
     }
     
     // Command door to close
     async closeDoor() {
-      if (!this.connected) {
-        throw new Error('Not connected to elevator');
-      }
+      this.ensureOperational(0x6010);
       
-      try {
-        // Write to CANopen object 0x6010 (door command)
-        await this.transport.sendMessage({
-          index: 0x6010,
-          data: 0 // Close command
-        });
-        
-        return true;
-      } catch (error) {
-        console.error('Failed to close door:', error);
-        return false;
-      }
+      // Write to CANopen object 0x6010 (door command)
+      return this.writeObject(0x6010, 0); // Close command
     }
     
     // Get direction of travel
     async getDirection() {
-      if (!this.connected) {
-        throw new Error('Not connected to elevator');
+      // Read CANopen object 0x6000 (status)
+      const response = await this.readObject(0x6000);
+      
+      return this.directionFromStatus(response.data);
+    }
+    
+    // Direction of travel from the elevator status bits (0x6000)
+    directionFromStatus(status) {
+      if (status & 0x20) return 'UP';
+      if (status & 0x40) return 'DOWN';
+      return 'STATIONARY';
+    }
+    
+    // Call the car to a floor. Resolves with the car's { floor, doorState }
+    // once it is there with the doors open. `options`: { signal, timeout } as
+    // for waitForFloor.
+    async callTo(floor, options = {}) {
+      if (options.signal) options.signal.throwIfAborted();
+      
+      await this.requestFloor(floor);
+      return this.waitForDoorState('OPEN', { ...options, floor });
+    }
+    
+    // Ride from one floor to another: call the car to `from`, run
+    // `options.board` (an async function, e.g. the robot driving in) while
+    // the doors are open, then send the car on to `to`. Resolves once it is
+    // there with the doors open; `options.timeout` limits the whole ride.
+    // `board` gets the ride's { signal, timeout } with the time left, and
+    // the car is not sent on when the ride was aborted meanwhile.
+    async ride(from, to, options = {}) {
+      const { board = null, timeout = 0, signal = null } = options;
+      const deadline = timeout > 0 ? Date.now() + timeout : null;
+      const remaining = () => deadline === null ? 0 : Math.max(1, deadline - Date.now());
+      
+      await this.callTo(from, { signal, timeout: remaining() });
+      if (board) {
+        await board({ signal, timeout: remaining() });
+        if (signal) signal.throwIfAborted();
       }
+      return this.callTo(to, { signal, timeout: remaining() });
+    }
+    
+    // Resolve with { floor, doorState } once the car reports `floor`, whether
+    // it stops there or passes it. `options`: { signal, timeout } (see
+    // waitUntil).
+    waitForFloor(floor, options = {}) {
+      return this.waitUntil(state => state.floor === floor, `floor ${floor}`, options);
+    }
+    
+    // Resolve with { floor, doorState } once the doors are in `doorState`
+    // ('OPEN', 'CLOSED', ...), at `options.floor` if given
+    waitForDoorState(doorState, options = {}) {
+      const { floor = null } = options;
+      const description = floor === null ? `doors ${doorState}` : `doors ${doorState} at floor ${floor}`;
       
-      try {
-        // Read CANopen object 0x6000 (status)
-        const response = await this.transport.sendMessage({
-          index: 0x6000,
-          isRead: true
-        });
+      return this.waitUntil(state => state.doorState === doorState && (floor === null || state.floor === floor),
+        description, options);
+    }
+    
+    // Resolve with the car's { floor, doorState } once `condition` holds for
+    // it: checked against the last reported state (read from the elevator if
+    // nothing was reported yet) and again on every floorChanged and
+    // doorStateChanged. Rejects with an ElevatorTimeoutError after `timeout`
+    // ms (0 waits indefinitely), with the signal's reason once `signal` is
+    // aborted, and like other calls in progress when the connection is lost.
+    waitUntil(condition, description, { signal = null, timeout = 0 } = {}) {
+      return new Promise((resolve, reject) => {
+        try {
+          if (signal) signal.throwIfAborted();
+          this.checkConnection();
+        } catch (error) {
+          reject(error);
+          return;
+        }
         
-        const status = response.data;
+        const { floor, status } = this.pdoState;
+        const state = { floor, doorState: status === null ? null : this.doorStateFromStatus(status) };
+        let timer = null;
         
-        if (status & 0x20) return 'UP';
-        if (status & 0x40) return 'DOWN';
-        return 'STATIONARY';
-      } catch (error) {
-        console.error('Failed to get direction:', error);
-        return null;
+        const call = { reject: error => finish(reject, error) };
+        const onFloor = value => {
+          state.floor = value;
+          check();
+        };
+        const onDoorState = value => {
+          state.doorState = value;
+          check();
+        };
+        const onAbort = () => finish(reject, signal.reason);
+        
+        const finish = (settle, value) => {
+          clearTimeout(timer);
+          this.pendingCalls.delete(call);
+          this.off('floorChanged', onFloor);
+          this.off('doorStateChanged', onDoorState);
+          if (signal) signal.removeEventListener('abort', onAbort);
+          settle(value);
+        };
+        
+        const check = () => {
+          if (state.floor !== null && state.doorState !== null && condition(state)) {
+            finish(resolve, { ...state });
+          }
+        };
+        
+        this.pendingCalls.add(call);
+        this.on('floorChanged', onFloor);
+        this.on('doorStateChanged', onDoorState);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        if (timeout > 0) {
+          timer = setTimeout(() => finish(reject, new ElevatorTimeoutError(description, timeout)), timeout);
+        }
+        
+        if (state.floor !== null && state.doorState !== null) {
+          check();
+          return;
+        }
+        
+        // Nothing reported yet: start from the elevator's current state, unless
+        // events arrived while reading it
+        Promise.all([this.getCurrentFloor(), this.getDoorState()])
+          .then(([currentFloor, doorState]) => {
+            if (state.floor === null) state.floor = currentFloor;
+            if (state.doorState === null) state.doorState = doorState;
+            check();
+          })
+          .catch(error => finish(reject, error));
+      });
+    }
+    
+    // Reserve the car for a robot ride (0x2010). `owner` (1-65535) identifies
+    // the robot; while reserved, the car serves only its calls and holds its
+    // doors open at the called floor until confirmBoarded() / confirmExited().
+    // Rejects with an ElevatorProtocolError when another owner holds the car.
+    // The lease is renewed every `heartbeatInterval` ms (default a third of
+    // the lease time); if it lapses anyway, 'reservationLost' is emitted.
+    // `options`: { leaseTime, heartbeatInterval }.
+    async reserveCar(owner, options = {}) {
+      const { leaseTime = null } = options;
+      const index = ReservationProtocol.OBJECT.RESERVATION;
+      this.ensureOperational(index);
+      
+      if (leaseTime !== null) {
+        await this.writeObject(index, leaseTime, 4, ReservationProtocol.SUB.LEASE_TIME);
+      }
+      
+      // Settled before acquiring, so that the car is never left reserved
+      // without anyone renewing the lease
+      const heartbeatInterval = options.heartbeatInterval ||
+        Math.floor((leaseTime || (await this.readObject(index, ReservationProtocol.SUB.LEASE_TIME)).data) / 3);
+      if (!(heartbeatInterval > 0)) {
+        throw new Error(`Invalid reservation heartbeat interval: ${heartbeatInterval}ms`);
       }
+      
+      await this.writeObject(index, ReservationProtocol.encodeCommand('ACQUIRE', owner), 4, ReservationProtocol.SUB.COMMAND);
+      
+      this.forgetReservation();
+      this.reservation = {
+        owner,
+        heartbeatTimer: setInterval(() => this.sendReservationHeartbeat(), heartbeatInterval),
+      };
+      return true;
     }
     
-    // Check if elevator is in emergency state
-    async isInEmergencyState() {
-      if (!this.connected) {
-        throw new Error('Not connected to elevator');
+    // Send the reserved car to a floor. Resolves with { floor, doorState }
+    // once it is there with the doors held open; `options`: { signal,
+    // timeout } as for waitForFloor.
+    async sendReservedCar(floor, options = {}) {
+      if (options.signal) options.signal.throwIfAborted();
+      
+      await this.writeReservationCommand('CALL', floor);
+      return this.waitForDoorState('OPEN', { ...options, floor });
+    }
+    
+    // The robot has driven into the car: the doors may close
+    async confirmBoarded() {
+      return this.writeReservationCommand('BOARDED');
+    }
+    
+    // The robot has left the car: the doors may close
+    async confirmExited() {
+      return this.writeReservationCommand('EXITED');
+    }
+    
+    // End the reservation; the car resumes serving other requests
+    async releaseCar() {
+      if (!this.reservation) return true;
+      
+      const { owner } = this.reservation;
+      this.forgetReservation();
+      return this.writeObject(ReservationProtocol.OBJECT.RESERVATION,
+        ReservationProtocol.encodeCommand('RELEASE', owner), 4, ReservationProtocol.SUB.COMMAND);
+    }
+    
+    // Reservation state of the car, whoever holds it: { owner, state,
+    // remainingTime, floor }, with the state as a name ('FREE', 'RESERVED',
+    // 'BOARDING', 'RIDING' or 'EXITING') and owner 0 while free
+    async getReservation() {
+      const index = ReservationProtocol.OBJECT.RESERVATION;
+      const { SUB } = ReservationProtocol;
+      
+      return {
+        owner: (await this.readObject(index, SUB.OWNER)).data,
+        state: ReservationProtocol.stateName((await this.readObject(index, SUB.STATE)).data),
+        remainingTime: (await this.readObject(index, SUB.REMAINING_TIME)).data,
+        floor: (await this.readObject(index, SUB.FLOOR)).data,
+      };
+    }
+    
+    async writeReservationCommand(command, floor = 0) {
+      const index = ReservationProtocol.OBJECT.RESERVATION;
+      this.ensureOperational(index);
+      
+      if (!this.reservation) {
+        throw new Error('No car reserved');
       }
       
+      return this.writeObject(index, ReservationProtocol.encodeCommand(command, this.reservation.owner, floor), 4,
+        ReservationProtocol.SUB.COMMAND);
+    }
+    
+    // Renew the lease. The elevator refusing it (DEVICE_STATE) means the
+    // reservation has ended, e.g. expired or cancelled by an emergency stop;
+    // other failures are retried on the next interval.
+    async sendReservationHeartbeat() {
+      const reservation = this.reservation;
+      
       try {
-        // Read CANopen object 0x1002 (manufacturer status)
-        const response = await this.transport.sendMessage({
-          index: 0x1002,
-          isRead: true
-        });
-        
-        return (response.data & 0x1) !== 0;
+        await this.writeReservationCommand('HEARTBEAT');
       } catch (error) {
-        console.error('Failed to check emergency state:', error);
-        return null;
+        if (this.reservation !== reservation) return;
+        
+        if (error.abortCode === ElevatorProtocolError.ABORT_CODE.DEVICE_STATE && this.nmtState === 'OPERATIONAL') {
+          this.forgetReservation();
+          this.notifyListeners('reservationLost', { owner: reservation.owner, error });
+        } else {
+          console.error('Failed to renew the car reservation:', error.message);
+        }
+      }
+    }
+    
+    forgetReservation() {
+      if (this.reservation) {
+        clearInterval(this.reservation.heartbeatTimer);
+        this.reservation = null;
+      }
+    }
+    
+    // Check if elevator is in emergency state
+    async isInEmergencyState() {
+      // Read CANopen object 0x1002 (manufacturer status)
+      const response = await this.readObject(0x1002);
+      
+      return (response.data & 0x1) !== 0;
+    }
+    
+    // Stop the car and cancel all calls (true), or resume normal operation
+    // (false), through the emergency stop object (0x2001)
+    async setEmergencyStop(active) {
+      return this.writeObject(0x2001, active ? 1 : 0);
+    }
+    
+    // Get the error register (0x1001); 0 when no error is active
+    async getErrorRegister() {
+      const response = await this.readObject(0x1001);
+      
+      return response.data;
+    }
+    
+    // Get the error history (0x1003), most recent first, as
+    // [{ code, description, additionalInfo }]
+    async getErrorHistory() {
+      const count = (await this.readObject(0x1003, 0)).data;
+      const errors = [];
+      
+      for (let i = 1; i <= count; i++) {
+        const entry = (await this.readObject(0x1003, i)).data;
+        const code = entry & 0xFFFF;
+        errors.push({ code, description: EMCYProtocol.describe(code), additionalInfo: entry >>> 16 });
       }
+      
+      return errors;
+    }
+    
+    async clearErrorHistory() {
+      return this.writeObject(0x1003, 0, 1, 0);
+    }
+    
+    // Read an object as raw bytes (uses a segmented transfer for objects
+    // larger than 4 bytes)
+    async readBuffer(index, subIndex = 0) {
+      const response = await this.readObject(index, subIndex);
+      
+      return response.raw;
+    }
+    
+    // Read a VISIBLE_STRING object
+    async readString(index, subIndex = 0) {
+      const buffer = await this.readBuffer(index, subIndex);
+      
+      // Strings may be padded with trailing NULs
+      return buffer.toString('latin1').replace(/\0+$/, '');
+    }
+    
+    // Get manufacturer device name (0x1008)
+    async getDeviceName() {
+      return this.readString(0x1008);
+    }
+    
+    // Get manufacturer software version (0x100A)
+    async getSoftwareVersion() {
+      return this.readString(0x100A);
+    }
+    
+    // Get display labels of all floors (0x2000), starting at floor 1
+    async getFloorLabels() {
+      const labels = await this.readString(0x2000);
+      
+      return labels.split(',');
     }
     
     // Register event listener
@@ -276,4 +1228,7 @@ class ElevatorAPI {
     }
 }
 
-module.exports = ElevatorAPI;
\ No newline at end of file
+module.exports = ElevatorAPI;
+module.exports.ElevatorProtocolError = ElevatorProtocolError;
+module.exports.ElevatorConnectionError = ElevatorConnectionError;
+module.exports.ElevatorTimeoutError = ElevatorTimeoutError;
\ No newline at end of file
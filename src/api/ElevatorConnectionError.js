@@ -0,0 +1,18 @@
+/**
+ * ElevatorConnectionError.js
+ *
+ * Error raised when the elevator cannot be reached at all, e.g. its
+ * heartbeat stopped, as opposed to the elevator rejecting a request
+ * (see ElevatorProtocolError)
+ */
+
+class ElevatorConnectionError extends Error {
+  constructor(message, nodeId = null) {
+    super(message);
+
+    this.name = 'ElevatorConnectionError';
+    this.nodeId = nodeId;
+  }
+}
+
+module.exports = ElevatorConnectionError;
@@ -0,0 +1,28 @@
+/**
+ * ElevatorProtocolError.js
+ *
+ * Error raised when the elevator rejects a request at the protocol level,
+ * e.g. an SDO transfer aborted with a CiA 301 abort code
+ */
+
+const SDOProtocol = require('../transport/SDOProtocol');
+
+class ElevatorProtocolError extends Error {
+  constructor(abortCode, index, subIndex = 0, detail = null) {
+    const description = SDOProtocol.ABORT_DESCRIPTION[abortCode] || 'Unknown abort code';
+    const object = `0x${index.toString(16).padStart(4, '0')}:${subIndex}`;
+
+    super(`${description} (abort code 0x${abortCode.toString(16).padStart(8, '0')}, object ${object})${detail ? `: ${detail}` : ''}`);
+
+    this.name = 'ElevatorProtocolError';
+    this.abortCode = abortCode;
+    this.index = index;
+    this.subIndex = subIndex;
+    this.description = description;
+  }
+}
+
+// Abort codes, so callers can compare `error.abortCode` without reaching into the transport
+ElevatorProtocolError.ABORT_CODE = SDOProtocol.ABORT_CODE;
+
+module.exports = ElevatorProtocolError;
@@ -0,0 +1,17 @@
+/**
+ * ElevatorTimeoutError.js
+ *
+ * Error raised when the car does not reach an awaited state in time, e.g.
+ * it did not arrive at a floor with its doors open (see ElevatorAPI.callTo)
+ */
+
+class ElevatorTimeoutError extends Error {
+  constructor(description, timeout) {
+    super(`Timed out after ${timeout}ms waiting for ${description}`);
+
+    this.name = 'ElevatorTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+module.exports = ElevatorTimeoutError;
@@ -0,0 +1,80 @@
+/**
+ * bridge.js
+ *
+ * Runs simulated elevators behind the MQTT bridge:
+ *
+ *   node src/bridge.js [broker url] [elevators]
+ *
+ * Without a broker url the bridge uses an in-process VirtualMqttBroker and
+ * logs everything published on it, to try the topics offline. On a real
+ * broker commands need credentials: point RISE_AUTH_FILE at a JSON file
+ * with the auth configuration ({ "clients": [...] }, see Authenticator).
+ */
+
+const fs = require('fs');
+const Simulator = require('./simulation/Simulator');
+const CANopenTransport = require('./transport/CANopenTransport');
+const ElevatorAPI = require('./api/ElevatorAPI');
+const MqttBridge = require('./mqtt/MqttBridge');
+const VirtualMqttBroker = require('./mqtt/VirtualMqttBroker');
+
+async function runBridge(url = null, elevatorCount = 2) {
+  const simulator = new Simulator({
+    elevatorCount,
+    robotCount: 0,
+    floors: 10
+  });
+  
+  // One API per elevator, named by the elevator's ID
+  const elevators = new Map();
+  for (const elevator of simulator.elevators) {
+    const transport = new CANopenTransport({
+      simulationMode: true,
+      canBus: simulator.canBus,
+      nodeId: elevator.config.nodeId
+    });
+    
+    const api = new ElevatorAPI(transport, { heartbeatTime: 1000 });
+    await api.connect();
+    elevators.set(elevator.config.id, api);
+  }
+  
+  let client = null;
+  if (!url) {
+    const broker = new VirtualMqttBroker();
+    const monitor = broker.createClient();
+    monitor.subscribe('#');
+    monitor.on('message', (topic, payload) => console.log(`${topic} ${payload.toString()}`));
+    client = broker.createClient();
+  }
+  
+  const auth = process.env.RISE_AUTH_FILE ?
+    JSON.parse(fs.readFileSync(process.env.RISE_AUTH_FILE, 'utf8')) : null;
+  
+  // Only this process can publish on the in-process broker
+  const bridge = new MqttBridge({ url, client, elevators, auth, trustedNetwork: !url });
+  await bridge.start();
+  console.log(url ? `MQTT bridge connected to ${url}` : 'MQTT bridge running on an in-process broker');
+  
+  process.on('SIGINT', async () => {
+    await bridge.stop();
+    process.exit(0);
+  });
+  
+  return bridge;
+}
+
+// Run the bridge if this file is executed directly
+if (require.main === module) {
+  const url = process.argv[2] || null;
+  const elevatorCount = process.argv[3] ? parseInt(process.argv[3]) : 2;
+  
+  runBridge(url, elevatorCount).catch(error => {
+    console.error('Failed to start MQTT bridge:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runBridge
+};
@@ -8,6 +8,7 @@ const readline = require('readline');
 const Simulator = require('./simulation/Simulator');
 const CleaningScenario = require('./scenarios/CleaningScenario');
 const CANopenTransport = require('./transport/CANopenTransport');
+const KONETransport = require('./transport/KONETransport');
 const ElevatorAPI = require('./api/ElevatorAPI');
 
 // Create readline interface
@@ -118,6 +119,11 @@ async function runCLI() {
     false
   );
   
+  const protocol = await promptString(
+    'Enter elevator controller protocol (canopen, kone)',
+    'canopen'
+  );
+  
   // Update the configuration summary
   console.log('\nConfiguration Summary:');
   console.log(`- Building: ${floors} floors`);
@@ -132,6 +138,7 @@ async function runCLI() {
     console.log(`- Off-Peak Hours: ${offPeakStartHour}:00 to ${offPeakEndHour}:00`);
   }
   console.log(`- ASCII Visualization: ${useVisualization ? 'Enabled' : 'Disabled'}`);
+  console.log(`- Controller Protocol: ${protocol}`);
   
   const confirm = await promptYesNo('\nStart simulation with these settings?', true);
   
@@ -153,7 +160,8 @@ async function runCLI() {
       useOffPeakHours: useOffPeakHours,
       offPeakStartHour: offPeakStartHour,
       offPeakEndHour: offPeakEndHour,
-      visualize: useVisualization
+      visualize: useVisualization,
+      protocol: protocol === 'kone' ? 'kone' : 'canopen'
     });
   } else {
     console.log('Simulation cancelled.');
@@ -177,7 +185,8 @@ function runSimulation(config) {
     robotCount: config.bots,
     floors: config.floors,
     simulationSpeed: config.simulationSpeed,
-    visualize: config.visualize
+    visualize: config.visualize,
+    protocol: config.protocol
   });
   
   // Create transports and APIs for each elevator
@@ -185,10 +194,13 @@ function runSimulation(config) {
   const apis = [];
   
   for (let i = 0; i < config.elevators; i++) {
-    const transport = new CANopenTransport({
-      simulationMode: true,
-      virtualElevator: simulator.elevators[i]
-    });
+    const transport = config.protocol === 'kone' ?
+      new KONETransport({ controller: simulator.controllers[i] }) :
+      new CANopenTransport({
+        simulationMode: true,
+        canBus: simulator.canBus,
+        nodeId: simulator.elevators[i].config.nodeId
+      });
     
     const api = new ElevatorAPI(transport);
     
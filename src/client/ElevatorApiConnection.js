@@ -0,0 +1,107 @@
+/**
+ * ElevatorApiConnection.js
+ *
+ * Elevator connection for VirtualRobot and VirtualTenant that goes through
+ * ElevatorAPI and its transport instead of calling the VirtualElevator
+ * directly, so clients can be run over the bus (or a FaultInjectionTransport
+ * on top of it). It offers the part of VirtualElevator the clients use:
+ * requestFloor(), getState(), state, config and addEventListener() /
+ * removeEventListener() for 'floorChanged', 'doorStateChanged' and
+ * 'directionChanged'.
+ *
+ *   const connection = new ElevatorApiConnection(api, { id: 'elevator-1', floors: 10 });
+ *   robot.connectToElevator(connection);
+ *   await api.connect();
+ */
+
+// ElevatorAPI events mirrored in the state, by state field
+const STATE_EVENTS = {
+  floorChanged: 'currentFloor',
+  doorStateChanged: 'doorState',
+  directionChanged: 'direction',
+};
+
+class ElevatorApiConnection {
+  constructor(api, config = {}) {
+    this.api = api;
+    this.config = {
+      id: 'elevator-1',
+      floors: 10,
+      ...config
+    };
+
+    // Last known state; unknown until connected
+    this.state = {
+      currentFloor: null,
+      doorState: 'UNKNOWN',
+      direction: 'STATIONARY',
+    };
+
+    this.eventListeners = Object.fromEntries(Object.keys(STATE_EVENTS).map(event => [event, []]));
+
+    Object.keys(STATE_EVENTS).forEach(event => {
+      this.api.on(event, value => this.update(event, value));
+    });
+
+    // Read the state on every (re)connect, since changes while offline were
+    // not reported
+    this.api.on('connected', () => this.refresh());
+  }
+
+  update(event, value) {
+    this.state[STATE_EVENTS[event]] = value;
+    this.notifyListeners(event, value);
+  }
+
+  async refresh() {
+    try {
+      const floor = await this.api.getCurrentFloor();
+      const status = (await this.api.readObject(0x6000)).data;
+
+      this.update('floorChanged', floor);
+      this.update('doorStateChanged', this.api.doorStateFromStatus(status));
+      this.update('directionChanged', this.api.directionFromStatus(status));
+    } catch (error) {
+      console.error(`Could not read the state of elevator ${this.config.id}:`, error.message);
+    }
+  }
+
+  // Request the elevator to a floor. Clients fire requests and watch the
+  // events, so failures are logged rather than thrown; the returned promise
+  // still rejects for callers that wait for it.
+  requestFloor(floorNumber, requesterType = null) {
+    const request = this.api.requestFloor(floorNumber);
+    request.catch(error => {
+      console.error(`Request for floor ${floorNumber} from ${requesterType || 'unknown'} to elevator ${this.config.id} failed:`, error.message);
+    });
+    return request;
+  }
+
+  getState() {
+    return { ...this.state };
+  }
+
+  addEventListener(event, callback) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event].push(callback);
+    }
+  }
+
+  removeEventListener(event, callback) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event] = this.eventListeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  notifyListeners(event, data) {
+    this.eventListeners[event].forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in ${event} listener:`, error);
+      }
+    });
+  }
+}
+
+module.exports = ElevatorApiConnection;
@@ -0,0 +1,325 @@
+/**
+ * EDSFile.js
+ *
+ * Reading and writing CANopen electronic data sheets (EDS) and device
+ * configuration files (DCF) as described in CiA 306. Objects are converted
+ * to and from the object dictionary format used by VirtualElevator:
+ * { name, dataType, access, value, defaultValue, min, max, pdoMapping } for
+ * variables and { name, objectType, subs } for arrays and records.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DataType = require('../transport/DataType');
+
+const { DATA_TYPE } = DataType;
+
+const OBJECT_TYPE = {
+  DOMAIN: 0x2,
+  VAR: 0x7,
+  ARRAY: 0x8,
+  RECORD: 0x9,
+};
+
+// Object list sections and the index ranges they hold
+const OBJECT_LISTS = ['MandatoryObjects', 'OptionalObjects', 'ManufacturerObjects'];
+const MANDATORY_OBJECTS = [0x1000, 0x1001, 0x1018];
+
+// Parse INI text into { section (lower case): { key (lower case): value } }
+function parseIni(text) {
+  const sections = {};
+  let current = null;
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith(';')) return;
+
+    const header = trimmed.match(/^\[(.+)\]$/);
+    if (header) {
+      current = sections[header[1].trim().toLowerCase()] = {};
+      return;
+    }
+
+    const separator = trimmed.indexOf('=');
+    if (separator === -1 || !current) {
+      throw new Error(`EDS line ${i + 1}: expected key=value inside a section`);
+    }
+
+    current[trimmed.slice(0, separator).trim().toLowerCase()] = trimmed.slice(separator + 1).trim();
+  });
+
+  return sections;
+}
+
+// Integer in EDS notation: 0x.. hexadecimal, leading 0 octal, otherwise decimal
+function parseNumber(text) {
+  const trimmed = text.trim();
+  if (/^0x[0-9a-f]+$/i.test(trimmed)) return parseInt(trimmed, 16);
+  if (/^0[0-7]+$/.test(trimmed)) return parseInt(trimmed, 8);
+  if (/^[+-]?\d+$/.test(trimmed)) return parseInt(trimmed, 10);
+  throw new Error(`Invalid number "${text}"`);
+}
+
+// Value of a DefaultValue/ParameterValue entry. Numeric values may be given
+// relative to the node ID, e.g. $NODEID+0x180.
+function parseValue(text, dataType, nodeId) {
+  if (DataType.isString(dataType)) {
+    return text;
+  }
+  if (dataType === DATA_TYPE.OCTET_STRING || dataType === DATA_TYPE.DOMAIN) {
+    return Buffer.from(text.replace(/\s+/g, ''), 'hex');
+  }
+  if (dataType === DATA_TYPE.REAL32) {
+    return text === '' ? 0 : parseFloat(text);
+  }
+  if (text === '') {
+    return dataType === DATA_TYPE.BOOLEAN ? false : 0;
+  }
+
+  const value = text.replace(/\$NODEID/ig, String(nodeId))
+    .split('+')
+    .reduce((sum, term) => sum + parseNumber(term), 0);
+  return dataType === DATA_TYPE.BOOLEAN ? value !== 0 : value;
+}
+
+// EDS access types; rwr/rww (read-write, mapped for reading/writing) are
+// plain read-write here
+function parseAccess(text) {
+  const access = (text || 'rw').toLowerCase();
+  return access === 'rwr' || access === 'rww' ? 'rw' : access;
+}
+
+function parseVariable(section, nodeId) {
+  const dataType = parseNumber(section.datatype || '0x0007');
+  const defaultValue = parseValue(section.defaultvalue || '', dataType, nodeId);
+
+  const entry = {
+    name: section.parametername || '',
+    dataType,
+    access: parseAccess(section.accesstype),
+    value: section.parametervalue !== undefined ? parseValue(section.parametervalue, dataType, nodeId) : defaultValue,
+    defaultValue,
+  };
+
+  if (section.lowlimit) {
+    entry.min = parseValue(section.lowlimit, dataType, nodeId);
+  }
+  if (section.highlimit) {
+    entry.max = parseValue(section.highlimit, dataType, nodeId);
+  }
+  if (section.pdomapping === '1') {
+    entry.pdoMapping = true;
+  }
+  if (/\$NODEID/i.test(section.defaultvalue || '')) {
+    entry.nodeIdRelative = true;
+  }
+
+  return entry;
+}
+
+function parseObject(sections, index, nodeId) {
+  const key = index.toString(16);
+  const section = sections[key];
+  if (!section) {
+    throw new Error(`EDS lists object 0x${key} but has no [${key.toUpperCase()}] section`);
+  }
+
+  const objectType = section.objecttype ? parseNumber(section.objecttype) : OBJECT_TYPE.VAR;
+  if (objectType !== OBJECT_TYPE.ARRAY && objectType !== OBJECT_TYPE.RECORD) {
+    return parseVariable(section, nodeId);
+  }
+
+  const subs = {};
+  Object.keys(sections).forEach(name => {
+    const match = name.match(/^([0-9a-f]+)sub([0-9a-f]+)$/);
+    if (match && parseInt(match[1], 16) === index) {
+      subs[parseInt(match[2], 16)] = parseVariable(sections[name], nodeId);
+    }
+  });
+
+  return {
+    name: section.parametername || '',
+    objectType: objectType === OBJECT_TYPE.ARRAY ? 'ARRAY' : 'RECORD',
+    subs,
+  };
+}
+
+// Indices of all objects, from the object lists or, failing those, from the
+// object sections themselves
+function listObjects(sections) {
+  const indices = [];
+
+  OBJECT_LISTS.forEach(list => {
+    const section = sections[list.toLowerCase()];
+    if (!section) return;
+
+    const count = parseNumber(section.supportedobjects || '0');
+    for (let i = 1; i <= count; i++) {
+      if (section[String(i)] !== undefined) {
+        indices.push(parseNumber(section[String(i)]));
+      }
+    }
+  });
+
+  if (indices.length > 0) return indices;
+
+  return Object.keys(sections)
+    .filter(name => /^[0-9a-f]{4}$/.test(name))
+    .map(name => parseInt(name, 16));
+}
+
+// Parse EDS or DCF text. The node ID used for $NODEID values is
+// `options.nodeId`, else the DCF's commissioned node ID, else 1.
+function parse(text, options = {}) {
+  const sections = parseIni(text);
+  const commissioning = sections.devicecomissioning || sections.devicecommissioning || {};
+  const nodeId = options.nodeId !== undefined ? options.nodeId :
+    (commissioning.nodeid ? parseNumber(commissioning.nodeid) : 1);
+
+  const objects = {};
+  listObjects(sections).forEach(index => {
+    objects[index] = parseObject(sections, index, nodeId);
+  });
+
+  return {
+    fileInfo: sections.fileinfo || {},
+    deviceInfo: sections.deviceinfo || {},
+    commissioning,
+    nodeId,
+    objects,
+  };
+}
+
+function hex(value, digits = 1) {
+  return `0x${value.toString(16).toUpperCase().padStart(digits, '0')}`;
+}
+
+function formatValue(value, entry, nodeId) {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (Buffer.isBuffer(value)) return value.toString('hex').toUpperCase();
+  if (value < 0 || !Number.isInteger(value)) return String(value);
+  if (entry.nodeIdRelative && nodeId !== undefined && value >= nodeId) return `$NODEID+${hex(value - nodeId)}`;
+  return hex(value);
+}
+
+function writeVariable(lines, name, entry, options) {
+  lines.push(`[${name}]`);
+  lines.push(`ParameterName=${entry.name || name}`);
+  lines.push(`ObjectType=${hex(OBJECT_TYPE.VAR)}`);
+  lines.push(`DataType=${hex(entry.dataType, 4)}`);
+  lines.push(`AccessType=${entry.access || 'rw'}`);
+  lines.push(`DefaultValue=${formatValue(entry.defaultValue !== undefined ? entry.defaultValue : entry.value, entry, options.nodeId)}`);
+  if (entry.min !== undefined) {
+    lines.push(`LowLimit=${formatValue(entry.min, entry)}`);
+  }
+  if (entry.max !== undefined) {
+    lines.push(`HighLimit=${formatValue(entry.max, entry)}`);
+  }
+  lines.push(`PDOMapping=${entry.pdoMapping ? 1 : 0}`);
+  if (options.dcf) {
+    lines.push(`ParameterValue=${formatValue(entry.value, entry)}`);
+  }
+  lines.push('');
+}
+
+// Write an object dictionary as EDS text, or as DCF text with the current
+// values and commissioning data when `options.dcf` is set.
+// options: { dcf, nodeId, bitrate, fileName, description, deviceInfo }
+function serialize(objectDictionary, options = {}) {
+  const indices = Object.keys(objectDictionary).map(Number).sort((a, b) => a - b);
+  const now = new Date();
+  const lines = [];
+
+  const section = (name, entries) => {
+    lines.push(`[${name}]`);
+    Object.entries(entries).forEach(([key, value]) => lines.push(`${key}=${value}`));
+    lines.push('');
+  };
+
+  section('FileInfo', {
+    FileName: options.fileName || (options.dcf ? 'device.dcf' : 'device.eds'),
+    FileVersion: 1,
+    FileRevision: 0,
+    EDSVersion: '4.0',
+    Description: options.description || '',
+    CreationTime: now.toTimeString().slice(0, 5),
+    CreationDate: `${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}-${now.getFullYear()}`,
+    CreatedBy: 'rise-api',
+  });
+
+  section('DeviceInfo', {
+    VendorName: '',
+    ProductName: '',
+    BaudRate_125: 1,
+    BaudRate_250: 1,
+    BaudRate_500: 1,
+    BaudRate_1000: 1,
+    SimpleBootUpMaster: 0,
+    SimpleBootUpSlave: 1,
+    Granularity: 8,
+    NrOfRXPDO: indices.filter(index => index >= 0x1400 && index < 0x1600).length,
+    NrOfTXPDO: indices.filter(index => index >= 0x1800 && index < 0x1A00).length,
+    LSS_Supported: 0,
+    ...options.deviceInfo,
+  });
+
+  if (options.dcf) {
+    section('DeviceComissioning', {
+      NodeId: options.nodeId !== undefined ? options.nodeId : 1,
+      Baudrate: Math.round((options.bitrate || 250000) / 1000),
+    });
+  }
+
+  const mandatory = indices.filter(index => MANDATORY_OBJECTS.includes(index));
+  const manufacturer = indices.filter(index => index >= 0x2000 && index < 0x6000);
+  const optional = indices.filter(index => !mandatory.includes(index) && !manufacturer.includes(index));
+
+  [[OBJECT_LISTS[0], mandatory], [OBJECT_LISTS[1], optional], [OBJECT_LISTS[2], manufacturer]].forEach(([name, list]) => {
+    // Written by hand: integer-like keys would otherwise come before SupportedObjects
+    lines.push(`[${name}]`, `SupportedObjects=${list.length}`);
+    list.forEach((index, i) => lines.push(`${i + 1}=${hex(index, 4)}`));
+    lines.push('');
+  });
+
+  indices.forEach(index => {
+    const entry = objectDictionary[index];
+    const name = index.toString(16).toUpperCase();
+
+    if (!entry.subs) {
+      writeVariable(lines, name, entry, options);
+      return;
+    }
+
+    const subIndices = Object.keys(entry.subs).map(Number).sort((a, b) => a - b);
+    lines.push(`[${name}]`);
+    lines.push(`ParameterName=${entry.name || name}`);
+    lines.push(`ObjectType=${hex(entry.objectType === 'ARRAY' ? OBJECT_TYPE.ARRAY : OBJECT_TYPE.RECORD)}`);
+    lines.push(`SubNumber=${subIndices.length}`);
+    lines.push('');
+
+    subIndices.forEach(subIndex => {
+      writeVariable(lines, `${name}sub${subIndex.toString(16).toUpperCase()}`, entry.subs[subIndex], options);
+    });
+  });
+
+  return lines.join('\n');
+}
+
+function readFile(file, options = {}) {
+  return parse(fs.readFileSync(file, 'latin1'), options);
+}
+
+// Write EDS or DCF depending on the file extension, unless options.dcf says otherwise
+function writeFile(file, objectDictionary, options = {}) {
+  const dcf = options.dcf !== undefined ? options.dcf : path.extname(file).toLowerCase() === '.dcf';
+  fs.writeFileSync(file, serialize(objectDictionary, { fileName: path.basename(file), ...options, dcf }), 'latin1');
+}
+
+module.exports = {
+  OBJECT_TYPE,
+  parse,
+  serialize,
+  readFile,
+  writeFile,
+};
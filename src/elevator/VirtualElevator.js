@@ -4,19 +4,79 @@
  * Implementation of a virtual elevator using the CANopen Elevator Protocol (CiA 417)
  */
 
+const SDOProtocol = require('../transport/SDOProtocol');
+const PDOProtocol = require('../transport/PDOProtocol');
+const NMTProtocol = require('../transport/NMTProtocol');
+const EMCYProtocol = require('../transport/EMCYProtocol');
+const SYNCProtocol = require('../transport/SYNCProtocol');
+const DataType = require('../transport/DataType');
+const CallProtocol = require('../transport/CallProtocol');
+const ReservationProtocol = require('../transport/ReservationProtocol');
+const ElevatorProtocolError = require('../api/ElevatorProtocolError');
+const EDSFile = require('./EDSFile');
+
+const { ABORT_CODE } = SDOProtocol;
+const { DATA_TYPE } = DataType;
+
+// Objects the simulation depends on; taken from the built-in defaults when
+// an object dictionary file leaves them out
+const REQUIRED_OBJECTS = [
+  0x1001, 0x1002, 0x1003, 0x1005, 0x1014, 0x1017, 0x2001, 0x6000, 0x6001, 0x6002, 0x6010,
+  ...Object.values(CallProtocol.OBJECT),
+  ...Object.values(ReservationProtocol.OBJECT),
+];
+
+const { STATE: RESERVATION_STATE, SUB: RESERVATION_SUB } = ReservationProtocol;
+
+// Communication parameters restored by reset communication
+const COMMUNICATION_OBJECTS = [0x1005, 0x1006, 0x1007, 0x100C, 0x100D, 0x1014, 0x1017];
+
+// Copy of an object dictionary entry, so that restoring a snapshot does not
+// share values with the live dictionary
+function cloneEntry(entry) {
+  if (!entry.subs) {
+    return { ...entry };
+  }
+
+  const subs = {};
+  Object.keys(entry.subs).forEach(subIndex => {
+    subs[subIndex] = { ...entry.subs[subIndex] };
+  });
+  return { ...entry, subs };
+}
+
 class VirtualElevator {
   constructor(config = {}) {
+    // Object dictionary from an EDS or DCF file, if given. A DCF's node ID
+    // applies unless one is configured explicitly.
+    const objectDictionaryFile = config.objectDictionaryFile ?
+      EDSFile.readFile(config.objectDictionaryFile, { nodeId: config.nodeId }) : null;
+
     // Default configuration
     this.config = {
       id: 'elevator-1',
+      nodeId: objectDictionaryFile ? objectDictionaryFile.nodeId : 1, // CANopen node ID
       floors: 10,
       doorOpenTime: 5000, // 5000ms (5 seconds)
       floorTravelTime: 2000, // 2 seconds per floor
       prioritizationMode: 'equal', // 'equal', 'tenant-priority', or 'bot-priority'
       maxOccupants: 8, // Maximum number of occupants in the elevator
+      deviceName: 'RISE Virtual Elevator',
+      softwareVersion: '0.1.0',
+      floorLabels: null, // Display label per floor, defaults to the floor numbers
+      tpdoTransmissionType: PDOProtocol.TRANSMISSION_TYPE.EVENT_PROFILE, // Default for all TPDOs
+      tpdoInhibitTime: 0, // Minimum time between TPDOs in multiples of 100 µs
+      tpdoEventTimer: 0, // Transmit TPDOs at least every n ms (0 to disable)
+      heartbeatTime: 0, // Producer heartbeat time in ms (0 to disable)
+      reservationLeaseTime: 30000, // Default lease time of robot reservations in ms (0x2010 sub-index 4)
+      objectDictionaryFile: null, // EDS or DCF file replacing the built-in object dictionary
       ...config
     };
 
+    if (!this.config.floorLabels) {
+      this.config.floorLabels = Array.from({ length: this.config.floors }, (_, i) => String(i + 1));
+    }
+
     // Elevator state
     this.state = {
       currentFloor: 1,
@@ -28,76 +88,1335 @@ class VirtualElevator {
       doorObstruction: false,
       floorRequests: new Set(),
       occupants: [], // Track occupants and their destinations
+      calls: { HALL_UP: new Set(), HALL_DOWN: new Set(), CAR: new Set() }, // Registered calls by type
     };
 
     // Track waiting tenants
     this.waitingTenants = [];
 
+    // Robot reservation of the car: { owner, state, floor, expiresAt }, or
+    // null while the car is free
+    this.reservation = null;
+    this.reservationTimer = null;
+
     // CANopen Object Dictionary (simplified for simulation)
+    // Each entry has a `dataType` (DataType.DATA_TYPE) and an `access` type:
+    // 'ro', 'wo', 'rw' or 'const'. Writes must lie within the data type's
+    // range and the optional `min`/`max` limits; `defaultValue` (the initial
+    // value unless given) is restored by reset node. Strings and Buffers longer
+    // than 4 bytes are sent with segmented SDO transfers.
+    // `pdoMapping` marks objects that can be mapped to PDOs. Arrays and records
+    // keep their sub-index entries in `subs`. `name` is the parameter name used
+    // in EDS/DCF files; `nodeIdRelative` values are written there as $NODEID+offset.
     this.objectDictionary = {
       // Device Type
-      0x1000: { value: 0x191, access: 'ro' }, // CiA 417 device profile
+      0x1000: { name: 'Device type', dataType: DATA_TYPE.UNSIGNED32, access: 'const', value: 0x191 }, // CiA 417 device profile
 
       // Manufacturer Status Register
-      0x1002: { value: 0x0, access: 'ro' },
+      0x1002: { name: 'Manufacturer status register', dataType: DATA_TYPE.UNSIGNED32, access: 'ro', value: 0x0, pdoMapping: true },
 
       // Error Register
-      0x1001: { value: 0x0, access: 'ro' },
+      0x1001: { name: 'Error register', dataType: DATA_TYPE.UNSIGNED8, access: 'ro', value: 0x0 },
+
+      // Pre-defined error field: sub-index 0 holds the number of recorded
+      // errors (write 0 to clear), sub-index 1 the most recent one
+      0x1003: this.createErrorHistoryRecord(),
+
+      // Manufacturer device name
+      0x1008: { name: 'Manufacturer device name', dataType: DATA_TYPE.VISIBLE_STRING, access: 'const', value: this.config.deviceName },
+
+      // Manufacturer software version
+      0x100A: { name: 'Manufacturer software version', dataType: DATA_TYPE.VISIBLE_STRING, access: 'const', value: this.config.softwareVersion },
+
+      // Floor label table (comma-separated label per floor, starting at floor 1)
+      0x2000: { name: 'Floor label table', dataType: DATA_TYPE.VISIBLE_STRING, access: 'rw', value: this.config.floorLabels.join(',') },
+
+      // Emergency stop command (1: stop the car and cancel all calls, 0: resume)
+      0x2001: { name: 'Emergency stop', dataType: DATA_TYPE.UNSIGNED8, access: 'rw', value: 0, min: 0, max: 1 },
+
+      // Robot ride reservation (see ReservationProtocol)
+      [ReservationProtocol.OBJECT.RESERVATION]: this.createReservationRecord(),
 
       // Elevator status
-      0x6000: { value: 0x0, access: 'ro' }, // Bit 0: Door closed, Bit 1: Door opening, etc.
+      0x6000: { name: 'Elevator status', dataType: DATA_TYPE.UNSIGNED8, access: 'ro', value: 0x0, pdoMapping: true }, // Bit 0: Door closed, Bit 1: Door opening, etc.
 
       // Current floor
-      0x6001: { value: this.state.currentFloor, access: 'ro' },
+      0x6001: { name: 'Current floor', dataType: DATA_TYPE.UNSIGNED8, access: 'ro', value: this.state.currentFloor, pdoMapping: true },
 
       // Target floor
-      0x6002: { value: 0, access: 'rw' },
+      0x6002: { name: 'Target floor', dataType: DATA_TYPE.UNSIGNED8, access: 'rw', value: 0, min: 1, max: this.config.floors, pdoMapping: true },
 
       // Door command
-      0x6010: { value: 0, access: 'rw' }, // 0: Close, 1: Open
+      0x6010: { name: 'Door command', dataType: DATA_TYPE.UNSIGNED8, access: 'rw', value: 0, min: 0, max: 1, pdoMapping: true }, // 0: Close, 1: Open
+
+      // Hall calls, car calls and call lamps, one sub-index per floor
+      [CallProtocol.OBJECT.HALL_CALL_UP]: this.createFloorArray('Hall call up', 'rw'),
+      [CallProtocol.OBJECT.HALL_CALL_DOWN]: this.createFloorArray('Hall call down', 'rw'),
+      [CallProtocol.OBJECT.CAR_CALL]: this.createFloorArray('Car call', 'rw'),
+      [CallProtocol.OBJECT.CALL_LAMPS]: this.createFloorArray('Call lamps', 'ro'),
+
+      // Last call registered, answered or cancelled (see CallProtocol.encodeEvent)
+      [CallProtocol.OBJECT.CALL_EVENT]: { name: 'Call event', dataType: DATA_TYPE.UNSIGNED32, access: 'ro', value: 0, pdoMapping: true },
+
+      // SYNC, guard time, life time factor, EMCY COB-ID and producer heartbeat time
+      ...this.createCommunicationParameters(),
+
+      // PDO communication and mapping parameters (0x1400-0x1BFF)
+      ...this.createPdoParameters(),
     };
 
+    if (objectDictionaryFile) {
+      this.applyObjectDictionary(objectDictionaryFile.objects);
+    }
+
+    this.forEachEntry(entry => {
+      if (entry.defaultValue === undefined) {
+        entry.defaultValue = entry.value;
+      }
+    });
+
+    // Communication parameters as configured, restored on reset communication
+    this.communicationDefaults = {};
+    Object.keys(this.objectDictionary).map(Number).filter(index => this.isCommunicationObject(index)).forEach(index => {
+      this.communicationDefaults[index] = cloneEntry(this.objectDictionary[index]);
+    });
+
     this.eventListeners = {
       'floorChanged': [],
       'doorStateChanged': [],
       'directionChanged': [],
       'emergencyStateChanged': [],
+      'callRegistered': [],
+      'callAnswered': [],
+      'callCancelled': [],
+      'frame': [], // CAN frames transmitted by the node (PDOs, boot-up, heartbeat, EMCY)
     };
 
+    // Active errors by EMCY error code
+    this.activeErrors = new Map();
+
+    // Whether the controller is attached to the bus (see setBusOnline)
+    this.busOnline = true;
+
+    // Segmented SDO transfer in progress, if any
+    this.sdoTransfer = null;
+
+    // Runtime state of each TPDO (last transmission, inhibit and event timers)
+    this.tpdoState = [];
+
+    // Heartbeat producer timer and the toggle bit of the next node guarding response
+    this.heartbeatTimer = null;
+    this.guardToggle = false;
+
+    // NMT state: INITIALISATION, PRE_OPERATIONAL, OPERATIONAL or STOPPED
+    this.nmtState = 'INITIALISATION';
+    this.bootNode();
+
     // Timers
     this.doorTimer = null;
     this.movementTimer = null;
   }
 
   // CANopen communication methods
-  readObject(index) {
-    if (this.objectDictionary[index]) {
-      return this.objectDictionary[index].value;
+  // Reads and writes throw ElevatorProtocolError carrying the SDO abort code
+  // the SDO server answers with
+  readObject(index, subIndex = 0) {
+    const entry = this.getObjectEntry(index, subIndex);
+    if (entry.access === 'wo') {
+      throw new ElevatorProtocolError(ABORT_CODE.WRITE_ONLY, index, subIndex);
     }
-    throw new Error(`Object ${index.toString(16)} not found in dictionary`);
+    if (index === ReservationProtocol.OBJECT.RESERVATION) {
+      this.updateReservationObject();
+    }
+    return entry.value;
   }
 
-  writeObject(index, value) {
-    if (this.objectDictionary[index] && this.objectDictionary[index].access === 'rw') {
-      this.objectDictionary[index].value = value;
-      
-      // Handle specific objects
-      if (index === 0x6002) { // Target floor
-        this.requestFloor(value);
-      } else if (index === 0x6010) { // Door command
-        if (value === 1) {
-          this.openDoor();
-        } else {
-          this.closeDoor();
+  writeObject(index, value, subIndex = 0) {
+    this.checkWritable(index, subIndex);
+    this.validateValue(index, value, subIndex);
+    this.validateObjectValue(index, value, subIndex);
+
+    this.getObjectEntry(index, subIndex).value = value;
+    
+    // Handle specific objects
+    if (index === 0x6002) { // Target floor
+      this.requestFloor(value);
+    } else if (index === 0x6010) { // Door command
+      if (value === 1) {
+        this.openDoor();
+      } else {
+        this.closeDoor();
+      }
+    } else if (index === 0x2000) { // Floor label table
+      this.config.floorLabels = value.split(',');
+    } else if (index === 0x2001) { // Emergency stop
+      this.setEmergencyState(value === 1);
+    } else if (index === ReservationProtocol.OBJECT.RESERVATION && subIndex === RESERVATION_SUB.COMMAND) {
+      this.handleReservationCommand(ReservationProtocol.decodeCommand(value));
+    } else if (CallProtocol.typeOfObject(index)) { // Hall or car call
+      if (value === 1) {
+        this.registerCall(CallProtocol.typeOfObject(index), subIndex);
+      } else {
+        this.cancelCall(CallProtocol.typeOfObject(index), subIndex);
+      }
+    } else if (index === NMTProtocol.OBJECT.PRODUCER_HEARTBEAT_TIME) {
+      this.startHeartbeat();
+    } else if (index === 0x1003) { // Clear the error history
+      this.clearErrorHistory();
+    } else if (index >= PDOProtocol.RPDO_COMMUNICATION && index < PDOProtocol.TPDO_MAPPING + 0x200) { // PDO parameters
+      this.configurePdos();
+    }
+    
+    return true;
+  }
+
+  getObjectEntry(index, subIndex = 0) {
+    const entry = this.objectDictionary[index];
+    if (!entry) {
+      throw new ElevatorProtocolError(ABORT_CODE.OBJECT_DOES_NOT_EXIST, index, subIndex);
+    }
+    if (entry.subs) {
+      if (!entry.subs[subIndex]) {
+        throw new ElevatorProtocolError(ABORT_CODE.SUB_INDEX_DOES_NOT_EXIST, index, subIndex);
+      }
+      return entry.subs[subIndex];
+    }
+    if (subIndex !== 0) {
+      throw new ElevatorProtocolError(ABORT_CODE.SUB_INDEX_DOES_NOT_EXIST, index, subIndex);
+    }
+    return entry;
+  }
+
+  // Call `callback(entry, index, subIndex)` for every variable, including
+  // the sub-index entries of arrays and records
+  forEachEntry(callback) {
+    Object.keys(this.objectDictionary).map(Number).forEach(index => {
+      const entry = this.objectDictionary[index];
+      if (entry.subs) {
+        Object.keys(entry.subs).forEach(subIndex => callback(entry.subs[subIndex], index, Number(subIndex)));
+      } else {
+        callback(entry, index, 0);
+      }
+    });
+  }
+
+  checkWritable(index, subIndex = 0) {
+    const { access } = this.getObjectEntry(index, subIndex);
+    if (access !== 'rw' && access !== 'wo') {
+      throw new ElevatorProtocolError(ABORT_CODE.READ_ONLY, index, subIndex);
+    }
+  }
+
+  // Check a value against the entry's data type and limits
+  validateValue(index, value, subIndex = 0) {
+    const { dataType, min, max } = this.getObjectEntry(index, subIndex);
+
+    if (!DataType.isValid(dataType, value)) {
+      const range = DataType.RANGE[dataType];
+      if (range && Number.isInteger(value)) {
+        const abortCode = value < range.min ? ABORT_CODE.VALUE_TOO_LOW : ABORT_CODE.VALUE_TOO_HIGH;
+        throw new ElevatorProtocolError(abortCode, index, subIndex, `${value} is out of range for ${DataType.NAME[dataType]}`);
+      }
+      throw new ElevatorProtocolError(ABORT_CODE.DATA_LENGTH_MISMATCH, index, subIndex, `expected ${DataType.NAME[dataType]}`);
+    }
+
+    if (min !== undefined && value < min) {
+      throw new ElevatorProtocolError(ABORT_CODE.VALUE_TOO_LOW, index, subIndex, `${value} is below the minimum of ${min}`);
+    }
+    if (max !== undefined && value > max) {
+      throw new ElevatorProtocolError(ABORT_CODE.VALUE_TOO_HIGH, index, subIndex, `${value} is above the maximum of ${max}`);
+    }
+  }
+
+  // Object-specific value checks, done before the value is stored
+  validateObjectValue(index, value, subIndex = 0) {
+    const callType = CallProtocol.typeOfObject(index);
+
+    const reservationCommand = index === ReservationProtocol.OBJECT.RESERVATION && subIndex === RESERVATION_SUB.COMMAND;
+
+    if ((index === 0x6002 || index === 0x6010 || callType || reservationCommand) && this.nmtState !== 'OPERATIONAL') { // Motion commands
+      throw new ElevatorProtocolError(ABORT_CODE.DEVICE_STATE, index, subIndex, `node is ${this.nmtState}`);
+    }
+
+    if (callType && value === 1) {
+      this.checkCall(callType, subIndex);
+    } else if (reservationCommand) {
+      this.checkReservationCommand(value);
+    } else if (index === 0x6010 && value === 0 && this.isDoorHeld()) {
+      throw new ElevatorProtocolError(ABORT_CODE.DEVICE_STATE, index, subIndex, 'door held open for a reserved ride');
+    } else if (index === SYNCProtocol.OBJECT.COB_ID_SYNC) {
+      if (value & SYNCProtocol.GENERATE_BIT) {
+        throw new ElevatorProtocolError(ABORT_CODE.VALUE_RANGE_EXCEEDED, index, subIndex, 'the elevator cannot produce SYNC');
+      }
+    } else if (index === 0x1003) { // Error history: only 0 may be written
+      if (value !== 0) {
+        throw new ElevatorProtocolError(ABORT_CODE.VALUE_RANGE_EXCEEDED, index, subIndex, 'write 0 to clear the error history');
+      }
+    } else if (index === 0x2000) { // Floor label table
+      if (value.split(',').length !== this.config.floors) {
+        throw new ElevatorProtocolError(ABORT_CODE.VALUE_RANGE_EXCEEDED, index, 0, `expected ${this.config.floors} floor labels`);
+      }
+    } else if (this.isPdoMappingIndex(index)) {
+      this.validatePdoMapping(index, value, subIndex);
+    } else if (this.isPdoCommunicationIndex(index) && subIndex === PDOProtocol.COMMUNICATION_SUB.TRANSMISSION_TYPE) {
+      if (value > PDOProtocol.TRANSMISSION_TYPE.SYNCHRONOUS_CYCLIC_MAX && value < PDOProtocol.TRANSMISSION_TYPE.RTR_SYNCHRONOUS) {
+        throw new ElevatorProtocolError(ABORT_CODE.VALUE_RANGE_EXCEEDED, index, subIndex, `reserved transmission type ${value}`);
+      }
+    }
+  }
+
+  // Registration array with one UNSIGNED8 per floor
+  createFloorArray(name, access) {
+    const subs = { 0: { name: 'Number of floors', dataType: DATA_TYPE.UNSIGNED8, access: 'const', value: this.config.floors } };
+    for (let floor = 1; floor <= this.config.floors; floor++) {
+      subs[floor] = { name: `Floor ${floor}`, dataType: DATA_TYPE.UNSIGNED8, access, value: 0 };
+      if (access === 'rw') {
+        Object.assign(subs[floor], { min: 0, max: 1 });
+      }
+    }
+    return { name, objectType: 'ARRAY', subs };
+  }
+
+  createReservationRecord() {
+    return {
+      name: 'Robot reservation',
+      objectType: 'RECORD',
+      subs: {
+        0: { name: 'Highest sub-index supported', dataType: DATA_TYPE.UNSIGNED8, access: 'const', value: RESERVATION_SUB.FLOOR },
+        [RESERVATION_SUB.COMMAND]: { name: 'Command', dataType: DATA_TYPE.UNSIGNED32, access: 'wo', value: 0 },
+        [RESERVATION_SUB.OWNER]: { name: 'Owner', dataType: DATA_TYPE.UNSIGNED16, access: 'ro', value: 0 },
+        [RESERVATION_SUB.STATE]: { name: 'State', dataType: DATA_TYPE.UNSIGNED8, access: 'ro', value: RESERVATION_STATE.FREE },
+        [RESERVATION_SUB.LEASE_TIME]: { name: 'Lease time', dataType: DATA_TYPE.UNSIGNED32, access: 'rw', value: this.config.reservationLeaseTime, min: 100 },
+        [RESERVATION_SUB.REMAINING_TIME]: { name: 'Remaining lease time', dataType: DATA_TYPE.UNSIGNED32, access: 'ro', value: 0 },
+        [RESERVATION_SUB.FLOOR]: { name: 'Floor', dataType: DATA_TYPE.UNSIGNED8, access: 'ro', value: 0 },
+      },
+    };
+  }
+
+  // PDO parameters
+
+  // Default PDO configuration: TPDO1 sends the elevator status (0x6000),
+  // TPDO2 the current floor (0x6001), TPDO3 the manufacturer status (0x1002)
+  // and TPDO4 call events (0x6111); RPDO1 receives the target floor (0x6002)
+  // and RPDO2 the door command (0x6010). Every call event is only seen when
+  // TPDO4 is event-driven without inhibit time.
+  createPdoParameters() {
+    const { nodeId, tpdoTransmissionType, tpdoInhibitTime, tpdoEventTimer } = this.config;
+    const tpdos = [
+      [[0x6000, 0, 8]],
+      [[0x6001, 0, 8]],
+      [[0x1002, 0, 32]],
+      [[CallProtocol.OBJECT.CALL_EVENT, 0, 32]],
+    ];
+    const rpdos = [
+      [[0x6002, 0, 8]],
+      [[0x6010, 0, 8]],
+    ];
+
+    const parameters = {};
+
+    tpdos.forEach((mapping, n) => {
+      parameters[PDOProtocol.TPDO_COMMUNICATION + n] = this.createPdoCommunicationRecord(
+        `TPDO${n + 1} communication parameter`,
+        PDOProtocol.TPDO_COB_ID[n] + nodeId, tpdoTransmissionType, tpdoInhibitTime, tpdoEventTimer
+      );
+      parameters[PDOProtocol.TPDO_MAPPING + n] = this.createPdoMappingRecord(`TPDO${n + 1} mapping parameter`, mapping);
+    });
+
+    rpdos.forEach((mapping, n) => {
+      parameters[PDOProtocol.RPDO_COMMUNICATION + n] = this.createPdoCommunicationRecord(
+        `RPDO${n + 1} communication parameter`,
+        PDOProtocol.RPDO_COB_ID[n] + nodeId, PDOProtocol.TRANSMISSION_TYPE.EVENT_PROFILE, 0, 0
+      );
+      parameters[PDOProtocol.RPDO_MAPPING + n] = this.createPdoMappingRecord(`RPDO${n + 1} mapping parameter`, mapping);
+    });
+
+    return parameters;
+  }
+
+  createCommunicationParameters() {
+    return {
+      [SYNCProtocol.OBJECT.COB_ID_SYNC]: { name: 'COB-ID SYNC', dataType: DATA_TYPE.UNSIGNED32, access: 'rw', value: SYNCProtocol.COB_ID },
+      [SYNCProtocol.OBJECT.COMMUNICATION_CYCLE_PERIOD]: { name: 'Communication cycle period', dataType: DATA_TYPE.UNSIGNED32, access: 'rw', value: 0 },
+      [SYNCProtocol.OBJECT.SYNCHRONOUS_WINDOW_LENGTH]: { name: 'Synchronous window length', dataType: DATA_TYPE.UNSIGNED32, access: 'rw', value: 0 },
+      [NMTProtocol.OBJECT.GUARD_TIME]: { name: 'Guard time', dataType: DATA_TYPE.UNSIGNED16, access: 'rw', value: 0 },
+      [NMTProtocol.OBJECT.LIFE_TIME_FACTOR]: { name: 'Life time factor', dataType: DATA_TYPE.UNSIGNED8, access: 'rw', value: 0 },
+      [NMTProtocol.OBJECT.PRODUCER_HEARTBEAT_TIME]: { name: 'Producer heartbeat time', dataType: DATA_TYPE.UNSIGNED16, access: 'rw', value: this.config.heartbeatTime },
+      0x1014: { name: 'COB-ID EMCY', dataType: DATA_TYPE.UNSIGNED32, access: 'rw', value: EMCYProtocol.COB_ID + this.config.nodeId, nodeIdRelative: true },
+    };
+  }
+
+  createPdoCommunicationRecord(name, cobId, transmissionType, inhibitTime, eventTimer) {
+    return {
+      name,
+      objectType: 'RECORD',
+      subs: {
+        0: { name: 'Highest sub-index supported', dataType: DATA_TYPE.UNSIGNED8, access: 'const', value: 5 },
+        1: { name: 'COB-ID', dataType: DATA_TYPE.UNSIGNED32, access: 'rw', value: cobId, nodeIdRelative: true },
+        2: { name: 'Transmission type', dataType: DATA_TYPE.UNSIGNED8, access: 'rw', value: transmissionType },
+        3: { name: 'Inhibit time', dataType: DATA_TYPE.UNSIGNED16, access: 'rw', value: inhibitTime },
+        5: { name: 'Event timer', dataType: DATA_TYPE.UNSIGNED16, access: 'rw', value: eventTimer },
+      }
+    };
+  }
+
+  createPdoMappingRecord(name, mapping) {
+    const subs = { 0: { name: 'Number of mapped objects', dataType: DATA_TYPE.UNSIGNED8, access: 'rw', value: mapping.length } };
+
+    for (let i = 1; i <= 8; i++) {
+      const entry = mapping[i - 1];
+      subs[i] = { name: `Mapped object ${i}`, dataType: DATA_TYPE.UNSIGNED32, access: 'rw', value: entry ? PDOProtocol.encodeMapping(...entry) : 0 };
+    }
+
+    return { name, objectType: 'RECORD', subs };
+  }
+
+  isCommunicationObject(index) {
+    return COMMUNICATION_OBJECTS.includes(index) || this.isPdoCommunicationIndex(index) || this.isPdoMappingIndex(index);
+  }
+
+  isPdoCommunicationIndex(index) {
+    return (index >= PDOProtocol.RPDO_COMMUNICATION && index < PDOProtocol.RPDO_COMMUNICATION + 0x200) ||
+      (index >= PDOProtocol.TPDO_COMMUNICATION && index < PDOProtocol.TPDO_COMMUNICATION + 0x200);
+  }
+
+  isPdoMappingIndex(index) {
+    return (index >= PDOProtocol.RPDO_MAPPING && index < PDOProtocol.RPDO_MAPPING + 0x200) ||
+      (index >= PDOProtocol.TPDO_MAPPING && index < PDOProtocol.TPDO_MAPPING + 0x200);
+  }
+
+  // Mapping entries can only be changed while the mapping is disabled
+  // (sub-index 0 set to 0); enabling it checks every mapped object
+  validatePdoMapping(index, value, subIndex) {
+    const record = this.objectDictionary[index];
+    const isReceive = index < PDOProtocol.TPDO_MAPPING;
+
+    if (subIndex !== 0) {
+      if (record.subs[0].value !== 0) {
+        throw new ElevatorProtocolError(ABORT_CODE.DEVICE_STATE, index, subIndex, 'disable the mapping (sub-index 0 = 0) first');
+      }
+      return;
+    }
+
+    if (value > 8) {
+      throw new ElevatorProtocolError(ABORT_CODE.PDO_LENGTH_EXCEEDED, index, subIndex);
+    }
+
+    let bits = 0;
+    for (let i = 1; i <= value; i++) {
+      const mapping = PDOProtocol.decodeMapping(record.subs[i].value);
+      let entry;
+      try {
+        entry = this.getObjectEntry(mapping.index, mapping.subIndex);
+      } catch (error) {
+        throw new ElevatorProtocolError(ABORT_CODE.OBJECT_CANNOT_BE_MAPPED, index, i);
+      }
+      const accessible = isReceive ? entry.access === 'rw' || entry.access === 'wo' : entry.access !== 'wo';
+      if (!entry.pdoMapping || mapping.bitLength !== DataType.SIZE[entry.dataType] * 8 || !accessible) {
+        throw new ElevatorProtocolError(ABORT_CODE.OBJECT_CANNOT_BE_MAPPED, index, i);
+      }
+      bits += mapping.bitLength;
+    }
+
+    if (bits > PDOProtocol.MAX_BITS) {
+      throw new ElevatorProtocolError(ABORT_CODE.PDO_LENGTH_EXCEEDED, index, subIndex);
+    }
+  }
+
+  // Current configuration of a PDO read from its parameter objects, or null
+  // when the PDO does not exist
+  getPdo(communicationIndex, mappingIndex) {
+    const communication = this.objectDictionary[communicationIndex];
+    const mapping = this.objectDictionary[mappingIndex];
+    if (!communication || !mapping) return null;
+
+    const cobId = communication.subs[PDOProtocol.COMMUNICATION_SUB.COB_ID].value;
+    const mappings = [];
+    for (let i = 1; i <= mapping.subs[0].value; i++) {
+      mappings.push(PDOProtocol.decodeMapping(mapping.subs[i].value));
+    }
+
+    return {
+      cobId: cobId & 0x7FF,
+      valid: (cobId & PDOProtocol.COB_ID_INVALID) === 0,
+      transmissionType: communication.subs[PDOProtocol.COMMUNICATION_SUB.TRANSMISSION_TYPE].value,
+      inhibitTime: communication.subs[PDOProtocol.COMMUNICATION_SUB.INHIBIT_TIME].value / 10, // ms
+      eventTimer: communication.subs[PDOProtocol.COMMUNICATION_SUB.EVENT_TIMER].value,
+      mappings
+    };
+  }
+
+  getTpdo(n) {
+    return this.getPdo(PDOProtocol.TPDO_COMMUNICATION + n, PDOProtocol.TPDO_MAPPING + n);
+  }
+
+  getRpdo(n) {
+    return this.getPdo(PDOProtocol.RPDO_COMMUNICATION + n, PDOProtocol.RPDO_MAPPING + n);
+  }
+
+  // (Re)start TPDO timers after the PDO parameters changed
+  configurePdos() {
+    this.tpdoState.forEach(state => {
+      clearTimeout(state.inhibitTimer);
+      clearTimeout(state.eventTimer);
+    });
+    this.tpdoState = [];
+
+    for (let n = 0; n < PDOProtocol.TPDO_COB_ID.length; n++) {
+      this.tpdoState[n] = { lastData: null, lastSent: 0, inhibitTimer: null, eventTimer: null, syncCount: 0, syncPending: false };
+      this.restartTpdoEventTimer(n);
+    }
+  }
+
+  restartTpdoEventTimer(n) {
+    const state = this.tpdoState[n];
+    const tpdo = this.getTpdo(n);
+
+    clearTimeout(state.eventTimer);
+    state.eventTimer = null;
+
+    if (tpdo && tpdo.valid && tpdo.eventTimer > 0 && PDOProtocol.isEventDriven(tpdo.transmissionType)) {
+      state.eventTimer = setTimeout(() => this.transmitTpdo(n), tpdo.eventTimer);
+    }
+  }
+
+  // Called whenever the value of an object changes; transmits the
+  // event-driven TPDOs that map it and marks the acyclic synchronous ones
+  // for the next SYNC
+  handleObjectChanged(index) {
+    if (this.nmtState !== 'OPERATIONAL') return;
+
+    for (let n = 0; n < this.tpdoState.length; n++) {
+      const tpdo = this.getTpdo(n);
+      if (!tpdo || !tpdo.valid || !tpdo.mappings.some(mapping => mapping.index === index)) continue;
+
+      if (PDOProtocol.isEventDriven(tpdo.transmissionType)) {
+        this.triggerTpdo(n);
+      } else if (tpdo.transmissionType === PDOProtocol.TRANSMISSION_TYPE.SYNCHRONOUS_ACYCLIC) {
+        this.tpdoState[n].syncPending = true;
+      }
+    }
+  }
+
+  // SYNC received: send acyclic synchronous TPDOs whose data changed and
+  // cyclic ones on every n-th SYNC (n = transmission type). All of them are
+  // sampled at the same instant.
+  handleSync() {
+    for (let n = 0; n < this.tpdoState.length; n++) {
+      const state = this.tpdoState[n];
+      const tpdo = this.getTpdo(n);
+      if (!tpdo || !tpdo.valid || !PDOProtocol.isSynchronous(tpdo.transmissionType)) continue;
+
+      if (tpdo.transmissionType === PDOProtocol.TRANSMISSION_TYPE.SYNCHRONOUS_ACYCLIC) {
+        if (state.syncPending) {
+          state.syncPending = false;
+          this.transmitTpdo(n);
         }
+      } else if (++state.syncCount >= tpdo.transmissionType) {
+        state.syncCount = 0;
+        this.transmitTpdo(n);
       }
-      
-      return true;
     }
-    throw new Error(`Cannot write to object ${index.toString(16)}`);
+  }
+
+  // Transmit a TPDO if its data changed, respecting the inhibit time
+  triggerTpdo(n) {
+    const state = this.tpdoState[n];
+    const tpdo = this.getTpdo(n);
+
+    if (state.inhibitTimer) return; // Already scheduled for the end of the inhibit time
+
+    const data = this.packTpdo(tpdo);
+    if (state.lastData && data.equals(state.lastData)) return;
+
+    const elapsed = Date.now() - state.lastSent;
+    if (state.lastData && elapsed < tpdo.inhibitTime) {
+      state.inhibitTimer = setTimeout(() => {
+        state.inhibitTimer = null;
+        this.transmitTpdo(n);
+      }, tpdo.inhibitTime - elapsed);
+      return;
+    }
+
+    this.transmitTpdo(n);
+  }
+
+  transmitTpdo(n) {
+    const state = this.tpdoState[n];
+    const tpdo = this.getTpdo(n);
+    if (!tpdo || !tpdo.valid || this.nmtState !== 'OPERATIONAL') return;
+
+    const data = this.packTpdo(tpdo);
+    state.lastData = data;
+    state.lastSent = Date.now();
+
+    this.transmitFrame({ id: tpdo.cobId, data });
+    this.restartTpdoEventTimer(n);
+  }
+
+  packTpdo(tpdo) {
+    return Buffer.concat(tpdo.mappings.map(({ index, subIndex }) => (
+      DataType.encode(this.getObjectEntry(index, subIndex).dataType, this.readObject(index, subIndex))
+    )));
+  }
+
+  // Apply a received RPDO by writing each mapped object
+  handleRpdo(rpdo, data) {
+    try {
+      PDOProtocol.unpack(rpdo.mappings, data).forEach(({ index, subIndex, raw }) => {
+        this.writeObject(index, DataType.decode(this.getObjectEntry(index, subIndex).dataType, raw), subIndex);
+      });
+    } catch (error) {
+      console.error(`Elevator ${this.config.id} ignoring RPDO 0x${rpdo.cobId.toString(16)}:`, error.message);
+    }
+  }
+
+  // Object dictionary files
+
+  // Replace the object dictionary with the objects read from an EDS or DCF
+  // file. Objects the simulation cannot run without keep their defaults.
+  applyObjectDictionary(objects) {
+    const defaults = this.objectDictionary;
+    this.objectDictionary = { ...objects };
+
+    REQUIRED_OBJECTS.forEach(index => {
+      if (!this.objectDictionary[index]) {
+        console.warn(`Elevator ${this.config.id}: object 0x${index.toString(16)} missing from ${this.config.objectDictionaryFile}, using the default`);
+        this.objectDictionary[index] = defaults[index];
+      }
+    });
+
+    const floorLabels = this.objectDictionary[0x2000];
+    if (floorLabels && typeof floorLabels.value === 'string') {
+      this.config.floorLabels = floorLabels.value.split(',');
+    }
+  }
+
+  // The current object dictionary as EDS text, or as DCF text with the node
+  // ID and current values when `options.dcf` is set (see EDSFile.serialize)
+  exportObjectDictionary(options = {}) {
+    return EDSFile.serialize(this.objectDictionary, {
+      nodeId: this.config.nodeId,
+      description: this.config.deviceName,
+      deviceInfo: { VendorName: 'RISE', ProductName: this.config.deviceName },
+      ...options,
+    });
+  }
+
+  // Write the object dictionary to a file; a .dcf extension selects DCF
+  saveObjectDictionary(file, options = {}) {
+    EDSFile.writeFile(file, this.objectDictionary, {
+      nodeId: this.config.nodeId,
+      description: this.config.deviceName,
+      deviceInfo: { VendorName: 'RISE', ProductName: this.config.deviceName },
+      ...options,
+    });
+  }
+
+  // NMT slave
+
+  // Initialisation: send the boot-up message and enter pre-operational
+  bootNode() {
+    this.nmtState = 'INITIALISATION';
+    this.sdoTransfer = null;
+    this.guardToggle = false;
+    this.configurePdos();
+
+    console.log(`Elevator ${this.config.id} node ${this.config.nodeId} booting`);
+    this.transmitFrame(NMTProtocol.encodeState(this.config.nodeId, NMTProtocol.STATE.INITIALISATION));
+
+    this.setNmtState('PRE_OPERATIONAL');
+    this.startHeartbeat();
+  }
+
+  // Reset communication: restore the communication parameters and reboot
+  resetCommunication() {
+    Object.keys(this.communicationDefaults).forEach(index => {
+      this.objectDictionary[index] = cloneEntry(this.communicationDefaults[index]);
+    });
+    this.bootNode();
+  }
+
+  // Reset node: also cancel all calls and restore the writable device
+  // profile objects (the command objects) to their defaults. The car itself stays where it is.
+  resetNode() {
+    this.cancelAllCalls();
+    this.endReservation('cancelled by node reset');
+    this.forEachEntry((entry, index) => {
+      if (index >= 0x6000 && index < 0xA000 && (entry.access === 'rw' || entry.access === 'wo')) {
+        entry.value = entry.defaultValue;
+      }
+    });
+    this.resetCommunication();
+  }
+
+  setNmtState(state) {
+    const previous = this.nmtState;
+    this.nmtState = state;
+
+    if (previous !== state) {
+      console.log(`Elevator ${this.config.id} node ${this.config.nodeId} NMT state ${previous} -> ${state}`);
+    }
+
+    // Send the current values of all event-driven TPDOs on entering
+    // operational; acyclic synchronous TPDOs follow on the first SYNC
+    if (state === 'OPERATIONAL' && previous !== 'OPERATIONAL') {
+      for (let n = 0; n < this.tpdoState.length; n++) {
+        const tpdo = this.getTpdo(n);
+        if (tpdo && tpdo.valid && PDOProtocol.isEventDriven(tpdo.transmissionType)) {
+          this.transmitTpdo(n);
+        } else if (tpdo && tpdo.transmissionType === PDOProtocol.TRANSMISSION_TYPE.SYNCHRONOUS_ACYCLIC) {
+          this.tpdoState[n].syncPending = true;
+        }
+      }
+    }
+  }
+
+  // Error control
+
+  // (Re)start the heartbeat producer after the producer heartbeat time changed.
+  // Heartbeats are sent in every state after boot-up, including stopped.
+  startHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    const period = this.objectDictionary[NMTProtocol.OBJECT.PRODUCER_HEARTBEAT_TIME].value;
+    if (period > 0) {
+      this.heartbeatTimer = setInterval(() => {
+        this.transmitFrame(NMTProtocol.encodeState(this.config.nodeId, NMTProtocol.STATE[this.nmtState]));
+      }, period);
+    }
+  }
+
+  // Emergency errors
+
+  // Error history entries hold the error code in bits 0-15 and manufacturer
+  // information in bits 16-31
+  createErrorHistoryRecord() {
+    const subs = { 0: { name: 'Number of errors', dataType: DATA_TYPE.UNSIGNED8, access: 'rw', value: 0 } };
+    for (let i = 1; i <= 8; i++) {
+      subs[i] = { name: `Standard error field ${i}`, dataType: DATA_TYPE.UNSIGNED32, access: 'ro', value: 0 };
+    }
+    return { name: 'Pre-defined error field', objectType: 'ARRAY', subs };
+  }
+
+  // Raise an error (EMCYProtocol.ERROR_CODE): update the error register,
+  // record it in the error history and send an EMCY message.
+  // `manufacturerData` holds up to 5 bytes of additional information.
+  raiseError(code, manufacturerData = Buffer.alloc(0)) {
+    if (this.activeErrors.has(code)) return;
+
+    this.activeErrors.set(code, manufacturerData);
+    this.recordError(code, manufacturerData.length >= 2 ? manufacturerData.readUInt16LE(0) : 0);
+    this.updateErrorRegister();
+
+    console.log(`Elevator ${this.config.id} error 0x${code.toString(16).padStart(4, '0')}: ${EMCYProtocol.describe(code)}`);
+    this.transmitEmergency(code, manufacturerData);
+  }
+
+  // Clear an active error and send an error reset EMCY message carrying the
+  // remaining error register
+  clearError(code) {
+    if (!this.activeErrors.delete(code)) return;
+
+    this.updateErrorRegister();
+
+    console.log(`Elevator ${this.config.id} error 0x${code.toString(16).padStart(4, '0')} cleared`);
+    this.transmitEmergency(EMCYProtocol.ERROR_CODE.NO_ERROR);
+  }
+
+  // Simulate a device fault, e.g. injectFault(EMCYProtocol.ERROR_CODE.DOOR_FAULT)
+  injectFault(code, manufacturerData) {
+    this.raiseError(code, manufacturerData);
+  }
+
+  clearFault(code) {
+    this.clearError(code);
+  }
+
+  getActiveErrors() {
+    return Array.from(this.activeErrors.keys());
+  }
+
+  // Insert an error at the top of the history, dropping the oldest when full
+  recordError(code, additionalInfo) {
+    const history = this.objectDictionary[0x1003].subs;
+    for (let i = 8; i > 1; i--) {
+      history[i].value = history[i - 1].value;
+    }
+    history[1].value = ((additionalInfo << 16) | code) >>> 0;
+    history[0].value = Math.min(history[0].value + 1, 8);
+  }
+
+  clearErrorHistory() {
+    const history = this.objectDictionary[0x1003].subs;
+    for (let i = 1; i <= 8; i++) {
+      history[i].value = 0;
+    }
+  }
+
+  updateErrorRegister() {
+    let register = 0;
+    for (const code of this.activeErrors.keys()) {
+      register |= EMCYProtocol.ERROR_REGISTER.GENERIC | EMCYProtocol.registerBit(code);
+    }
+    this.objectDictionary[0x1001].value = register;
+  }
+
+  // EMCY messages are sent in pre-operational and operational only
+  transmitEmergency(code, manufacturerData) {
+    const cobId = this.objectDictionary[0x1014].value;
+    if ((cobId & PDOProtocol.COB_ID_INVALID) || (this.nmtState !== 'PRE_OPERATIONAL' && this.nmtState !== 'OPERATIONAL')) {
+      return;
+    }
+
+    const frame = EMCYProtocol.encode(this.config.nodeId, code, this.objectDictionary[0x1001].value, manufacturerData);
+    this.transmitFrame({ id: cobId & 0x7FF, data: frame.data });
+  }
+
+  // Answer a node guarding request (RTR) with the NMT state and toggle bit
+  handleNodeGuard() {
+    const frame = NMTProtocol.encodeGuardResponse(this.config.nodeId, NMTProtocol.STATE[this.nmtState], this.guardToggle);
+    this.guardToggle = !this.guardToggle;
+    this.transmitFrame(frame);
+  }
+
+  // Attach or detach the controller from the bus without resetting it, e.g.
+  // to simulate a cut cable: while offline the node neither sends nor
+  // receives frames, so heartbeats stop and SDO requests go unanswered
+  setBusOnline(online) {
+    if (this.busOnline === online) return;
+
+    this.busOnline = online;
+    console.log(`Elevator ${this.config.id} node ${this.config.nodeId} ${online ? 'back on' : 'dropped off'} the bus`);
+  }
+
+  transmitFrame(frame) {
+    if (this.busOnline) {
+      this.notifyListeners('frame', frame);
+    }
+  }
+
+  handleNmtCommand(frame) {
+    let command;
+    try {
+      command = NMTProtocol.decodeCommand(frame);
+    } catch (error) {
+      return;
+    }
+
+    if (command.nodeId !== NMTProtocol.ALL_NODES && command.nodeId !== this.config.nodeId) {
+      return;
+    }
+
+    switch (command.command) {
+      case NMTProtocol.COMMAND.START:
+        this.setNmtState('OPERATIONAL');
+        break;
+      case NMTProtocol.COMMAND.STOP:
+        this.setNmtState('STOPPED');
+        break;
+      case NMTProtocol.COMMAND.ENTER_PRE_OPERATIONAL:
+        this.setNmtState('PRE_OPERATIONAL');
+        break;
+      case NMTProtocol.COMMAND.RESET_NODE:
+        this.resetNode();
+        break;
+      case NMTProtocol.COMMAND.RESET_COMMUNICATION:
+        this.resetCommunication();
+        break;
+    }
+  }
+
+  // Entry point for CAN frames addressed to this node. Returns the SDO
+  // response frame for SDO requests, null otherwise. What is served depends
+  // on the NMT state: NMT commands and node guarding always, SDOs unless
+  // stopped, PDOs and SYNC only when operational.
+  receiveFrame(frame) {
+    if (!this.busOnline) {
+      return null;
+    }
+
+    if (frame.id === NMTProtocol.COB_ID.NMT) {
+      this.handleNmtCommand(frame);
+      return null;
+    }
+
+    if (frame.rtr && frame.id === NMTProtocol.COB_ID.NMT_ERROR_CONTROL + this.config.nodeId) {
+      if (this.nmtState !== 'INITIALISATION') {
+        this.handleNodeGuard();
+      }
+      return null;
+    }
+
+    if (this.nmtState === 'STOPPED' || this.nmtState === 'INITIALISATION') {
+      return null;
+    }
+
+    if (frame.id === SDOProtocol.COB_ID.SDO_RX + this.config.nodeId) {
+      return this.handleSdoRequest(frame);
+    }
+
+    if (this.nmtState !== 'OPERATIONAL') {
+      return null;
+    }
+
+    if (frame.id === (this.objectDictionary[SYNCProtocol.OBJECT.COB_ID_SYNC].value & 0x7FF)) {
+      this.handleSync();
+      return null;
+    }
+
+    for (let n = 0; n < PDOProtocol.RPDO_COB_ID.length; n++) {
+      const rpdo = this.getRpdo(n);
+      if (rpdo && rpdo.valid && rpdo.cobId === frame.id) {
+        this.handleRpdo(rpdo, frame.data);
+        break;
+      }
+    }
+
+    return null;
+  }
+
+  // SDO server: handle a request frame (COB-ID 0x600 + node ID) and
+  // return the response frame (COB-ID 0x580 + node ID), or null when no
+  // response is due (the client aborted the transfer)
+  handleSdoRequest(frame) {
+    let request;
+    try {
+      request = SDOProtocol.decode(frame.data, false);
+    } catch (error) {
+      this.sdoTransfer = null;
+      const index = frame.data.length >= 3 ? frame.data.readUInt16LE(1) : 0;
+      const subIndex = frame.data.length >= 4 ? frame.data[3] : 0;
+      return this.createSdoResponse(SDOProtocol.encodeAbort(index, subIndex, ABORT_CODE.COMMAND_SPECIFIER_INVALID));
+    }
+
+    if (request.type === 'abort') {
+      this.sdoTransfer = null;
+      return null;
+    }
+
+    if (request.type === 'uploadSegment' || request.type === 'downloadSegment') {
+      return this.handleSdoSegment(request);
+    }
+
+    // A new initiate request cancels any transfer in progress
+    this.sdoTransfer = null;
+
+    const { index, subIndex } = request;
+
+    try {
+      if (request.type === 'upload') {
+        const buffer = this.objectValueToBuffer(index, subIndex);
+        if (buffer.length > 0 && buffer.length <= 4) {
+          return this.createSdoResponse(SDOProtocol.encodeUploadResponse(index, subIndex, buffer));
+        }
+
+        this.sdoTransfer = { type: 'upload', index, subIndex, buffer, offset: 0, toggle: false };
+        return this.createSdoResponse(SDOProtocol.encodeSegmentedUploadResponse(index, subIndex, buffer.length));
+      }
+
+      if (request.segmented) {
+        this.checkWritable(index, subIndex);
+
+        this.sdoTransfer = { type: 'download', index, subIndex, size: request.size, chunks: [], toggle: false };
+        return this.createSdoResponse(SDOProtocol.encodeDownloadResponse(index, subIndex));
+      }
+
+      this.writeObject(index, this.bufferToObjectValue(index, subIndex, request.raw), subIndex);
+      return this.createSdoResponse(SDOProtocol.encodeDownloadResponse(index, subIndex));
+    } catch (error) {
+      return this.createSdoAbort(index, subIndex, error);
+    }
+  }
+
+  // Handle an upload or download segment of the transfer in progress
+  handleSdoSegment(request) {
+    const transfer = this.sdoTransfer;
+
+    if (!transfer || !request.type.startsWith(transfer.type)) {
+      this.sdoTransfer = null;
+      return this.createSdoResponse(SDOProtocol.encodeAbort(
+        transfer ? transfer.index : 0, transfer ? transfer.subIndex : 0,
+        ABORT_CODE.COMMAND_SPECIFIER_INVALID
+      ));
+    }
+
+    if (request.toggle !== transfer.toggle) {
+      this.sdoTransfer = null;
+      return this.createSdoResponse(SDOProtocol.encodeAbort(
+        transfer.index, transfer.subIndex, ABORT_CODE.TOGGLE_BIT_NOT_ALTERNATED
+      ));
+    }
+
+    transfer.toggle = !transfer.toggle;
+
+    if (transfer.type === 'upload') {
+      const chunk = transfer.buffer.subarray(transfer.offset, transfer.offset + SDOProtocol.SEGMENT_SIZE);
+      transfer.offset += chunk.length;
+      const last = transfer.offset >= transfer.buffer.length;
+      if (last) {
+        this.sdoTransfer = null;
+      }
+      return this.createSdoResponse(SDOProtocol.encodeUploadSegment(request.toggle, chunk, last));
+    }
+
+    transfer.chunks.push(request.data);
+
+    if (request.last) {
+      this.sdoTransfer = null;
+      const buffer = Buffer.concat(transfer.chunks);
+
+      try {
+        if (transfer.size !== null && buffer.length !== transfer.size) {
+          throw new ElevatorProtocolError(ABORT_CODE.DATA_LENGTH_MISMATCH, transfer.index, transfer.subIndex);
+        }
+        this.writeObject(transfer.index, this.bufferToObjectValue(transfer.index, transfer.subIndex, buffer), transfer.subIndex);
+      } catch (error) {
+        return this.createSdoAbort(transfer.index, transfer.subIndex, error);
+      }
+    }
+
+    return this.createSdoResponse(SDOProtocol.encodeDownloadSegmentResponse(request.toggle));
+  }
+
+  // Encoded value of a readable object, as sent in SDO uploads
+  objectValueToBuffer(index, subIndex) {
+    const value = this.readObject(index, subIndex);
+    return DataType.encode(this.getObjectEntry(index, subIndex).dataType, value);
+  }
+
+  // Convert received SDO data to the JS type of an object dictionary entry.
+  // Fixed-length types must be sent with exactly their size.
+  bufferToObjectValue(index, subIndex, buffer) {
+    const { dataType } = this.getObjectEntry(index, subIndex);
+    const size = DataType.SIZE[dataType];
+
+    if (size && buffer.length < size) {
+      throw new ElevatorProtocolError(ABORT_CODE.DATA_LENGTH_TOO_LOW, index, subIndex);
+    }
+    if (size && buffer.length > size) {
+      throw new ElevatorProtocolError(ABORT_CODE.DATA_LENGTH_TOO_HIGH, index, subIndex);
+    }
+    return DataType.decode(dataType, buffer);
+  }
+
+  // Abort frame for an error raised while serving a transfer; errors that
+  // carry no abort code are reported as a general error
+  createSdoAbort(index, subIndex, error) {
+    const abortCode = error.abortCode || ABORT_CODE.GENERAL_ERROR;
+    console.error(`Elevator ${this.config.id} aborting SDO transfer for object ${index.toString(16)}:`, error.message);
+    return this.createSdoResponse(SDOProtocol.encodeAbort(index, subIndex, abortCode));
+  }
+
+  createSdoResponse(data) {
+    return { id: SDOProtocol.COB_ID.SDO_TX + this.config.nodeId, data };
   }
 
   // Elevator control methods
+  // Hall and car calls
+
+  // Reject a call the elevator cannot take: up at the top floor, down at the
+  // bottom floor, or any call during an emergency stop
+  checkCall(type, floor) {
+    const index = CallProtocol.CALL_OBJECT[type];
+
+    if ((type === 'HALL_UP' && floor === this.config.floors) || (type === 'HALL_DOWN' && floor === 1)) {
+      throw new ElevatorProtocolError(ABORT_CODE.VALUE_RANGE_EXCEEDED, index, floor, `no ${type} call at floor ${floor}`);
+    }
+    if (this.state.emergencyState) {
+      throw new ElevatorProtocolError(ABORT_CODE.DEVICE_STATE, index, floor, 'emergency stop active');
+    }
+  }
+
+  // Register a hall call ('HALL_UP', 'HALL_DOWN') or car call ('CAR'): light
+  // its lamp and send the car to the floor. Throws ElevatorProtocolError for
+  // calls the elevator cannot take.
+  registerCall(type, floor) {
+    this.getObjectEntry(CallProtocol.CALL_OBJECT[type], floor);
+    this.checkCall(type, floor);
+
+    const calls = this.state.calls[type];
+    if (calls.has(floor)) return;
+
+    calls.add(floor);
+    this.updateCall(type, floor, 'REGISTERED');
+
+    // Already there: answer at once
+    if (floor === this.state.currentFloor && !this.state.inMotion) {
+      this.answerCalls(floor, true);
+      if (this.state.doorState === 'CLOSED' || this.state.doorState === 'CLOSING') {
+        this.openDoor();
+      }
+      return;
+    }
+
+    this.requestFloor(floor);
+  }
+
+  // Cancel a registered call. The floor is dropped from the requests unless
+  // another call is registered there or the car is already heading there.
+  cancelCall(type, floor) {
+    const calls = this.state.calls[type];
+    if (!calls || !calls.has(floor)) return;
+
+    calls.delete(floor);
+    this.updateCall(type, floor, 'CANCELLED');
+
+    if (!this.hasCallAt(floor) && floor !== this.state.targetFloor) {
+      this.state.floorRequests.delete(floor);
+    }
+  }
+
+  cancelAllCalls() {
+    Object.keys(this.state.calls).forEach(type => {
+      Array.from(this.state.calls[type]).forEach(floor => this.cancelCall(type, floor));
+    });
+  }
+
+  hasCallAt(floor) {
+    return Object.values(this.state.calls).some(calls => calls.has(floor));
+  }
+
+  // Registered calls as { HALL_UP: [floors], HALL_DOWN: [floors], CAR: [floors] }
+  getCalls() {
+    const calls = {};
+    Object.keys(this.state.calls).forEach(type => {
+      calls[type] = Array.from(this.state.calls[type]).sort((a, b) => a - b);
+    });
+    return calls;
+  }
+
+  // Answer the calls at the floor the car stopped at: the car call and the
+  // hall call in the direction of travel. The opposite hall call is answered
+  // too when the car turns here or stopped for nothing else; otherwise it
+  // keeps the floor requested. `all` answers every call at the floor.
+  answerCalls(floor, all = false) {
+    const { calls, direction } = this.state;
+    const answer = ['CAR'];
+
+    if (all || direction === 'STATIONARY') {
+      answer.push('HALL_UP', 'HALL_DOWN');
+    } else {
+      const [along, against] = direction === 'UP' ? ['HALL_UP', 'HALL_DOWN'] : ['HALL_DOWN', 'HALL_UP'];
+      const ahead = Array.from(this.state.floorRequests).some(f => (direction === 'UP' ? f > floor : f < floor));
+
+      answer.push(along);
+      if (!ahead || (!calls[along].has(floor) && !calls.CAR.has(floor))) {
+        answer.push(against);
+      }
+    }
+
+    answer.forEach(type => {
+      if (calls[type].has(floor)) {
+        calls[type].delete(floor);
+        this.updateCall(type, floor, 'ANSWERED');
+      }
+    });
+
+    if (this.hasCallAt(floor)) {
+      this.state.floorRequests.add(floor);
+    }
+  }
+
+  // Update the registration object, lamps and call event after a change
+  updateCall(type, floor, event) {
+    const registered = this.state.calls[type].has(floor);
+    const lamps = this.objectDictionary[CallProtocol.OBJECT.CALL_LAMPS].subs[floor];
+
+    this.objectDictionary[CallProtocol.CALL_OBJECT[type]].subs[floor].value = registered ? 1 : 0;
+    lamps.value = registered ? lamps.value | CallProtocol.LAMP[type] : lamps.value & ~CallProtocol.LAMP[type];
+
+    const callEvent = this.objectDictionary[CallProtocol.OBJECT.CALL_EVENT];
+    callEvent.value = CallProtocol.encodeEvent(floor, type, event, CallProtocol.nextSequence(callEvent.value));
+    this.handleObjectChanged(CallProtocol.OBJECT.CALL_EVENT);
+
+    console.log(`Elevator ${this.config.id} ${type} call at floor ${floor} ${event.toLowerCase()}`);
+    this.notifyListeners(`call${event.charAt(0)}${event.slice(1).toLowerCase()}`, { floor, type });
+  }
+
+  // Robot reservation
+
+  // Reject a reservation command the elevator cannot take: a car reserved
+  // by another robot, a command out of turn, or acquiring or calling the
+  // car during an emergency stop
+  checkReservationCommand(value) {
+    const index = ReservationProtocol.OBJECT.RESERVATION;
+    const subIndex = RESERVATION_SUB.COMMAND;
+
+    let decoded;
+    try {
+      decoded = ReservationProtocol.decodeCommand(value);
+    } catch (error) {
+      throw new ElevatorProtocolError(ABORT_CODE.VALUE_RANGE_EXCEEDED, index, subIndex, error.message);
+    }
+    const { command, owner, floor } = decoded;
+    const reservation = this.reservation;
+
+    if (owner === 0) {
+      throw new ElevatorProtocolError(ABORT_CODE.VALUE_RANGE_EXCEEDED, index, subIndex, 'owner ID 0 is reserved');
+    }
+    if (command === 'RELEASE' && !reservation) {
+      return; // Already free, e.g. after the lease expired
+    }
+    if (reservation && reservation.owner !== owner) {
+      throw new ElevatorProtocolError(ABORT_CODE.DEVICE_STATE, index, subIndex, `car is reserved by ${reservation.owner}`);
+    }
+    if (!reservation && command !== 'ACQUIRE') {
+      throw new ElevatorProtocolError(ABORT_CODE.DEVICE_STATE, index, subIndex, 'car is not reserved');
+    }
+    if (this.state.emergencyState && (command === 'ACQUIRE' || command === 'CALL')) {
+      throw new ElevatorProtocolError(ABORT_CODE.DEVICE_STATE, index, subIndex, 'emergency stop active');
+    }
+
+    const state = reservation ? reservation.state : RESERVATION_STATE.FREE;
+    const expected = {
+      CALL: [RESERVATION_STATE.RESERVED, RESERVATION_STATE.RIDING],
+      BOARDED: [RESERVATION_STATE.BOARDING],
+      EXITED: [RESERVATION_STATE.EXITING],
+    }[command];
+
+    if (expected && !expected.includes(state)) {
+      throw new ElevatorProtocolError(ABORT_CODE.DEVICE_STATE, index, subIndex,
+        `${command} not allowed while ${ReservationProtocol.stateName(state)}`);
+    }
+    if (command === 'CALL' && (floor < 1 || floor > this.config.floors)) {
+      throw new ElevatorProtocolError(ABORT_CODE.VALUE_RANGE_EXCEEDED, index, subIndex, `no floor ${floor}`);
+    }
+  }
+
+  // Carry out a command checked by checkReservationCommand. Every command
+  // from the owner renews the lease.
+  handleReservationCommand({ command, owner, floor }) {
+    if (command === 'RELEASE') {
+      this.endReservation('released');
+      return;
+    }
+
+    if (command === 'ACQUIRE' && !this.reservation) {
+      this.reservation = { owner, state: RESERVATION_STATE.RESERVED, floor: 0, expiresAt: 0 };
+      console.log(`Elevator ${this.config.id} reserved by ${owner}`);
+    }
+
+    const reservation = this.reservation;
+    this.renewReservation();
+
+    switch (command) {
+      case 'CALL':
+        reservation.floor = floor;
+        console.log(`Elevator ${this.config.id} sent to floor ${floor} by ${owner}`);
+        if (!this.state.inMotion) {
+          this.serveReservation();
+        }
+        break;
+      case 'BOARDED':
+        reservation.state = RESERVATION_STATE.RIDING;
+        reservation.floor = 0;
+        this.startDoorTimer();
+        break;
+      case 'EXITED':
+        reservation.state = RESERVATION_STATE.RESERVED;
+        reservation.floor = 0;
+        this.startDoorTimer();
+        break;
+    }
+
+    this.updateReservationObject();
+  }
+
+  renewReservation() {
+    const leaseTime = this.objectDictionary[ReservationProtocol.OBJECT.RESERVATION].subs[RESERVATION_SUB.LEASE_TIME].value;
+
+    this.reservation.expiresAt = Date.now() + leaseTime;
+    clearTimeout(this.reservationTimer);
+    this.reservationTimer = setTimeout(() => this.endReservation('expired'), leaseTime);
+  }
+
+  // Free the car: stop holding the doors and serve the requests that waited
+  // for the reservation to end
+  endReservation(reason) {
+    if (!this.reservation) return;
+
+    console.log(`Elevator ${this.config.id} reservation by ${this.reservation.owner} ${reason}`);
+    clearTimeout(this.reservationTimer);
+    this.reservationTimer = null;
+    this.reservation = null;
+    this.updateReservationObject();
+
+    if (this.state.doorState === 'OPEN') {
+      this.startDoorTimer();
+    }
+    if (!this.state.inMotion) {
+      this.updateTargetFloor();
+    }
+  }
+
+  // Send the reserved car to the reservation floor, or hold its doors open
+  // once it is there
+  serveReservation() {
+    const { floor, state } = this.reservation;
+    if (!floor || (state !== RESERVATION_STATE.RESERVED && state !== RESERVATION_STATE.RIDING)) {
+      return;
+    }
+
+    this.state.targetFloor = floor;
+    if (this.state.currentFloor !== floor) {
+      this.moveToTargetFloor();
+    } else if (this.state.doorState === 'OPEN') {
+      this.holdDoor();
+    } else if (this.state.doorState === 'CLOSED') {
+      this.openDoor();
+    }
+    // Opening: held once open (see openDoor); closing: reopened once closed (see closeDoor)
+  }
+
+  // Whether the car stands at the reservation floor, waiting to hold its
+  // doors open there
+  isAtReservationFloor() {
+    const reservation = this.reservation;
+    return !!reservation && reservation.floor === this.state.currentFloor && !this.state.inMotion &&
+      (reservation.state === RESERVATION_STATE.RESERVED || reservation.state === RESERVATION_STATE.RIDING);
+  }
+
+  // Keep the doors open until the robot reports it boarded or exited
+  holdDoor() {
+    const reservation = this.reservation;
+    reservation.state = reservation.state === RESERVATION_STATE.RESERVED ? RESERVATION_STATE.BOARDING : RESERVATION_STATE.EXITING;
+
+    if (this.doorTimer) {
+      clearTimeout(this.doorTimer);
+      this.doorTimer = null;
+    }
+
+    console.log(`Elevator ${this.config.id} holding door open at floor ${this.state.currentFloor} for ${reservation.owner}`);
+    this.updateReservationObject();
+  }
+
+  isDoorHeld() {
+    return !!this.reservation &&
+      (this.reservation.state === RESERVATION_STATE.BOARDING || this.reservation.state === RESERVATION_STATE.EXITING);
+  }
+
+  // Reservation as { owner, state, floor, remainingTime }, with the state
+  // as a name; null while the car is free
+  getReservation() {
+    if (!this.reservation) return null;
+
+    const { owner, state, floor, expiresAt } = this.reservation;
+    return { owner, state: ReservationProtocol.stateName(state), floor, remainingTime: Math.max(0, expiresAt - Date.now()) };
+  }
+
+  updateReservationObject() {
+    const entry = this.objectDictionary[ReservationProtocol.OBJECT.RESERVATION];
+    if (!entry) return;
+
+    const reservation = this.reservation;
+    entry.subs[RESERVATION_SUB.OWNER].value = reservation ? reservation.owner : 0;
+    entry.subs[RESERVATION_SUB.STATE].value = reservation ? reservation.state : RESERVATION_STATE.FREE;
+    entry.subs[RESERVATION_SUB.REMAINING_TIME].value = reservation ? Math.max(0, reservation.expiresAt - Date.now()) : 0;
+    entry.subs[RESERVATION_SUB.FLOOR].value = reservation ? reservation.floor : 0;
+  }
+
   requestFloor(floorNumber, requesterType, occupantId = null, destination = null) {
     if (floorNumber < 1 || floorNumber > this.config.floors) {
       throw new Error(`Invalid floor number: ${floorNumber}`);
@@ -162,6 +1481,15 @@ class VirtualElevator {
       }
     }
 
+    // The car is already here with its doors open: keep them open for
+    // another doorOpenTime instead of queueing a request for this floor,
+    // which would hold up the requests behind it
+    if (!this.state.inMotion && floorNumber === this.state.currentFloor && this.state.doorState === 'OPEN') {
+      console.log(`Elevator ${this.config.id} is at floor ${floorNumber} with door open, keeping it open`);
+      this.startDoorTimer();
+      return true;
+    }
+
     // Add to floor requests
     this.state.floorRequests.add(floorNumber);
     
@@ -209,6 +1537,13 @@ class VirtualElevator {
   }
 
   updateTargetFloor() {
+    // A reserved car only serves its robot; other requests wait until the
+    // reservation ends
+    if (this.reservation) {
+      this.serveReservation();
+      return;
+    }
+    
     // If no requests, nothing to do
     if (this.state.floorRequests.size === 0) {
       this.state.targetFloor = null;
@@ -363,6 +1698,7 @@ class VirtualElevator {
       this.objectDictionary[0x6000].value &= ~0x20; // Clear direction up bit
       this.objectDictionary[0x6000].value |= 0x40; // Set direction down bit
     }
+    this.handleObjectChanged(0x6000);
     
     // Close door if open
     if (this.state.doorState === 'OPEN' || this.state.doorState === 'OPENING') {
@@ -382,6 +1718,7 @@ class VirtualElevator {
     // Set in motion
     this.state.inMotion = true;
     this.objectDictionary[0x6000].value |= 0x4; // Set in motion bit
+    this.handleObjectChanged(0x6000);
     
     // Calculate travel time
     const floorsToTravel = Math.abs(this.state.targetFloor - this.state.currentFloor);
@@ -403,6 +1740,8 @@ class VirtualElevator {
       // Update object dictionary
       this.objectDictionary[0x6001].value = this.state.currentFloor;
       this.objectDictionary[0x6000].value &= ~0x4; // Clear in motion bit
+      this.handleObjectChanged(0x6001);
+      this.handleObjectChanged(0x6000);
       
       console.log(`Elevator ${this.config.id} arrived at floor ${this.state.currentFloor}`);
       
@@ -414,6 +1753,7 @@ class VirtualElevator {
       
       // Remove this floor from requests
       this.state.floorRequests.delete(this.state.currentFloor);
+      this.answerCalls(this.state.currentFloor);
       
       // Handle occupants exiting at this floor
       const exitingOccupants = this.state.occupants.filter(o => o.destination === this.state.currentFloor);
@@ -462,6 +1802,7 @@ class VirtualElevator {
     this.state.doorState = 'OPENING';
     this.objectDictionary[0x6000].value |= 0x2; // Set door opening bit
     this.objectDictionary[0x6000].value &= ~0x10; // Clear door closed bit
+    this.handleObjectChanged(0x6000);
     
     this.notifyListeners('doorStateChanged', this.state.doorState);
     
@@ -470,6 +1811,7 @@ class VirtualElevator {
       this.state.doorState = 'OPEN';
       this.objectDictionary[0x6000].value &= ~0x2; // Clear door opening bit
       this.objectDictionary[0x6000].value |= 0x1; // Set door open bit
+      this.handleObjectChanged(0x6000);
       
       this.notifyListeners('doorStateChanged', this.state.doorState);
       
@@ -498,24 +1840,40 @@ class VirtualElevator {
         }, this.config.doorOpenTime * 2);
       } else {
         // Set a timer to close the door after a delay
-        if (this.doorTimer) {
-          clearTimeout(this.doorTimer);
-        }
-        
-        this.doorTimer = setTimeout(() => {
-          // Only close the door if there are no obstructions
-          if (!this.state.doorObstruction) {
-            this.closeDoor();
-          }
-        }, this.config.doorOpenTime);
+        this.startDoorTimer();
+      }
+      
+      if (this.isAtReservationFloor()) {
+        this.holdDoor();
       }
     }, 1500);
   }
 
+  // Close the door doorOpenTime from now, replacing a running door timer
+  startDoorTimer() {
+    if (this.isDoorHeld()) {
+      return;
+    }
+    
+    if (this.doorTimer) {
+      clearTimeout(this.doorTimer);
+    }
+    
+    this.doorTimer = setTimeout(() => {
+      // Only close the door if there are no obstructions
+      if (!this.state.doorObstruction) {
+        this.closeDoor();
+      }
+    }, this.config.doorOpenTime);
+  }
+
   closeDoor() {
     if (this.state.doorState === 'CLOSED') {
       return; // Door already closed
     }
+    if (this.isDoorHeld()) {
+      return; // Held open for a reserved ride
+    }
     
     console.log(`Elevator ${this.config.id} closing door at floor ${this.state.currentFloor}`);
     
@@ -523,6 +1881,7 @@ class VirtualElevator {
     this.state.doorState = 'CLOSING';
     this.objectDictionary[0x6000].value |= 0x8; // Set door closing bit
     this.objectDictionary[0x6000].value &= ~0x1; // Clear door open bit
+    this.handleObjectChanged(0x6000);
     
     this.notifyListeners('doorStateChanged', this.state.doorState);
     
@@ -531,6 +1890,7 @@ class VirtualElevator {
       this.state.doorState = 'CLOSED';
       this.objectDictionary[0x6000].value &= ~0x8; // Clear door closing bit
       this.objectDictionary[0x6000].value |= 0x10; // Set door closed bit
+      this.handleObjectChanged(0x6000);
       
       this.notifyListeners('doorStateChanged', this.state.doorState);
       
@@ -538,6 +1898,8 @@ class VirtualElevator {
       if (this.state.targetFloor !== null && this.state.targetFloor !== this.state.currentFloor && !this.state.inMotion) {
         console.log(`Elevator ${this.config.id} door closed, starting movement to floor ${this.state.targetFloor}`);
         this.startMovement();
+      } else if (this.isAtReservationFloor()) {
+        this.openDoor(); // Reserved ride called to this floor while closing
       }
     }, 1500);
   }
@@ -554,12 +1916,22 @@ class VirtualElevator {
   setEmergencyState(emergency) {
     this.state.emergencyState = emergency;
     this.objectDictionary[0x1002].value = emergency ? 0x1 : 0x0;
+    this.objectDictionary[0x2001].value = emergency ? 1 : 0;
+    this.handleObjectChanged(0x1002);
+
+    if (emergency) {
+      this.raiseError(EMCYProtocol.ERROR_CODE.EMERGENCY_STOP);
+    } else {
+      this.clearError(EMCYProtocol.ERROR_CODE.EMERGENCY_STOP);
+    }
     
     if (emergency) {
-      // Stop all movement
+      // Stop all movement and drop the registered calls
       clearTimeout(this.movementTimer);
       this.state.inMotion = false;
       this.state.direction = 'STATIONARY';
+      this.cancelAllCalls();
+      this.endReservation('cancelled by emergency stop');
     }
     
     this.notifyListeners('emergencyStateChanged', emergency);
@@ -660,8 +2032,9 @@ class VirtualElevator {
 
   // Add a method to clean up stale requests
   cleanupStaleRequests() {
-    // Check if there are any requests for the current floor
-    if (this.state.floorRequests.has(this.state.currentFloor)) {
+    // Check if there are any requests for the current floor. Floors with
+    // registered calls are never stale.
+    if (this.state.floorRequests.has(this.state.currentFloor) && !this.hasCallAt(this.state.currentFloor)) {
       console.log(`Cleaning up request for current floor ${this.state.currentFloor}`);
       this.state.floorRequests.delete(this.state.currentFloor);
     }
@@ -671,7 +2044,7 @@ class VirtualElevator {
     
     // Get all requests that aren't for the current floor and aren't occupant destinations
     const staleRequests = Array.from(this.state.floorRequests).filter(floor => 
-      floor !== this.state.currentFloor && !occupantDestinations.includes(floor)
+      floor !== this.state.currentFloor && !occupantDestinations.includes(floor) && !this.hasCallAt(floor)
     );
     
     // Check if any of these requests are stale (no waiting tenants)
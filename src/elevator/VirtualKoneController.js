@@ -0,0 +1,308 @@
+/**
+ * VirtualKoneController.js
+ *
+ * Simulated KONE-style elevator controller: drives a VirtualElevator car and
+ * speaks the telegram protocol of KONEProtocol instead of CANopen. Each
+ * client opens a session, sends requests through it and receives the
+ * monitoring telegrams it subscribed to.
+ *
+ *   const controller = new VirtualKoneController(new VirtualElevator());
+ *   const transport = new KONETransport({ controller });
+ */
+
+const EventEmitter = require('events');
+const KONEProtocol = require('../transport/KONEProtocol');
+
+const { ACTION, TOPIC, CALL, CALL_STATE, ERROR } = KONEProtocol;
+
+// Car door states in KONE terms
+const DOOR_STATE = {
+  OPEN: KONEProtocol.DOOR.OPENED,
+  OPENING: KONEProtocol.DOOR.OPENING,
+  CLOSING: KONEProtocol.DOOR.CLOSING,
+  CLOSED: KONEProtocol.DOOR.CLOSED,
+};
+
+// Call types of the car and their KONE names
+const CALL_TYPE = {
+  HALL_UP: CALL.LANDING_UP,
+  HALL_DOWN: CALL.LANDING_DOWN,
+  CAR: CALL.CAR,
+};
+
+const CALL_EVENT_STATE = {
+  callRegistered: CALL_STATE.REGISTERED,
+  callAnswered: CALL_STATE.SERVED,
+  callCancelled: CALL_STATE.CANCELLED,
+};
+
+// Error raised by a request handler, answered as an error response
+class KoneRequestError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// A client's connection to the controller. `send(text)` returns the
+// response telegram; monitoring telegrams are emitted as 'telegram' events.
+class KoneSession extends EventEmitter {
+  constructor(controller) {
+    super();
+
+    this.controller = controller;
+    this.topics = new Set();
+    this.heartbeatTimer = null;
+    this.open = true;
+  }
+
+  send(text) {
+    if (!this.open) {
+      throw new Error('KONE session is closed');
+    }
+    return this.controller.handleTelegram(this, text);
+  }
+
+  push(telegram) {
+    if (this.open && this.topics.has(telegram.topic)) {
+      this.emit('telegram', KONEProtocol.encode(telegram));
+    }
+  }
+
+  setHeartbeat(interval) {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    if (interval > 0) {
+      this.heartbeatTimer = setInterval(() => {
+        this.push(KONEProtocol.monitor(TOPIC.HEARTBEAT, { remoteAccess: this.controller.remoteAccess }));
+      }, interval);
+    }
+  }
+
+  close() {
+    this.setHeartbeat(0);
+    this.open = false;
+    this.controller.sessions.delete(this);
+  }
+}
+
+class VirtualKoneController {
+  constructor(elevator, config = {}) {
+    this.elevator = elevator;
+    this.config = {
+      id: `kone-${elevator.config.id}`,
+      name: 'KONE-style Virtual Controller',
+      version: '1.0.0',
+      ...config
+    };
+
+    this.sessions = new Set();
+
+    // Commands are accepted only while remote access is enabled
+    this.remoteAccess = false;
+
+    this.attachElevatorListeners();
+  }
+
+  createSession() {
+    const session = new KoneSession(this);
+    this.sessions.add(session);
+    return session;
+  }
+
+  // Simulate the controller's interface restarting, e.g. after a power cut:
+  // remote access is disabled and sessions lose their subscriptions
+  restart() {
+    console.log(`Controller ${this.config.id} restarting`);
+    this.remoteAccess = false;
+
+    for (const session of this.sessions) {
+      session.topics.clear();
+      session.setHeartbeat(0);
+    }
+  }
+
+  attachElevatorListeners() {
+    const { elevator } = this;
+
+    elevator.addEventListener('floorChanged', floor => {
+      this.broadcast(TOPIC.DECK_POSITION, { floor });
+    });
+    elevator.addEventListener('doorStateChanged', state => {
+      this.broadcast(TOPIC.DOOR, { state: DOOR_STATE[state] });
+    });
+    elevator.addEventListener('directionChanged', direction => {
+      this.broadcast(TOPIC.DIRECTION, { direction: this.directionName(direction), moving: elevator.state.inMotion });
+    });
+    elevator.addEventListener('emergencyStateChanged', emergency => {
+      this.broadcast(TOPIC.LIFT_MODE, { mode: emergency ? 'emergency' : 'normal' });
+    });
+
+    Object.keys(CALL_EVENT_STATE).forEach(event => {
+      elevator.addEventListener(event, ({ floor, type }) => {
+        this.broadcast(TOPIC.CALL_STATE, { floor, call: CALL_TYPE[type], state: CALL_EVENT_STATE[event] });
+      });
+    });
+  }
+
+  broadcast(topic, data) {
+    const telegram = KONEProtocol.monitor(topic, data);
+    this.sessions.forEach(session => session.push(telegram));
+  }
+
+  directionName(direction) {
+    return direction === 'UP' ? 'up' : direction === 'DOWN' ? 'down' : 'none';
+  }
+
+  // Handle a request telegram from a session and return the response telegram
+  handleTelegram(session, text) {
+    let telegram;
+    try {
+      telegram = KONEProtocol.decode(text);
+    } catch (error) {
+      return KONEProtocol.encode(KONEProtocol.errorResponse(null, ERROR.INVALID_REQUEST, error.message));
+    }
+
+    const { requestId } = telegram;
+    if (telegram.type !== KONEProtocol.TYPE.REQUEST) {
+      return KONEProtocol.encode(KONEProtocol.errorResponse(requestId, ERROR.INVALID_REQUEST, 'expected a request'));
+    }
+
+    try {
+      const data = this.handleRequest(session, telegram);
+      return KONEProtocol.encode(KONEProtocol.response(requestId, data));
+    } catch (error) {
+      const code = error instanceof KoneRequestError ? error.code : ERROR.INVALID_REQUEST;
+      return KONEProtocol.encode(KONEProtocol.errorResponse(requestId, code, error.message));
+    }
+  }
+
+  handleRequest(session, request) {
+    const { elevator } = this;
+
+    switch (request.action) {
+      case ACTION.GET_CONFIG:
+        return {
+          name: this.config.name,
+          version: this.config.version,
+          floors: elevator.config.floors,
+          floorLabels: elevator.config.floorLabels,
+        };
+
+      case ACTION.GET_STATUS:
+        return {
+          floor: elevator.state.currentFloor,
+          door: DOOR_STATE[elevator.state.doorState],
+          direction: this.directionName(elevator.state.direction),
+          moving: elevator.state.inMotion,
+          mode: elevator.state.emergencyState ? 'emergency' : 'normal',
+          faults: elevator.getActiveErrors(),
+          remoteAccess: this.remoteAccess,
+        };
+
+      case ACTION.GET_CALLS: {
+        const calls = elevator.getCalls();
+        return {
+          [CALL.LANDING_UP]: calls.HALL_UP,
+          [CALL.LANDING_DOWN]: calls.HALL_DOWN,
+          [CALL.CAR]: calls.CAR,
+        };
+      }
+
+      case ACTION.DESTINATION_CALL:
+        this.checkCommand(request.floor);
+        elevator.requestFloor(request.floor);
+        return {};
+
+      case ACTION.LANDING_CALL: {
+        if (request.direction !== 'up' && request.direction !== 'down') {
+          throw new KoneRequestError(ERROR.INVALID_PARAMETER, `invalid direction ${request.direction}`);
+        }
+        this.checkCommand(request.floor);
+        this.registerCall(request.direction === 'up' ? 'HALL_UP' : 'HALL_DOWN', request.floor);
+        return {};
+      }
+
+      case ACTION.CAR_CALL:
+        this.checkCommand(request.floor);
+        this.registerCall('CAR', request.floor);
+        return {};
+
+      case ACTION.CANCEL_CALL: {
+        const type = Object.keys(CALL_TYPE).find(name => CALL_TYPE[name] === request.call);
+        if (!type) {
+          throw new KoneRequestError(ERROR.INVALID_PARAMETER, `invalid call ${request.call}`);
+        }
+        this.checkCommand(request.floor);
+        elevator.cancelCall(type, request.floor);
+        return {};
+      }
+
+      case ACTION.DOOR:
+        this.checkCommand();
+        if (request.command === 'open') {
+          elevator.openDoor();
+        } else if (request.command === 'close') {
+          elevator.closeDoor();
+        } else {
+          throw new KoneRequestError(ERROR.INVALID_PARAMETER, `invalid door command ${request.command}`);
+        }
+        return {};
+
+      case ACTION.REMOTE_ACCESS:
+        this.remoteAccess = Boolean(request.enabled);
+        return { remoteAccess: this.remoteAccess };
+
+      case ACTION.RESTART:
+        // Answer first; the restart takes effect right after
+        setImmediate(() => this.restart());
+        return {};
+
+      case ACTION.SUBSCRIBE:
+      case ACTION.UNSUBSCRIBE: {
+        const topics = request.topics || Object.values(TOPIC);
+        const unknown = topics.find(topic => !Object.values(TOPIC).includes(topic));
+        if (unknown) {
+          throw new KoneRequestError(ERROR.INVALID_PARAMETER, `unknown topic ${unknown}`);
+        }
+        topics.forEach(topic => (request.action === ACTION.SUBSCRIBE ? session.topics.add(topic) : session.topics.delete(topic)));
+        return { topics: Array.from(session.topics) };
+      }
+
+      case ACTION.SET_HEARTBEAT:
+        if (!Number.isInteger(request.interval) || request.interval < 0) {
+          throw new KoneRequestError(ERROR.INVALID_PARAMETER, `invalid heartbeat interval ${request.interval}`);
+        }
+        session.setHeartbeat(request.interval);
+        return {};
+
+      default:
+        throw new KoneRequestError(ERROR.UNKNOWN_ACTION, `unknown action ${request.action}`);
+    }
+  }
+
+  // Commands need remote access, normal operation and, when given, a floor
+  // served by the car
+  checkCommand(floor = null) {
+    if (!this.remoteAccess) {
+      throw new KoneRequestError(ERROR.REMOTE_ACCESS_DISABLED, 'remote access is disabled');
+    }
+    if (this.elevator.state.emergencyState) {
+      throw new KoneRequestError(ERROR.OUT_OF_SERVICE, 'elevator is in emergency mode');
+    }
+    if (floor !== null && (!Number.isInteger(floor) || floor < 1 || floor > this.elevator.config.floors)) {
+      throw new KoneRequestError(ERROR.INVALID_FLOOR, `floor ${floor} is not served`);
+    }
+  }
+
+  registerCall(type, floor) {
+    try {
+      this.elevator.registerCall(type, floor);
+    } catch (error) {
+      throw new KoneRequestError(ERROR.INVALID_FLOOR, error.message);
+    }
+  }
+}
+
+module.exports = VirtualKoneController;
@@ -0,0 +1,53 @@
+/**
+ * gateway.js
+ *
+ * Runs simulated elevators behind a CANopen ASCII gateway, for clients that
+ * connect over TCP (GatewayTransport, dashboards, or nc):
+ *
+ *   node src/gateway.js [port] [elevators]
+ */
+
+const Simulator = require('./simulation/Simulator');
+const CANopenTransport = require('./transport/CANopenTransport');
+const CANopenGateway = require('./transport/CANopenGateway');
+const GatewayProtocol = require('./transport/GatewayProtocol');
+
+async function runGateway(port = GatewayProtocol.DEFAULT_PORT, elevatorCount = 1) {
+  const simulator = new Simulator({
+    elevatorCount,
+    robotCount: 0,
+    floors: 10
+  });
+  
+  // One transport per elevator on the simulator's CAN bus
+  const transports = simulator.elevators.map(elevator => new CANopenTransport({
+    simulationMode: true,
+    canBus: simulator.canBus,
+    nodeId: elevator.config.nodeId
+  }));
+  
+  const gateway = new CANopenGateway({ transports, port });
+  await gateway.start();
+  
+  process.on('SIGINT', async () => {
+    await gateway.stop();
+    process.exit(0);
+  });
+  
+  return gateway;
+}
+
+// Run the gateway if this file is executed directly
+if (require.main === module) {
+  const port = process.argv[2] ? parseInt(process.argv[2]) : GatewayProtocol.DEFAULT_PORT;
+  const elevatorCount = process.argv[3] ? parseInt(process.argv[3]) : 1;
+  
+  runGateway(port, elevatorCount).catch(error => {
+    console.error('Failed to start gateway:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runGateway
+};
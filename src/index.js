@@ -23,11 +23,12 @@ function runSimulation() {
       simulationSpeed: 1.0
     });
     
-    // Create a transport connected to the first virtual elevator
+    // Create a transport on the simulator's CAN bus, talking to the first elevator
     console.log('Creating transport...');
     const transport = new CANopenTransport({
       simulationMode: true,
-      virtualElevator: simulator.elevators[0]
+      canBus: simulator.canBus,
+      nodeId: simulator.elevators[0].config.nodeId
     });
     
     // Create an API using the transport
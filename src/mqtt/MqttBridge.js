@@ -0,0 +1,348 @@
+/**
+ * MqttBridge.js
+ *
+ * Bridge between ElevatorAPI instances and an MQTT broker, for robot fleet
+ * platforms that talk MQTT. Topics of each elevator, under
+ * building/<building>/elevator/<id>/:
+ *
+ *   state           Retained JSON state, republished on every change:
+ *                   { id, floor, doorState, direction, emergency, nmtState, online, timestamp }
+ *   event           Elevator events: { event, data, timestamp }
+ *   command/call    { floor, type, requestId, apiKey | token }, type DESTINATION (default), CAR, HALL_UP or HALL_DOWN
+ *   command/door    { command: 'open' | 'close', requestId, apiKey | token }
+ *   response        Result of each command: { requestId, command, ok, error }
+ *
+ * building/<building>/bridge/status is the retained bridge status, 'online'
+ * or 'offline' (also set as the client's will on a real broker).
+ *
+ *   const bridge = new MqttBridge({ url: 'mqtt://broker.local', building: 'hq', elevators: { 'car-a': api }, auth });
+ *   await bridge.start();
+ *
+ * Anyone who can publish to the command topics could otherwise place calls
+ * and open doors, so commands carry the API key or a token of a client of
+ * `auth` (an Authenticator configuration, as for ElevatorServer) and are
+ * checked against the same role permissions and floors. Without `auth` the
+ * bridge only starts with `trustedNetwork: true`, for brokers whose ACLs
+ * already restrict who may publish commands.
+ *
+ * Without a url the bridge needs a client, such as one of a
+ * VirtualMqttBroker. Connecting to a broker by url requires the optional
+ * `mqtt` package.
+ */
+
+const HttpError = require('../server/HttpError');
+const Authenticator = require('../server/Authenticator');
+const ElevatorCommands = require('../server/ElevatorCommands');
+
+// ElevatorAPI events published on the event topic, and the state field
+// each one updates
+const STATE_EVENTS = {
+  floorChanged: 'floor',
+  doorStateChanged: 'doorState',
+  directionChanged: 'direction',
+  emergencyStateChanged: 'emergency',
+  nmtStateChanged: 'nmtState',
+};
+
+// Events setting whether the elevator is online
+const ONLINE_EVENTS = {
+  connected: true,
+  connectionRestored: true,
+  disconnected: false,
+  connectionLost: false,
+};
+
+const EVENTS = [...Object.keys(STATE_EVENTS), ...Object.keys(ONLINE_EVENTS), 'callRegistered', 'callAnswered',
+  'callCancelled'];
+
+class MqttBridge {
+  constructor(config = {}) {
+    this.config = {
+      url: null, // Broker URL, e.g. mqtt://localhost:1883; not needed with a client
+      client: null, // Connected or connecting MQTT client (mqtt package or VirtualMqttBroker)
+      clientOptions: {}, // Passed to mqtt.connect()
+      building: 'building-1', // Building ID in topics
+      elevators: {}, // ElevatorAPI instances by elevator ID (object or Map)
+      qos: 1,
+      auth: null, // Authenticator configuration checking the credentials in commands
+      trustedNetwork: false, // Accept commands without credentials; only without `auth`
+      ...config
+    };
+
+    this.elevators = new Map(this.config.elevators instanceof Map ?
+      this.config.elevators : Object.entries(this.config.elevators));
+    this.client = null;
+    this.auth = this.config.auth ? new Authenticator(this.config.auth) : null;
+    this.topicPrefix = `building/${this.config.building}`;
+
+    // Last published state and ElevatorAPI listeners by elevator ID
+    this.states = new Map();
+    this.listeners = new Map();
+
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+
+  elevatorTopic(id, suffix) {
+    return `${this.topicPrefix}/elevator/${id}/${suffix}`;
+  }
+
+  get statusTopic() {
+    return `${this.topicPrefix}/bridge/status`;
+  }
+
+  async start() {
+    if (this.client) return;
+
+    if (!this.auth && !this.config.trustedNetwork) {
+      throw new Error('MqttBridge needs an auth configuration, or trustedNetwork: true when the broker alone controls who may publish commands');
+    }
+
+    this.client = this.config.client || this.connect();
+    if (!this.client.connected) {
+      await new Promise((resolve, reject) => {
+        this.client.once('error', reject);
+        this.client.once('connect', () => {
+          this.client.removeListener('error', reject);
+          resolve();
+        });
+      });
+    }
+
+    this.client.on('message', this.handleMessage);
+    await this.call('subscribe', `${this.topicPrefix}/elevator/+/command/+`, { qos: this.config.qos });
+    await this.call('publish', this.statusTopic, 'online', { qos: this.config.qos, retain: true });
+
+    for (const [id, api] of this.elevators) {
+      await this.attachElevator(id, api);
+    }
+  }
+
+  async stop() {
+    if (!this.client) return;
+
+    for (const [id, listeners] of this.listeners) {
+      const api = this.elevators.get(id);
+      Object.entries(listeners).forEach(([event, listener]) => api.off(event, listener));
+    }
+    this.listeners.clear();
+
+    this.client.removeListener('message', this.handleMessage);
+    await this.call('publish', this.statusTopic, 'offline', { qos: this.config.qos, retain: true });
+
+    // Only end clients the bridge connected itself
+    if (!this.config.client) {
+      await new Promise(resolve => this.client.end(false, resolve));
+    }
+    this.client = null;
+  }
+
+  connect() {
+    if (!this.config.url) {
+      throw new Error('MqttBridge needs a broker url or a client');
+    }
+
+    return this.loadMqtt().connect(this.config.url, {
+      will: { topic: this.statusTopic, payload: 'offline', qos: this.config.qos, retain: true },
+      ...this.config.clientOptions
+    });
+  }
+
+  loadMqtt() {
+    try {
+      return require('mqtt');
+    } catch (error) {
+      throw new Error('Connecting to an MQTT broker requires the optional `mqtt` package (npm install mqtt)');
+    }
+  }
+
+  // Client method with a callback, as a promise
+  call(method, ...args) {
+    return new Promise((resolve, reject) => {
+      this.client[method](...args, error => error ? reject(error) : resolve());
+    });
+  }
+
+  async addElevator(id, api) {
+    this.elevators.set(id, api);
+    if (this.client) {
+      await this.attachElevator(id, api);
+    }
+  }
+
+  async attachElevator(id, api) {
+    if (this.listeners.has(id)) return;
+
+    const listeners = {};
+    EVENTS.forEach(event => {
+      listeners[event] = data => this.handleElevatorEvent(id, event, data);
+      api.on(event, listeners[event]);
+    });
+    this.listeners.set(id, listeners);
+
+    this.states.set(id, await this.readState(id, api));
+    this.publishState(id);
+  }
+
+  // Initial state, read from the elevator. Fields that cannot be read stay
+  // null until the elevator reports them.
+  async readState(id, api) {
+    const state = {
+      id,
+      floor: null,
+      doorState: null,
+      direction: null,
+      emergency: null,
+      nmtState: api.getNmtState(),
+      online: api.connected && !api.isConnectionLost(),
+    };
+
+    if (!state.online) return state;
+
+    try {
+      const status = (await api.readObject(0x6000)).data;
+      state.floor = await api.getCurrentFloor();
+      state.doorState = api.doorStateFromStatus(status);
+      state.direction = api.directionFromStatus(status);
+      state.emergency = await api.isInEmergencyState();
+    } catch (error) {
+      console.error(`MQTT bridge could not read the state of elevator ${id}:`, error.message);
+    }
+    return state;
+  }
+
+  publishState(id) {
+    const state = { ...this.states.get(id), timestamp: Date.now() };
+    this.publish(this.elevatorTopic(id, 'state'), state, true);
+  }
+
+  publish(topic, message, retain = false) {
+    if (!this.client) return;
+
+    this.client.publish(topic, JSON.stringify(message), { qos: this.config.qos, retain }, error => {
+      if (error) console.error(`MQTT bridge failed to publish to ${topic}:`, error.message);
+    });
+  }
+
+  // Publish the event, and the state when the event changed it
+  handleElevatorEvent(id, event, data) {
+    this.publish(this.elevatorTopic(id, 'event'), { event, data: this.eventData(data), timestamp: Date.now() });
+
+    const state = this.states.get(id);
+    if (!state) return;
+
+    let changed = false;
+    if (STATE_EVENTS[event] && state[STATE_EVENTS[event]] !== data) {
+      state[STATE_EVENTS[event]] = data;
+      changed = true;
+    } else if (event in ONLINE_EVENTS && state.online !== ONLINE_EVENTS[event]) {
+      state.online = ONLINE_EVENTS[event];
+      changed = true;
+    }
+
+    if (changed) this.publishState(id);
+  }
+
+  // Event data as JSON: errors (connectionLost, disconnected) by their message
+  eventData(data) {
+    if (data instanceof Error) {
+      return { name: data.name, message: data.message };
+    }
+    if (data && data.error instanceof Error) {
+      return { ...data, error: this.eventData(data.error) };
+    }
+    return data;
+  }
+
+  // Command topics: building/<building>/elevator/<id>/command/<command>
+  async handleMessage(topic, payload) {
+    const prefix = `${this.topicPrefix}/elevator/`;
+    if (!topic.startsWith(prefix)) return;
+
+    const [id, kind, command, ...rest] = topic.slice(prefix.length).split('/');
+    if (kind !== 'command' || rest.length > 0) return;
+
+    let message = {};
+    try {
+      message = this.parseCommand(payload);
+
+      const result = await this.runCommand(id, command, message);
+      this.publish(this.elevatorTopic(id, 'response'), { requestId: message.requestId, command, ok: true, ...result });
+    } catch (error) {
+      this.publish(this.elevatorTopic(id, 'response'), {
+        requestId: message.requestId,
+        command,
+        ok: false,
+        error: this.errorBody(error),
+      });
+    }
+  }
+
+  // Command payload, which must be a JSON object
+  parseCommand(payload) {
+    let message;
+    try {
+      message = JSON.parse(payload.toString('utf8'));
+    } catch (error) {
+      throw new HttpError(400, 'INVALID_REQUEST', `Invalid JSON: ${error.message}`);
+    }
+
+    if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+      throw new HttpError(400, 'INVALID_REQUEST', 'Command must be a JSON object');
+    }
+    return message;
+  }
+
+  // Commands are authenticated, validated and run as by ElevatorServer (see
+  // ElevatorCommands), and fail with the same error codes
+  async runCommand(id, command, message) {
+    const principal = this.auth ?
+      this.auth.authenticateCredentials({ apiKey: message.apiKey, token: message.token }) : null;
+
+    const api = this.elevators.get(id);
+    if (!api) {
+      throw new HttpError(404, 'NOT_FOUND', `Unknown elevator ${id}`);
+    }
+    if (!api.connected) {
+      throw new HttpError(503, 'NOT_CONNECTED', `Elevator ${id} is not connected`);
+    }
+
+    switch (command) {
+      case 'call':
+        return this.runCall(api, principal, message);
+      case 'door':
+        return this.runDoor(api, principal, message);
+      default:
+        throw new HttpError(400, 'INVALID_REQUEST', `Unknown command ${command}`);
+    }
+  }
+
+  async runCall(api, principal, message) {
+    const call = ElevatorCommands.validateCall(message);
+
+    ElevatorCommands.authorizeCall(this.auth, principal, call);
+    await ElevatorCommands.placeCall(api, call);
+    return call;
+  }
+
+  async runDoor(api, principal, message) {
+    const command = ElevatorCommands.validateDoor(message);
+
+    await ElevatorCommands.authorizeDoor(this.auth, principal, api, command);
+    await ElevatorCommands.operateDoor(api, command);
+    return { door: command };
+  }
+
+  // { code, message }, with the abort code for protocol errors, as in the
+  // error bodies of ElevatorServer
+  errorBody(error) {
+    const { status, error: body } = ElevatorCommands.errorResult(error);
+    if (status === 500) {
+      console.error('MQTT bridge command failed:', error);
+    }
+    return body;
+  }
+}
+
+MqttBridge.EVENTS = EVENTS;
+
+module.exports = MqttBridge;
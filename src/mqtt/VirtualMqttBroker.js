@@ -0,0 +1,209 @@
+/**
+ * VirtualMqttBroker.js
+ *
+ * In-process stand-in for an MQTT broker, so the MQTT bridge and the robots
+ * talking to it can run without a broker on the network. Clients have the
+ * subset of the `mqtt` package's client interface the bridge uses:
+ * publish(), subscribe(), unsubscribe(), end() and 'connect' and 'message'
+ * events. Topic wildcards (+, #) and retained messages behave as in
+ * MQTT 3.1.1; QoS is accepted but every message is delivered exactly once,
+ * in order.
+ *
+ *   const broker = new VirtualMqttBroker();
+ *   const client = broker.createClient();
+ *   client.subscribe('building/+/elevator/+/state');
+ *   client.on('message', (topic, payload) => console.log(topic, payload.toString()));
+ */
+
+const EventEmitter = require('events');
+
+// Whether a topic matches a subscription filter with + and # wildcards
+function topicMatches(filter, topic) {
+  const filterLevels = filter.split('/');
+  const topicLevels = topic.split('/');
+
+  // Wildcards do not match topics starting with $ (e.g. $SYS)
+  if (topic.startsWith('$') && (filterLevels[0] === '+' || filterLevels[0] === '#')) {
+    return false;
+  }
+
+  for (let i = 0; i < filterLevels.length; i++) {
+    if (filterLevels[i] === '#') return true;
+    if (i >= topicLevels.length) return false;
+    if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false;
+  }
+  return filterLevels.length === topicLevels.length;
+}
+
+// Invalid filters throw, as the broker would refuse the subscription
+function validateFilter(filter) {
+  const levels = filter.split('/');
+  const valid = filter.length > 0 && levels.every((level, i) =>
+    level === '#' ? i === levels.length - 1 : level === '+' || !/[+#]/.test(level));
+
+  if (!valid) {
+    throw new Error(`Invalid topic filter ${filter}`);
+  }
+}
+
+function validateTopic(topic) {
+  if (topic.length === 0 || /[+#]/.test(topic)) {
+    throw new Error(`Invalid topic ${topic}`);
+  }
+}
+
+class VirtualMqttClient extends EventEmitter {
+  constructor(broker, config = {}) {
+    super();
+
+    this.broker = broker;
+    this.config = {
+      clientId: `virtual-${Math.random().toString(16).slice(2, 10)}`,
+      will: null, // { topic, payload, retain } published when the client ends with force
+      ...config
+    };
+
+    this.subscriptions = new Set();
+    this.connected = false;
+
+    // Connect on the next tick, like a network client
+    setImmediate(() => {
+      if (this.broker === null) return;
+      this.connected = true;
+      this.emit('connect', { sessionPresent: false });
+    });
+  }
+
+  publish(topic, message, options = {}, callback = null) {
+    if (typeof options === 'function') {
+      [options, callback] = [{}, options];
+    }
+
+    try {
+      this.ensureOpen();
+      validateTopic(topic);
+      this.broker.publish(topic, Buffer.from(message), !!options.retain);
+    } catch (error) {
+      if (callback) return setImmediate(() => callback(error));
+      throw error;
+    }
+
+    if (callback) setImmediate(() => callback(null));
+    return this;
+  }
+
+  subscribe(filters, options = {}, callback = null) {
+    if (typeof options === 'function') {
+      [options, callback] = [{}, options];
+    }
+
+    const list = Array.isArray(filters) ? filters : [filters];
+    try {
+      this.ensureOpen();
+      list.forEach(validateFilter);
+    } catch (error) {
+      if (callback) return setImmediate(() => callback(error));
+      throw error;
+    }
+
+    list.forEach(filter => {
+      this.subscriptions.add(filter);
+      this.broker.sendRetained(this, filter);
+    });
+
+    if (callback) setImmediate(() => callback(null, list.map(topic => ({ topic, qos: options.qos || 0 }))));
+    return this;
+  }
+
+  unsubscribe(filters, callback = null) {
+    (Array.isArray(filters) ? filters : [filters]).forEach(filter => this.subscriptions.delete(filter));
+
+    if (callback) setImmediate(() => callback(null));
+    return this;
+  }
+
+  // Disconnect; ending with force drops the connection, which publishes the
+  // client's will like a broker does when a client disappears
+  end(force = false, callback = null) {
+    if (typeof force === 'function') {
+      [force, callback] = [false, force];
+    }
+
+    if (this.broker) {
+      const { will } = this.config;
+      if (force && will) {
+        this.broker.publish(will.topic, Buffer.from(will.payload), !!will.retain);
+      }
+
+      this.broker.removeClient(this);
+      this.broker = null;
+      this.subscriptions.clear();
+      this.connected = false;
+      setImmediate(() => this.emit('close'));
+    }
+
+    if (callback) setImmediate(callback);
+    return this;
+  }
+
+  ensureOpen() {
+    if (this.broker === null) {
+      throw new Error('Virtual MQTT client is disconnected');
+    }
+  }
+
+  deliver(topic, payload, retain) {
+    if (this.broker === null) return;
+    this.emit('message', topic, payload, { topic, payload, retain });
+  }
+}
+
+class VirtualMqttBroker {
+  constructor() {
+    this.clients = new Set();
+    this.retained = new Map(); // Retained payloads by topic
+  }
+
+  createClient(config = {}) {
+    const client = new VirtualMqttClient(this, config);
+    this.clients.add(client);
+    return client;
+  }
+
+  removeClient(client) {
+    this.clients.delete(client);
+  }
+
+  // Retain (or clear with an empty payload) and deliver to subscribers, each
+  // client getting a message once however many of its filters match
+  publish(topic, payload, retain) {
+    if (retain) {
+      if (payload.length === 0) {
+        this.retained.delete(topic);
+      } else {
+        this.retained.set(topic, payload);
+      }
+    }
+
+    for (const client of this.clients) {
+      const subscribed = Array.from(client.subscriptions).some(filter => topicMatches(filter, topic));
+      if (subscribed) {
+        setImmediate(() => client.deliver(topic, payload, false));
+      }
+    }
+  }
+
+  // Retained messages matching a new subscription
+  sendRetained(client, filter) {
+    for (const [topic, payload] of this.retained) {
+      if (topicMatches(filter, topic)) {
+        setImmediate(() => client.deliver(topic, payload, true));
+      }
+    }
+  }
+}
+
+VirtualMqttBroker.VirtualMqttClient = VirtualMqttClient;
+VirtualMqttBroker.topicMatches = topicMatches;
+
+module.exports = VirtualMqttBroker;
@@ -112,9 +112,9 @@ class CleaningScenario {
           robot.visitedFloors = new Set();
           
           // Connect robot to its assigned elevator
-          if (robot.elevatorConnection !== simulator.elevators[elevatorIndex]) {
+          if (robot.elevatorConnection !== simulator.elevatorConnection(elevatorIndex)) {
             robot.disconnectFromElevator();
-            robot.connectToElevator(simulator.elevators[elevatorIndex]);
+            robot.connectToElevator(simulator.elevatorConnection(elevatorIndex));
           }
           
           // Start the cleaning cycle
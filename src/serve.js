@@ -0,0 +1,67 @@
+/**
+ * serve.js
+ *
+ * Runs simulated elevators behind the HTTP REST server:
+ *
+ *   node src/serve.js [port] [elevators]
+ *
+ * The OpenAPI description is at http://localhost:<port>/openapi.json. To
+ * require authentication, point RISE_AUTH_FILE at a JSON file with the
+ * server's auth configuration ({ "clients": [...] }, see Authenticator).
+ */
+
+const fs = require('fs');
+const Simulator = require('./simulation/Simulator');
+const CANopenTransport = require('./transport/CANopenTransport');
+const ElevatorAPI = require('./api/ElevatorAPI');
+const ElevatorServer = require('./server/ElevatorServer');
+
+async function runServer(port = 8080, elevatorCount = 2) {
+  const simulator = new Simulator({
+    elevatorCount,
+    robotCount: 0,
+    floors: 10
+  });
+  
+  // One API per elevator, named by the elevator's ID
+  const elevators = new Map();
+  for (const elevator of simulator.elevators) {
+    const transport = new CANopenTransport({
+      simulationMode: true,
+      canBus: simulator.canBus,
+      nodeId: elevator.config.nodeId
+    });
+    
+    const api = new ElevatorAPI(transport, { heartbeatTime: 1000 });
+    await api.connect();
+    elevators.set(elevator.config.id, api);
+  }
+  
+  const auth = process.env.RISE_AUTH_FILE ?
+    JSON.parse(fs.readFileSync(process.env.RISE_AUTH_FILE, 'utf8')) : null;
+  
+  const server = new ElevatorServer({ elevators, port, auth });
+  await server.start();
+  
+  process.on('SIGINT', async () => {
+    await server.stop();
+    process.exit(0);
+  });
+  
+  return server;
+}
+
+// Run the server if this file is executed directly
+if (require.main === module) {
+  const port = process.argv[2] ? parseInt(process.argv[2]) : 8080;
+  const elevatorCount = process.argv[3] ? parseInt(process.argv[3]) : 2;
+  
+  runServer(port, elevatorCount).catch(error => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runServer
+};
@@ -0,0 +1,203 @@
+/**
+ * Authenticator.js
+ *
+ * Client authentication and role-based permissions for ElevatorServer.
+ * Clients are configured with an API key, a role and optionally the floors
+ * they may use:
+ *
+ *   const auth = new Authenticator({
+ *     clients: [
+ *       { id: 'robot-1', role: 'robot', apiKey: 'k3y', floors: [1, 2, 3] },
+ *       { id: 'front-desk', role: 'operator', apiKey: 's3cret' },
+ *     ],
+ *   });
+ *
+ * Requests carry the key in an `X-API-Key` header, or a bearer token issued
+ * for it (`Authorization: Bearer <token>`, see issueToken); MQTT commands
+ * carry either in their payload (see authenticateCredentials). Tokens are
+ * HS256-signed JWTs naming the client; its role and floors are looked up on
+ * every request, so removing a client revokes its tokens.
+ */
+
+const crypto = require('crypto');
+const HttpError = require('./HttpError');
+
+const ROLE = {
+  ROBOT: 'robot',
+  TENANT: 'tenant', // Tenant apps
+  OPERATOR: 'operator',
+  MAINTENANCE: 'maintenance',
+};
+
+const PERMISSION = {
+  READ: 'elevators:read', // List elevators, read their state, stream events
+  DESTINATION_CALL: 'calls:destination',
+  CAR_CALL: 'calls:car',
+  HALL_CALL: 'calls:hall',
+  DOOR_OPEN: 'door:open', // At a floor
+  DOOR_OPEN_BETWEEN_FLOORS: 'door:open-between-floors', // While the car is moving
+  DOOR_CLOSE: 'door:close',
+  EMERGENCY: 'emergency', // Set or clear the emergency stop
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLE.ROBOT]: [
+    PERMISSION.READ, PERMISSION.DESTINATION_CALL, PERMISSION.CAR_CALL, PERMISSION.HALL_CALL,
+    PERMISSION.DOOR_OPEN, PERMISSION.DOOR_CLOSE,
+  ],
+  [ROLE.TENANT]: [
+    PERMISSION.READ, PERMISSION.DESTINATION_CALL, PERMISSION.CAR_CALL, PERMISSION.HALL_CALL,
+  ],
+  [ROLE.MAINTENANCE]: [
+    PERMISSION.READ, PERMISSION.DESTINATION_CALL, PERMISSION.CAR_CALL, PERMISSION.HALL_CALL,
+    PERMISSION.DOOR_OPEN, PERMISSION.DOOR_CLOSE,
+  ],
+  [ROLE.OPERATOR]: Object.values(PERMISSION),
+};
+
+function base64url(data) {
+  return Buffer.from(data).toString('base64url');
+}
+
+// Compare secrets in constant time, whatever their lengths
+function secretsEqual(a, b) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+class Authenticator {
+  constructor(config = {}) {
+    this.config = {
+      clients: [], // { id, role, apiKey, floors } with floors omitted for all floors
+      roles: ROLE_PERMISSIONS, // Permissions by role
+      tokenSecret: crypto.randomBytes(32), // HMAC key for tokens; random, so tokens do not outlive the process
+      tokenLifetime: 3600, // Validity of issued tokens in s
+      ...config
+    };
+
+    this.clients = new Map();
+    this.config.clients.forEach(client => this.addClient(client));
+  }
+
+  addClient(client) {
+    if (!client.id || !client.apiKey) {
+      throw new Error('Clients need an id and an apiKey');
+    }
+    if (!this.config.roles[client.role]) {
+      throw new Error(`Unknown role ${client.role} for client ${client.id}`);
+    }
+
+    this.clients.set(client.id, client);
+  }
+
+  removeClient(id) {
+    this.clients.delete(id);
+  }
+
+  // Principal making an HTTP request: { id, role, permissions, floors,
+  // viaToken }, floors being null when not restricted. Throws a 401
+  // HttpError without valid credentials. The query parameters `apiKey` and
+  // `access_token` are accepted for WebSocket clients, which cannot set headers.
+  authenticate(request, url = null) {
+    const authorization = request.headers.authorization;
+    const token = authorization && authorization.startsWith('Bearer ') ?
+      authorization.slice(7) : url && url.searchParams.get('access_token');
+    const apiKey = request.headers['x-api-key'] || (url && url.searchParams.get('apiKey'));
+
+    if (!token && !apiKey) {
+      throw new HttpError(401, 'UNAUTHORIZED', 'Missing credentials: send an X-API-Key header or a bearer token');
+    }
+    return this.authenticateCredentials({ apiKey, token });
+  }
+
+  // Principal presenting an API key or a token (preferred when both are
+  // given), as for authenticate(). Throws a 401 HttpError without valid
+  // credentials.
+  authenticateCredentials({ apiKey = null, token = null }) {
+    if (token) {
+      return this.principal(this.verifyToken(token), true);
+    }
+    if (apiKey) {
+      const client = Array.from(this.clients.values()).find(candidate => secretsEqual(candidate.apiKey, apiKey));
+      if (!client) {
+        throw new HttpError(401, 'UNAUTHORIZED', 'Invalid API key');
+      }
+      return this.principal(client, false);
+    }
+
+    throw new HttpError(401, 'UNAUTHORIZED', 'Missing credentials: pass an apiKey or a token');
+  }
+
+  principal(client, viaToken) {
+    return {
+      id: client.id,
+      role: client.role,
+      permissions: new Set(this.config.roles[client.role]),
+      floors: client.floors ? new Set(client.floors) : null,
+      viaToken,
+    };
+  }
+
+  // Throw a 403 HttpError unless the principal has the permission
+  authorize(principal, permission) {
+    if (!principal.permissions.has(permission)) {
+      throw new HttpError(403, 'FORBIDDEN', `Role ${principal.role} does not have permission ${permission}`);
+    }
+  }
+
+  // Throw a 403 HttpError unless the principal may use the floor
+  authorizeFloor(principal, floor) {
+    if (principal.floors && !principal.floors.has(floor)) {
+      throw new HttpError(403, 'FORBIDDEN', `Client ${principal.id} may not use floor ${floor}`);
+    }
+  }
+
+  // Bearer token for a principal authenticated with its API key:
+  // { token, tokenType, expiresIn }
+  issueToken(principal) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ sub: principal.id, iat: now, exp: now + this.config.tokenLifetime }));
+
+    return {
+      token: `${header}.${payload}.${this.sign(`${header}.${payload}`)}`,
+      tokenType: 'Bearer',
+      expiresIn: this.config.tokenLifetime,
+    };
+  }
+
+  sign(data) {
+    return crypto.createHmac('sha256', this.config.tokenSecret).update(data).digest('base64url');
+  }
+
+  // Client named by a valid, unexpired token
+  verifyToken(token) {
+    const invalid = new HttpError(401, 'UNAUTHORIZED', 'Invalid or expired token');
+    if (typeof token !== 'string') {
+      throw invalid;
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3 || !secretsEqual(this.sign(`${parts[0]}.${parts[1]}`), parts[2])) {
+      throw invalid;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+      throw invalid;
+    }
+
+    if (typeof payload.exp !== 'number' || payload.exp <= Date.now() / 1000 || !this.clients.has(payload.sub)) {
+      throw invalid;
+    }
+    return this.clients.get(payload.sub);
+  }
+}
+
+Authenticator.ROLE = ROLE;
+Authenticator.PERMISSION = PERMISSION;
+Authenticator.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
+module.exports = Authenticator;
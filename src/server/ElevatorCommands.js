@@ -0,0 +1,160 @@
+/**
+ * ElevatorCommands.js
+ *
+ * Commands clients send to an elevator through ElevatorServer or MqttBridge:
+ * their validation, the permissions they need, running them on ElevatorAPI,
+ * and the error reported when one fails. Both front ends use this module so
+ * they accept, refuse and report commands alike.
+ *
+ * Invalid commands and refused permissions are thrown as HttpErrors, whose
+ * code is reported by either front end (and status by the HTTP server).
+ */
+
+const ElevatorProtocolError = require('../api/ElevatorProtocolError');
+const ElevatorConnectionError = require('../api/ElevatorConnectionError');
+const HttpError = require('./HttpError');
+const Authenticator = require('./Authenticator');
+
+const { ABORT_CODE } = ElevatorProtocolError;
+const { PERMISSION } = Authenticator;
+
+// Abort code names by code, for error bodies
+const ABORT_NAME = Object.fromEntries(Object.entries(ABORT_CODE).map(([name, code]) => [code, name]));
+
+// HTTP status of each abort code; others are reported as 502 Bad Gateway
+const ABORT_STATUS = {
+  [ABORT_CODE.VALUE_RANGE_EXCEEDED]: 422,
+  [ABORT_CODE.VALUE_TOO_HIGH]: 422,
+  [ABORT_CODE.VALUE_TOO_LOW]: 422,
+  [ABORT_CODE.DEVICE_STATE]: 409,
+  [ABORT_CODE.LOCAL_CONTROL]: 409,
+  [ABORT_CODE.OBJECT_DOES_NOT_EXIST]: 501,
+  [ABORT_CODE.SUB_INDEX_DOES_NOT_EXIST]: 501,
+  [ABORT_CODE.TIMEOUT]: 504,
+};
+
+// In-motion bit of the elevator status (0x6000)
+const IN_MOTION = 0x4;
+
+const CALL_TYPES = ['DESTINATION', 'CAR', 'HALL_UP', 'HALL_DOWN'];
+const DOOR_COMMANDS = ['open', 'close'];
+
+// Permission needed for each call type
+const CALL_PERMISSION = {
+  DESTINATION: PERMISSION.DESTINATION_CALL,
+  CAR: PERMISSION.CAR_CALL,
+  HALL_UP: PERMISSION.HALL_CALL,
+  HALL_DOWN: PERMISSION.HALL_CALL,
+};
+
+// { floor, type } of a call command, type defaulting to DESTINATION
+function validateCall(command) {
+  const { floor } = command;
+  const type = command.type === undefined ? 'DESTINATION' : command.type;
+
+  if (!Number.isInteger(floor) || floor < 1) {
+    throw new HttpError(400, 'INVALID_REQUEST', 'floor must be a positive integer');
+  }
+  if (!CALL_TYPES.includes(type)) {
+    throw new HttpError(400, 'INVALID_REQUEST', `type must be one of ${CALL_TYPES.join(', ')}`);
+  }
+  return { floor, type };
+}
+
+// Door command, 'open' or 'close'
+function validateDoor({ command }) {
+  if (!DOOR_COMMANDS.includes(command)) {
+    throw new HttpError(400, 'INVALID_REQUEST', `command must be one of ${DOOR_COMMANDS.join(', ')}`);
+  }
+  return command;
+}
+
+// Throw a 403 HttpError unless the principal may place the call. Anyone may
+// without an Authenticator.
+function authorizeCall(auth, principal, { floor, type }) {
+  if (!auth) return;
+
+  auth.authorize(principal, CALL_PERMISSION[type]);
+  auth.authorizeFloor(principal, floor);
+}
+
+// Throw a 403 HttpError unless the principal may operate the door. Opening
+// needs the floor the car is at to be allowed, and a separate permission
+// while the car is between floors. That is the in-motion status bit: the
+// direction bits keep the last direction travelled after the car stops.
+async function authorizeDoor(auth, principal, api, command) {
+  if (!auth) return;
+
+  if (command === 'close') {
+    auth.authorize(principal, PERMISSION.DOOR_CLOSE);
+    return;
+  }
+
+  auth.authorize(principal, PERMISSION.DOOR_OPEN);
+  const status = (await api.readObject(0x6000)).data;
+  if (status & IN_MOTION) {
+    auth.authorize(principal, PERMISSION.DOOR_OPEN_BETWEEN_FLOORS);
+  } else {
+    auth.authorizeFloor(principal, await api.getCurrentFloor());
+  }
+}
+
+async function placeCall(api, { floor, type }) {
+  switch (type) {
+    case 'DESTINATION':
+      await api.requestFloor(floor);
+      break;
+    case 'CAR':
+      await api.registerCarCall(floor);
+      break;
+    default:
+      await api.registerHallCall(floor, type === 'HALL_UP' ? 'UP' : 'DOWN');
+  }
+}
+
+async function operateDoor(api, command) {
+  if (command === 'open') {
+    await api.openDoor();
+  } else {
+    await api.closeDoor();
+  }
+}
+
+// HTTP status and { code, message } error body of a failed command.
+// Protocol errors carry the abort code. Errors other than the documented
+// ones are 500 INTERNAL_ERROR, which callers log.
+function errorResult(error) {
+  if (error instanceof HttpError) {
+    return { status: error.status, error: { code: error.code, message: error.message } };
+  }
+
+  if (error instanceof ElevatorProtocolError) {
+    return {
+      status: ABORT_STATUS[error.abortCode] || 502,
+      error: {
+        code: ABORT_NAME[error.abortCode] || 'PROTOCOL_ERROR',
+        message: error.message,
+        abortCode: `0x${error.abortCode.toString(16).padStart(8, '0')}`,
+      }
+    };
+  }
+
+  if (error instanceof ElevatorConnectionError) {
+    return { status: 503, error: { code: 'CONNECTION_LOST', message: error.message } };
+  }
+
+  return { status: 500, error: { code: 'INTERNAL_ERROR', message: error.message } };
+}
+
+module.exports = {
+  CALL_TYPES,
+  DOOR_COMMANDS,
+  CALL_PERMISSION,
+  validateCall,
+  validateDoor,
+  authorizeCall,
+  authorizeDoor,
+  placeCall,
+  operateDoor,
+  errorResult,
+};
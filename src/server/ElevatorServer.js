@@ -0,0 +1,306 @@
+/**
+ * ElevatorServer.js
+ *
+ * HTTP server exposing one or more ElevatorAPI instances as a JSON REST API,
+ * so clients on the LAN can query the elevators and request them without a
+ * transport of their own. The OpenAPI description is served at
+ * GET /openapi.json, and elevator events are streamed over a WebSocket at
+ * /stream (see ElevatorStream).
+ *
+ *   const server = new ElevatorServer({ elevators: { 'car-a': apiA, 'car-b': apiB }, port: 8080 });
+ *   await server.start();
+ *
+ *   $ curl -X POST localhost:8080/elevators/car-a/calls -d '{"floor": 3}'
+ *
+ * With an `auth` configuration (see Authenticator) every request but
+ * GET /openapi.json needs an API key or bearer token, and is checked against
+ * the permissions of the client's role and the floors it may use.
+ */
+
+const http = require('http');
+const OpenAPI = require('./OpenAPI');
+const HttpError = require('./HttpError');
+const ElevatorStream = require('./ElevatorStream');
+const Authenticator = require('./Authenticator');
+const ElevatorCommands = require('./ElevatorCommands');
+
+const { PERMISSION } = Authenticator;
+
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 16 * 1024;
+
+class ElevatorServer {
+  constructor(config = {}) {
+    this.config = {
+      host: '127.0.0.1', // Interface to listen on
+      port: 8080, // 0 picks a free port (see this.port after start)
+      elevators: {}, // ElevatorAPI instances by elevator ID (object or Map)
+      auth: null, // Authenticator configuration; without it the server is open to anyone who can reach it
+      ...config
+    };
+
+    this.elevators = new Map(this.config.elevators instanceof Map ?
+      this.config.elevators : Object.entries(this.config.elevators));
+    this.server = null;
+    this.port = null;
+    this.auth = this.config.auth ? new Authenticator(this.config.auth) : null;
+    this.stream = new ElevatorStream(this);
+
+    // Routes: method, path pattern (captures are passed to the handler after
+    // the request and the principal), handler, and the permission needed
+    // when authentication is enabled. Public routes need no credentials;
+    // the others may check further permissions themselves.
+    this.routes = [
+      { method: 'GET', path: /^\/openapi\.json$/, public: true, handler: () => ({ body: OpenAPI.createDocument() }) },
+      { method: 'POST', path: /^\/auth\/token$/, handler: (request, principal) => this.postToken(principal) },
+      {
+        method: 'GET', path: /^\/elevators$/, permission: PERMISSION.READ,
+        handler: () => this.listElevators()
+      },
+      {
+        method: 'GET', path: /^\/elevators\/([^/]+)\/state$/, permission: PERMISSION.READ,
+        handler: (request, principal, id) => this.getState(id)
+      },
+      {
+        method: 'POST', path: /^\/elevators\/([^/]+)\/calls$/,
+        handler: (request, principal, id) => this.postCall(request, principal, id)
+      },
+      {
+        method: 'POST', path: /^\/elevators\/([^/]+)\/door$/,
+        handler: (request, principal, id) => this.postDoor(request, principal, id)
+      },
+      {
+        method: 'POST', path: /^\/elevators\/([^/]+)\/emergency$/, permission: PERMISSION.EMERGENCY,
+        handler: (request, principal, id) => this.postEmergency(request, id)
+      },
+    ];
+  }
+
+  async start() {
+    if (this.server) return this.port;
+
+    this.server = http.createServer((request, response) => this.handleRequest(request, response));
+    this.server.on('upgrade', (request, socket, head) => {
+      if (!this.stream.handleUpgrade(request, socket, head)) {
+        socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    this.port = this.server.address().port;
+    console.log(`Elevator server listening on http://${this.config.host}:${this.port}`);
+    return this.port;
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    this.stream.close();
+    await new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+    });
+    this.server = null;
+    this.port = null;
+  }
+
+  addElevator(id, api) {
+    this.elevators.set(id, api);
+    this.stream.attachElevator(id, api);
+  }
+
+  async handleRequest(request, response) {
+    let result;
+
+    try {
+      const { pathname } = new URL(request.url, 'http://localhost');
+      const matches = this.routes.filter(route => route.path.test(pathname));
+
+      if (matches.length === 0) {
+        throw new HttpError(404, 'NOT_FOUND', `No resource at ${pathname}`);
+      }
+
+      const route = matches.find(candidate => candidate.method === request.method);
+      if (!route) {
+        response.setHeader('Allow', matches.map(match => match.method).join(', '));
+        throw new HttpError(405, 'METHOD_NOT_ALLOWED', `${request.method} is not allowed on ${pathname}`);
+      }
+
+      let principal = null;
+      if (this.auth && !route.public) {
+        principal = this.auth.authenticate(request);
+        if (route.permission) {
+          this.auth.authorize(principal, route.permission);
+        }
+      }
+
+      let params;
+      try {
+        params = pathname.match(route.path).slice(1).map(decodeURIComponent);
+      } catch (error) {
+        throw new HttpError(400, 'INVALID_REQUEST', `Malformed path ${pathname}: ${error.message}`);
+      }
+      result = await route.handler(request, principal, ...params);
+    } catch (error) {
+      if (error instanceof HttpError && error.status === 401) {
+        response.setHeader('WWW-Authenticate', 'Bearer realm="elevators"');
+      }
+      result = this.errorResult(error);
+    }
+
+    this.sendJson(response, result.status || 200, result.body);
+  }
+
+  sendJson(response, status, body) {
+    const text = JSON.stringify(body);
+
+    response.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(text),
+    });
+    response.end(text);
+  }
+
+  // Status and body of a failed request (see ElevatorCommands.errorResult);
+  // errors other than the documented ones are logged
+  errorResult(error) {
+    const { status, error: body } = ElevatorCommands.errorResult(error);
+    if (status === 500) {
+      console.error('Elevator server request failed:', error);
+    }
+    return { status, body: { error: body } };
+  }
+
+  // ElevatorAPI of an elevator, which must be connected
+  elevator(id) {
+    const api = this.elevators.get(id);
+
+    if (!api) {
+      throw new HttpError(404, 'NOT_FOUND', `Unknown elevator ${id}`);
+    }
+    if (!api.connected) {
+      throw new HttpError(503, 'NOT_CONNECTED', `Elevator ${id} is not connected`);
+    }
+    return api;
+  }
+
+  // JSON request body, as an object
+  async readBody(request) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of request) {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        throw new HttpError(413, 'PAYLOAD_TOO_LARGE', `Request body exceeds ${MAX_BODY_SIZE} bytes`);
+      }
+      chunks.push(chunk);
+    }
+
+    const text = Buffer.concat(chunks).toString('utf8');
+    let body;
+    try {
+      body = text.trim() === '' ? {} : JSON.parse(text);
+    } catch (error) {
+      throw new HttpError(400, 'INVALID_REQUEST', `Invalid JSON body: ${error.message}`);
+    }
+
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new HttpError(400, 'INVALID_REQUEST', 'Request body must be a JSON object');
+    }
+    return body;
+  }
+
+  listElevators() {
+    const elevators = Array.from(this.elevators, ([id, api]) => ({
+      id,
+      connected: api.connected,
+      connectionLost: api.isConnectionLost(),
+      nmtState: api.getNmtState(),
+    }));
+
+    return { body: { elevators } };
+  }
+
+  // Read from the elevator on every request, so the state is current even
+  // when PDOs are not configured
+  async getState(id) {
+    const api = this.elevator(id);
+
+    const floor = await api.getCurrentFloor();
+    const status = (await api.readObject(0x6000)).data;
+    const emergency = await api.isInEmergencyState();
+
+    return {
+      body: {
+        id,
+        floor,
+        doorState: api.doorStateFromStatus(status),
+        direction: api.directionFromStatus(status),
+        emergency,
+        nmtState: api.getNmtState(),
+      }
+    };
+  }
+
+  // Exchange an API key for a bearer token
+  postToken(principal) {
+    if (!this.auth) {
+      throw new HttpError(404, 'NOT_FOUND', 'Authentication is not enabled');
+    }
+    if (principal.viaToken) {
+      throw new HttpError(403, 'FORBIDDEN', 'Tokens are issued for API keys only');
+    }
+
+    return { body: this.auth.issueToken(principal) };
+  }
+
+  // { floor, type }: DESTINATION (default) sends the car to the floor, CAR,
+  // HALL_UP and HALL_DOWN register the call at the floor
+  async postCall(request, principal, id) {
+    const api = this.elevator(id);
+    const call = ElevatorCommands.validateCall(await this.readBody(request));
+
+    ElevatorCommands.authorizeCall(this.auth, principal, call);
+    await ElevatorCommands.placeCall(api, call);
+
+    return { status: 202, body: { id, ...call } };
+  }
+
+  // { command: 'open' | 'close' }. Opening needs the floor the car is at to
+  // be allowed, and a separate permission while the car is between floors
+  // (see ElevatorCommands.authorizeDoor).
+  async postDoor(request, principal, id) {
+    const api = this.elevator(id);
+    const command = ElevatorCommands.validateDoor(await this.readBody(request));
+
+    await ElevatorCommands.authorizeDoor(this.auth, principal, api, command);
+    await ElevatorCommands.operateDoor(api, command);
+
+    return { status: 202, body: { id, command } };
+  }
+
+  // { active: boolean }: set or clear the emergency stop
+  async postEmergency(request, id) {
+    const api = this.elevator(id);
+    const { active } = await this.readBody(request);
+
+    if (typeof active !== 'boolean') {
+      throw new HttpError(400, 'INVALID_REQUEST', 'active must be a boolean');
+    }
+
+    await api.setEmergencyStop(active);
+    return { status: 202, body: { id, active } };
+  }
+}
+
+ElevatorServer.HttpError = HttpError;
+
+module.exports = ElevatorServer;
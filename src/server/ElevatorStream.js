@@ -0,0 +1,243 @@
+/**
+ * ElevatorStream.js
+ *
+ * WebSocket endpoint of ElevatorServer (GET /stream) streaming elevator
+ * events as JSON messages. A client is subscribed to the elevators named in
+ * the `elevators` query parameter (all when omitted), receives a snapshot of
+ * their state, then their events:
+ *
+ *   -> { "type": "snapshot", "seq": 1, "timestamp": ..., "elevators": [{ "id": "car-a", "floor": 1, ... }] }
+ *   -> { "type": "event", "seq": 2, "timestamp": ..., "elevator": "car-a", "event": "floorChanged", "data": 2 }
+ *   <- { "type": "subscribe", "elevators": ["car-b"] }
+ *   -> { "type": "subscribed", "seq": 3, "elevators": ["car-a", "car-b"] }
+ *   -> { "type": "snapshot", "seq": 4, ... }
+ *   <- { "type": "unsubscribe", "elevators": ["car-a"] }
+ *
+ * Every message to a client carries the next sequence number of that
+ * connection. Events are dropped for clients that do not keep up, which
+ * shows as a gap in the sequence; a client can resubscribe to get a fresh
+ * snapshot.
+ *
+ * When the server has authentication enabled, the upgrade request needs
+ * credentials with the elevators:read permission, as headers or, for browser
+ * clients, as the `access_token` or `apiKey` query parameter.
+ */
+
+const http = require('http');
+const WebSocket = require('./WebSocket');
+const HttpError = require('./HttpError');
+const { PERMISSION } = require('./Authenticator');
+
+// ElevatorAPI events streamed to clients
+const STREAMED_EVENTS = ['floorChanged', 'doorStateChanged', 'directionChanged', 'emergencyStateChanged'];
+
+class ElevatorStream {
+  constructor(server, config = {}) {
+    this.server = server; // ElevatorServer, for the elevators and their state
+    this.config = {
+      path: '/stream',
+      maxBufferedAmount: 256 * 1024, // Events are dropped while more bytes than this are waiting to be sent to a client
+      ...config
+    };
+
+    this.clients = new Set();
+
+    // ElevatorAPI listeners by elevator ID, removed on close
+    this.listeners = new Map();
+    this.server.elevators.forEach((api, id) => this.attachElevator(id, api));
+  }
+
+  attachElevator(id, api) {
+    if (this.listeners.has(id)) return;
+
+    const listeners = {};
+    STREAMED_EVENTS.forEach(event => {
+      listeners[event] = data => this.handleElevatorEvent(id, event, data);
+      api.on(event, listeners[event]);
+    });
+    this.listeners.set(id, listeners);
+  }
+
+  // Close all client connections and stop listening to the elevators
+  close() {
+    for (const client of this.clients) {
+      client.ws.close(WebSocket.CLOSE_CODE.GOING_AWAY, 'server shutting down');
+    }
+    this.clients.clear();
+
+    for (const [id, listeners] of this.listeners) {
+      const api = this.server.elevators.get(id);
+      Object.entries(listeners).forEach(([event, listener]) => api.off(event, listener));
+    }
+    this.listeners.clear();
+  }
+
+  // HTTP upgrade request; returns false when it is not for the stream path
+  handleUpgrade(request, socket, head) {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname !== this.config.path) {
+      return false;
+    }
+
+    if (this.server.auth) {
+      try {
+        this.server.auth.authorize(this.server.auth.authenticate(request, url), PERMISSION.READ);
+      } catch (error) {
+        if (!(error instanceof HttpError)) throw error;
+        this.reject(socket, error);
+        return true;
+      }
+    }
+
+    const ws = WebSocket.accept(request, socket, head);
+    if (!ws) return true;
+
+    const client = {
+      ws,
+      seq: 0,
+      elevators: new Set(),
+      pending: new Map(), // Events held per elevator until its snapshot is sent
+    };
+
+    this.clients.add(client);
+    ws.on('message', text => this.handleMessage(client, text));
+    ws.on('close', () => this.clients.delete(client));
+
+    const selected = url.searchParams.get('elevators');
+    const ids = selected ? selected.split(',').filter(id => id !== '') : Array.from(this.server.elevators.keys());
+    this.subscribe(client, ids, false);
+
+    return true;
+  }
+
+  // Answer an upgrade request with the error instead of switching protocols
+  reject(socket, error) {
+    const body = JSON.stringify(this.server.errorResult(error).body);
+    socket.end([
+      `HTTP/1.1 ${error.status} ${http.STATUS_CODES[error.status]}`,
+      'Content-Type: application/json',
+      `Content-Length: ${Buffer.byteLength(body)}`,
+      ...(error.status === 401 ? ['WWW-Authenticate: Bearer realm="elevators"'] : []),
+      'Connection: close',
+      '', body
+    ].join('\r\n'));
+  }
+
+  handleMessage(client, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      this.sendError(client, 'INVALID_MESSAGE', `Invalid JSON: ${error.message}`);
+      return;
+    }
+
+    if (!message || typeof message !== 'object' || !Array.isArray(message.elevators) ||
+      !message.elevators.every(id => typeof id === 'string')) {
+      this.sendError(client, 'INVALID_MESSAGE', 'Expected { type, elevators: [ids] }');
+      return;
+    }
+
+    switch (message.type) {
+      case 'subscribe':
+        this.subscribe(client, message.elevators, true);
+        break;
+      case 'unsubscribe':
+        this.unsubscribe(client, message.elevators);
+        break;
+      default:
+        this.sendError(client, 'INVALID_MESSAGE', `Unknown message type ${message.type}`);
+    }
+  }
+
+  // Subscribe to elevators and send their snapshot. Events arriving while
+  // the snapshot is read are held and sent right after it.
+  async subscribe(client, ids, acknowledge) {
+    const unknown = ids.find(id => !this.server.elevators.has(id));
+    if (unknown) {
+      this.sendError(client, 'NOT_FOUND', `Unknown elevator ${unknown}`);
+      return;
+    }
+
+    const added = ids.filter(id => !client.elevators.has(id));
+    added.forEach(id => {
+      client.elevators.add(id);
+      client.pending.set(id, []);
+    });
+
+    if (acknowledge) {
+      this.send(client, { type: 'subscribed', elevators: Array.from(client.elevators) });
+    }
+
+    if (added.length === 0) return;
+
+    const elevators = [];
+    for (const id of added) {
+      elevators.push(await this.readState(id));
+    }
+
+    this.send(client, { type: 'snapshot', elevators });
+
+    added.forEach(id => {
+      const held = client.pending.get(id) || [];
+      client.pending.delete(id);
+      held.forEach(message => this.sendEvent(client, message));
+    });
+  }
+
+  unsubscribe(client, ids) {
+    ids.forEach(id => {
+      client.elevators.delete(id);
+      client.pending.delete(id);
+    });
+
+    this.send(client, { type: 'unsubscribed', elevators: Array.from(client.elevators) });
+  }
+
+  // State of an elevator as served by GET /elevators/:id/state, or its
+  // error when it cannot be read
+  async readState(id) {
+    try {
+      return (await this.server.getState(id)).body;
+    } catch (error) {
+      return { id, error: this.server.errorResult(error).body.error };
+    }
+  }
+
+  handleElevatorEvent(id, event, data) {
+    const message = { type: 'event', elevator: id, event, data };
+
+    for (const client of this.clients) {
+      if (!client.elevators.has(id)) continue;
+
+      if (client.pending.has(id)) {
+        client.pending.get(id).push({ ...message, timestamp: Date.now() });
+      } else {
+        this.sendEvent(client, message);
+      }
+    }
+  }
+
+  // Events are dropped, using up their sequence number, while the client
+  // is not reading fast enough
+  sendEvent(client, message) {
+    if (client.ws.bufferedAmount > this.config.maxBufferedAmount) {
+      client.seq++;
+      return;
+    }
+    this.send(client, message);
+  }
+
+  sendError(client, code, message) {
+    this.send(client, { type: 'error', error: { code, message } });
+  }
+
+  send(client, message) {
+    client.seq++;
+    client.ws.send(JSON.stringify({ type: message.type, seq: client.seq, timestamp: Date.now(), ...message }));
+  }
+}
+
+ElevatorStream.STREAMED_EVENTS = STREAMED_EVENTS;
+
+module.exports = ElevatorStream;
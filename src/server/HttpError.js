@@ -0,0 +1,18 @@
+/**
+ * HttpError.js
+ *
+ * Error answered by ElevatorServer with an HTTP status and a JSON body of
+ * { error: { code, message } }
+ */
+
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+module.exports = HttpError;
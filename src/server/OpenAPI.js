@@ -0,0 +1,312 @@
+/**
+ * OpenAPI.js
+ *
+ * OpenAPI 3.0 description of the ElevatorServer REST API
+ */
+
+const { version } = require('../../package.json');
+const { CALL_TYPES, DOOR_COMMANDS } = require('./ElevatorCommands');
+
+const ERROR_CODES = [
+  'INVALID_REQUEST', 'NOT_FOUND', 'METHOD_NOT_ALLOWED', 'PAYLOAD_TOO_LARGE', 'NOT_CONNECTED',
+  'CONNECTION_LOST', 'INTERNAL_ERROR', 'PROTOCOL_ERROR', 'UNAUTHORIZED', 'FORBIDDEN',
+];
+
+const elevatorId = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: 'Elevator ID',
+  schema: { type: 'string' },
+};
+
+function errorResponse(description) {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+  };
+}
+
+// Responses of the routes that need credentials when authentication is enabled
+const authErrors = {
+  401: errorResponse('Missing or invalid API key or token (authentication enabled only)'),
+  403: errorResponse('The client\'s role lacks the permission, or the client may not use the floor'),
+};
+
+// Responses of the routes that talk to an elevator
+const elevatorErrors = {
+  ...authErrors,
+  404: errorResponse('Unknown elevator'),
+  409: errorResponse('Rejected in the elevator\'s current state, e.g. not operational or in an emergency stop (DEVICE_STATE)'),
+  422: errorResponse('Value rejected by the elevator, e.g. a floor it does not serve (VALUE_RANGE_EXCEEDED, VALUE_TOO_HIGH, VALUE_TOO_LOW)'),
+  502: errorResponse('Other protocol error reported by the elevator'),
+  503: errorResponse('Elevator not connected (NOT_CONNECTED) or not answering its heartbeat (CONNECTION_LOST)'),
+  504: errorResponse('No response from the elevator (TIMEOUT)'),
+};
+
+function createDocument() {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'RISE Elevator API',
+      version,
+      description: 'Query elevator state and request elevators over HTTP. When the server has authentication ' +
+        'enabled, requests need an API key or a bearer token from POST /auth/token, and are limited by the ' +
+        'permissions of the client\'s role (robot, tenant, maintenance, operator) and the floors it may use.',
+    },
+    security: [{ apiKey: [] }, { bearer: [] }],
+    paths: {
+      '/auth/token': {
+        post: {
+          summary: 'Exchange an API key for a bearer token',
+          operationId: 'postToken',
+          security: [{ apiKey: [] }],
+          responses: {
+            200: {
+              description: 'Token issued',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/Token' } } },
+            },
+            ...authErrors,
+            404: errorResponse('Authentication is not enabled'),
+          },
+        },
+      },
+      '/elevators': {
+        get: {
+          summary: 'List the elevators',
+          operationId: 'listElevators',
+          responses: {
+            ...authErrors,
+            200: {
+              description: 'Elevators served',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      elevators: { type: 'array', items: { $ref: '#/components/schemas/ElevatorSummary' } },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/elevators/{id}/state': {
+        get: {
+          summary: 'Read the current state of an elevator',
+          operationId: 'getElevatorState',
+          parameters: [elevatorId],
+          responses: {
+            200: {
+              description: 'Current state',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/ElevatorState' } } },
+            },
+            ...elevatorErrors,
+          },
+        },
+      },
+      '/elevators/{id}/calls': {
+        post: {
+          summary: 'Request the elevator to a floor or register a call',
+          operationId: 'postCall',
+          parameters: [elevatorId],
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/CallRequest' } } },
+          },
+          responses: {
+            202: {
+              description: 'Accepted by the elevator',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/CallAccepted' } } },
+            },
+            400: errorResponse('Invalid request body'),
+            ...elevatorErrors,
+          },
+        },
+      },
+      '/elevators/{id}/door': {
+        post: {
+          summary: 'Open or close the door',
+          operationId: 'postDoorCommand',
+          parameters: [elevatorId],
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/DoorRequest' } } },
+          },
+          responses: {
+            202: {
+              description: 'Accepted by the elevator',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/DoorAccepted' } } },
+            },
+            400: errorResponse('Invalid request body'),
+            ...elevatorErrors,
+          },
+        },
+      },
+      '/elevators/{id}/emergency': {
+        post: {
+          summary: 'Set or clear the emergency stop (operators only)',
+          operationId: 'postEmergency',
+          parameters: [elevatorId],
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/EmergencyRequest' } } },
+          },
+          responses: {
+            202: {
+              description: 'Accepted by the elevator',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/EmergencyAccepted' } } },
+            },
+            400: errorResponse('Invalid request body'),
+            ...elevatorErrors,
+          },
+        },
+      },
+      '/stream': {
+        get: {
+          summary: 'Stream elevator events over a WebSocket',
+          description: 'WebSocket upgrade. Sends a snapshot of the subscribed elevators, then their floorChanged, ' +
+            'doorStateChanged, directionChanged and emergencyStateChanged events. Clients send ' +
+            '{ "type": "subscribe" | "unsubscribe", "elevators": [ids] }. Every message carries a per-connection ' +
+            'sequence number (seq); a gap means events were dropped because the client did not keep up. ' +
+            'Browsers, which cannot set headers on the upgrade, may pass credentials as the access_token or ' +
+            'apiKey query parameter.',
+          operationId: 'streamEvents',
+          parameters: [{
+            name: 'elevators',
+            in: 'query',
+            required: false,
+            description: 'Comma-separated elevator IDs to subscribe to on connect; all elevators when omitted',
+            schema: { type: 'string' },
+          }],
+          responses: {
+            101: { description: 'Switching to the WebSocket protocol' },
+            400: { description: 'Not a valid WebSocket handshake' },
+            ...authErrors,
+          },
+        },
+      },
+      '/openapi.json': {
+        get: {
+          summary: 'This document',
+          operationId: 'getOpenApi',
+          security: [],
+          responses: { 200: { description: 'OpenAPI document', content: { 'application/json': {} } } },
+        },
+      },
+    },
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearer: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+      schemas: {
+        ElevatorSummary: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            connected: { type: 'boolean' },
+            connectionLost: { type: 'boolean', description: 'The elevator stopped answering its heartbeat' },
+            nmtState: { $ref: '#/components/schemas/NmtState' },
+          },
+        },
+        ElevatorState: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            floor: { type: 'integer', minimum: 1 },
+            doorState: { type: 'string', enum: ['OPEN', 'OPENING', 'CLOSING', 'CLOSED', 'UNKNOWN'] },
+            direction: { type: 'string', enum: ['UP', 'DOWN', 'STATIONARY'] },
+            emergency: { type: 'boolean' },
+            nmtState: { $ref: '#/components/schemas/NmtState' },
+          },
+        },
+        NmtState: {
+          type: 'string',
+          nullable: true,
+          enum: ['INITIALISATION', 'PRE_OPERATIONAL', 'OPERATIONAL', 'STOPPED', null],
+        },
+        CallRequest: {
+          type: 'object',
+          required: ['floor'],
+          properties: {
+            floor: { type: 'integer', minimum: 1 },
+            type: {
+              type: 'string',
+              enum: CALL_TYPES,
+              default: 'DESTINATION',
+              description: 'DESTINATION sends the car to the floor; the others register a car or hall call',
+            },
+          },
+        },
+        CallAccepted: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            floor: { type: 'integer' },
+            type: { type: 'string' },
+          },
+        },
+        DoorRequest: {
+          type: 'object',
+          required: ['command'],
+          properties: {
+            command: { type: 'string', enum: DOOR_COMMANDS },
+          },
+        },
+        DoorAccepted: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            command: { type: 'string' },
+          },
+        },
+        EmergencyRequest: {
+          type: 'object',
+          required: ['active'],
+          properties: {
+            active: { type: 'boolean' },
+          },
+        },
+        EmergencyAccepted: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            active: { type: 'boolean' },
+          },
+        },
+        Token: {
+          type: 'object',
+          properties: {
+            token: { type: 'string' },
+            tokenType: { type: 'string', enum: ['Bearer'] },
+            expiresIn: { type: 'integer', description: 'Lifetime of the token in s' },
+          },
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: {
+                code: {
+                  type: 'string',
+                  description: `One of ${ERROR_CODES.join(', ')}, or the name of the CiA 301 abort code for protocol errors`,
+                },
+                message: { type: 'string' },
+                abortCode: { type: 'string', description: 'Abort code in hex, for protocol errors', example: '0x06090030' },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+module.exports = {
+  createDocument,
+};
@@ -0,0 +1,255 @@
+/**
+ * WebSocket.js
+ *
+ * Server side of the WebSocket protocol (RFC 6455), enough for JSON
+ * streaming: the opening handshake on an HTTP upgrade, text messages
+ * (fragmented or not), ping/pong and the closing handshake. Binary messages
+ * and extensions are not supported.
+ *
+ *   server.on('upgrade', (request, socket, head) => {
+ *     const ws = WebSocket.accept(request, socket, head);
+ *     if (ws) ws.on('message', text => ws.send(text));
+ *   });
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+// Appended to the client's key to compute Sec-WebSocket-Accept
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA,
+};
+
+// Close status codes
+const CLOSE_CODE = {
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  UNSUPPORTED_DATA: 1003,
+  INVALID_DATA: 1007,
+  MESSAGE_TOO_BIG: 1009,
+};
+
+// Largest message accepted from a client, in bytes
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null; // Payloads of a fragmented message being received
+    this.closing = false;
+    this.closed = false;
+
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this.handleData(chunk));
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => this.handleClose());
+  }
+
+  // Complete the opening handshake for an HTTP upgrade request. Returns the
+  // connection, or null after answering 400 when the request is not a valid
+  // WebSocket handshake.
+  static accept(request, socket, head = Buffer.alloc(0)) {
+    const key = request.headers['sec-websocket-key'];
+    const upgrade = (request.headers.upgrade || '').toLowerCase();
+
+    if (request.method !== 'GET' || upgrade !== 'websocket' || !key || request.headers['sec-websocket-version'] !== '13') {
+      socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+      return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '', ''
+    ].join('\r\n'));
+
+    const connection = new WebSocketConnection(socket);
+    if (head.length > 0) {
+      connection.handleData(head);
+    }
+    return connection;
+  }
+
+  // Bytes written but not yet sent, to detect slow clients
+  get bufferedAmount() {
+    return this.socket.writableLength;
+  }
+
+  send(text) {
+    if (this.closing || this.closed) return;
+    this.sendFrame(OPCODE.TEXT, Buffer.from(text, 'utf8'));
+  }
+
+  ping(data = Buffer.alloc(0)) {
+    if (this.closing || this.closed) return;
+    this.sendFrame(OPCODE.PING, data);
+  }
+
+  // Start the closing handshake; the socket is closed once the client
+  // answers, or after a second at the latest
+  close(code = CLOSE_CODE.NORMAL, reason = '') {
+    if (this.closing || this.closed) return;
+
+    this.closing = true;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.sendFrame(OPCODE.CLOSE, payload);
+
+    setTimeout(() => this.socket.destroy(), 1000).unref();
+  }
+
+  // Server frames are never masked: [FIN + opcode][length][extended length][payload]
+  sendFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 0x10000) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  handleData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let frame;
+    while (!this.closed && (frame = this.readFrame()) !== null) {
+      this.handleFrame(frame);
+    }
+  }
+
+  // Take the next complete frame off the buffer, or null when incomplete
+  readFrame() {
+    const { buffer } = this;
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buffer.length < 4) return null;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return null;
+      const longLength = buffer.readBigUInt64BE(2);
+      length = longLength > BigInt(MAX_MESSAGE_SIZE) ? Infinity : Number(longLength);
+      offset = 10;
+    }
+
+    if (length > MAX_MESSAGE_SIZE) {
+      this.fail(CLOSE_CODE.MESSAGE_TOO_BIG, 'message too big');
+      return null;
+    }
+    if (!masked) {
+      this.fail(CLOSE_CODE.PROTOCOL_ERROR, 'client frames must be masked');
+      return null;
+    }
+
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+
+    this.buffer = buffer.subarray(offset + 4 + length);
+    return { fin, opcode, payload };
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    // Once closing, only the client's close frame matters
+    if (this.closing && opcode !== OPCODE.CLOSE) return;
+
+    switch (opcode) {
+      case OPCODE.TEXT:
+      case OPCODE.CONTINUATION: {
+        if ((opcode === OPCODE.TEXT) === (this.fragments !== null)) {
+          this.fail(CLOSE_CODE.PROTOCOL_ERROR, 'unexpected frame');
+          return;
+        }
+
+        this.fragments = (this.fragments || []).concat(payload);
+        const size = this.fragments.reduce((total, fragment) => total + fragment.length, 0);
+        if (size > MAX_MESSAGE_SIZE) {
+          this.fail(CLOSE_CODE.MESSAGE_TOO_BIG, 'message too big');
+          return;
+        }
+
+        if (fin) {
+          const message = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = null;
+          this.emit('message', message);
+        }
+        break;
+      }
+      case OPCODE.BINARY:
+        this.fail(CLOSE_CODE.UNSUPPORTED_DATA, 'binary messages are not supported');
+        break;
+      case OPCODE.PING:
+        this.sendFrame(OPCODE.PONG, payload);
+        break;
+      case OPCODE.PONG:
+        this.emit('pong', payload);
+        break;
+      case OPCODE.CLOSE:
+        // Answer the client's closing handshake, or complete ours
+        if (!this.closing) {
+          this.closing = true;
+          this.sendFrame(OPCODE.CLOSE, payload.subarray(0, 2));
+        }
+        this.socket.end();
+        break;
+      default:
+        this.fail(CLOSE_CODE.PROTOCOL_ERROR, `unknown opcode ${opcode}`);
+    }
+  }
+
+  fail(code, reason) {
+    this.buffer = Buffer.alloc(0);
+    this.close(code, reason);
+  }
+
+  handleClose() {
+    if (this.closed) return;
+
+    this.closed = true;
+    this.emit('close');
+  }
+}
+
+module.exports = {
+  OPCODE,
+  CLOSE_CODE,
+  MAX_MESSAGE_SIZE,
+  WebSocketConnection,
+  accept: WebSocketConnection.accept,
+};
@@ -7,6 +7,13 @@
 const VirtualElevator = require('../elevator/VirtualElevator');
 const VirtualRobot = require('../client/VirtualRobot');
 const AsciiVisualizer = require('../visualization/AsciiVisualizer');
+const VirtualCanBus = require('../transport/VirtualCanBus');
+const VirtualKoneController = require('../elevator/VirtualKoneController');
+const ElevatorAPI = require('../api/ElevatorAPI');
+const CANopenTransport = require('../transport/CANopenTransport');
+const KONETransport = require('../transport/KONETransport');
+const FaultInjectionTransport = require('../transport/FaultInjectionTransport');
+const ElevatorApiConnection = require('../client/ElevatorApiConnection');
 
 class Simulator {
   constructor(config = {}) {
@@ -16,10 +23,19 @@ class Simulator {
       floors: 10,
       simulationSpeed: 1.0, // 1.0 = real-time, 2.0 = 2x speed
       visualize: false, // New option for visualization
+      busSpeed: 250000, // Bitrate of the shared virtual CAN bus
+      protocol: 'canopen', // 'canopen', or 'kone' for KONE-style controllers (see KONETransport)
+      faults: null, // FaultInjectionTransport options; when set, robots talk to the elevators through ElevatorAPI over a flaky link
       ...config
     };
     
+    // All elevators are nodes on one CAN bus (node IDs 1, 2, ...)
+    this.canBus = new VirtualCanBus({ bitrate: this.config.busSpeed });
     this.elevators = [];
+    this.controllers = []; // KONE-style controller of each elevator, with protocol 'kone'
+    this.apis = []; // ElevatorAPI of each elevator used by the robots, with faults
+    this.connections = []; // and the ElevatorApiConnection the robots use
+    this.ready = Promise.resolve([]);
     this.robots = [];
     this.tenants = [];
     this.time = 0;
@@ -49,14 +65,26 @@ class Simulator {
     for (let i = 0; i < this.config.elevatorCount; i++) {
       const elevator = new VirtualElevator({
         id: `elevator-${i+1}`,
+        nodeId: i + 1,
         floors: this.config.floors,
         doorOpenTime: 5000 / this.config.simulationSpeed,
-        floorTravelTime: 2000 / this.config.simulationSpeed
+        floorTravelTime: 2000 / this.config.simulationSpeed,
+        // Over a flaky link, repeat the TPDOs so that a lost one is made up for
+        tpdoEventTimer: this.config.faults ? Math.round(1000 / this.config.simulationSpeed) : 0
       });
       
+      if (this.config.protocol === 'kone') {
+        this.controllers.push(new VirtualKoneController(elevator));
+      } else {
+        this.canBus.attachNode(elevator);
+      }
       this.elevators.push(elevator);
     }
     
+    if (this.config.faults) {
+      this.connectThroughApi();
+    }
+    
     // Create robots
     for (let i = 0; i < this.config.robotCount; i++) {
       const robot = new VirtualRobot({
@@ -68,7 +96,7 @@ class Simulator {
       });
       
       // Connect robot to first elevator
-      robot.connectToElevator(this.elevators[0]);
+      robot.connectToElevator(this.elevatorConnection(0));
       
       // Initialize battery monitoring
       robot.startBatteryMonitoring();
@@ -79,6 +107,38 @@ class Simulator {
     console.log(`Simulation initialized with ${this.config.elevatorCount} elevators and ${this.config.robotCount} robots`);
   }
   
+  // Put a FaultInjectionTransport between the robots and each elevator.
+  // The APIs connect in the background and keep retrying, buffering the
+  // robots' requests meanwhile; `this.ready` resolves with the result of
+  // their first attempt. SDO transfers are retried more often than on a
+  // sound bus, and the elevators send heartbeats so that an API notices a
+  // lost NMT command and repeats it.
+  connectThroughApi() {
+    this.elevators.forEach((elevator, i) => {
+      const transport = this.config.protocol === 'kone' ?
+        new KONETransport({ controller: this.controllers[i], nodeId: elevator.config.nodeId }) :
+        new CANopenTransport({ canBus: this.canBus, nodeId: elevator.config.nodeId, sdoRetries: 3 });
+      
+      const api = new ElevatorAPI(new FaultInjectionTransport(transport, this.config.faults), {
+        reconnect: true,
+        reconnectMaxAttempts: 0,
+        offlineCommands: 'buffer',
+        heartbeatTime: Math.round(1000 / this.config.simulationSpeed)
+      });
+      
+      this.apis.push(api);
+      this.connections.push(new ElevatorApiConnection(api, { id: elevator.config.id, floors: elevator.config.floors }));
+    });
+    
+    this.ready = Promise.all(this.apis.map(api => api.connect()));
+  }
+  
+  // What robots connect to for an elevator: the elevator itself, or its
+  // ElevatorApiConnection when running with faults
+  elevatorConnection(index) {
+    return this.connections[index] || this.elevators[index];
+  }
+  
   start() {
     if (this.running) return;
     
@@ -224,6 +284,8 @@ class Simulator {
       this.intervals.forEach(intervalId => clearInterval(intervalId));
     }
     
+    this.apis.forEach(api => api.disconnect());
+    
     console.log('\n========== SIMULATION ENDED ==========\n');
   }
 }
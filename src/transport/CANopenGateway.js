@@ -0,0 +1,357 @@
+/**
+ * CANopenGateway.js
+ *
+ * CANopen-to-TCP ASCII gateway (see GatewayProtocol): fronts one
+ * CANopenTransport per node so that clients which cannot sit on the CAN bus,
+ * such as dashboards or GatewayTransport, can read and write objects, send
+ * NMT commands and receive the node's PDOs, EMCYs and error control events.
+ *
+ *   const gateway = new CANopenGateway({ transports: [transport], port: 60000 });
+ *   await gateway.start();
+ *
+ *   $ nc localhost 60000
+ *   [1] 1 read 0x6001 0 u8
+ *   [1] 1
+ */
+
+const EventEmitter = require('events');
+const net = require('net');
+const GatewayProtocol = require('./GatewayProtocol');
+const DataType = require('./DataType');
+const NMTProtocol = require('./NMTProtocol');
+const EMCYProtocol = require('./EMCYProtocol');
+const SDOProtocol = require('./SDOProtocol');
+const ElevatorProtocolError = require('../api/ElevatorProtocolError');
+
+const { ERROR, ERROR_CONTROL, GatewayError } = GatewayProtocol;
+
+const VERSION = '1.0';
+
+class CANopenGateway extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      host: '127.0.0.1', // Interface to listen on
+      port: GatewayProtocol.DEFAULT_PORT, // 0 picks a free port (see this.port after start)
+      network: 1, // Network number of the CAN bus behind the gateway
+      transports: [], // CANopenTransports, one per node
+      ...config
+    };
+
+    // Transports by node ID
+    this.transports = new Map(this.config.transports.map(transport => [transport.config.nodeId, transport]));
+    this.server = null;
+    this.port = null;
+    this.clients = new Set();
+    this.transportListeners = new Map(); // Event listeners on each transport, by node ID
+
+    // Requests are executed one at a time, in the order received: a
+    // transport runs one SDO transfer at a time
+    this.queue = Promise.resolve();
+  }
+
+  async start() {
+    if (this.server) return this.port;
+
+    for (const [nodeId, transport] of this.transports) {
+      await transport.connect();
+      this.attachTransportListeners(nodeId, transport);
+    }
+
+    this.server = net.createServer(socket => this.handleConnection(socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    this.port = this.server.address().port;
+    console.log(`CANopen gateway listening on ${this.config.host}:${this.port}`);
+    return this.port;
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    for (const client of this.clients) {
+      client.socket.destroy();
+    }
+    this.clients.clear();
+
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+    this.port = null;
+
+    for (const [nodeId, listeners] of this.transportListeners) {
+      const transport = this.transports.get(nodeId);
+      Object.entries(listeners).forEach(([event, listener]) => transport.removeListener(event, listener));
+    }
+    this.transportListeners.clear();
+  }
+
+  // Forward what the node sends as events to all clients: boot-ups and
+  // error control changes as ERROR events, heartbeat states as STATE, EMCYs,
+  // SYNCs and all other frames (PDOs) as PDO events. Malformed EMCYs are
+  // dropped.
+  attachTransportListeners(nodeId, transport) {
+    if (this.transportListeners.has(nodeId)) return;
+
+    const { network } = this.config;
+    const event = text => this.broadcast(`${network} ${nodeId} ${text}`);
+
+    const listeners = {
+      message: (frame) => {
+        if (frame.id === NMTProtocol.COB_ID.NMT_ERROR_CONTROL + nodeId) {
+          if (frame.data[0] === NMTProtocol.STATE.INITIALISATION) {
+            event(`ERROR ${ERROR_CONTROL.BOOT_UP}`);
+          }
+        } else if (frame.id === EMCYProtocol.COB_ID + nodeId) {
+          let emergency;
+          try {
+            emergency = EMCYProtocol.decode(frame);
+          } catch (error) {
+            console.error('Failed to parse EMCY message:', error.message);
+            return;
+          }
+          const code = `0x${emergency.code.toString(16).padStart(4, '0')}`;
+          const register = `0x${emergency.register.toString(16).padStart(2, '0')}`;
+          event(`EMCY ${code} ${register} ${GatewayProtocol.hexBytes(emergency.manufacturerData)}`.trim());
+        } else {
+          this.broadcast(`${network} PDO 0x${frame.id.toString(16)} ${GatewayProtocol.hexBytes(frame.data)}`.trim());
+        }
+      },
+      nodeState: (state) => {
+        if (state !== 'INITIALISATION') {
+          event(`STATE ${state}`);
+        }
+      },
+      nodeLost: () => {
+        event(`ERROR ${transport.guardTimer ? ERROR_CONTROL.GUARDING_LOST : ERROR_CONTROL.HEARTBEAT_LOST}`);
+      },
+      nodeRestored: (state) => {
+        event(`ERROR ${ERROR_CONTROL.HEARTBEAT_STARTED} ${state}`);
+      },
+      disconnected: () => {
+        event(`ERROR ${ERROR_CONTROL.CONNECTION_LOST}`);
+      },
+      sync: ({ counter }) => {
+        this.broadcast(`${network} SYNC${counter === null ? '' : ` ${counter}`}`);
+      },
+    };
+
+    Object.entries(listeners).forEach(([name, listener]) => transport.on(name, listener));
+    this.transportListeners.set(nodeId, listeners);
+  }
+
+  broadcast(line) {
+    for (const client of this.clients) {
+      client.socket.write(`${line}\n`);
+    }
+  }
+
+  handleConnection(socket) {
+    const [defaultNode] = this.transports.keys();
+    const client = { socket, network: this.config.network, node: defaultNode === undefined ? null : defaultNode, buffer: '' };
+
+    this.clients.add(client);
+    socket.setEncoding('utf8');
+
+    socket.on('data', (chunk) => {
+      client.buffer += chunk;
+
+      let end;
+      while ((end = client.buffer.indexOf('\n')) !== -1) {
+        const line = client.buffer.slice(0, end).replace(/\r$/, '');
+        client.buffer = client.buffer.slice(end + 1);
+
+        if (line.trim() !== '') {
+          this.queue = this.queue.then(() => this.handleLine(client, line));
+        }
+      }
+    });
+    socket.on('error', (error) => {
+      console.error('Gateway client error:', error.message);
+    });
+    socket.on('close', () => {
+      this.clients.delete(client);
+    });
+  }
+
+  async handleLine(client, line) {
+    let sequence = null;
+    let body;
+
+    try {
+      const request = GatewayProtocol.parseRequest(line);
+      sequence = request.sequence;
+      body = await this.execute(client, request);
+    } catch (error) {
+      body = this.errorResponse(error);
+    }
+
+    if (!client.socket.destroyed) {
+      client.socket.write(`${GatewayProtocol.formatResponse(sequence, body)}\n`);
+    }
+  }
+
+  // Response body of a failed request: the abort code of SDO aborts, the
+  // gateway error code otherwise
+  errorResponse(error) {
+    if (error instanceof GatewayError) {
+      return GatewayProtocol.formatError(error.code);
+    }
+    if (error instanceof ElevatorProtocolError) {
+      return GatewayProtocol.formatError(error.abortCode, true);
+    }
+    return GatewayProtocol.formatError(ERROR.INTERNAL_STATE);
+  }
+
+  async execute(client, request) {
+    const { command, args } = request;
+
+    switch (command) {
+      case 'set':
+        return this.executeSet(client, request);
+      case 'info':
+        if (args[0] !== 'version') {
+          throw new GatewayError(ERROR.REQUEST_NOT_SUPPORTED);
+        }
+        return `rise-api CANopen gateway ${VERSION}`;
+      case 'r':
+      case 'read':
+        return this.read(this.transportFor(client, request), args);
+      case 'w':
+      case 'write':
+        await this.write(this.transportFor(client, request), args);
+        return 'OK';
+      case 'start':
+      case 'stop':
+      case 'preop':
+      case 'preoperational':
+      case 'reset': {
+        const name = command === 'reset' ? `reset ${args[0]}` : command === 'preoperational' ? 'preop' : command;
+        if (GatewayProtocol.NMT_COMMAND[name] === undefined) {
+          throw new GatewayError(ERROR.SYNTAX_ERROR, `unknown NMT command ${name}`);
+        }
+        await this.sendNmtCommand(client, request, GatewayProtocol.NMT_COMMAND[name]);
+        return 'OK';
+      }
+      case 'start_heartbeat':
+        this.transportFor(client, request).startHeartbeatConsumer(this.numberArg(args, 0));
+        return 'OK';
+      case 'start_guarding':
+        this.transportFor(client, request).startNodeGuarding(this.numberArg(args, 0), this.numberArg(args, 1));
+        return 'OK';
+      case 'stop_heartbeat':
+      case 'stop_guarding':
+        this.transportFor(client, request).stopErrorControl();
+        return 'OK';
+      default:
+        throw new GatewayError(ERROR.REQUEST_NOT_SUPPORTED, `unknown command ${command}`);
+    }
+  }
+
+  // `set network <n>` and `set node <n>` set the connection's defaults,
+  // `set sdo_timeout <ms>` the SDO timeout of the node's transport
+  executeSet(client, request) {
+    const [name] = request.args;
+    const value = this.numberArg(request.args, 1);
+
+    switch (name) {
+      case 'network':
+        if (value !== this.config.network) {
+          throw new GatewayError(ERROR.UNSUPPORTED_NET);
+        }
+        client.network = value;
+        return 'OK';
+      case 'node':
+        if (!this.transports.has(value)) {
+          throw new GatewayError(ERROR.UNSUPPORTED_NODE);
+        }
+        client.node = value;
+        return 'OK';
+      case 'sdo_timeout':
+        this.transportFor(client, request).config.sdoTimeout = value;
+        return 'OK';
+      default:
+        throw new GatewayError(ERROR.REQUEST_NOT_SUPPORTED, `unknown setting ${name}`);
+    }
+  }
+
+  numberArg(args, position) {
+    const value = GatewayProtocol.parseNumber(args[position]);
+    if (value === null) {
+      throw new GatewayError(ERROR.SYNTAX_ERROR, `expected a number, got ${args[position]}`);
+    }
+    return value;
+  }
+
+  // Transport of the addressed node, defaulting to the connection's network
+  // and node
+  transportFor(client, request) {
+    const network = request.network === null ? client.network : request.network;
+    const node = request.node === null ? client.node : request.node;
+
+    if (network !== this.config.network) {
+      throw new GatewayError(ERROR.UNSUPPORTED_NET);
+    }
+    if (node === null) {
+      throw new GatewayError(ERROR.NO_DEFAULT_NODE);
+    }
+    if (!this.transports.has(node)) {
+      throw new GatewayError(ERROR.UNSUPPORTED_NODE);
+    }
+    return this.transports.get(node);
+  }
+
+  // NMT commands go to the addressed node, or to all nodes with node 0
+  async sendNmtCommand(client, request, command) {
+    if (request.node === NMTProtocol.ALL_NODES) {
+      const [transport] = this.transports.values();
+      if (!transport) {
+        throw new GatewayError(ERROR.UNSUPPORTED_NODE);
+      }
+      await transport.sendNmtCommand(command, NMTProtocol.ALL_NODES);
+      return;
+    }
+
+    await this.transportFor(client, request).sendNmtCommand(command);
+  }
+
+  // read <index> <sub-index> <type>
+  async read(transport, args) {
+    const index = this.numberArg(args, 0);
+    const subIndex = this.numberArg(args, 1);
+    const type = GatewayProtocol.typeOf(args[2]);
+
+    const response = await transport.sendMessage({ index, subIndex, isRead: true });
+    if (!response.success) {
+      throw response.error;
+    }
+
+    try {
+      return GatewayProtocol.formatValue(type, response.raw);
+    } catch (error) {
+      throw new ElevatorProtocolError(SDOProtocol.ABORT_CODE.DATA_LENGTH_MISMATCH, index, subIndex, error.message);
+    }
+  }
+
+  // write <index> <sub-index> <type> <value>
+  async write(transport, args) {
+    const index = this.numberArg(args, 0);
+    const subIndex = this.numberArg(args, 1);
+    const type = GatewayProtocol.typeOf(args[2]);
+    const data = DataType.encode(type, GatewayProtocol.parseValue(type, args[3]));
+
+    const response = await transport.sendMessage({ index, subIndex, isRead: false, data, size: data.length });
+    if (!response.success) {
+      throw response.error;
+    }
+  }
+}
+
+module.exports = CANopenGateway;
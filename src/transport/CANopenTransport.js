@@ -5,6 +5,18 @@
  */
 
 const EventEmitter = require('events');
+const SDOProtocol = require('./SDOProtocol');
+const ElevatorProtocolError = require('../api/ElevatorProtocolError');
+const ElevatorConnectionError = require('../api/ElevatorConnectionError');
+const SocketCANBackend = require('./SocketCANBackend');
+const NMTProtocol = require('./NMTProtocol');
+const SYNCProtocol = require('./SYNCProtocol');
+const CandumpLog = require('./CandumpLog');
+
+// Tail of the SDO transfer queue per bus (or backend) and node ID. Transports
+// on the same bus share it, since a node's default SDO server handles one
+// transfer at a time and every client on the bus sees its responses.
+const sdoQueues = new WeakMap();
 
 class CANopenTransport extends EventEmitter {
   constructor(config = {}) {
@@ -14,20 +26,49 @@ class CANopenTransport extends EventEmitter {
       nodeId: 1, // CANopen node ID
       busSpeed: 250000, // CAN bus speed in bits/second
       simulationMode: true,
+      canBus: null, // VirtualCanBus to attach to; without one, simulation mode talks to virtualElevator directly
+      canInterface: 'can0', // SocketCAN interface used when not in simulation mode
+      configureBitrate: false, // Apply busSpeed to the interface on connect (needs CAP_NET_ADMIN)
+      sdoTimeout: 1000, // Time to wait for each SDO response in ms, unless the message sets `timeout`
+      sdoRetries: 1, // Times a transfer is repeated after a timeout, unless the message sets `retries`
+      heartbeatConsumerTime: 0, // Report the node lost when no heartbeat arrives for n ms (0 to disable)
+      syncCobId: SYNCProtocol.COB_ID, // COB-ID SYNC (0x1005)
+      syncPeriod: 0, // Communication cycle period (0x1006) in ms; 0 disables the SYNC producer
+      syncWindow: 0, // Synchronous window length (0x1007) in ms: synchronous PDOs arrive within this time after SYNC
+      syncCounterOverflow: 0, // Synchronous counter overflow value (0x1019); 0 sends SYNC without a counter
+      capture: null, // Log file path or CandumpLog.CandumpWriter recording every frame sent and received
       ...config
     };
     
     this.connected = false;
     this.virtualElevator = config.virtualElevator || null;
+    this.canBus = this.config.canBus;
+    this.backend = config.backend || null; // CAN backend for real mode, SocketCAN by default
+    
+    // SDO requests waiting for their response by request ID; transfers are
+    // serialized, so there is at most one
     this.pendingRequests = new Map();
     this.requestId = 0;
+    this.capture = typeof this.config.capture === 'string' ?
+      new CandumpLog.CandumpWriter({ file: this.config.capture }) : this.config.capture;
+    
+    // Error control (heartbeat consumer or node guarding master)
+    this.livenessTimeout = 0;
+    this.livenessTimer = null;
+    this.guardTimer = null;
+    this.guardToggle = null; // Toggle bit of the last guarding response
+    this.nodeLost = false;
+    
+    // SYNC producer
+    this.syncTimer = null;
+    this.syncCounter = 0;
   }
   
   // Connect to CAN bus
   async connect() {
     if (this.connected) return true;
     
-    if (this.config.simulationMode) {
+    if (this.isDirectSimulation()) {
       // In simulation mode, we don't actually connect to hardware
       this.connected = true;
       
@@ -36,34 +77,84 @@ class CANopenTransport extends EventEmitter {
         this.setupVirtualElevatorEvents();
       }
       
+      this.startConfiguredHeartbeatConsumer();
+      this.startConfiguredSync();
       return true;
     } else {
-      // In real mode, we would connect to actual CAN hardware
-      try {
-        // Implementation would depend on the CAN hardware/driver being used
-        // For example, using socketcan on Linux:
-        // await this.canInterface.open('can0');
-        
-        this.connected = true;
-        return true;
-      } catch (error) {
-        console.error('Failed to connect to CAN bus:', error);
-        return false;
+      // In real mode, open the CAN interface (or a port on the virtual
+      // bus). Errors (missing interface, interface down) are thrown to the
+      // caller.
+      if (!this.backend) {
+        this.backend = this.canBus ? this.canBus.createPort() : new SocketCANBackend({
+          interface: this.config.canInterface,
+          bitrate: this.config.busSpeed,
+          configureBitrate: this.config.configureBitrate
+        });
+      }
+      
+      if (!this.backendAttached) {
+        this.backend.on('frame', (frame) => this.handleFrame(frame));
+        this.backend.on('down', (error) => this.handleBusDown(error));
+        this.backendAttached = true;
+      }
+      
+      // Only receive frames from our node: any COB-ID whose low 7 bits match the node ID
+      this.backend.setFilters([{ id: this.config.nodeId, mask: 0x7F }]);
+      await this.backend.start();
+      
+      this.connected = true;
+      this.startConfiguredHeartbeatConsumer();
+      this.startConfiguredSync();
+      return true;
+    }
+  }
+  
+  // Handle a frame received from the node. SDO responses complete the
+  // pending request they answer, anything else (PDOs, boot-up, heartbeats)
+  // is emitted as a 'message' event.
+  handleFrame(frame) {
+    this.record(frame, CandumpLog.DIRECTION.RECEIVE);
+    this.emit('frame', frame);
+    
+    if (frame.id === this.calculateCanId(true)) {
+      const request = Array.from(this.pendingRequests.values()).find(pending => this.answersRequest(frame, pending));
+      if (request) {
+        request.resolve(frame);
       }
+      return;
+    }
+    
+    if (frame.id === NMTProtocol.COB_ID.NMT_ERROR_CONTROL + this.config.nodeId && !frame.rtr) {
+      this.handleErrorControl(frame);
     }
+    
+    this.emit('message', frame);
+  }
+  
+  // The CAN interface went down or the controller went bus-off
+  handleBusDown(error) {
+    console.error('CAN bus connection lost:', error.message);
+    this.connected = false;
+    this.stopErrorControl();
+    this.stopSync();
+    this.rejectPendingRequests(error);
+    
+    this.emit('disconnected', error);
   }
   
   // Disconnect from CAN bus
   async disconnect() {
     if (!this.connected) return true;
     
-    if (this.config.simulationMode) {
+    this.stopErrorControl();
+    this.stopSync();
+    
+    if (this.isDirectSimulation()) {
       this.connected = false;
       return true;
     } else {
       try {
-        // Implementation would depend on the CAN hardware/driver being used
-        // await this.canInterface.close();
+        await this.backend.stop();
         
         this.connected = false;
         return true;
@@ -74,96 +165,501 @@ class CANopenTransport extends EventEmitter {
     }
   }
   
-  // Set up event forwarding from virtual elevator
+  // Simulation without a virtual bus: frames go straight to the virtual
+  // elevator's methods
+  isDirectSimulation() {
+    return this.config.simulationMode && !this.canBus;
+  }
+  
+  // Add a frame to the capture log, if recording
+  record(frame, direction) {
+    if (this.capture) {
+      this.capture.write(frame, direction, this.config.canInterface);
+    }
+  }
+  
+  // Send a frame that needs no response
+  sendFrame(frame) {
+    this.record(frame, CandumpLog.DIRECTION.TRANSMIT);
+    
+    if (this.isDirectSimulation()) {
+      this.virtualElevator.receiveFrame(frame);
+    } else {
+      this.backend.send(frame);
+    }
+  }
+  
+  // Set up event forwarding from virtual elevator: frames it transmits
+  // (PDOs) are delivered as 'message' events like frames from the bus
   setupVirtualElevatorEvents() {
-    // Forward floor changes
-    this.virtualElevator.addEventListener('floorChanged', (floor) => {
-      this.emit('message', {
-        index: 0x6001,
-        data: floor
-      });
-    });
+    if (this.virtualElevatorListener) return;
     
-    // Forward door state changes
-    this.virtualElevator.addEventListener('doorStateChanged', (doorState) => {
-      let statusValue = this.virtualElevator.readObject(0x6000);
-      this.emit('message', {
-        index: 0x6000,
-        data: statusValue
-      });
-    });
+    this.virtualElevatorListener = (frame) => {
+      if (this.connected) {
+        this.handleFrame(frame);
+      }
+    };
+    this.virtualElevator.addEventListener('frame', this.virtualElevatorListener);
+  }
+  
+  // Error control. Either a heartbeat consumer or node guarding watches the
+  // node: when nothing is heard from it within the timeout, pending SDO
+  // transfers are rejected and 'nodeLost' is emitted; the next heartbeat,
+  // guarding response or boot-up emits 'nodeRestored'. Every state report is
+  // emitted as 'nodeState' with the NMT state name.
+  
+  startConfiguredHeartbeatConsumer() {
+    if (this.config.heartbeatConsumerTime > 0) {
+      this.startHeartbeatConsumer(this.config.heartbeatConsumerTime);
+    }
+  }
+  
+  // Expect a heartbeat from the node at least every `timeout` ms
+  startHeartbeatConsumer(timeout) {
+    this.stopErrorControl();
+    this.livenessTimeout = timeout;
+    this.resetLivenessTimer();
+  }
+  
+  // Poll the node every `guardTime` ms; it is lost after guardTime *
+  // lifeTimeFactor ms without a response
+  startNodeGuarding(guardTime, lifeTimeFactor) {
+    this.stopErrorControl();
+    this.livenessTimeout = guardTime * lifeTimeFactor;
+    this.guardTimer = setInterval(() => this.sendGuardRequest(), guardTime);
+    this.sendGuardRequest();
+    this.resetLivenessTimer();
+  }
+  
+  stopErrorControl() {
+    clearTimeout(this.livenessTimer);
+    clearInterval(this.guardTimer);
+    this.livenessTimer = null;
+    this.guardTimer = null;
+    this.guardToggle = null;
+    this.livenessTimeout = 0;
+    this.nodeLost = false;
+  }
+  
+  sendGuardRequest() {
+    if (!this.connected) return;
     
-    // Forward direction changes
-    this.virtualElevator.addEventListener('directionChanged', (direction) => {
-      let statusValue = this.virtualElevator.readObject(0x6000);
-      this.emit('message', {
-        index: 0x6000,
-        data: statusValue
-      });
-    });
+    const frame = NMTProtocol.encodeGuardRequest(this.config.nodeId);
     
-    // Forward emergency state changes
-    this.virtualElevator.addEventListener('emergencyStateChanged', (emergency) => {
-      this.emit('message', {
-        index: 0x1002,
-        data: emergency ? 0x1 : 0x0
-      });
-    });
+    try {
+      this.sendFrame(frame);
+    } catch (error) {
+      console.error('Failed to send node guarding request:', error.message);
+    }
+  }
+  
+  resetLivenessTimer() {
+    clearTimeout(this.livenessTimer);
+    this.livenessTimer = setTimeout(() => this.handleNodeLost(), this.livenessTimeout);
+  }
+  
+  // Boot-up, heartbeat or node guarding response from our node
+  handleErrorControl(frame) {
+    let report;
+    try {
+      report = NMTProtocol.decodeState(frame);
+    } catch (error) {
+      return;
+    }
+    
+    if (this.guardTimer) {
+      // A boot-up restarts the toggle sequence; a repeated toggle bit is a
+      // stale response
+      if (report.state === NMTProtocol.STATE.INITIALISATION) {
+        this.guardToggle = null;
+      } else if (report.toggle === this.guardToggle) {
+        return;
+      } else {
+        this.guardToggle = report.toggle;
+      }
+    }
+    
+    const state = NMTProtocol.stateName(report.state);
+    
+    if (this.livenessTimeout > 0) {
+      this.resetLivenessTimer();
+      
+      if (this.nodeLost) {
+        this.nodeLost = false;
+        this.emit('nodeRestored', state);
+      }
+    }
+    
+    this.emit('nodeState', state);
+  }
+  
+  handleNodeLost() {
+    this.livenessTimer = null;
+    this.nodeLost = true;
+    
+    const error = new ElevatorConnectionError(`Nothing heard from node ${this.config.nodeId} for ${this.livenessTimeout}ms`, this.config.nodeId);
+    console.error('Elevator node lost:', error.message);
+    
+    this.rejectPendingRequests(error);
+    
+    this.emit('nodeLost', error);
+  }
+  
+  // SYNC producer. Each SYNC is emitted as a 'sync' event with { counter,
+  // timestamp } just before it is sent, so listeners can collect the
+  // synchronous PDOs that follow it.
+  
+  startConfiguredSync() {
+    if (this.config.syncPeriod > 0) {
+      this.startSync(this.config.syncPeriod);
+    }
+  }
+  
+  // Send SYNC every `period` ms
+  startSync(period) {
+    this.stopSync();
+    this.config.syncPeriod = period;
+    this.syncCounter = 0;
+    this.syncTimer = setInterval(() => this.sendSync(), period);
+  }
+  
+  stopSync() {
+    clearInterval(this.syncTimer);
+    this.syncTimer = null;
+  }
+  
+  sendSync() {
+    if (!this.connected) return;
+    
+    let counter = null;
+    if (this.config.syncCounterOverflow >= 2) {
+      this.syncCounter = this.syncCounter % this.config.syncCounterOverflow + 1;
+      counter = this.syncCounter;
+    }
+    
+    const frame = SYNCProtocol.encode(counter, this.config.syncCobId);
+    this.emit('sync', { counter, timestamp: Date.now() });
+    
+    try {
+      this.sendFrame(frame);
+    } catch (error) {
+      console.error('Failed to send SYNC:', error.message);
+    }
+  }
+  
+  // Send an NMT command (NMTProtocol.COMMAND) to our node, or to all nodes
+  // with nodeId 0
+  async sendNmtCommand(command, nodeId = this.config.nodeId) {
+    if (!this.connected) {
+      throw new Error('Not connected to CAN bus');
+    }
+    
+    const frame = NMTProtocol.encodeCommand(command, nodeId);
+    
+    this.sendFrame(frame);
+    
+    return { success: true };
+  }
+  
+  // Send a PDO (e.g. an RPDO to the elevator)
+  async sendPdo(cobId, data) {
+    if (!this.connected) {
+      throw new Error('Not connected to CAN bus');
+    }
+    
+    const frame = { id: cobId, data };
+    
+    this.sendFrame(frame);
+    
+    return { success: true };
   }
   
   // Send a CANopen message
+  // message: { index, subIndex, isRead, data, size, timeout, retries } where
+  // `data` is an unsigned integer of `size` bytes (1, 2 or 4), or a
+  // string/Buffer which is sent with a segmented transfer when longer than 4
+  // bytes, and `timeout` (ms per response) and `retries` override
+  // sdoTimeout and sdoRetries. Transfers to the node run one at a time, in
+  // the order sent.
   async sendMessage(message) {
     if (!this.connected) {
       throw new Error('Not connected to CAN bus');
     }
     
-    if (this.config.simulationMode && this.virtualElevator) {
-      return this.handleSimulatedMessage(message);
-    } else {
-      // In real mode, we would send an actual CAN frame
-      // Implementation would depend on the CAN hardware/driver being used
-      
-      // For example:
-      // const canId = this.calculateCanId(message.index, message.isRead);
-      // const data = Buffer.from([message.data]);
-      // await this.canInterface.send({ id: canId, data });
-      
-      // For now, just return a dummy response
-      return { success: true, data: 0 };
+    if (this.isDirectSimulation() && !this.virtualElevator) {
+      throw new Error('No virtual elevator to send to in simulation mode');
+    }
+    
+    return this.enqueueTransfer(() => this.performTransfer(message));
+  }
+  
+  // Run a transfer once the ones queued before it for the node are done
+  enqueueTransfer(transfer) {
+    const key = this.canBus || this.backend || this.virtualElevator;
+    if (!sdoQueues.has(key)) {
+      sdoQueues.set(key, new Map());
     }
+    const queue = sdoQueues.get(key);
+    const { nodeId } = this.config;
+    
+    const result = (queue.get(nodeId) || Promise.resolve()).then(transfer);
+    const tail = result.catch(() => {});
+    queue.set(nodeId, tail);
+    tail.then(() => {
+      if (queue.get(nodeId) === tail) queue.delete(nodeId);
+    });
+    
+    return result;
   }
   
-  // Handle a message in simulation mode
-  handleSimulatedMessage(message) {
-    if (message.isRead) {
-      // Read from virtual elevator's object dictionary
+  // Run the SDO transfer for a message, repeating it when the node does not
+  // answer in time. Failures resolve to { success: false, error }, where
+  // `error` is an ElevatorProtocolError when the transfer was aborted or
+  // timed out.
+  async performTransfer(message) {
+    const subIndex = message.subIndex || 0;
+    const timeout = message.timeout || this.config.sdoTimeout;
+    const retries = message.retries !== undefined ? message.retries : this.config.sdoRetries;
+    
+    for (let attempt = 1; ; attempt++) {
       try {
-        const value = this.virtualElevator.readObject(message.index);
-        return { success: true, data: value };
+        if (message.isRead) {
+          return await this.upload(message.index, subIndex, timeout);
+        }
+        return await this.download(message.index, subIndex, message.data, message.size || 1, timeout);
       } catch (error) {
-        console.error('Error reading object:', error);
+        const timedOut = error.abortCode === SDOProtocol.ABORT_CODE.TIMEOUT;
+        
+        if (timedOut && attempt <= retries && this.connected && !this.nodeLost) {
+          continue;
+        }
+        
+        if (timedOut && attempt > 1) {
+          return {
+            success: false,
+            error: new ElevatorProtocolError(SDOProtocol.ABORT_CODE.TIMEOUT, message.index, subIndex, `no response within ${timeout}ms, ${attempt} attempts`)
+          };
+        }
         return { success: false, error };
       }
-    } else {
-      // Write to virtual elevator's object dictionary
+    }
+  }
+  
+  // Whether an SDO response answers a pending request: initiate responses
+  // and aborts must name the requested object, segment responses must
+  // follow a segment request. Anything else is a late response to an
+  // earlier request that timed out, and is ignored.
+  answersRequest(frame, request) {
+    let decoded;
+    try {
+      decoded = SDOProtocol.decode(frame.data, true);
+    } catch (error) {
+      return true; // Malformed: fail the transfer rather than let it time out
+    }
+    
+    if (decoded.type === 'uploadSegment' || decoded.type === 'downloadSegment') {
+      return request.segment;
+    }
+    return decoded.index === request.index && decoded.subIndex === request.subIndex;
+  }
+  
+  rejectPendingRequests(error) {
+    Array.from(this.pendingRequests.values()).forEach(request => request.reject(error));
+  }
+  
+  // Exchange one SDO frame with the server and return its response frame.
+  // Abort frames are sent without waiting for a response.
+  async transferFrame(data, index, subIndex, timeout = this.config.sdoTimeout) {
+    const frame = { id: this.calculateCanId(false), data };
+    
+    if (this.isDirectSimulation()) {
+      this.record(frame, CandumpLog.DIRECTION.TRANSMIT);
+      const response = this.virtualElevator.receiveFrame(frame);
+      if (response) {
+        this.record(response, CandumpLog.DIRECTION.RECEIVE);
+      }
+      
+      // A node that does not answer (e.g. stopped) would time out on a real bus
+      if (!response && data[0] !== SDOProtocol.ABORT) {
+        throw new ElevatorProtocolError(SDOProtocol.ABORT_CODE.TIMEOUT, index, subIndex, 'no response from virtual elevator');
+      }
+      return response;
+    }
+    
+    if (data[0] === SDOProtocol.ABORT) {
+      this.record(frame, CandumpLog.DIRECTION.TRANSMIT);
+      this.backend.send(frame);
+      return null;
+    }
+    
+    const specifier = data[0] >> 5;
+    const response = await new Promise((resolve, reject) => {
+      const requestId = ++this.requestId;
+      const request = {
+        index,
+        subIndex,
+        segment: specifier === SDOProtocol.CCS.UPLOAD_SEGMENT || specifier === SDOProtocol.CCS.DOWNLOAD_SEGMENT,
+        resolve: (response) => {
+          clearTimeout(timer);
+          this.pendingRequests.delete(requestId);
+          resolve(response);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          this.pendingRequests.delete(requestId);
+          reject(error);
+        }
+      };
+      
+      const timer = setTimeout(() => {
+        request.reject(new ElevatorProtocolError(SDOProtocol.ABORT_CODE.TIMEOUT, index, subIndex, `no response within ${timeout}ms`));
+      }, timeout);
+      this.pendingRequests.set(requestId, request);
+      
       try {
-        this.virtualElevator.writeObject(message.index, message.data);
-        return { success: true };
+        this.record(frame, CandumpLog.DIRECTION.TRANSMIT);
+        this.backend.send(frame);
       } catch (error) {
-        console.error('Error writing object:', error);
-        return { success: false, error };
+        request.reject(error);
+      }
+    }).catch(async (error) => {
+      if (error.abortCode === SDOProtocol.ABORT_CODE.TIMEOUT && this.connected) {
+        await this.abortTransfer(index, subIndex, SDOProtocol.ABORT_CODE.TIMEOUT);
       }
+      throw error;
+    });
+    
+    return response;
+  }
+  
+  // Tell the server to abort the transfer in progress
+  async abortTransfer(index, subIndex, abortCode) {
+    await this.transferFrame(SDOProtocol.encodeAbort(index, subIndex, abortCode), index, subIndex);
+  }
+  
+  // SDO upload (read), expedited or segmented depending on the server's answer.
+  // Resolves to { success, data, raw } where `data` is an integer for
+  // expedited transfers and a Buffer for segmented ones, and `raw` is always
+  // the Buffer of received bytes.
+  async upload(index, subIndex, timeout = this.config.sdoTimeout) {
+    const response = await this.transferFrame(SDOProtocol.encodeUploadRequest(index, subIndex), index, subIndex, timeout);
+    const initiate = this.parseSdoResponse(response, 'upload', index, subIndex);
+    
+    if (!initiate.segmented) {
+      return { success: true, data: initiate.data, raw: initiate.raw };
+    }
+    
+    const chunks = [];
+    let toggle = false;
+    
+    for (;;) {
+      const segmentResponse = await this.transferFrame(SDOProtocol.encodeUploadSegmentRequest(toggle), index, subIndex, timeout);
+      const segment = await this.parseSdoSegment(segmentResponse, 'uploadSegment', toggle, index, subIndex);
+      chunks.push(segment.data);
+      
+      if (segment.last) break;
+      toggle = !toggle;
+    }
+    
+    const raw = Buffer.concat(chunks);
+    if (initiate.size !== null && raw.length !== initiate.size) {
+      throw new ElevatorProtocolError(SDOProtocol.ABORT_CODE.DATA_LENGTH_MISMATCH, index, subIndex, `received ${raw.length} bytes, expected ${initiate.size}`);
+    }
+    
+    return { success: true, data: raw, raw };
+  }
+  
+  // SDO download (write). Integers and data of up to 4 bytes are sent
+  // expedited, anything longer with a segmented transfer.
+  async download(index, subIndex, value, size, timeout = this.config.sdoTimeout) {
+    if (typeof value === 'string') {
+      value = Buffer.from(value, 'latin1');
+    }
+    
+    if (!Buffer.isBuffer(value) || (value.length > 0 && value.length <= 4)) {
+      const response = await this.transferFrame(SDOProtocol.encodeDownloadRequest(index, subIndex, value, size), index, subIndex, timeout);
+      this.parseSdoResponse(response, 'download', index, subIndex);
+      return { success: true };
     }
+    
+    const response = await this.transferFrame(SDOProtocol.encodeSegmentedDownloadRequest(index, subIndex, value.length), index, subIndex, timeout);
+    this.parseSdoResponse(response, 'download', index, subIndex);
+    
+    let offset = 0;
+    let toggle = false;
+    
+    do {
+      const chunk = value.subarray(offset, offset + SDOProtocol.SEGMENT_SIZE);
+      offset += chunk.length;
+      
+      const segmentResponse = await this.transferFrame(SDOProtocol.encodeDownloadSegment(toggle, chunk, offset >= value.length), index, subIndex, timeout);
+      await this.parseSdoSegment(segmentResponse, 'downloadSegment', toggle, index, subIndex);
+      toggle = !toggle;
+    } while (offset < value.length);
+    
+    return { success: true };
+  }
+  
+  // Decode an SDO response frame, throwing if it is an abort or does not
+  // match the request
+  decodeSdoResponse(response) {
+    if (!response) {
+      throw new Error('No SDO response received');
+    }
+    
+    if (response.id !== this.calculateCanId(true)) {
+      throw new Error(`Unexpected SDO response COB-ID 0x${response.id.toString(16)}`);
+    }
+    
+    const decoded = SDOProtocol.decode(response.data, true);
+    
+    if (decoded.type === 'abort') {
+      throw new ElevatorProtocolError(decoded.abortCode, decoded.index, decoded.subIndex);
+    }
+    
+    return decoded;
+  }
+  
+  // Check an initiate response against the request
+  parseSdoResponse(response, expectedType, index, subIndex) {
+    const decoded = this.decodeSdoResponse(response);
+    
+    if (decoded.type !== expectedType) {
+      throw new Error(`Expected SDO ${expectedType} response, got ${decoded.type}`);
+    }
+    
+    if (decoded.index !== index || decoded.subIndex !== subIndex) {
+      throw new Error(`SDO response for ${decoded.index.toString(16)}:${decoded.subIndex} does not match request`);
+    }
+    
+    return decoded;
+  }
+  
+  // Check a segment response, aborting the transfer on protocol errors
+  async parseSdoSegment(response, expectedType, toggle, index, subIndex) {
+    const decoded = this.decodeSdoResponse(response);
+    
+    if (decoded.type !== expectedType) {
+      await this.abortTransfer(index, subIndex, SDOProtocol.ABORT_CODE.COMMAND_SPECIFIER_INVALID);
+      throw new ElevatorProtocolError(SDOProtocol.ABORT_CODE.COMMAND_SPECIFIER_INVALID, index, subIndex, `expected ${expectedType} response, got ${decoded.type}`);
+    }
+    
+    if (decoded.toggle !== toggle) {
+      await this.abortTransfer(index, subIndex, SDOProtocol.ABORT_CODE.TOGGLE_BIT_NOT_ALTERNATED);
+      throw new ElevatorProtocolError(SDOProtocol.ABORT_CODE.TOGGLE_BIT_NOT_ALTERNATED, index, subIndex);
+    }
+    
+    return decoded;
   }
   
-  // Calculate CANopen CAN ID
-  calculateCanId(index, isRead) {
-    if (isRead) {
-      // SDO read request
-      return 0x600 + this.config.nodeId;
+  // Calculate CANopen CAN ID (COB-ID) of an SDO frame
+  calculateCanId(isResponse) {
+    if (isResponse) {
+      // SDO response (server → client)
+      return SDOProtocol.COB_ID.SDO_TX + this.config.nodeId;
     } else {
-      // SDO write request
-      return 0x580 + this.config.nodeId;
+      // SDO request (client → server)
+      return SDOProtocol.COB_ID.SDO_RX + this.config.nodeId;
     }
   }
 }
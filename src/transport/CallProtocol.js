@@ -0,0 +1,86 @@
+/**
+ * CallProtocol.js
+ *
+ * Hall call and car call objects of the lift profile (modeled on CiA 417):
+ * per-floor call registration arrays, call lamps and the call event object
+ * that reports registered, answered and cancelled calls in a PDO
+ */
+
+// Call objects. The registration arrays and the lamp array have one
+// sub-index per floor (sub-index 1 is floor 1); sub-index 0 holds the
+// number of floors.
+const OBJECT = {
+  HALL_CALL_UP: 0x6100, // UNSIGNED8 per floor: write 1 to register, 0 to cancel
+  HALL_CALL_DOWN: 0x6101,
+  CAR_CALL: 0x6102,
+  CALL_LAMPS: 0x6110, // UNSIGNED8 per floor, LAMP bits of the registered calls
+  CALL_EVENT: 0x6111, // UNSIGNED32, last call event (see encodeEvent)
+};
+
+const CALL_TYPE = {
+  HALL_UP: 1,
+  HALL_DOWN: 2,
+  CAR: 3,
+};
+
+const CALL_EVENT = {
+  REGISTERED: 1,
+  ANSWERED: 2,
+  CANCELLED: 3,
+};
+
+// Call lamp bits
+const LAMP = {
+  HALL_UP: 0x01,
+  HALL_DOWN: 0x02,
+  CAR: 0x04,
+};
+
+// Registration object of each call type
+const CALL_OBJECT = {
+  HALL_UP: OBJECT.HALL_CALL_UP,
+  HALL_DOWN: OBJECT.HALL_CALL_DOWN,
+  CAR: OBJECT.CAR_CALL,
+};
+
+// Call type ('HALL_UP', 'HALL_DOWN' or 'CAR') of a registration object, or null
+function typeOfObject(index) {
+  return Object.keys(CALL_OBJECT).find(type => CALL_OBJECT[type] === index) || null;
+}
+
+// Call event value: [Floor (8 bits)][Call type (8 bits)][Event (8 bits)][Sequence (8 bits)].
+// The sequence counter tells a new event from the last one sent again, as
+// the PDO carrying the object is on entering operational or on SYNC.
+function encodeEvent(floor, type, event, sequence = 0) {
+  return (floor | (CALL_TYPE[type] << 8) | (CALL_EVENT[event] << 16) | (sequence << 24)) >>> 0;
+}
+
+// Sequence counter for the event after the given call event value: 1 to 255,
+// wrapping around (0 is left for the object's initial value)
+function nextSequence(value) {
+  return ((value >>> 24) % 255) + 1;
+}
+
+// { floor, type, event, sequence } with the type and event as names, e.g.
+// { floor: 3, type: 'HALL_UP', event: 'ANSWERED', sequence: 12 }
+function decodeEvent(value) {
+  const type = Object.keys(CALL_TYPE).find(name => CALL_TYPE[name] === ((value >>> 8) & 0xFF));
+  const event = Object.keys(CALL_EVENT).find(name => CALL_EVENT[name] === ((value >>> 16) & 0xFF));
+
+  if (!type || !event) {
+    throw new Error(`Invalid call event 0x${value.toString(16)}`);
+  }
+  return { floor: value & 0xFF, type, event, sequence: value >>> 24 };
+}
+
+module.exports = {
+  OBJECT,
+  CALL_TYPE,
+  CALL_EVENT,
+  LAMP,
+  CALL_OBJECT,
+  typeOfObject,
+  encodeEvent,
+  nextSequence,
+  decodeEvent,
+};
@@ -0,0 +1,128 @@
+/**
+ * CandumpLog.js
+ *
+ * CAN frame logs in the format of `candump -l` (can-utils), one frame per
+ * line:
+ *
+ *   (1700000000.123456) can0 601#4001600000000000 T
+ *   (1700000000.124012) can0 581#4F01600003000000 R
+ *   (1700000000.500000) can0 701#R
+ *
+ * The timestamp is in seconds with microseconds, then the interface, the
+ * COB-ID (3 hex digits, 8 for extended IDs) and the data bytes, or R for a
+ * remote frame. The trailing T or R marks frames transmitted or received by
+ * the recording transport; canplayer and log2asc ignore it, and it is
+ * optional when parsing.
+ */
+
+const fs = require('fs');
+
+const DIRECTION = {
+  TRANSMIT: 'T',
+  RECEIVE: 'R',
+};
+
+const LINE_PATTERN = /^\((\d+)\.(\d{6})\)\s+(\S+)\s+([0-9A-Fa-f]{3}|[0-9A-Fa-f]{8})#(R\d?|(?:[0-9A-Fa-f]{2})*)(?:\s+([TR]))?\s*$/;
+
+// Current time in ms with sub-millisecond precision
+function now() {
+  return performance.timeOrigin + performance.now();
+}
+
+// Log line of a frame; `timestamp` in ms
+function formatLine(frame, timestamp = now(), canInterface = 'can0', direction = null) {
+  const micros = Math.round(timestamp * 1000);
+  const seconds = Math.floor(micros / 1e6);
+  const fraction = String(micros % 1e6).padStart(6, '0');
+
+  const extended = frame.extended || frame.id > 0x7FF;
+  const id = frame.id.toString(16).toUpperCase().padStart(extended ? 8 : 3, '0');
+  const payload = frame.rtr ? 'R' : Buffer.from(frame.data || []).toString('hex').toUpperCase();
+
+  return `(${seconds}.${fraction}) ${canInterface} ${id}#${payload}${direction ? ` ${direction}` : ''}`;
+}
+
+// { timestamp, interface, frame, direction } of a log line, timestamp in ms
+// and direction null when not recorded. Returns null for blank lines and
+// comments (#); throws on anything else that is not a frame.
+function parseLine(line) {
+  const trimmed = line.trim();
+  if (trimmed === '' || trimmed.startsWith('#')) return null;
+
+  const match = LINE_PATTERN.exec(trimmed);
+  if (!match) {
+    throw new Error(`Invalid candump log line: ${trimmed}`);
+  }
+
+  const [, seconds, micros, canInterface, id, payload, direction] = match;
+  const rtr = payload.startsWith('R');
+  const frame = {
+    id: parseInt(id, 16),
+    data: rtr ? Buffer.alloc(0) : Buffer.from(payload, 'hex'),
+  };
+  if (rtr) frame.rtr = true;
+  if (id.length === 8) frame.extended = true;
+
+  return {
+    timestamp: Number(seconds) * 1000 + Number(micros) / 1000,
+    interface: canInterface,
+    frame,
+    direction: direction || null,
+  };
+}
+
+// Entries of a whole log
+function parse(text) {
+  return text.split(/\r?\n/).map(parseLine).filter(entry => entry !== null);
+}
+
+function readFile(file) {
+  return parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Records frames to a file, a writable stream, or in memory (lines) when
+// given neither
+class CandumpWriter {
+  constructor(config = {}) {
+    this.config = {
+      file: null, // Appended to
+      stream: null,
+      interface: null, // Interface name logged; defaults to the one given to write()
+      ...config
+    };
+
+    this.stream = this.config.stream ||
+      (this.config.file ? fs.createWriteStream(this.config.file, { flags: 'a' }) : null);
+    this.lines = [];
+  }
+
+  write(frame, direction = null, canInterface = 'can0', timestamp = now()) {
+    const line = formatLine(frame, timestamp, this.config.interface || canInterface, direction);
+
+    if (this.stream) {
+      this.stream.write(`${line}\n`);
+    } else {
+      this.lines.push(line);
+    }
+  }
+
+  toString() {
+    return this.lines.map(line => `${line}\n`).join('');
+  }
+
+  // Flush and close the file opened by the writer
+  async close() {
+    if (!this.stream || this.config.stream) return;
+
+    await new Promise(resolve => this.stream.end(resolve));
+  }
+}
+
+module.exports = {
+  DIRECTION,
+  formatLine,
+  parseLine,
+  parse,
+  readFile,
+  CandumpWriter,
+};
@@ -0,0 +1,130 @@
+/**
+ * DataType.js
+ *
+ * CANopen basic data types (CiA 301): type indices, sizes, value ranges and
+ * conversion between object values and their little-endian encoding
+ */
+
+// Data type indices, as used in the object dictionary and EDS files
+const DATA_TYPE = {
+  BOOLEAN: 0x0001,
+  INTEGER8: 0x0002,
+  INTEGER16: 0x0003,
+  INTEGER32: 0x0004,
+  UNSIGNED8: 0x0005,
+  UNSIGNED16: 0x0006,
+  UNSIGNED32: 0x0007,
+  REAL32: 0x0008,
+  VISIBLE_STRING: 0x0009,
+  OCTET_STRING: 0x000A,
+  UNICODE_STRING: 0x000B,
+  DOMAIN: 0x000F,
+};
+
+const NAME = Object.fromEntries(Object.entries(DATA_TYPE).map(([name, type]) => [type, name]));
+
+// Size in bytes of the fixed-length types
+const SIZE = {
+  [DATA_TYPE.BOOLEAN]: 1,
+  [DATA_TYPE.INTEGER8]: 1,
+  [DATA_TYPE.INTEGER16]: 2,
+  [DATA_TYPE.INTEGER32]: 4,
+  [DATA_TYPE.UNSIGNED8]: 1,
+  [DATA_TYPE.UNSIGNED16]: 2,
+  [DATA_TYPE.UNSIGNED32]: 4,
+  [DATA_TYPE.REAL32]: 4,
+};
+
+// Value range of the integer types
+const RANGE = {
+  [DATA_TYPE.INTEGER8]: { min: -0x80, max: 0x7F },
+  [DATA_TYPE.INTEGER16]: { min: -0x8000, max: 0x7FFF },
+  [DATA_TYPE.INTEGER32]: { min: -0x80000000, max: 0x7FFFFFFF },
+  [DATA_TYPE.UNSIGNED8]: { min: 0, max: 0xFF },
+  [DATA_TYPE.UNSIGNED16]: { min: 0, max: 0xFFFF },
+  [DATA_TYPE.UNSIGNED32]: { min: 0, max: 0xFFFFFFFF },
+};
+
+function isInteger(type) {
+  return RANGE[type] !== undefined;
+}
+
+function isSigned(type) {
+  return type === DATA_TYPE.INTEGER8 || type === DATA_TYPE.INTEGER16 || type === DATA_TYPE.INTEGER32;
+}
+
+function isString(type) {
+  return type === DATA_TYPE.VISIBLE_STRING || type === DATA_TYPE.UNICODE_STRING;
+}
+
+// Whether a JS value can be held by an object of the type: numbers for the
+// numeric types, true/false for BOOLEAN, strings and Buffers for the
+// variable-length types
+function isValid(type, value) {
+  if (isInteger(type)) {
+    return Number.isInteger(value) && value >= RANGE[type].min && value <= RANGE[type].max;
+  }
+
+  switch (type) {
+    case DATA_TYPE.BOOLEAN: return typeof value === 'boolean';
+    case DATA_TYPE.REAL32: return typeof value === 'number';
+    case DATA_TYPE.VISIBLE_STRING:
+    case DATA_TYPE.UNICODE_STRING: return typeof value === 'string';
+    case DATA_TYPE.OCTET_STRING:
+    case DATA_TYPE.DOMAIN: return Buffer.isBuffer(value);
+    default: return false;
+  }
+}
+
+function encode(type, value) {
+  if (isString(type)) {
+    return Buffer.from(value, type === DATA_TYPE.UNICODE_STRING ? 'utf16le' : 'latin1');
+  }
+  if (!SIZE[type]) {
+    return Buffer.from(value);
+  }
+
+  const buffer = Buffer.alloc(SIZE[type]);
+  if (type === DATA_TYPE.BOOLEAN) {
+    buffer[0] = value ? 1 : 0;
+  } else if (type === DATA_TYPE.REAL32) {
+    buffer.writeFloatLE(value);
+  } else if (isSigned(type)) {
+    buffer.writeIntLE(value, 0, buffer.length);
+  } else {
+    buffer.writeUIntLE(value, 0, buffer.length);
+  }
+  return buffer;
+}
+
+// Value of received data; fixed-length types must have exactly their size
+function decode(type, buffer) {
+  if (isString(type)) {
+    return buffer.toString(type === DATA_TYPE.UNICODE_STRING ? 'utf16le' : 'latin1');
+  }
+  if (!SIZE[type]) {
+    return Buffer.from(buffer);
+  }
+
+  if (buffer.length !== SIZE[type]) {
+    throw new Error(`${NAME[type]} takes ${SIZE[type]} bytes, got ${buffer.length}`);
+  }
+
+  if (type === DATA_TYPE.BOOLEAN) return buffer[0] !== 0;
+  if (type === DATA_TYPE.REAL32) return buffer.readFloatLE();
+  if (isSigned(type)) return buffer.readIntLE(0, buffer.length);
+  return buffer.readUIntLE(0, buffer.length);
+}
+
+module.exports = {
+  DATA_TYPE,
+  NAME,
+  SIZE,
+  RANGE,
+  isInteger,
+  isSigned,
+  isString,
+  isValid,
+  encode,
+  decode,
+};
@@ -0,0 +1,146 @@
+/**
+ * EMCYProtocol.js
+ *
+ * CANopen emergency (EMCY) messages, error codes and the error register
+ * (CiA 301, with lift-specific codes for CiA 417 devices)
+ */
+
+// EMCY COB-ID base (node ID is added)
+const COB_ID = 0x080;
+
+// Error register 0x1001 bits
+const ERROR_REGISTER = {
+  GENERIC: 0x01,
+  CURRENT: 0x02,
+  VOLTAGE: 0x04,
+  TEMPERATURE: 0x08,
+  COMMUNICATION: 0x10,
+  DEVICE_PROFILE: 0x20,
+  MANUFACTURER: 0x80,
+};
+
+// Emergency error codes. The high byte gives the error class; lift-specific
+// codes use the device-specific range 0xFFxx.
+const ERROR_CODE = {
+  NO_ERROR: 0x0000, // Error reset: sent when an error is cleared
+  GENERIC: 0x1000,
+  CURRENT: 0x2000,
+  VOLTAGE: 0x3000,
+  MAINS_VOLTAGE: 0x3100,
+  TEMPERATURE: 0x4000,
+  DEVICE_HARDWARE: 0x5000,
+  DEVICE_SOFTWARE: 0x6000,
+  ADDITIONAL_MODULES: 0x7000,
+  MONITORING: 0x8000,
+  COMMUNICATION: 0x8100,
+  CAN_OVERRUN: 0x8110,
+  CAN_ERROR_PASSIVE: 0x8120,
+  LIFE_GUARD_HEARTBEAT: 0x8130,
+  RECOVERED_BUS_OFF: 0x8140,
+  PROTOCOL_ERROR: 0x8200,
+  PDO_LENGTH: 0x8210,
+  EXTERNAL_ERROR: 0x9000,
+  ADDITIONAL_FUNCTIONS: 0xF000,
+  DEVICE_SPECIFIC: 0xFF00,
+  EMERGENCY_STOP: 0xFF01,
+  DOOR_FAULT: 0xFF02,
+  DRIVE_FAULT: 0xFF03,
+  SAFETY_CIRCUIT_OPEN: 0xFF04,
+  CAR_OVERLOAD: 0xFF05,
+};
+
+const ERROR_DESCRIPTION = {
+  [ERROR_CODE.NO_ERROR]: 'Error reset or no error',
+  [ERROR_CODE.GENERIC]: 'Generic error',
+  [ERROR_CODE.CURRENT]: 'Current',
+  [ERROR_CODE.VOLTAGE]: 'Voltage',
+  [ERROR_CODE.MAINS_VOLTAGE]: 'Mains voltage',
+  [ERROR_CODE.TEMPERATURE]: 'Temperature',
+  [ERROR_CODE.DEVICE_HARDWARE]: 'Device hardware',
+  [ERROR_CODE.DEVICE_SOFTWARE]: 'Device software',
+  [ERROR_CODE.ADDITIONAL_MODULES]: 'Additional modules',
+  [ERROR_CODE.MONITORING]: 'Monitoring',
+  [ERROR_CODE.COMMUNICATION]: 'Communication',
+  [ERROR_CODE.CAN_OVERRUN]: 'CAN overrun (objects lost)',
+  [ERROR_CODE.CAN_ERROR_PASSIVE]: 'CAN in error passive mode',
+  [ERROR_CODE.LIFE_GUARD_HEARTBEAT]: 'Life guard error or heartbeat error',
+  [ERROR_CODE.RECOVERED_BUS_OFF]: 'Recovered from bus off',
+  [ERROR_CODE.PROTOCOL_ERROR]: 'Protocol error',
+  [ERROR_CODE.PDO_LENGTH]: 'PDO not processed due to length error',
+  [ERROR_CODE.EXTERNAL_ERROR]: 'External error',
+  [ERROR_CODE.ADDITIONAL_FUNCTIONS]: 'Additional functions',
+  [ERROR_CODE.DEVICE_SPECIFIC]: 'Device specific',
+  [ERROR_CODE.EMERGENCY_STOP]: 'Emergency stop',
+  [ERROR_CODE.DOOR_FAULT]: 'Door fault',
+  [ERROR_CODE.DRIVE_FAULT]: 'Drive fault',
+  [ERROR_CODE.SAFETY_CIRCUIT_OPEN]: 'Safety circuit open',
+  [ERROR_CODE.CAR_OVERLOAD]: 'Car overload',
+};
+
+// Manufacturer-specific error field: 5 bytes after the code and register
+const MANUFACTURER_DATA_SIZE = 5;
+
+// Description of an error code, falling back to its error class
+function describe(code) {
+  return ERROR_DESCRIPTION[code] ||
+    ERROR_DESCRIPTION[code & 0xFF00] ||
+    ERROR_DESCRIPTION[code & 0xF000] ||
+    'Unknown error';
+}
+
+// Error register bit for an error code (the generic bit is always set while
+// any error is active). Device-specific lift codes count as device profile
+// errors.
+function registerBit(code) {
+  if ((code & 0xFF00) === ERROR_CODE.COMMUNICATION || (code & 0xFF00) === ERROR_CODE.PROTOCOL_ERROR) {
+    return ERROR_REGISTER.COMMUNICATION;
+  }
+
+  switch (code & 0xF000) {
+    case ERROR_CODE.CURRENT: return ERROR_REGISTER.CURRENT;
+    case ERROR_CODE.VOLTAGE: return ERROR_REGISTER.VOLTAGE;
+    case ERROR_CODE.TEMPERATURE: return ERROR_REGISTER.TEMPERATURE;
+    case ERROR_CODE.ADDITIONAL_FUNCTIONS: return ERROR_REGISTER.DEVICE_PROFILE;
+    default: return 0;
+  }
+}
+
+// EMCY frame: [Error code (2 bytes)][Error register][Manufacturer-specific (5 bytes)]
+function encode(nodeId, code, register, manufacturerData = Buffer.alloc(0)) {
+  if (manufacturerData.length > MANUFACTURER_DATA_SIZE) {
+    throw new Error(`Manufacturer-specific error data is limited to ${MANUFACTURER_DATA_SIZE} bytes`);
+  }
+
+  const data = Buffer.alloc(8);
+  data.writeUInt16LE(code, 0);
+  data[2] = register;
+  manufacturerData.copy(data, 3);
+
+  return { id: COB_ID + nodeId, data };
+}
+
+function decode(frame) {
+  if ((frame.id & ~0x7F) !== COB_ID || frame.data.length < 3) {
+    throw new Error('Not an EMCY frame');
+  }
+
+  const code = frame.data.readUInt16LE(0);
+  return {
+    code,
+    register: frame.data[2],
+    manufacturerData: frame.data.subarray(3),
+    description: describe(code),
+  };
+}
+
+module.exports = {
+  COB_ID,
+  ERROR_REGISTER,
+  ERROR_CODE,
+  ERROR_DESCRIPTION,
+  MANUFACTURER_DATA_SIZE,
+  describe,
+  registerBit,
+  encode,
+  decode,
+};
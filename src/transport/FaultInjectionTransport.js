@@ -0,0 +1,421 @@
+/**
+ * FaultInjectionTransport.js
+ *
+ * Decorator around any transport (CANopenTransport, KONETransport,
+ * GatewayTransport, ...) that makes the link flaky, to see how ElevatorAPI
+ * and the clients on top of it cope:
+ *
+ *   const transport = new FaultInjectionTransport(new CANopenTransport({ canBus, nodeId: 1 }), {
+ *     drop: 0.2, // 20 % of requests and events lost
+ *     schedule: [{ at: 10000, duration: 5000, drop: 1 }], // a 5 s blackout 10 s after connecting
+ *     seed: 42,
+ *   });
+ *   const api = new ElevatorAPI(transport);
+ *
+ * Every request sent (sendMessage, sendPdo, sendNmtCommand) and every event
+ * in `events` received from the wrapped transport is, with its own
+ * probability for each fault:
+ *
+ *   drop       lost; a lost SDO request times out after the request's
+ *              timeout and is retried like the transport retries it
+ *   delay      held back by delayMin..delayMax ms
+ *   duplicate  sent or emitted twice
+ *   reorder    held back until the next one in the same direction passed,
+ *              or for at most reorderWindow ms
+ *   corrupt    one bit of the value (written, read or reported) flipped
+ *
+ * The probabilities can be changed per time window with `schedule`, in ms
+ * since connect(). Each injected fault is counted in `stats` and emitted as
+ * a 'fault' event. With a `seed`, the same traffic meets the same faults on
+ * every run.
+ */
+
+const EventEmitter = require('events');
+const SDOProtocol = require('./SDOProtocol');
+const ElevatorProtocolError = require('../api/ElevatorProtocolError');
+
+const FAULTS = ['drop', 'delay', 'duplicate', 'reorder', 'corrupt'];
+
+const DIRECTION = {
+  OUTBOUND: 'outbound',
+  INBOUND: 'inbound',
+};
+
+// Events of the decorator itself, not forwarded from the wrapped transport
+const OWN_EVENTS = ['fault', 'newListener', 'removeListener'];
+
+// Deterministic random numbers in [0, 1) for a 32-bit seed (mulberry32)
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class FaultInjectionTransport extends EventEmitter {
+  constructor(transport, options = {}) {
+    super();
+
+    this.transport = transport;
+    this.options = {
+      drop: 0, // Probability of each fault, 0 to 1
+      delay: 0,
+      duplicate: 0,
+      reorder: 0,
+      corrupt: 0,
+      delayMin: 10, // Range of injected delays in ms
+      delayMax: 500,
+      reorderWindow: 200, // Longest time a reordered request or event is held back in ms
+      outbound: true, // Inject faults into requests sent
+      inbound: true, // and into events received
+      events: ['message', 'object', 'nodeState', 'sync', 'bootUp'], // Events that travel the link; others pass unchanged
+      schedule: [], // { at, duration, ...probabilities } windows overriding the probabilities, in ms since connect()
+      seed: null, // Seed for reproducible faults; Math.random when null
+      ...options
+    };
+
+    this.random = this.options.seed === null ? Math.random : seededRandom(this.options.seed);
+    this.startTime = null;
+
+    // Injected faults by kind
+    this.stats = Object.fromEntries(FAULTS.map(fault => [fault, 0]));
+
+    // Request or event held back for reordering, per direction
+    this.held = { [DIRECTION.OUTBOUND]: null, [DIRECTION.INBOUND]: null };
+
+    // Delayed events not emitted yet
+    this.timers = new Set();
+
+    // Forward events of the wrapped transport once someone listens to them
+    this.forwarders = new Map();
+    this.on('newListener', event => this.forward(event));
+  }
+
+  // ElevatorAPI reads the node ID, timeouts and SYNC settings from here
+  get config() {
+    return this.transport.config;
+  }
+
+  get connected() {
+    return this.transport.connected;
+  }
+
+  async connect() {
+    const result = await this.transport.connect();
+    if (this.startTime === null) {
+      this.startTime = Date.now();
+    }
+    return result;
+  }
+
+  async disconnect() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    Object.values(DIRECTION).forEach(direction => this.releaseHeld(direction));
+
+    return this.transport.disconnect();
+  }
+
+  startHeartbeatConsumer(timeout) {
+    return this.transport.startHeartbeatConsumer(timeout);
+  }
+
+  startNodeGuarding(guardTime, lifeTimeFactor) {
+    return this.transport.startNodeGuarding(guardTime, lifeTimeFactor);
+  }
+
+  stopErrorControl() {
+    return this.transport.stopErrorControl();
+  }
+
+  forward(event) {
+    if (OWN_EVENTS.includes(event) || this.forwarders.has(event)) return;
+
+    const forwarder = (...args) => this.handleEvent(event, args);
+    this.forwarders.set(event, forwarder);
+    this.transport.on(event, forwarder);
+  }
+
+  // Probabilities in effect now: the base ones, overridden by the schedule
+  // windows that are open (later windows win)
+  probabilities() {
+    const probabilities = {};
+    FAULTS.forEach(fault => { probabilities[fault] = this.options[fault]; });
+
+    const elapsed = this.startTime === null ? 0 : Date.now() - this.startTime;
+    this.options.schedule.forEach(({ at = 0, duration = Infinity, ...window }) => {
+      if (elapsed < at || elapsed >= at + duration) return;
+      FAULTS.forEach(fault => {
+        if (window[fault] !== undefined) probabilities[fault] = window[fault];
+      });
+    });
+
+    return probabilities;
+  }
+
+  // Faults to apply to one request or event, as { drop, delay, ... }
+  // booleans. A dropped one meets no other fault.
+  roll(direction) {
+    const faults = Object.fromEntries(FAULTS.map(fault => [fault, false]));
+    if (!this.options[direction]) return faults;
+
+    const probabilities = this.probabilities();
+    FAULTS.forEach(fault => {
+      faults[fault] = probabilities[fault] > 0 && this.random() < probabilities[fault];
+    });
+
+    if (faults.drop) {
+      FAULTS.forEach(fault => { faults[fault] = fault === 'drop'; });
+    }
+    return faults;
+  }
+
+  report(fault, direction, subject) {
+    this.stats[fault]++;
+    this.emit('fault', { fault, direction, ...subject });
+  }
+
+  delayTime() {
+    const { delayMin, delayMax } = this.options;
+    return delayMin + this.random() * (delayMax - delayMin);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Run `deliver` now and let a request or event held back in the same
+  // direction through after it
+  pass(direction, deliver) {
+    deliver();
+    this.releaseHeld(direction);
+  }
+
+  // Hold `deliver` back until the next one passes in the same direction.
+  // Only one is held at a time; others pass in order.
+  hold(direction, deliver) {
+    if (this.held[direction]) {
+      this.pass(direction, deliver);
+      return;
+    }
+
+    const timer = setTimeout(() => this.releaseHeld(direction), this.options.reorderWindow);
+    this.held[direction] = { deliver, timer };
+  }
+
+  releaseHeld(direction) {
+    const held = this.held[direction];
+    if (!held) return;
+
+    this.held[direction] = null;
+    clearTimeout(held.timer);
+    held.deliver();
+  }
+
+  // Flip a random bit of a Buffer (copied), or of the low `bits` bits of
+  // an integer. Other values are returned as they are.
+  flipBit(value, bits = 8) {
+    if (Buffer.isBuffer(value)) {
+      if (value.length === 0) return value;
+      const copy = Buffer.from(value);
+      const bit = Math.floor(this.random() * copy.length * 8);
+      copy[bit >> 3] ^= 1 << (bit & 7);
+      return copy;
+    }
+    if (typeof value === 'string') {
+      return this.flipBit(Buffer.from(value)).toString('latin1');
+    }
+    if (Number.isInteger(value)) {
+      const bit = Math.floor(this.random() * bits);
+      return (value ^ (2 ** bit)) >>> 0;
+    }
+    return value;
+  }
+
+  // Send an SDO request through the flaky link. A dropped request costs
+  // the request's timeout, and is repeated as often as the transport
+  // repeats a request that went unanswered, each attempt meeting faults
+  // anew.
+  async sendMessage(message) {
+    if (!this.connected) {
+      return this.transport.sendMessage(message);
+    }
+
+    const subIndex = message.subIndex || 0;
+    const timeout = message.timeout || this.config.sdoTimeout || this.config.requestTimeout || 1000;
+    const retries = message.retries !== undefined ? message.retries : (this.config.sdoRetries || 0);
+    const subject = { request: { index: message.index, subIndex, isRead: !!message.isRead } };
+
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      const faults = this.roll(DIRECTION.OUTBOUND);
+      if (!faults.drop) {
+        return this.transferMessage(message, faults, subject);
+      }
+
+      this.report('drop', DIRECTION.OUTBOUND, subject);
+      await this.sleep(timeout);
+    }
+
+    return {
+      success: false,
+      error: new ElevatorProtocolError(SDOProtocol.ABORT_CODE.TIMEOUT, message.index, subIndex, `no response within ${timeout}ms, ${retries + 1} attempts`)
+    };
+  }
+
+  async transferMessage(message, faults, subject) {
+    const direction = DIRECTION.OUTBOUND;
+
+    if (faults.delay) {
+      this.report('delay', direction, subject);
+      await this.sleep(this.delayTime());
+    }
+
+    let sent = message;
+    if (faults.corrupt && !message.isRead) {
+      this.report('corrupt', direction, subject);
+      sent = { ...message, data: this.flipBit(message.data, (message.size || 1) * 8) };
+    }
+
+    const result = this.sendInTurn(faults, subject, () => this.transport.sendMessage(sent));
+    if (faults.duplicate) {
+      this.report('duplicate', direction, subject);
+      Promise.resolve(result).then(() => this.transport.sendMessage(sent)).catch(() => {});
+    }
+
+    const response = await result;
+    if (faults.corrupt && message.isRead && response && response.success) {
+      this.report('corrupt', direction, subject);
+      return { ...response, data: this.flipBit(response.data) };
+    }
+    return response;
+  }
+
+  // Call `send` now, or hold the request back to be reordered. hold() and
+  // pass() make the call, so that a request passing a held one reaches the
+  // wrapped transport first. Settles like `send`.
+  sendInTurn(faults, subject, send) {
+    const direction = DIRECTION.OUTBOUND;
+
+    return new Promise((resolve, reject) => {
+      const deliver = () => Promise.resolve().then(send).then(resolve, reject);
+      if (faults.reorder) {
+        this.report('reorder', direction, subject);
+        this.hold(direction, deliver);
+      } else {
+        this.pass(direction, deliver);
+      }
+    });
+  }
+
+  // PDOs and NMT commands are not confirmed, so a dropped one is simply
+  // never seen by the node
+  async sendPdo(cobId, data) {
+    return this.sendUnconfirmed({ pdo: cobId }, corrupt => this.transport.sendPdo(cobId, corrupt ? this.flipBit(data) : data));
+  }
+
+  async sendNmtCommand(command, ...args) {
+    return this.sendUnconfirmed({ nmtCommand: command }, () => this.transport.sendNmtCommand(command, ...args));
+  }
+
+  async sendUnconfirmed(subject, send) {
+    const direction = DIRECTION.OUTBOUND;
+    if (!this.connected) return send(false);
+
+    const faults = this.roll(direction);
+    if (faults.drop) {
+      this.report('drop', direction, subject);
+      return { success: true };
+    }
+
+    if (faults.delay) {
+      this.report('delay', direction, subject);
+      await this.sleep(this.delayTime());
+    }
+    if (faults.corrupt && subject.pdo !== undefined) {
+      this.report('corrupt', direction, subject);
+    }
+
+    const result = await this.sendInTurn(faults, subject, () => send(faults.corrupt));
+    if (faults.duplicate) {
+      this.report('duplicate', direction, subject);
+      await send(faults.corrupt);
+    }
+    return result;
+  }
+
+  // Event from the wrapped transport: emitted as it is, or through the
+  // flaky link when it is one of `events`
+  handleEvent(event, args) {
+    const direction = DIRECTION.INBOUND;
+    if (!this.options.events.includes(event)) {
+      this.emit(event, ...args);
+      return;
+    }
+
+    const subject = { event };
+    const faults = this.roll(direction);
+    if (faults.drop) {
+      this.report('drop', direction, subject);
+      return;
+    }
+
+    let delivered = args;
+    if (faults.corrupt) {
+      const corrupted = this.corruptEvent(event, args);
+      if (corrupted !== args) {
+        this.report('corrupt', direction, subject);
+        delivered = corrupted;
+      }
+    }
+
+    const deliver = () => {
+      this.emit(event, ...delivered);
+      if (faults.duplicate) {
+        this.report('duplicate', direction, subject);
+        this.emit(event, ...delivered);
+      }
+    };
+    const release = () => {
+      if (faults.reorder) {
+        this.report('reorder', direction, subject);
+        this.hold(direction, deliver);
+      } else {
+        this.pass(direction, deliver);
+      }
+    };
+
+    if (faults.delay) {
+      this.report('delay', direction, subject);
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        release();
+      }, this.delayTime());
+      this.timers.add(timer);
+    } else {
+      release();
+    }
+  }
+
+  // Frames ('message') get a bit of their data flipped, objects ('object')
+  // a bit of their value; other events cannot be corrupted
+  corruptEvent(event, args) {
+    const [payload, ...rest] = args;
+
+    if (event === 'message' && payload && Buffer.isBuffer(payload.data) && payload.data.length > 0) {
+      return [{ ...payload, data: this.flipBit(payload.data) }, ...rest];
+    }
+    if (event === 'object' && payload && Number.isInteger(payload.data)) {
+      return [{ ...payload, data: this.flipBit(payload.data) }, ...rest];
+    }
+    return args;
+  }
+}
+
+FaultInjectionTransport.FAULTS = FAULTS;
+FaultInjectionTransport.DIRECTION = DIRECTION;
+
+module.exports = FaultInjectionTransport;
@@ -0,0 +1,307 @@
+/**
+ * GatewayProtocol.js
+ *
+ * CANopen ASCII gateway protocol (modeled on CiA 309-3): one command per
+ * line, addressed to a network and node, answered with one line carrying
+ * the same sequence number
+ *
+ *   [1] 1 1 read 0x6001 0 u8        ->  [1] 3
+ *   [2] 1 write 0x6002 0 u8 5       ->  [2] OK
+ *   [3] 1 read 0x1234 0 u8          ->  [3] ERROR: 0x06020000
+ *   [4] 1 start                     ->  [4] OK
+ *
+ * Events are sent without a sequence number:
+ *
+ *   1 1 ERROR 205                   Boot-up of node 1 on network 1
+ *   1 1 EMCY 0x8130 0x11 00 00 00 00 00
+ *   1 PDO 0x181 10 00 00 00         Any other frame (gateway extension)
+ */
+
+const DataType = require('./DataType');
+
+const { DATA_TYPE } = DataType;
+
+const DEFAULT_PORT = 60000;
+
+// Data type names used in read and write commands
+const TYPE = {
+  b: DATA_TYPE.BOOLEAN,
+  i8: DATA_TYPE.INTEGER8,
+  i16: DATA_TYPE.INTEGER16,
+  i32: DATA_TYPE.INTEGER32,
+  u8: DATA_TYPE.UNSIGNED8,
+  u16: DATA_TYPE.UNSIGNED16,
+  u32: DATA_TYPE.UNSIGNED32,
+  r32: DATA_TYPE.REAL32,
+  vs: DATA_TYPE.VISIBLE_STRING, // Quoted, with "" for a quote
+  us: DATA_TYPE.UNICODE_STRING,
+  os: DATA_TYPE.OCTET_STRING, // Base64
+  d: DATA_TYPE.DOMAIN, // Base64
+};
+
+// Gateway error codes, answered as `ERROR: <code>`. SDO aborts are answered
+// with their abort code in hex instead.
+const ERROR = {
+  REQUEST_NOT_SUPPORTED: 100,
+  SYNTAX_ERROR: 101,
+  INTERNAL_STATE: 102, // Request not processed due to internal state
+  TIMEOUT: 103,
+  NO_DEFAULT_NET: 104,
+  NO_DEFAULT_NODE: 105,
+  UNSUPPORTED_NET: 106,
+  UNSUPPORTED_NODE: 107,
+};
+
+// Error control event codes (`<net> <node> ERROR <code>`)
+const ERROR_CONTROL = {
+  GUARDING_LOST: 200, // Lost guarding message
+  CONNECTION_LOST: 201,
+  HEARTBEAT_STARTED: 202, // Heartbeat (re)started, followed by the NMT state
+  HEARTBEAT_LOST: 203,
+  WRONG_NMT_STATE: 204,
+  BOOT_UP: 205,
+};
+
+// NMT commands and the CiA 301 command specifiers they send
+const NMT_COMMAND = {
+  start: 0x01,
+  stop: 0x02,
+  preop: 0x80,
+  'reset node': 0x81,
+  'reset comm': 0x82,
+};
+
+// Error of a request, answered as `ERROR: <code>`
+class GatewayError extends Error {
+  constructor(code, message = null) {
+    super(message || `gateway error ${code}`);
+    this.code = code;
+  }
+}
+
+// Split a line into tokens. Quoted tokens may contain spaces, with "" for a
+// quote character; they are returned as { quoted: string }.
+function tokenize(line) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < line.length) {
+    if (line[i] === ' ' || line[i] === '\t') {
+      i++;
+    } else if (line[i] === '"') {
+      let text = '';
+      i++;
+      for (;;) {
+        if (i >= line.length) {
+          throw new GatewayError(ERROR.SYNTAX_ERROR, 'unterminated string');
+        }
+        if (line[i] === '"') {
+          if (line[i + 1] !== '"') break;
+          i++;
+        }
+        text += line[i++];
+      }
+      i++;
+      tokens.push({ quoted: text });
+    } else {
+      const start = i;
+      while (i < line.length && line[i] !== ' ' && line[i] !== '\t') i++;
+      tokens.push(line.slice(start, i));
+    }
+  }
+
+  return tokens;
+}
+
+// Parse an unsigned number, decimal or 0x hex; null when it is not one
+function parseNumber(token) {
+  if (typeof token !== 'string' || !/^(0x[0-9a-f]+|[0-9]+)$/i.test(token)) {
+    return null;
+  }
+  return Number(token);
+}
+
+function isNumber(token) {
+  return parseNumber(token) !== null;
+}
+
+// Parse a command line into { sequence, network, node, command, args }.
+// Network and node are null when omitted (the connection's defaults apply);
+// a single number before the command is the node.
+function parseRequest(line) {
+  const tokens = tokenize(line.trim());
+  let sequence = null;
+
+  const match = typeof tokens[0] === 'string' && tokens[0].match(/^\[(\d+)\]$/);
+  if (match) {
+    sequence = Number(match[1]);
+    tokens.shift();
+  }
+
+  const numbers = [];
+  while (numbers.length < 2 && tokens.length > 0 && isNumber(tokens[0])) {
+    numbers.push(parseNumber(tokens.shift()));
+  }
+
+  if (tokens.length === 0 || typeof tokens[0] !== 'string') {
+    throw new GatewayError(ERROR.SYNTAX_ERROR, 'missing command');
+  }
+
+  return {
+    sequence,
+    network: numbers.length === 2 ? numbers[0] : null,
+    node: numbers.length > 0 ? numbers[numbers.length - 1] : null,
+    command: tokens[0].toLowerCase(),
+    args: tokens.slice(1),
+  };
+}
+
+function typeOf(name) {
+  const type = TYPE[typeof name === 'string' ? name.toLowerCase() : name];
+  if (type === undefined) {
+    throw new GatewayError(ERROR.SYNTAX_ERROR, `unknown data type ${name}`);
+  }
+  return type;
+}
+
+// Value of a write command token for a data type
+function parseValue(type, token) {
+  const text = typeof token === 'object' ? token.quoted : token;
+  if (text === undefined) {
+    throw new GatewayError(ERROR.SYNTAX_ERROR, 'missing value');
+  }
+
+  let value;
+  if (DataType.isString(type)) {
+    value = text;
+  } else if (type === DATA_TYPE.OCTET_STRING || type === DATA_TYPE.DOMAIN) {
+    value = Buffer.from(text, 'base64');
+  } else if (type === DATA_TYPE.BOOLEAN) {
+    value = text === '1' || text.toLowerCase() === 'true' ? true :
+      text === '0' || text.toLowerCase() === 'false' ? false : null;
+  } else if (type === DATA_TYPE.REAL32) {
+    value = text.trim() === '' ? NaN : Number(text);
+  } else if (/^-?(0x[0-9a-f]+|[0-9]+)$/i.test(text)) {
+    value = text.startsWith('-') ? -Number(text.slice(1)) : Number(text);
+  } else {
+    value = null;
+  }
+
+  if (!DataType.isValid(type, value) || (type === DATA_TYPE.REAL32 && Number.isNaN(value))) {
+    throw new GatewayError(ERROR.SYNTAX_ERROR, `invalid ${DataType.NAME[type]} value ${text}`);
+  }
+  return value;
+}
+
+// Text of a value read from the node, given its raw bytes
+function formatValue(type, raw) {
+  if (type === DATA_TYPE.OCTET_STRING || type === DATA_TYPE.DOMAIN) {
+    return raw.toString('base64');
+  }
+
+  const value = DataType.decode(type, raw);
+  if (DataType.isString(type)) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  if (type === DATA_TYPE.BOOLEAN) {
+    return value ? '1' : '0';
+  }
+  return String(value);
+}
+
+// Write command for a value: unsigned integers of `size` bytes, strings as
+// visible strings and Buffers as domains
+function formatWrite(index, subIndex, value, size = 1) {
+  const object = `0x${index.toString(16).padStart(4, '0')} ${subIndex}`;
+
+  if (typeof value === 'string') {
+    return `write ${object} vs "${value.replace(/"/g, '""')}"`;
+  }
+  if (Buffer.isBuffer(value)) {
+    return `write ${object} d ${value.toString('base64')}`;
+  }
+  return `write ${object} u${size * 8} ${value}`;
+}
+
+function formatRequest(sequence, network, node, command) {
+  return `[${sequence}] ${network} ${node} ${command}`;
+}
+
+function formatResponse(sequence, body) {
+  return sequence === null ? body : `[${sequence}] ${body}`;
+}
+
+// `ERROR: <code>`, with SDO abort codes in hex and gateway codes in decimal
+function formatError(code, abort = false) {
+  return `ERROR: ${abort ? `0x${code.toString(16).padStart(8, '0')}` : code}`;
+}
+
+// Parse a response line into { sequence, ok, value, error, abort }, where
+// `value` is the token after the sequence number for successful reads
+function parseResponse(line) {
+  const match = line.match(/^\[(\d+)\]\s*(.*)$/);
+  if (!match) {
+    throw new Error(`Invalid gateway response: ${line}`);
+  }
+
+  const body = match[2].trim();
+  const response = { sequence: Number(match[1]), ok: true, value: null, error: null, abort: false };
+
+  const error = body.match(/^ERROR:\s*(\S+)/);
+  if (error) {
+    response.ok = false;
+    response.abort = /^0x/i.test(error[1]);
+    response.error = Number(error[1]);
+  } else if (body !== 'OK') {
+    response.value = body;
+  }
+
+  return response;
+}
+
+function hexBytes(data) {
+  return Array.from(data, byte => byte.toString(16).padStart(2, '0')).join(' ');
+}
+
+// Parse an event line into { network, node, type, args }; `node` is null
+// for network events (PDO, SYNC)
+function parseEvent(line) {
+  const tokens = line.trim().split(/\s+/);
+  const network = parseNumber(tokens[0]);
+
+  if (network === null || tokens.length < 2) {
+    throw new Error(`Invalid gateway event: ${line}`);
+  }
+
+  if (isNumber(tokens[1])) {
+    return { network, node: parseNumber(tokens[1]), type: tokens[2], args: tokens.slice(3) };
+  }
+  return { network, node: null, type: tokens[1], args: tokens.slice(2) };
+}
+
+function parseBytes(tokens) {
+  return Buffer.from(tokens.map(token => parseInt(token, 16)));
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  TYPE,
+  ERROR,
+  ERROR_CONTROL,
+  NMT_COMMAND,
+  GatewayError,
+  tokenize,
+  parseNumber,
+  parseRequest,
+  typeOf,
+  parseValue,
+  formatValue,
+  formatWrite,
+  formatRequest,
+  formatResponse,
+  formatError,
+  parseResponse,
+  hexBytes,
+  parseEvent,
+  parseBytes,
+};
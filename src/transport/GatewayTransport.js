@@ -0,0 +1,311 @@
+/**
+ * GatewayTransport.js
+ *
+ * Transport that reaches a node through a CANopen ASCII gateway over TCP
+ * (see CANopenGateway), with the same interface as CANopenTransport so that
+ * ElevatorAPI can run on a machine that is not on the CAN bus:
+ *
+ *   const api = new ElevatorAPI(new GatewayTransport({ host: 'localhost', port: 60000, nodeId: 1 }));
+ *
+ * Object accesses become read and write commands, NMT and error control
+ * requests their gateway commands, and the gateway's events are turned back
+ * into 'message', 'nodeState', 'nodeLost', 'nodeRestored' and 'sync' events.
+ */
+
+const EventEmitter = require('events');
+const net = require('net');
+const GatewayProtocol = require('./GatewayProtocol');
+const NMTProtocol = require('./NMTProtocol');
+const EMCYProtocol = require('./EMCYProtocol');
+const SDOProtocol = require('./SDOProtocol');
+const SYNCProtocol = require('./SYNCProtocol');
+const ElevatorProtocolError = require('../api/ElevatorProtocolError');
+const ElevatorConnectionError = require('../api/ElevatorConnectionError');
+
+const { ERROR, ERROR_CONTROL, GatewayError } = GatewayProtocol;
+
+class GatewayTransport extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      host: '127.0.0.1', // Gateway address
+      port: GatewayProtocol.DEFAULT_PORT,
+      network: 1, // Network number of the node's CAN bus at the gateway
+      nodeId: 1, // CANopen node ID
+      requestTimeout: 3000, // Time to wait for the gateway's response in ms (longer than its SDO timeout)
+      // SYNC settings of the gateway's transport, so ElevatorAPI can tell the
+      // node about them; the gateway forwards each SYNC as a 'sync' event
+      syncCobId: SYNCProtocol.COB_ID,
+      syncPeriod: 0,
+      syncWindow: 0,
+      ...config
+    };
+
+    this.socket = null;
+    this.connected = false;
+    this.buffer = '';
+    this.sequence = 0;
+    this.pendingRequests = new Map();
+  }
+
+  async connect() {
+    if (this.connected) return true;
+
+    const { host, port } = this.config;
+
+    this.socket = await new Promise((resolve, reject) => {
+      const socket = net.connect({ host, port });
+      socket.once('error', reject);
+      socket.once('connect', () => {
+        socket.removeListener('error', reject);
+        resolve(socket);
+      });
+    });
+
+    this.buffer = '';
+    this.socket.setEncoding('utf8');
+    this.socket.on('data', (chunk) => this.handleData(chunk));
+    this.socket.on('error', (error) => console.error('Gateway connection error:', error.message));
+    this.socket.on('close', () => this.handleClose());
+
+    this.connected = true;
+    return true;
+  }
+
+  async disconnect() {
+    if (!this.connected) return true;
+
+    this.connected = false;
+    await new Promise(resolve => this.socket.end(resolve));
+    this.socket.destroy();
+    return true;
+  }
+
+  // The gateway closed the connection or it broke: pending requests fail
+  // and 'disconnected' is emitted, as when a CAN interface goes down
+  handleClose() {
+    const error = new Error('Connection to CANopen gateway closed');
+    const wasConnected = this.connected;
+
+    this.connected = false;
+    this.failPendingRequests(error);
+
+    if (wasConnected) {
+      console.error(`${error.message}: ${this.config.host}:${this.config.port}`);
+      this.emit('disconnected', error);
+    }
+  }
+
+  failPendingRequests(error) {
+    for (const pending of this.pendingRequests.values()) {
+      pending.reject(error);
+    }
+    this.pendingRequests.clear();
+  }
+
+  handleData(chunk) {
+    this.buffer += chunk;
+
+    let end;
+    while ((end = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, end).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(end + 1);
+
+      if (line.startsWith('[')) {
+        this.handleResponse(line);
+      } else if (line.trim() !== '') {
+        this.handleEvent(line);
+      }
+    }
+  }
+
+  handleResponse(line) {
+    let response;
+    try {
+      response = GatewayProtocol.parseResponse(line);
+    } catch (error) {
+      console.error('Failed to parse gateway response:', error.message);
+      return;
+    }
+
+    const pending = this.pendingRequests.get(response.sequence);
+    if (pending) {
+      this.pendingRequests.delete(response.sequence);
+      pending.resolve(response);
+    }
+  }
+
+  // Send a command for our node and resolve with the value of the response.
+  // Aborts and gateway timeouts reject with an ElevatorProtocolError for the
+  // object, other gateway errors with a GatewayError.
+  request(command, index = 0, subIndex = 0, nodeId = this.config.nodeId) {
+    if (!this.connected) {
+      return Promise.reject(new Error('Not connected to CANopen gateway'));
+    }
+
+    const sequence = ++this.sequence;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(sequence);
+        reject(new ElevatorProtocolError(SDOProtocol.ABORT_CODE.TIMEOUT, index, subIndex, `no response from gateway within ${this.config.requestTimeout}ms`));
+      }, this.config.requestTimeout);
+
+      this.pendingRequests.set(sequence, {
+        resolve: (response) => {
+          clearTimeout(timer);
+          if (response.ok) {
+            resolve(response.value);
+          } else if (response.abort) {
+            reject(new ElevatorProtocolError(response.error, index, subIndex));
+          } else if (response.error === ERROR.TIMEOUT) {
+            reject(new ElevatorProtocolError(SDOProtocol.ABORT_CODE.TIMEOUT, index, subIndex, 'gateway timed out'));
+          } else {
+            reject(new GatewayError(response.error, `CANopen gateway error ${response.error} for: ${command}`));
+          }
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      });
+
+      this.socket.write(`${GatewayProtocol.formatRequest(sequence, this.config.network, nodeId, command)}\n`);
+    });
+  }
+
+  // Send a CANopen message, as with CANopenTransport: resolves { success,
+  // data, raw } or { success: false, error }. Values are read as domains, so
+  // `raw` holds the bytes received and `data` is an integer for up to 4 bytes.
+  async sendMessage(message) {
+    if (!this.connected) {
+      throw new Error('Not connected to CANopen gateway');
+    }
+
+    const { index } = message;
+    const subIndex = message.subIndex || 0;
+
+    try {
+      if (message.isRead) {
+        const value = await this.request(`read 0x${index.toString(16).padStart(4, '0')} ${subIndex} d`, index, subIndex);
+        const raw = Buffer.from(value, 'base64');
+        const data = raw.length > 0 && raw.length <= 4 ? raw.readUIntLE(0, raw.length) : raw;
+        return { success: true, data, raw };
+      }
+
+      await this.request(GatewayProtocol.formatWrite(index, subIndex, message.data, message.size || 1), index, subIndex);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error };
+    }
+  }
+
+  // Send an NMT command (NMTProtocol.COMMAND) to our node, or to all nodes
+  // with nodeId 0
+  async sendNmtCommand(command, nodeId = this.config.nodeId) {
+    const name = Object.keys(GatewayProtocol.NMT_COMMAND).find(key => GatewayProtocol.NMT_COMMAND[key] === command);
+    if (!name) {
+      throw new Error(`Unsupported NMT command 0x${command.toString(16)}`);
+    }
+
+    await this.request(name, 0, 0, nodeId);
+    return { success: true };
+  }
+
+  // Error control runs at the gateway; its events are reported back (see
+  // handleEvent)
+
+  startHeartbeatConsumer(timeout) {
+    this.sendErrorControlCommand(`start_heartbeat ${timeout}`);
+  }
+
+  startNodeGuarding(guardTime, lifeTimeFactor) {
+    this.sendErrorControlCommand(`start_guarding ${guardTime} ${lifeTimeFactor}`);
+  }
+
+  stopErrorControl() {
+    this.sendErrorControlCommand('stop_heartbeat');
+  }
+
+  sendErrorControlCommand(command) {
+    this.request(command).catch(error => {
+      console.error(`Failed to send "${command}" to CANopen gateway:`, error.message);
+    });
+  }
+
+  // Gateway events for our node (and PDOs of our node) become the events
+  // CANopenTransport emits for the frames behind them
+  handleEvent(line) {
+    let event;
+    try {
+      event = GatewayProtocol.parseEvent(line);
+    } catch (error) {
+      console.error('Failed to parse gateway event:', error.message);
+      return;
+    }
+
+    const { nodeId } = this.config;
+    if (event.network !== this.config.network) return;
+
+    if (event.node === null) {
+      this.handleNetworkEvent(event);
+      return;
+    }
+    if (event.node !== nodeId) return;
+
+    switch (event.type) {
+      case 'ERROR':
+        this.handleErrorControlEvent(Number(event.args[0]), event.args[1]);
+        break;
+      case 'STATE':
+        this.emit('nodeState', event.args[0]);
+        break;
+      case 'EMCY': {
+        const [code, register, ...manufacturerData] = event.args;
+        this.emit('message', EMCYProtocol.encode(nodeId, parseInt(code, 16), parseInt(register, 16), GatewayProtocol.parseBytes(manufacturerData)));
+        break;
+      }
+    }
+  }
+
+  handleNetworkEvent(event) {
+    switch (event.type) {
+      case 'PDO': {
+        const id = parseInt(event.args[0], 16);
+        // Only frames from our node: any COB-ID whose low 7 bits match the node ID
+        if ((id & 0x7F) === this.config.nodeId) {
+          this.emit('message', { id, data: GatewayProtocol.parseBytes(event.args.slice(1)) });
+        }
+        break;
+      }
+      case 'SYNC':
+        this.emit('sync', { counter: event.args.length > 0 ? Number(event.args[0]) : null, timestamp: Date.now() });
+        break;
+    }
+  }
+
+  handleErrorControlEvent(code, state) {
+    const { nodeId } = this.config;
+
+    switch (code) {
+      case ERROR_CONTROL.BOOT_UP:
+        this.emit('nodeState', 'INITIALISATION');
+        this.emit('message', NMTProtocol.encodeState(nodeId, NMTProtocol.STATE.INITIALISATION));
+        break;
+      case ERROR_CONTROL.HEARTBEAT_STARTED:
+        this.emit('nodeRestored', state || null);
+        break;
+      case ERROR_CONTROL.GUARDING_LOST:
+      case ERROR_CONTROL.HEARTBEAT_LOST:
+      case ERROR_CONTROL.CONNECTION_LOST: {
+        const error = new ElevatorConnectionError(`Node ${nodeId} lost at CANopen gateway (error ${code})`, nodeId);
+        console.error('Elevator node lost:', error.message);
+        this.emit('nodeLost', error);
+        break;
+      }
+    }
+  }
+}
+
+module.exports = GatewayTransport;
@@ -0,0 +1,124 @@
+/**
+ * KONEProtocol.js
+ *
+ * KONE-style elevator control telegrams. Unlike CANopen there is no object
+ * dictionary: clients send JSON requests naming an action, the controller
+ * answers each with a response carrying the same request ID, and pushes
+ * monitoring telegrams for the topics a client subscribed to.
+ *
+ *   { type: 'request', requestId: 7, action: 'landing-call', floor: 3, direction: 'up' }
+ *   { type: 'response', requestId: 7, status: 'ok', data: {} }
+ *   { type: 'response', requestId: 7, status: 'error', error: { code: 'INVALID_FLOOR', message } }
+ *   { type: 'monitor', topic: 'deck-position', data: { floor: 3 }, time: 1700000000000 }
+ */
+
+const TYPE = {
+  REQUEST: 'request',
+  RESPONSE: 'response',
+  MONITOR: 'monitor',
+};
+
+// Request actions and their parameters
+const ACTION = {
+  GET_CONFIG: 'get-config', // -> { name, version, floors, floorLabels }
+  GET_STATUS: 'get-status', // -> { floor, door, direction, moving, mode, faults, remoteAccess }
+  GET_CALLS: 'get-calls', // -> { 'landing-up': [floors], 'landing-down': [floors], car: [floors] }
+  DESTINATION_CALL: 'destination-call', // { floor }: send the car to a floor
+  LANDING_CALL: 'landing-call', // { floor, direction: 'up' | 'down' }
+  CAR_CALL: 'car-call', // { floor }
+  CANCEL_CALL: 'cancel-call', // { floor, call: CALL value }
+  DOOR: 'door', // { command: 'open' | 'close' }
+  REMOTE_ACCESS: 'remote-access', // { enabled }: commands are only accepted while enabled
+  RESTART: 'restart', // Restart the controller's interface; remote access is disabled afterwards
+  SUBSCRIBE: 'subscribe', // { topics: [TOPIC values] }
+  UNSUBSCRIBE: 'unsubscribe', // { topics }
+  SET_HEARTBEAT: 'set-heartbeat', // { interval } in ms, 0 disables
+};
+
+// Monitoring topics and their data
+const TOPIC = {
+  DECK_POSITION: 'deck-position', // { floor }
+  DOOR: 'door', // { state: DOOR value }
+  DIRECTION: 'direction', // { direction: 'up' | 'down' | 'none', moving }
+  LIFT_MODE: 'lift-mode', // { mode: 'normal' | 'emergency' }
+  CALL_STATE: 'call-state', // { floor, call: CALL value, state: CALL_STATE value }
+  HEARTBEAT: 'heartbeat', // { remoteAccess }
+};
+
+const DOOR = {
+  OPENED: 'opened',
+  OPENING: 'opening',
+  CLOSING: 'closing',
+  CLOSED: 'closed',
+};
+
+const CALL = {
+  LANDING_UP: 'landing-up',
+  LANDING_DOWN: 'landing-down',
+  CAR: 'car',
+};
+
+const CALL_STATE = {
+  REGISTERED: 'registered',
+  SERVED: 'served',
+  CANCELLED: 'cancelled',
+};
+
+const ERROR = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  INVALID_FLOOR: 'INVALID_FLOOR',
+  INVALID_PARAMETER: 'INVALID_PARAMETER',
+  REMOTE_ACCESS_DISABLED: 'REMOTE_ACCESS_DISABLED',
+  OUT_OF_SERVICE: 'OUT_OF_SERVICE',
+};
+
+function encode(telegram) {
+  return JSON.stringify(telegram);
+}
+
+function decode(text) {
+  let telegram;
+  try {
+    telegram = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid telegram: ${error.message}`);
+  }
+
+  if (!telegram || !Object.values(TYPE).includes(telegram.type)) {
+    throw new Error('Invalid telegram: unknown type');
+  }
+  return telegram;
+}
+
+function request(requestId, action, params = {}) {
+  return { type: TYPE.REQUEST, requestId, action, ...params };
+}
+
+function response(requestId, data = {}) {
+  return { type: TYPE.RESPONSE, requestId, status: 'ok', data };
+}
+
+function errorResponse(requestId, code, message) {
+  return { type: TYPE.RESPONSE, requestId, status: 'error', error: { code, message } };
+}
+
+function monitor(topic, data) {
+  return { type: TYPE.MONITOR, topic, data, time: Date.now() };
+}
+
+module.exports = {
+  TYPE,
+  ACTION,
+  TOPIC,
+  DOOR,
+  CALL,
+  CALL_STATE,
+  ERROR,
+  encode,
+  decode,
+  request,
+  response,
+  errorResponse,
+  monitor,
+};
@@ -0,0 +1,413 @@
+/**
+ * KONETransport.js
+ *
+ * Transport for KONE-style controllers (see KONEProtocol). It offers the same
+ * interface as CANopenTransport, so ElevatorAPI works unchanged: object
+ * reads and writes are translated into KONE requests, monitoring telegrams
+ * into 'object' events carrying the equivalent CiA 417 object values, and
+ * NMT commands into remote access control.
+ *
+ *   const transport = new KONETransport({ controller: new VirtualKoneController(elevator) });
+ *   const api = new ElevatorAPI(transport);
+ */
+
+const EventEmitter = require('events');
+const KONEProtocol = require('./KONEProtocol');
+const NMTProtocol = require('./NMTProtocol');
+const SDOProtocol = require('./SDOProtocol');
+const CallProtocol = require('./CallProtocol');
+const ElevatorProtocolError = require('../api/ElevatorProtocolError');
+const ElevatorConnectionError = require('../api/ElevatorConnectionError');
+
+const { ABORT_CODE } = SDOProtocol;
+const { ACTION, TOPIC } = KONEProtocol;
+
+// Elevator status bits (0x6000) of the KONE door states and directions
+const DOOR_STATUS = {
+  [KONEProtocol.DOOR.OPENED]: 0x1,
+  [KONEProtocol.DOOR.OPENING]: 0x2,
+  [KONEProtocol.DOOR.CLOSING]: 0x8,
+  [KONEProtocol.DOOR.CLOSED]: 0x10,
+};
+const DIRECTION_STATUS = { up: 0x20, down: 0x40, none: 0 };
+const MOVING_STATUS = 0x4;
+
+// KONE call names by CiA 417 call type, and call states by call event
+const CALL_NAME = {
+  HALL_UP: KONEProtocol.CALL.LANDING_UP,
+  HALL_DOWN: KONEProtocol.CALL.LANDING_DOWN,
+  CAR: KONEProtocol.CALL.CAR,
+};
+const CALL_EVENT = {
+  [KONEProtocol.CALL_STATE.REGISTERED]: 'REGISTERED',
+  [KONEProtocol.CALL_STATE.SERVED]: 'ANSWERED',
+  [KONEProtocol.CALL_STATE.CANCELLED]: 'CANCELLED',
+};
+
+// Abort code reported for each KONE error
+const ERROR_ABORT_CODE = {
+  [KONEProtocol.ERROR.INVALID_FLOOR]: ABORT_CODE.VALUE_RANGE_EXCEEDED,
+  [KONEProtocol.ERROR.INVALID_PARAMETER]: ABORT_CODE.VALUE_RANGE_EXCEEDED,
+  [KONEProtocol.ERROR.REMOTE_ACCESS_DISABLED]: ABORT_CODE.DEVICE_STATE,
+  [KONEProtocol.ERROR.OUT_OF_SERVICE]: ABORT_CODE.DEVICE_STATE,
+};
+
+class KONETransport extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      nodeId: 1, // Identifies the elevator towards ElevatorAPI; not used on the wire
+      requestTimeout: 1000, // Time to wait for a response in ms
+      ...config
+    };
+
+    this.controller = config.controller || null; // VirtualKoneController
+    this.session = null;
+    this.connected = false;
+    this.requestId = 0;
+
+    // Car state from monitoring, for the elevator status object (0x6000)
+    this.carState = { door: null, direction: 'none', moving: false };
+
+    // Last call event (0x6111) reported, numbered like the node's
+    this.callEvent = 0;
+
+    // Heartbeat consumer
+    this.livenessTimeout = 0;
+    this.livenessTimer = null;
+    this.nodeLost = false;
+    this.pendingRequests = new Map();
+  }
+
+  async connect() {
+    if (this.connected) return true;
+
+    if (!this.controller) {
+      throw new Error('No KONE controller to connect to');
+    }
+
+    this.session = this.controller.createSession();
+    this.session.on('telegram', (text) => this.handleTelegram(text));
+    this.connected = true;
+
+    try {
+      const status = await this.request(ACTION.GET_STATUS);
+      this.carState = { door: status.door, direction: status.direction, moving: status.moving };
+      await this.request(ACTION.SUBSCRIBE, { topics: Object.values(TOPIC) });
+    } catch (error) {
+      this.closeSession();
+      throw error;
+    }
+
+    return true;
+  }
+
+  async disconnect() {
+    if (!this.connected) return true;
+
+    this.stopErrorControl();
+    this.closeSession();
+    return true;
+  }
+
+  closeSession() {
+    this.session.close();
+    this.session = null;
+    this.connected = false;
+  }
+
+  // Send a request and resolve with the response data. Error responses
+  // reject with an ElevatorProtocolError for the object being accessed.
+  request(action, params = {}, index = 0, subIndex = 0) {
+    if (!this.connected) {
+      return Promise.reject(new Error('Not connected to KONE controller'));
+    }
+
+    const requestId = ++this.requestId;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new ElevatorProtocolError(ABORT_CODE.TIMEOUT, index, subIndex, `no response to ${action} within ${this.config.requestTimeout}ms`));
+      }, this.config.requestTimeout);
+
+      this.pendingRequests.set(requestId, {
+        resolve: (data) => { clearTimeout(timer); resolve(data); },
+        reject: (error) => { clearTimeout(timer); reject(error); },
+      });
+
+      // The in-process controller answers immediately; deliver the response
+      // asynchronously like one arriving over a connection
+      let response;
+      try {
+        response = this.session.send(KONEProtocol.encode(KONEProtocol.request(requestId, action, params)));
+      } catch (error) {
+        this.pendingRequests.get(requestId).reject(error);
+        this.pendingRequests.delete(requestId);
+        return;
+      }
+      setImmediate(() => this.handleResponse(KONEProtocol.decode(response), index, subIndex));
+    });
+  }
+
+  handleResponse(response, index, subIndex) {
+    const pending = this.pendingRequests.get(response.requestId);
+    if (!pending) return;
+
+    this.pendingRequests.delete(response.requestId);
+
+    if (response.status === 'ok') {
+      pending.resolve(response.data);
+    } else {
+      const abortCode = ERROR_ABORT_CODE[response.error.code] || ABORT_CODE.GENERAL_ERROR;
+      pending.reject(new ElevatorProtocolError(abortCode, index, subIndex, `${response.error.code}: ${response.error.message}`));
+    }
+  }
+
+  // Object access, as with CANopenTransport: resolves { success, data, raw }
+  // or { success: false, error }
+  async sendMessage(message) {
+    if (!this.connected) {
+      throw new Error('Not connected to KONE controller');
+    }
+
+    const subIndex = message.subIndex || 0;
+
+    try {
+      if (message.isRead) {
+        const data = await this.readObject(message.index, subIndex);
+        return { success: true, data, raw: this.objectValueToBuffer(data) };
+      }
+
+      await this.writeObject(message.index, subIndex, message.data);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error };
+    }
+  }
+
+  objectValueToBuffer(value) {
+    if (typeof value === 'string') {
+      return Buffer.from(value, 'latin1');
+    }
+
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value >>> 0);
+    return buffer;
+  }
+
+  // The CiA 417 objects ElevatorAPI reads, answered from KONE requests
+  async readObject(index, subIndex) {
+    const get = (action) => this.request(action, {}, index, subIndex);
+
+    switch (index) {
+      case 0x6000: { // Elevator status
+        const status = await get(ACTION.GET_STATUS);
+        return this.statusBits(status);
+      }
+      case 0x6001: // Current floor
+        return (await get(ACTION.GET_STATUS)).floor;
+      case 0x1002: // Manufacturer status: emergency bit
+        return (await get(ACTION.GET_STATUS)).mode === 'emergency' ? 0x1 : 0x0;
+      case 0x1001: // Error register: generic error while any fault is active
+        return (await get(ACTION.GET_STATUS)).faults.length > 0 ? 0x1 : 0x0;
+      case 0x1008: // Device name
+        return (await get(ACTION.GET_CONFIG)).name;
+      case 0x100A: // Software version
+        return (await get(ACTION.GET_CONFIG)).version;
+      case 0x2000: // Floor label table
+        return (await get(ACTION.GET_CONFIG)).floorLabels.join(',');
+      case CallProtocol.OBJECT.HALL_CALL_UP:
+      case CallProtocol.OBJECT.HALL_CALL_DOWN:
+      case CallProtocol.OBJECT.CAR_CALL: {
+        const calls = await get(ACTION.GET_CALLS);
+        return calls[CALL_NAME[CallProtocol.typeOfObject(index)]].includes(subIndex) ? 1 : 0;
+      }
+      case CallProtocol.OBJECT.CALL_LAMPS: {
+        const calls = await get(ACTION.GET_CALLS);
+        return Object.keys(CALL_NAME).reduce((lamps, type) => (
+          calls[CALL_NAME[type]].includes(subIndex) ? lamps | CallProtocol.LAMP[type] : lamps
+        ), 0);
+      }
+      default:
+        throw new ElevatorProtocolError(ABORT_CODE.OBJECT_DOES_NOT_EXIST, index, subIndex, 'not available over KONE');
+    }
+  }
+
+  async writeObject(index, subIndex, value) {
+    const send = (action, params) => this.request(action, params, index, subIndex);
+
+    switch (index) {
+      case 0x6002: // Target floor
+        return send(ACTION.DESTINATION_CALL, { floor: value });
+      case 0x6010: // Door command
+        if (value !== 0 && value !== 1) {
+          throw new ElevatorProtocolError(ABORT_CODE.VALUE_RANGE_EXCEEDED, index, subIndex, `unknown door command ${value}`);
+        }
+        return send(ACTION.DOOR, { command: value === 1 ? 'open' : 'close' });
+      case NMTProtocol.OBJECT.PRODUCER_HEARTBEAT_TIME:
+        return send(ACTION.SET_HEARTBEAT, { interval: value });
+      case CallProtocol.OBJECT.HALL_CALL_UP:
+      case CallProtocol.OBJECT.HALL_CALL_DOWN:
+      case CallProtocol.OBJECT.CAR_CALL: {
+        const type = CallProtocol.typeOfObject(index);
+        if (value === 0) {
+          return send(ACTION.CANCEL_CALL, { floor: subIndex, call: CALL_NAME[type] });
+        }
+        if (type === 'CAR') {
+          return send(ACTION.CAR_CALL, { floor: subIndex });
+        }
+        return send(ACTION.LANDING_CALL, { floor: subIndex, direction: type === 'HALL_UP' ? 'up' : 'down' });
+      }
+      default:
+        throw new ElevatorProtocolError(ABORT_CODE.OBJECT_DOES_NOT_EXIST, index, subIndex, 'not available over KONE');
+    }
+  }
+
+  statusBits({ door, direction, moving }) {
+    return (DOOR_STATUS[door] || 0) | (DIRECTION_STATUS[direction] || 0) | (moving ? MOVING_STATUS : 0);
+  }
+
+  // NMT commands map to remote access: operational enables it, stopped and
+  // pre-operational disable it, and a reset restarts the controller's
+  // interface, reported as 'bootUp' once it is back
+  async sendNmtCommand(command) {
+    if (!this.connected) {
+      throw new Error('Not connected to KONE controller');
+    }
+
+    switch (command) {
+      case NMTProtocol.COMMAND.START:
+        await this.request(ACTION.REMOTE_ACCESS, { enabled: true });
+        break;
+      case NMTProtocol.COMMAND.STOP:
+      case NMTProtocol.COMMAND.ENTER_PRE_OPERATIONAL:
+        await this.request(ACTION.REMOTE_ACCESS, { enabled: false });
+        break;
+      case NMTProtocol.COMMAND.RESET_NODE:
+      case NMTProtocol.COMMAND.RESET_COMMUNICATION:
+        await this.request(ACTION.RESTART);
+        setImmediate(async () => {
+          try {
+            await this.request(ACTION.SUBSCRIBE, { topics: Object.values(TOPIC) });
+            this.emit('bootUp');
+          } catch (error) {
+            console.error('Failed to resubscribe after KONE controller restart:', error.message);
+          }
+        });
+        break;
+      default:
+        throw new Error(`Unsupported NMT command 0x${command.toString(16)}`);
+    }
+
+    return { success: true };
+  }
+
+  // Monitoring telegrams become 'object' events with the value of the
+  // corresponding CiA 417 object, as if received in a PDO
+  handleTelegram(text) {
+    let telegram;
+    try {
+      telegram = KONEProtocol.decode(text);
+    } catch (error) {
+      console.error('Failed to parse KONE telegram:', error.message);
+      return;
+    }
+
+    this.emit('telegram', telegram);
+    this.handleLiveness(telegram);
+
+    const { topic, data } = telegram;
+    switch (topic) {
+      case TOPIC.DECK_POSITION:
+        this.emitObject(0x6001, data.floor);
+        break;
+      case TOPIC.DOOR:
+        this.carState.door = data.state;
+        this.emitObject(0x6000, this.statusBits(this.carState));
+        break;
+      case TOPIC.DIRECTION:
+        this.carState.direction = data.direction;
+        this.carState.moving = data.moving;
+        this.emitObject(0x6000, this.statusBits(this.carState));
+        break;
+      case TOPIC.LIFT_MODE:
+        this.emitObject(0x1002, data.mode === 'emergency' ? 0x1 : 0x0);
+        break;
+      case TOPIC.CALL_STATE: {
+        const type = Object.keys(CALL_NAME).find(name => CALL_NAME[name] === data.call);
+        if (type && CALL_EVENT[data.state]) {
+          this.callEvent = CallProtocol.encodeEvent(data.floor, type, CALL_EVENT[data.state], CallProtocol.nextSequence(this.callEvent));
+          this.emitObject(CallProtocol.OBJECT.CALL_EVENT, this.callEvent);
+        }
+        break;
+      }
+    }
+  }
+
+  emitObject(index, data, subIndex = 0) {
+    this.emit('object', { index, subIndex, data });
+  }
+
+  // Heartbeat consumer: the controller is lost when no telegram arrives for
+  // `timeout` ms (see the set-heartbeat action). Heartbeats report the remote
+  // access state as the NMT state.
+
+  startHeartbeatConsumer(timeout) {
+    this.stopErrorControl();
+    this.livenessTimeout = timeout;
+    this.resetLivenessTimer();
+  }
+
+  startNodeGuarding() {
+    throw new Error('Node guarding is not available over KONE; use a heartbeat');
+  }
+
+  stopErrorControl() {
+    clearTimeout(this.livenessTimer);
+    this.livenessTimer = null;
+    this.livenessTimeout = 0;
+    this.nodeLost = false;
+  }
+
+  resetLivenessTimer() {
+    clearTimeout(this.livenessTimer);
+    this.livenessTimer = setTimeout(() => this.handleNodeLost(), this.livenessTimeout);
+  }
+
+  handleLiveness(telegram) {
+    const state = telegram.topic === TOPIC.HEARTBEAT ?
+      (telegram.data.remoteAccess ? 'OPERATIONAL' : 'PRE_OPERATIONAL') : null;
+
+    if (this.livenessTimeout > 0) {
+      this.resetLivenessTimer();
+
+      if (this.nodeLost) {
+        this.nodeLost = false;
+        this.emit('nodeRestored', state);
+      }
+    }
+
+    if (state) {
+      this.emit('nodeState', state);
+    }
+  }
+
+  handleNodeLost() {
+    this.livenessTimer = null;
+    this.nodeLost = true;
+
+    const error = new ElevatorConnectionError(`Nothing heard from KONE controller for ${this.livenessTimeout}ms`, this.config.nodeId);
+    console.error('Elevator controller lost:', error.message);
+
+    for (const pending of this.pendingRequests.values()) {
+      pending.reject(error);
+    }
+    this.pendingRequests.clear();
+
+    this.emit('nodeLost', error);
+  }
+}
+
+module.exports = KONETransport;
@@ -0,0 +1,97 @@
+/**
+ * NMTProtocol.js
+ *
+ * CANopen network management (NMT) commands and node states (CiA 301)
+ */
+
+// COB-IDs
+const COB_ID = {
+  NMT: 0x000, // NMT master → nodes
+  NMT_ERROR_CONTROL: 0x700, // Boot-up, heartbeat and node guarding (node ID is added)
+};
+
+// NMT command specifiers (byte 0 of an NMT frame)
+const COMMAND = {
+  START: 0x01,
+  STOP: 0x02,
+  ENTER_PRE_OPERATIONAL: 0x80,
+  RESET_NODE: 0x81,
+  RESET_COMMUNICATION: 0x82,
+};
+
+// Node states as reported in boot-up and heartbeat messages
+const STATE = {
+  INITIALISATION: 0x00, // Only sent as the boot-up message
+  STOPPED: 0x04,
+  OPERATIONAL: 0x05,
+  PRE_OPERATIONAL: 0x7F,
+};
+
+// NMT command to address every node
+const ALL_NODES = 0;
+
+// Error control objects
+const OBJECT = {
+  GUARD_TIME: 0x100C, // ms, UNSIGNED16
+  LIFE_TIME_FACTOR: 0x100D, // UNSIGNED8
+  PRODUCER_HEARTBEAT_TIME: 0x1017, // ms, UNSIGNED16 (0 disables the heartbeat)
+};
+
+// Node guarding responses alternate bit 7 of the state byte
+const TOGGLE_BIT = 0x80;
+
+// NMT command: [Command specifier][Node ID]
+function encodeCommand(command, nodeId) {
+  return { id: COB_ID.NMT, data: Buffer.from([command, nodeId]) };
+}
+
+function decodeCommand(frame) {
+  if (frame.id !== COB_ID.NMT || frame.data.length !== 2) {
+    throw new Error('Not an NMT command frame');
+  }
+  return { command: frame.data[0], nodeId: frame.data[1] };
+}
+
+// Boot-up / heartbeat message: [State]
+function encodeState(nodeId, state) {
+  return { id: COB_ID.NMT_ERROR_CONTROL + nodeId, data: Buffer.from([state]) };
+}
+
+// Node guarding request: remote frame (RTR) on the error control COB-ID
+function encodeGuardRequest(nodeId) {
+  return { id: COB_ID.NMT_ERROR_CONTROL + nodeId, data: Buffer.alloc(0), rtr: true };
+}
+
+// Node guarding response: [Toggle bit | State]
+function encodeGuardResponse(nodeId, state, toggle) {
+  return { id: COB_ID.NMT_ERROR_CONTROL + nodeId, data: Buffer.from([(toggle ? TOGGLE_BIT : 0) | state]) };
+}
+
+// Decode a boot-up, heartbeat or node guarding response
+function decodeState(frame) {
+  if ((frame.id & ~0x7F) !== COB_ID.NMT_ERROR_CONTROL || frame.data.length !== 1) {
+    throw new Error('Not an NMT error control frame');
+  }
+  return { state: frame.data[0] & ~TOGGLE_BIT, toggle: (frame.data[0] & TOGGLE_BIT) !== 0 };
+}
+
+// Name of a state code, e.g. 'PRE_OPERATIONAL'
+function stateName(state) {
+  return Object.keys(STATE).find(name => STATE[name] === (state & 0x7F)) || null;
+}
+
+module.exports = {
+  COB_ID,
+  COMMAND,
+  STATE,
+  ALL_NODES,
+  OBJECT,
+  TOGGLE_BIT,
+  encodeCommand,
+  decodeCommand,
+  encodeState,
+  encodeGuardRequest,
+  encodeGuardResponse,
+  decodeState,
+  stateName,
+};
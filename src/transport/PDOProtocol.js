@@ -0,0 +1,119 @@
+/**
+ * PDOProtocol.js
+ *
+ * Helpers for CANopen PDO communication and mapping parameters (CiA 301)
+ */
+
+// Default COB-ID bases for the four TPDOs and RPDOs (node ID is added to these)
+const TPDO_COB_ID = [0x180, 0x280, 0x380, 0x480];
+const RPDO_COB_ID = [0x200, 0x300, 0x400, 0x500];
+
+// Parameter object indices, add (PDO number - 1)
+const TPDO_COMMUNICATION = 0x1800;
+const TPDO_MAPPING = 0x1A00;
+const RPDO_COMMUNICATION = 0x1400;
+const RPDO_MAPPING = 0x1600;
+
+// Communication parameter sub-indices
+const COMMUNICATION_SUB = {
+  COB_ID: 1,
+  TRANSMISSION_TYPE: 2,
+  INHIBIT_TIME: 3, // multiples of 100 µs
+  EVENT_TIMER: 5, // ms
+};
+
+// Transmission types
+const TRANSMISSION_TYPE = {
+  SYNCHRONOUS_ACYCLIC: 0,
+  SYNCHRONOUS_CYCLIC_MAX: 240, // 1-240: every n-th SYNC
+  RTR_SYNCHRONOUS: 252,
+  RTR_EVENT: 253,
+  EVENT_MANUFACTURER: 254,
+  EVENT_PROFILE: 255,
+};
+
+// COB-ID bit 31 set means the PDO does not exist / is not valid
+const COB_ID_INVALID = 0x80000000;
+
+// PDOs carry at most 8 bytes
+const MAX_BITS = 64;
+
+// Mapping entry: [Index (16 bits)][Sub-index (8 bits)][Length in bits (8 bits)]
+function encodeMapping(index, subIndex, bitLength) {
+  return ((index << 16) | (subIndex << 8) | bitLength) >>> 0;
+}
+
+function decodeMapping(value) {
+  return {
+    index: (value >>> 16) & 0xFFFF,
+    subIndex: (value >>> 8) & 0xFF,
+    bitLength: value & 0xFF,
+  };
+}
+
+function isEventDriven(transmissionType) {
+  return transmissionType === TRANSMISSION_TYPE.EVENT_MANUFACTURER ||
+    transmissionType === TRANSMISSION_TYPE.EVENT_PROFILE;
+}
+
+function isSynchronous(transmissionType) {
+  return transmissionType <= TRANSMISSION_TYPE.SYNCHRONOUS_CYCLIC_MAX;
+}
+
+// Pack values into PDO data following the mapping. `values` holds one
+// unsigned integer per mapping entry; only whole-byte lengths are supported.
+function pack(mappings, values) {
+  const length = mappings.reduce((total, mapping) => total + mapping.bitLength / 8, 0);
+  const data = Buffer.alloc(length);
+  let offset = 0;
+
+  mappings.forEach((mapping, i) => {
+    const bytes = mapping.bitLength / 8;
+    data.writeUIntLE(values[i] % 2 ** mapping.bitLength, offset, bytes);
+    offset += bytes;
+  });
+
+  return data;
+}
+
+// Unpack PDO data into [{ index, subIndex, value, raw }] following the
+// mapping; `value` reads the bytes as unsigned, `raw` holds the bytes themselves
+function unpack(mappings, data) {
+  const objects = [];
+  let offset = 0;
+
+  for (const mapping of mappings) {
+    const bytes = mapping.bitLength / 8;
+    if (offset + bytes > data.length) {
+      throw new Error(`PDO too short for mapping of object ${mapping.index.toString(16)}`);
+    }
+    objects.push({
+      index: mapping.index,
+      subIndex: mapping.subIndex,
+      value: data.readUIntLE(offset, bytes),
+      raw: data.subarray(offset, offset + bytes),
+    });
+    offset += bytes;
+  }
+
+  return objects;
+}
+
+module.exports = {
+  TPDO_COB_ID,
+  RPDO_COB_ID,
+  TPDO_COMMUNICATION,
+  TPDO_MAPPING,
+  RPDO_COMMUNICATION,
+  RPDO_MAPPING,
+  COMMUNICATION_SUB,
+  TRANSMISSION_TYPE,
+  COB_ID_INVALID,
+  MAX_BITS,
+  encodeMapping,
+  decodeMapping,
+  isEventDriven,
+  isSynchronous,
+  pack,
+  unpack,
+};
@@ -0,0 +1,234 @@
+/**
+ * ReplayTransport.js
+ *
+ * CANopenTransport fed from a recorded candump log instead of a bus, to
+ * debug field recordings offline and to run regression tests against them:
+ *
+ *   const transport = new ReplayTransport({ file: 'robot-7.log', nodeId: 1, speed: 10 });
+ *   const api = new ElevatorAPI(transport);
+ *   api.on('floorChanged', floor => console.log(`At floor ${floor}`));
+ *   transport.on('replayEnd', () => api.disconnect());
+ *   await api.connect();
+ *
+ * Frames the elevator sent (PDOs, heartbeats, EMCY, boot-up) are played
+ * back at their recorded times, divided by `speed`. SDO responses are not
+ * played back on their own: each SDO request ElevatorAPI sends is answered
+ * with the response recorded after the same request in the log, right
+ * away, and times out like on a bus when the log has none. Playback waits
+ * while a response is on its way, so that frames do not overtake the
+ * transfers ElevatorAPI makes in a row (e.g. reading the PDO mappings on
+ * connect). Other frames sent by the transport (NMT commands, SYNC) are
+ * dropped.
+ */
+
+const EventEmitter = require('events');
+const CANopenTransport = require('./CANopenTransport');
+const CandumpLog = require('./CandumpLog');
+const SDOProtocol = require('./SDOProtocol');
+
+// Frames a master transmits, for logs recorded without directions
+function isMasterFrame(frame) {
+  return frame.id === 0x000 || (frame.id & ~0x7F) === SDOProtocol.COB_ID.SDO_RX || !!frame.rtr;
+}
+
+function isSdoResponse(frame) {
+  return (frame.id & ~0x7F) === SDOProtocol.COB_ID.SDO_TX;
+}
+
+// Backend of a ReplayTransport, with the interface of SocketCANBackend:
+// start(), stop(), send(frame), setFilters(filters) and 'frame' events, plus
+// 'end' once every frame was played back and 'unmatched' for SDO requests
+// the log has no response to
+class ReplayPort extends EventEmitter {
+  constructor(entries, config = {}) {
+    super();
+
+    this.config = {
+      speed: 1, // Playback speed factor; Infinity plays back as fast as possible
+      filters: [],
+      ...config
+    };
+
+    this.entries = entries.map(entry => ({
+      ...entry,
+      transmitted: entry.direction ? entry.direction === CandumpLog.DIRECTION.TRANSMIT : isMasterFrame(entry.frame),
+    }));
+
+    // Received frames played back on their own, in log order
+    this.scheduled = this.entries.filter(entry => !entry.transmitted && !isSdoResponse(entry.frame));
+
+    this.open = false;
+    this.timer = null;
+    this.position = 0; // Next scheduled entry
+    this.startTime = 0;
+    this.consumed = new Set(); // Entries used to answer SDO requests
+    this.answering = 0; // SDO responses on their way
+    this.held = null; // Playback of the next frame, while held for a response
+  }
+
+  async start() {
+    if (this.open) return;
+
+    this.open = true;
+    this.position = 0;
+    this.consumed.clear();
+    this.answering = 0;
+    this.held = null;
+    this.startTime = Date.now();
+    this.scheduleNext();
+  }
+
+  async stop() {
+    this.open = false;
+    clearTimeout(this.timer);
+    clearImmediate(this.timer);
+    this.timer = null;
+  }
+
+  setFilters(filters) {
+    this.config.filters = filters;
+  }
+
+  accepts(frame) {
+    const { filters } = this.config;
+    return filters.length === 0 || filters.some(filter => (frame.id & filter.mask) === (filter.id & filter.mask));
+  }
+
+  deliver(frame) {
+    if (this.open && this.accepts(frame)) {
+      this.emit('frame', { ...frame, data: Buffer.from(frame.data) });
+    }
+  }
+
+  // Play back the next received frame at its recorded offset from the
+  // first frame of the log
+  scheduleNext() {
+    if (!this.open) return;
+
+    if (this.position >= this.scheduled.length) {
+      this.timer = null;
+      this.emit('end');
+      return;
+    }
+
+    const entry = this.scheduled[this.position];
+    const play = () => {
+      if (this.answering > 0) {
+        this.held = play;
+        return;
+      }
+      this.position++;
+      this.deliver(entry.frame);
+      this.scheduleNext();
+    };
+
+    if (this.config.speed === Infinity) {
+      this.timer = setImmediate(play);
+    } else {
+      const offset = (entry.timestamp - this.entries[0].timestamp) / this.config.speed;
+      this.timer = setTimeout(play, Math.max(0, this.startTime + offset - Date.now()));
+    }
+  }
+
+  send(frame) {
+    if (!this.open) {
+      throw new Error('Replay is not running');
+    }
+
+    if ((frame.id & ~0x7F) !== SDOProtocol.COB_ID.SDO_RX || frame.data[0] === SDOProtocol.ABORT) {
+      return;
+    }
+
+    const response = this.findResponse(frame);
+    if (response) {
+      this.answering++;
+      setImmediate(() => {
+        this.answering--;
+        this.deliver(response);
+        this.resume();
+      });
+    } else {
+      this.emit('unmatched', frame);
+    }
+  }
+
+  // Play back a frame held for a response, once the master has had the
+  // chance to send its next request
+  resume() {
+    if (this.answering > 0 || !this.held) return;
+
+    const play = this.held;
+    this.held = null;
+    this.timer = setImmediate(play);
+  }
+
+  // Response recorded to the first unused request with the same COB-ID,
+  // command and object (the first four bytes). A request's response is the
+  // next one from the node before the master's next request to it; requests
+  // that went unanswered in the log (e.g. timed out and repeated) are
+  // skipped, so they never take the response to a later request.
+  findResponse(frame) {
+    const key = Buffer.from(frame.data).subarray(0, 4);
+    const responseId = SDOProtocol.COB_ID.SDO_TX + (frame.id & 0x7F);
+
+    for (let i = 0; i < this.entries.length; i++) {
+      const request = this.entries[i];
+      if (this.consumed.has(request) || !request.transmitted || request.frame.id !== frame.id ||
+        !request.frame.data.subarray(0, 4).equals(key)) {
+        continue;
+      }
+
+      const response = this.responseTo(i, responseId);
+      if (!response) continue;
+
+      this.consumed.add(request);
+      this.consumed.add(response);
+      return response.frame;
+    }
+    return null;
+  }
+
+  // Unused response with `responseId` recorded after the request at
+  // `position` and before the next request to the same node, or null
+  responseTo(position, responseId) {
+    const requestId = this.entries[position].frame.id;
+
+    for (let i = position + 1; i < this.entries.length; i++) {
+      const entry = this.entries[i];
+      if (entry.transmitted && entry.frame.id === requestId) {
+        return null;
+      }
+      if (!entry.transmitted && !this.consumed.has(entry) && entry.frame.id === responseId) {
+        return entry;
+      }
+    }
+    return null;
+  }
+}
+
+class ReplayTransport extends CANopenTransport {
+  constructor(config = {}) {
+    const entries = config.entries ||
+      (config.file ? CandumpLog.readFile(config.file) : CandumpLog.parse(config.log || ''));
+
+    const backend = new ReplayPort(entries, { speed: config.speed || 1 });
+
+    super({
+      log: null, // candump log text
+      file: null, // or log file path
+      entries: null, // or entries parsed with CandumpLog
+      speed: 1, // Playback speed factor; Infinity plays back as fast as possible
+      ...config,
+      simulationMode: false,
+      canBus: null,
+      backend,
+    });
+
+    backend.on('end', () => this.emit('replayEnd'));
+    backend.on('unmatched', frame => this.emit('unmatched', frame));
+  }
+}
+
+ReplayTransport.ReplayPort = ReplayPort;
+
+module.exports = ReplayTransport;
@@ -0,0 +1,72 @@
+/**
+ * ReservationProtocol.js
+ *
+ * Robot ride reservation (manufacturer-specific object 0x2010): a robot
+ * leases the car exclusively, sends it between floors and has the doors
+ * held open while it drives in and out. The lease expires unless renewed
+ * within the lease time.
+ */
+
+const OBJECT = {
+  RESERVATION: 0x2010, // RECORD, sub-indices in SUB
+};
+
+const SUB = {
+  COMMAND: 1, // UNSIGNED32, write only (see encodeCommand)
+  OWNER: 2, // UNSIGNED16, owner ID of the reservation, 0 when free
+  STATE: 3, // UNSIGNED8, STATE
+  LEASE_TIME: 4, // UNSIGNED32, ms without a command after which the lease expires
+  REMAINING_TIME: 5, // UNSIGNED32, ms until the lease expires
+  FLOOR: 6, // UNSIGNED8, floor the reserved car was sent to, 0 for none
+};
+
+const COMMAND = {
+  ACQUIRE: 1, // Reserve the car (or renew an own reservation)
+  HEARTBEAT: 2, // Renew the lease
+  CALL: 3, // Send the reserved car to a floor
+  BOARDED: 4, // Robot is in the car: stop holding the doors
+  EXITED: 5, // Robot left the car: stop holding the doors
+  RELEASE: 6, // End the reservation
+};
+
+// Every command renews the lease. The doors are held open from the car's
+// arrival at the reservation floor until BOARDED (BOARDING) or EXITED
+// (EXITING).
+const STATE = {
+  FREE: 0,
+  RESERVED: 1, // Waiting for, or heading to, the floor the robot boards at
+  BOARDING: 2, // Doors held open at that floor
+  RIDING: 3, // Robot in the car, waiting for or heading to its destination
+  EXITING: 4, // Doors held open at the destination
+};
+
+// Command value: [Command (8 bits)][Floor (8 bits)][Owner ID (16 bits)]
+function encodeCommand(command, owner, floor = 0) {
+  return (COMMAND[command] | (floor << 8) | (owner << 16)) >>> 0;
+}
+
+// { command, owner, floor } with the command as a name, e.g.
+// { command: 'CALL', owner: 7, floor: 3 }
+function decodeCommand(value) {
+  const command = Object.keys(COMMAND).find(name => COMMAND[name] === (value & 0xFF));
+
+  if (!command) {
+    throw new Error(`Invalid reservation command 0x${value.toString(16)}`);
+  }
+  return { command, owner: value >>> 16, floor: (value >>> 8) & 0xFF };
+}
+
+// Name of a STATE value
+function stateName(value) {
+  return Object.keys(STATE).find(name => STATE[name] === value) || null;
+}
+
+module.exports = {
+  OBJECT,
+  SUB,
+  COMMAND,
+  STATE,
+  encodeCommand,
+  decodeCommand,
+  stateName,
+};
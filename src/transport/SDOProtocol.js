@@ -0,0 +1,306 @@
+/**
+ * SDOProtocol.js
+ *
+ * Encoding and decoding of CANopen SDO frames (CiA 301)
+ */
+
+// COB-ID bases (node ID is added to these)
+const COB_ID = {
+  SDO_RX: 0x600, // Client → Server (request)
+  SDO_TX: 0x580, // Server → Client (response)
+};
+
+// Client command specifiers (bits 7-5 of byte 0)
+const CCS = {
+  DOWNLOAD_SEGMENT: 0,
+  DOWNLOAD_INITIATE: 1,
+  UPLOAD_INITIATE: 2,
+  UPLOAD_SEGMENT: 3,
+};
+
+// Server command specifiers (bits 7-5 of byte 0)
+const SCS = {
+  UPLOAD_SEGMENT: 0,
+  DOWNLOAD_SEGMENT: 1,
+  UPLOAD_INITIATE: 2,
+  DOWNLOAD_INITIATE: 3,
+};
+
+// Abort transfer command specifier (byte 0)
+const ABORT = 0x80;
+
+// SDO abort codes (CiA 301)
+const ABORT_CODE = {
+  TOGGLE_BIT_NOT_ALTERNATED: 0x05030000,
+  TIMEOUT: 0x05040000,
+  COMMAND_SPECIFIER_INVALID: 0x05040001,
+  OUT_OF_MEMORY: 0x05040005,
+  UNSUPPORTED_ACCESS: 0x06010000,
+  WRITE_ONLY: 0x06010001,
+  READ_ONLY: 0x06010002,
+  OBJECT_DOES_NOT_EXIST: 0x06020000,
+  OBJECT_CANNOT_BE_MAPPED: 0x06040041,
+  PDO_LENGTH_EXCEEDED: 0x06040042,
+  HARDWARE_ERROR: 0x06060000,
+  DATA_LENGTH_MISMATCH: 0x06070010,
+  DATA_LENGTH_TOO_HIGH: 0x06070012,
+  DATA_LENGTH_TOO_LOW: 0x06070013,
+  SUB_INDEX_DOES_NOT_EXIST: 0x06090011,
+  VALUE_RANGE_EXCEEDED: 0x06090030,
+  VALUE_TOO_HIGH: 0x06090031,
+  VALUE_TOO_LOW: 0x06090032,
+  GENERAL_ERROR: 0x08000000,
+  DATA_CANNOT_BE_STORED: 0x08000020,
+  LOCAL_CONTROL: 0x08000021,
+  DEVICE_STATE: 0x08000022,
+  NO_DATA_AVAILABLE: 0x08000024,
+};
+
+// Human-readable descriptions of the abort codes
+const ABORT_DESCRIPTION = {
+  [ABORT_CODE.TOGGLE_BIT_NOT_ALTERNATED]: 'Toggle bit not alternated',
+  [ABORT_CODE.TIMEOUT]: 'SDO protocol timed out',
+  [ABORT_CODE.COMMAND_SPECIFIER_INVALID]: 'Client/server command specifier not valid or unknown',
+  [ABORT_CODE.OUT_OF_MEMORY]: 'Out of memory',
+  [ABORT_CODE.UNSUPPORTED_ACCESS]: 'Unsupported access to an object',
+  [ABORT_CODE.WRITE_ONLY]: 'Attempt to read a write only object',
+  [ABORT_CODE.READ_ONLY]: 'Attempt to write a read only object',
+  [ABORT_CODE.OBJECT_DOES_NOT_EXIST]: 'Object does not exist in the object dictionary',
+  [ABORT_CODE.OBJECT_CANNOT_BE_MAPPED]: 'Object cannot be mapped to the PDO',
+  [ABORT_CODE.PDO_LENGTH_EXCEEDED]: 'The number and length of the objects to be mapped would exceed PDO length',
+  [ABORT_CODE.HARDWARE_ERROR]: 'Access failed due to a hardware error',
+  [ABORT_CODE.DATA_LENGTH_MISMATCH]: 'Data type does not match, length of service parameter does not match',
+  [ABORT_CODE.DATA_LENGTH_TOO_HIGH]: 'Data type does not match, length of service parameter too high',
+  [ABORT_CODE.DATA_LENGTH_TOO_LOW]: 'Data type does not match, length of service parameter too low',
+  [ABORT_CODE.SUB_INDEX_DOES_NOT_EXIST]: 'Sub-index does not exist',
+  [ABORT_CODE.VALUE_RANGE_EXCEEDED]: 'Value range of parameter exceeded',
+  [ABORT_CODE.VALUE_TOO_HIGH]: 'Value of parameter written too high',
+  [ABORT_CODE.VALUE_TOO_LOW]: 'Value of parameter written too low',
+  [ABORT_CODE.GENERAL_ERROR]: 'General error',
+  [ABORT_CODE.DATA_CANNOT_BE_STORED]: 'Data cannot be transferred or stored to the application',
+  [ABORT_CODE.LOCAL_CONTROL]: 'Data cannot be transferred or stored to the application because of local control',
+  [ABORT_CODE.DEVICE_STATE]: 'Data cannot be transferred or stored to the application because of the present device state',
+  [ABORT_CODE.NO_DATA_AVAILABLE]: 'No data available',
+};
+
+const FRAME_LENGTH = 8;
+
+// Number of data bytes carried by one segment
+const SEGMENT_SIZE = 7;
+
+// Build an 8-byte frame with the command byte, index and sub-index filled in
+function createFrame(command, index, subIndex) {
+  const data = Buffer.alloc(FRAME_LENGTH);
+  data[0] = command;
+  data.writeUInt16LE(index, 1);
+  data[3] = subIndex;
+  return data;
+}
+
+// Command byte for an expedited transfer with the data size indicated
+// (e.g. 0x2F/0x2B/0x27/0x23 for downloads, 0x4F/0x4B/0x47/0x43 for uploads)
+function expeditedCommand(specifier, size) {
+  if (![1, 2, 3, 4].includes(size)) {
+    throw new RangeError(`Invalid expedited data size: ${size}`);
+  }
+  return (specifier << 5) | ((4 - size) << 2) | 0x3;
+}
+
+// Write a value into the data bytes of an expedited frame. The value is
+// either an unsigned integer of `size` bytes or a Buffer of up to 4 bytes.
+function writeData(data, value, size) {
+  if (Buffer.isBuffer(value)) {
+    value.copy(data, 4);
+    return;
+  }
+  if (!Number.isInteger(value) || value < 0 || value >= 2 ** (size * 8)) {
+    throw new RangeError(`Value ${value} does not fit in ${size} byte(s)`);
+  }
+  data.writeUIntLE(value, 4, size);
+}
+
+// Build a segment frame: [cmd][7 bytes of data], where the command byte holds
+// the toggle bit, the number of unused bytes and the "last segment" flag
+function createSegment(specifier, toggle, chunk, last) {
+  if (chunk.length > SEGMENT_SIZE) {
+    throw new RangeError(`Segment data cannot exceed ${SEGMENT_SIZE} bytes`);
+  }
+  const data = Buffer.alloc(FRAME_LENGTH);
+  data[0] = (specifier << 5) | (toggle ? 0x10 : 0) | ((SEGMENT_SIZE - chunk.length) << 1) | (last ? 0x1 : 0);
+  chunk.copy(data, 1);
+  return data;
+}
+
+// SDO read request: [0x40][Index Low][Index High][Subindex][0][0][0][0]
+function encodeUploadRequest(index, subIndex = 0) {
+  return createFrame(CCS.UPLOAD_INITIATE << 5, index, subIndex);
+}
+
+// SDO write request: [0x2F][Index Low][Index High][Subindex][Data0][Data1][Data2][Data3]
+function encodeDownloadRequest(index, subIndex, value, size = 1) {
+  if (Buffer.isBuffer(value)) size = value.length;
+  const data = createFrame(expeditedCommand(CCS.DOWNLOAD_INITIATE, size), index, subIndex);
+  writeData(data, value, size);
+  return data;
+}
+
+// SDO read response: [0x4F][Index Low][Index High][Subindex][Data0][Data1][Data2][Data3]
+function encodeUploadResponse(index, subIndex, value, size = 1) {
+  if (Buffer.isBuffer(value)) size = value.length;
+  const data = createFrame(expeditedCommand(SCS.UPLOAD_INITIATE, size), index, subIndex);
+  writeData(data, value, size);
+  return data;
+}
+
+// SDO write response: [0x60][Index Low][Index High][Subindex][0][0][0][0]
+function encodeDownloadResponse(index, subIndex) {
+  return createFrame(SCS.DOWNLOAD_INITIATE << 5, index, subIndex);
+}
+
+// Segmented write request: [0x21][Index Low][Index High][Subindex][Size (UNSIGNED32)]
+function encodeSegmentedDownloadRequest(index, subIndex, size) {
+  const data = createFrame((CCS.DOWNLOAD_INITIATE << 5) | 0x1, index, subIndex);
+  data.writeUInt32LE(size, 4);
+  return data;
+}
+
+// Segmented read response: [0x41][Index Low][Index High][Subindex][Size (UNSIGNED32)]
+function encodeSegmentedUploadResponse(index, subIndex, size) {
+  const data = createFrame((SCS.UPLOAD_INITIATE << 5) | 0x1, index, subIndex);
+  data.writeUInt32LE(size, 4);
+  return data;
+}
+
+// Upload segment request: [0x60 or 0x70][0][0][0][0][0][0][0]
+function encodeUploadSegmentRequest(toggle) {
+  const data = Buffer.alloc(FRAME_LENGTH);
+  data[0] = (CCS.UPLOAD_SEGMENT << 5) | (toggle ? 0x10 : 0);
+  return data;
+}
+
+// Upload segment response carrying up to 7 bytes of object data
+function encodeUploadSegment(toggle, chunk, last) {
+  return createSegment(SCS.UPLOAD_SEGMENT, toggle, chunk, last);
+}
+
+// Download segment request carrying up to 7 bytes of object data
+function encodeDownloadSegment(toggle, chunk, last) {
+  return createSegment(CCS.DOWNLOAD_SEGMENT, toggle, chunk, last);
+}
+
+// Download segment response: [0x20 or 0x30][0][0][0][0][0][0][0]
+function encodeDownloadSegmentResponse(toggle) {
+  const data = Buffer.alloc(FRAME_LENGTH);
+  data[0] = (SCS.DOWNLOAD_SEGMENT << 5) | (toggle ? 0x10 : 0);
+  return data;
+}
+
+// SDO abort: [0x80][Index Low][Index High][Subindex][Abort code (UNSIGNED32)]
+function encodeAbort(index, subIndex, abortCode = ABORT_CODE.GENERAL_ERROR) {
+  const data = createFrame(ABORT, index, subIndex);
+  data.writeUInt32LE(abortCode >>> 0, 4);
+  return data;
+}
+
+// Decode an initiate frame (the ones carrying index and sub-index)
+function decodeInitiate(type, data, carriesData) {
+  const command = data[0];
+  const frame = { type, index: data.readUInt16LE(1), subIndex: data[3] };
+
+  if (!carriesData) {
+    return frame;
+  }
+
+  const expedited = (command & 0x2) !== 0;
+  const sizeIndicated = (command & 0x1) !== 0;
+
+  if (expedited) {
+    // Expedited transfers carry their data in bytes 4-7
+    const size = sizeIndicated ? 4 - ((command >> 2) & 0x3) : 4;
+    frame.segmented = false;
+    frame.size = size;
+    frame.raw = Buffer.from(data.subarray(4, 4 + size));
+    frame.data = data.readUIntLE(4, size);
+  } else {
+    // Segmented transfers announce the total size in bytes 4-7
+    frame.segmented = true;
+    frame.size = sizeIndicated ? data.readUInt32LE(4) : null;
+  }
+
+  return frame;
+}
+
+// Decode a segment frame (toggle bit, unused byte count, "last" flag and data)
+function decodeSegment(type, data, carriesData) {
+  const command = data[0];
+  const frame = { type, toggle: (command & 0x10) !== 0 };
+
+  if (carriesData) {
+    const unused = (command >> 1) & 0x7;
+    frame.last = (command & 0x1) !== 0;
+    frame.data = Buffer.from(data.subarray(1, FRAME_LENGTH - unused));
+  }
+
+  return frame;
+}
+
+// Decode the data bytes of an SDO frame, from either direction.
+// `isResponse` selects between the server and client command specifiers,
+// since the same specifier values mean different things on each side.
+//
+// Returned `type` is one of 'upload', 'download' (initiate frames),
+// 'uploadSegment', 'downloadSegment' or 'abort'.
+function decode(data, isResponse) {
+  if (!Buffer.isBuffer(data) || data.length !== FRAME_LENGTH) {
+    throw new Error('SDO frame must be exactly 8 bytes');
+  }
+
+  const command = data[0];
+
+  if (command === ABORT) {
+    return { type: 'abort', index: data.readUInt16LE(1), subIndex: data[3], abortCode: data.readUInt32LE(4) };
+  }
+
+  const specifier = command >> 5;
+
+  if (isResponse) {
+    switch (specifier) {
+      case SCS.UPLOAD_SEGMENT: return decodeSegment('uploadSegment', data, true);
+      case SCS.DOWNLOAD_SEGMENT: return decodeSegment('downloadSegment', data, false);
+      case SCS.UPLOAD_INITIATE: return decodeInitiate('upload', data, true);
+      case SCS.DOWNLOAD_INITIATE: return decodeInitiate('download', data, false);
+    }
+  } else {
+    switch (specifier) {
+      case CCS.DOWNLOAD_SEGMENT: return decodeSegment('downloadSegment', data, true);
+      case CCS.DOWNLOAD_INITIATE: return decodeInitiate('download', data, true);
+      case CCS.UPLOAD_INITIATE: return decodeInitiate('upload', data, false);
+      case CCS.UPLOAD_SEGMENT: return decodeSegment('uploadSegment', data, false);
+    }
+  }
+
+  throw new Error(`Unsupported SDO command specifier: 0x${command.toString(16)}`);
+}
+
+module.exports = {
+  COB_ID,
+  CCS,
+  SCS,
+  ABORT,
+  ABORT_CODE,
+  ABORT_DESCRIPTION,
+  FRAME_LENGTH,
+  SEGMENT_SIZE,
+  encodeUploadRequest,
+  encodeDownloadRequest,
+  encodeUploadResponse,
+  encodeDownloadResponse,
+  encodeSegmentedDownloadRequest,
+  encodeSegmentedUploadResponse,
+  encodeUploadSegmentRequest,
+  encodeUploadSegment,
+  encodeDownloadSegment,
+  encodeDownloadSegmentResponse,
+  encodeAbort,
+  decode,
+};
@@ -0,0 +1,41 @@
+/**
+ * SYNCProtocol.js
+ *
+ * CANopen SYNC object (CiA 301): the producer broadcasts SYNC periodically
+ * and synchronous PDOs are sampled and sent on reception
+ */
+
+// Default SYNC COB-ID
+const COB_ID = 0x080;
+
+// SYNC objects
+const OBJECT = {
+  COB_ID_SYNC: 0x1005, // UNSIGNED32, bit 30 set on the SYNC producer
+  COMMUNICATION_CYCLE_PERIOD: 0x1006, // µs, UNSIGNED32 (0 disables)
+  SYNCHRONOUS_WINDOW_LENGTH: 0x1007, // µs, UNSIGNED32 (0 disables)
+  SYNCHRONOUS_COUNTER_OVERFLOW: 0x1019, // UNSIGNED8, 0 for SYNC without counter
+};
+
+// COB-ID SYNC bit marking the node that generates SYNC
+const GENERATE_BIT = 0x40000000;
+
+// SYNC frame: empty, or [Counter] (1 up to the overflow value) when the
+// synchronous counter overflow value is 2 or more
+function encode(counter = null, cobId = COB_ID) {
+  return { id: cobId, data: counter === null ? Buffer.alloc(0) : Buffer.from([counter]) };
+}
+
+function decode(frame) {
+  if (frame.data.length > 1) {
+    throw new Error('Not a SYNC frame');
+  }
+  return { counter: frame.data.length === 1 ? frame.data[0] : null };
+}
+
+module.exports = {
+  COB_ID,
+  OBJECT,
+  GENERATE_BIT,
+  encode,
+  decode,
+};
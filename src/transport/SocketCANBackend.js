@@ -0,0 +1,185 @@
+/**
+ * SocketCANBackend.js
+ *
+ * Linux SocketCAN access for CANopenTransport when not in simulation mode.
+ * Uses the optional `socketcan` package and can be tested against a virtual
+ * interface:
+ *
+ *   sudo ip link add dev vcan0 type vcan
+ *   sudo ip link set up vcan0
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const { execFile } = require('child_process');
+
+// Error frame classes (linux/can/error.h)
+const CAN_ERR_BUSOFF = 0x40;
+const CAN_ERR_MASK = 0x1FFFFFFF;
+
+class SocketCANBackend extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      interface: 'can0', // Network interface name (e.g. can0, vcan0)
+      bitrate: 250000, // Only applied when configureBitrate is set
+      configureBitrate: false, // Run `ip link set <interface> type can bitrate <bitrate>` on open (needs CAP_NET_ADMIN)
+      filters: [], // Receive filters, e.g. [{ id: 0x581, mask: 0x7FF }]
+      linkCheckInterval: 1000, // How often to check the interface state in ms (0 to disable)
+      ...config
+    };
+
+    this.channel = null;
+    this.linkTimer = null;
+    this.open = false;
+  }
+
+  // Open a raw CAN socket on the configured interface
+  async start() {
+    if (this.open) return;
+
+    const { interface: name } = this.config;
+
+    if (!fs.existsSync(`/sys/class/net/${name}`)) {
+      throw new Error(`CAN interface ${name} does not exist`);
+    }
+
+    if (this.config.configureBitrate) {
+      await this.setBitrate();
+    }
+
+    if (!this.isLinkUp()) {
+      throw new Error(`CAN interface ${name} is down`);
+    }
+
+    const can = this.loadSocketCAN();
+
+    try {
+      this.channel = can.createRawChannel(name, true);
+    } catch (error) {
+      throw new Error(`Failed to open CAN interface ${name}: ${error.message}`);
+    }
+
+    if (this.config.filters.length > 0) {
+      this.channel.setRxFilters(this.config.filters);
+    }
+    this.channel.setErrorFilters(CAN_ERR_MASK);
+
+    this.channel.addListener('onMessage', (message) => this.handleMessage(message));
+    this.channel.addListener('onStopped', () => this.handleStopped());
+    this.channel.start();
+    this.open = true;
+
+    if (this.config.linkCheckInterval > 0) {
+      this.linkTimer = setInterval(() => this.checkLink(), this.config.linkCheckInterval);
+    }
+  }
+
+  // Close the socket
+  async stop() {
+    if (!this.open) return;
+
+    this.open = false;
+    clearInterval(this.linkTimer);
+    this.linkTimer = null;
+
+    this.channel.stop();
+    this.channel = null;
+  }
+
+  // Send a frame: { id, data, rtr }
+  send(frame) {
+    if (!this.open) {
+      throw new Error(`CAN interface ${this.config.interface} is not open`);
+    }
+
+    this.channel.send({ id: frame.id, ext: false, rtr: Boolean(frame.rtr), data: frame.data });
+  }
+
+  // Replace the receive filters while the socket is open
+  setFilters(filters) {
+    this.config.filters = filters;
+    if (this.open) {
+      this.channel.setRxFilters(filters);
+    }
+  }
+
+  handleMessage(message) {
+    if (message.err) {
+      const error = new Error(`CAN error frame on ${this.config.interface} (class 0x${message.id.toString(16)})`);
+      error.errorClass = message.id;
+
+      if (message.id & CAN_ERR_BUSOFF) {
+        this.fail(new Error(`CAN interface ${this.config.interface} is bus-off`));
+      } else {
+        this.emit('busError', error);
+      }
+      return;
+    }
+
+    this.emit('frame', {
+      id: message.id,
+      data: message.data,
+      rtr: Boolean(message.rtr),
+      timestamp: message.ts_sec !== undefined ? message.ts_sec * 1000 + message.ts_usec / 1000 : Date.now()
+    });
+  }
+
+  handleStopped() {
+    if (this.open) {
+      this.fail(new Error(`CAN interface ${this.config.interface} stopped`));
+    }
+  }
+
+  checkLink() {
+    if (this.open && !this.isLinkUp()) {
+      this.fail(new Error(`CAN interface ${this.config.interface} went down`));
+    }
+  }
+
+  // Close the socket after an unrecoverable error and report it
+  fail(error) {
+    this.stop().catch(() => {});
+    this.emit('down', error);
+  }
+
+  // Virtual interfaces report "unknown" as their operational state
+  isLinkUp() {
+    try {
+      const state = fs.readFileSync(`/sys/class/net/${this.config.interface}/operstate`, 'utf8').trim();
+      return state === 'up' || state === 'unknown';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  setBitrate() {
+    const { interface: name, bitrate } = this.config;
+
+    return new Promise((resolve, reject) => {
+      execFile('ip', ['link', 'set', name, 'down'], (downError) => {
+        if (downError) return reject(new Error(`Failed to configure ${name}: ${downError.message}`));
+
+        execFile('ip', ['link', 'set', name, 'type', 'can', 'bitrate', String(bitrate)], (error) => {
+          // Bring the interface back up even if the bitrate was rejected
+          execFile('ip', ['link', 'set', name, 'up'], (upError) => {
+            if (error) return reject(new Error(`Failed to set bitrate ${bitrate} on ${name}: ${error.message}`));
+            if (upError) return reject(new Error(`Failed to bring up ${name}: ${upError.message}`));
+            resolve();
+          });
+        });
+      });
+    });
+  }
+
+  loadSocketCAN() {
+    try {
+      return require('socketcan');
+    } catch (error) {
+      throw new Error('SocketCAN support requires the optional `socketcan` package (npm install socketcan)');
+    }
+  }
+}
+
+module.exports = SocketCANBackend;
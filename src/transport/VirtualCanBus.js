@@ -0,0 +1,214 @@
+/**
+ * VirtualCanBus.js
+ *
+ * In-process CAN bus connecting any number of transports and virtual
+ * elevator nodes. Frames are transmitted one at a time: when several are
+ * waiting, the lowest COB-ID wins arbitration, and each takes as long as it
+ * would on the wire at the configured bitrate. Every frame is seen by every
+ * other participant, like on a real bus.
+ *
+ *   const bus = new VirtualCanBus({ bitrate: 250000 });
+ *   bus.attachNode(elevator);
+ *   const transport = new CANopenTransport({ canBus: bus, nodeId: elevator.config.nodeId });
+ */
+
+const EventEmitter = require('events');
+
+// Bits of a CAN 2.0A data frame without data: SOF, identifier, RTR, IDE, r0,
+// DLC, CRC, delimiters, ACK, EOF and intermission
+const FRAME_OVERHEAD_BITS = 47;
+
+// Length of a frame in bits, including worst-case bit stuffing
+function frameBits(frame) {
+  const dataBits = frame.rtr ? 0 : frame.data.length * 8;
+  const stuffBits = Math.floor((34 + dataBits - 1) / 4);
+  return FRAME_OVERHEAD_BITS + dataBits + stuffBits;
+}
+
+// Time on the wire of a frame in ms
+function frameTime(frame, bitrate) {
+  return frameBits(frame) / bitrate * 1000;
+}
+
+// A transport's connection to the bus, with the same interface as
+// SocketCANBackend: start(), stop(), send(frame), setFilters(filters) and
+// 'frame' events
+class VirtualCanPort extends EventEmitter {
+  constructor(bus, config = {}) {
+    super();
+
+    this.bus = bus;
+    this.config = {
+      filters: [], // Receive filters, e.g. [{ id: 0x581, mask: 0x7FF }]
+      ...config
+    };
+    this.open = false;
+  }
+
+  async start() {
+    this.open = true;
+  }
+
+  async stop() {
+    this.open = false;
+  }
+
+  send(frame) {
+    if (!this.open) {
+      throw new Error('Virtual CAN port is not open');
+    }
+
+    this.bus.transmit(frame, this);
+  }
+
+  setFilters(filters) {
+    this.config.filters = filters;
+  }
+
+  // Whether a frame passes the receive filters (no filters: everything)
+  accepts(frame) {
+    const { filters } = this.config;
+    return filters.length === 0 || filters.some(filter => (frame.id & filter.mask) === (filter.id & filter.mask));
+  }
+
+  receive(frame) {
+    if (this.open && this.accepts(frame)) {
+      this.emit('frame', frame);
+    }
+  }
+}
+
+class VirtualCanBus extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      bitrate: 250000, // bits/second, determines how long each frame occupies the bus
+      timeScale: 1, // Multiplier for frame times; 0 delivers frames as fast as possible
+      ...config
+    };
+
+    this.ports = new Set();
+    this.nodes = new Map(); // Virtual elevators by node ID
+    this.nodeListeners = new Map();
+
+    // Frames waiting for the bus, and whether one is on the wire
+    this.queue = [];
+    this.busy = false;
+    this.sequence = 0;
+
+    this.stats = { frames: 0, bits: 0 };
+  }
+
+  // Create a port for a transport (see CANopenTransport's `canBus` option)
+  createPort(config = {}) {
+    const port = new VirtualCanPort(this, config);
+    this.ports.add(port);
+    return port;
+  }
+
+  removePort(port) {
+    this.ports.delete(port);
+  }
+
+  // Attach a virtual elevator: it receives every frame on the bus and its
+  // transmitted frames and SDO responses go onto the bus
+  attachNode(node) {
+    const { nodeId } = node.config;
+
+    if (this.nodes.has(nodeId)) {
+      throw new Error(`Node ID ${nodeId} is already in use on the bus`);
+    }
+
+    const listener = (frame) => this.transmit(frame, node);
+    node.addEventListener('frame', listener);
+
+    this.nodes.set(nodeId, node);
+    this.nodeListeners.set(nodeId, listener);
+  }
+
+  detachNode(node) {
+    const { nodeId } = node.config;
+    if (this.nodes.get(nodeId) !== node) return;
+
+    node.removeEventListener('frame', this.nodeListeners.get(nodeId));
+    this.nodes.delete(nodeId);
+    this.nodeListeners.delete(nodeId);
+  }
+
+  getNode(nodeId) {
+    return this.nodes.get(nodeId) || null;
+  }
+
+  // Queue a frame for transmission by `sender` (a port or node)
+  transmit(frame, sender) {
+    this.queue.push({ frame, sender, sequence: this.sequence++ });
+    this.arbitrate();
+  }
+
+  // Put the highest-priority waiting frame on the wire: the lowest COB-ID
+  // wins, frames with the same COB-ID go in the order they were queued
+  arbitrate() {
+    if (this.busy || this.queue.length === 0) return;
+
+    let winner = 0;
+    for (let i = 1; i < this.queue.length; i++) {
+      const entry = this.queue[i];
+      const best = this.queue[winner];
+      if (entry.frame.id < best.frame.id || (entry.frame.id === best.frame.id && entry.sequence < best.sequence)) {
+        winner = i;
+      }
+    }
+
+    const [entry] = this.queue.splice(winner, 1);
+    const duration = frameTime(entry.frame, this.config.bitrate) * this.config.timeScale;
+
+    this.busy = true;
+    const done = () => {
+      this.busy = false;
+      this.deliver(entry);
+      this.arbitrate();
+    };
+
+    if (duration > 0) {
+      setTimeout(done, duration);
+    } else {
+      setImmediate(done);
+    }
+  }
+
+  // Hand a transmitted frame to every participant except its sender
+  deliver({ frame, sender }) {
+    const received = {
+      id: frame.id,
+      data: frame.data,
+      rtr: Boolean(frame.rtr),
+      timestamp: Date.now()
+    };
+
+    this.stats.frames++;
+    this.stats.bits += frameBits(frame);
+    this.emit('frame', received);
+
+    for (const port of this.ports) {
+      if (port !== sender) {
+        port.receive(received);
+      }
+    }
+
+    for (const node of this.nodes.values()) {
+      if (node === sender) continue;
+
+      // SDO responses are returned rather than transmitted by the node
+      const response = node.receiveFrame(received);
+      if (response) {
+        this.transmit(response, node);
+      }
+    }
+  }
+}
+
+module.exports = VirtualCanBus;
+module.exports.VirtualCanPort = VirtualCanPort;
+module.exports.frameBits = frameBits;
+module.exports.frameTime = frameTime;
@@ -0,0 +1,71 @@
+/**
+ * ElevatorAPI.callEvents.test.js
+ *
+ * Call events (0x6111) reach listeners once, although TPDO4 repeats the
+ * last one on entering operational and on every SYNC
+ */
+
+const { setupConnectedElevator, recordEvents, advance, settle } = require('../support/virtualElevator');
+
+describe('ElevatorAPI call events', () => {
+  describe('with cyclic PDOs', () => {
+    const setup = setupConnectedElevator({ transport: { syncPeriod: 100 }, api: { pdoTransmissionType: 1 } });
+
+    test('reports a call once', async () => {
+      const { api } = setup;
+      const registered = recordEvents(api, 'callRegistered');
+
+      await settle(api.registerCarCall(5));
+      await advance(1000);
+
+      expect(registered).toEqual([{ floor: 5, type: 'CAR' }]);
+    });
+  });
+
+  describe('with event-driven PDOs', () => {
+    const setup = setupConnectedElevator({ connect: false });
+
+    test('reports the same call registered again', async () => {
+      const { api } = setup;
+      const events = [];
+      ['callRegistered', 'callCancelled'].forEach(event => api.on(event, call => events.push([event, call.floor])));
+
+      await settle(api.connect());
+      await settle(api.registerHallCall(4, 'DOWN'));
+      await settle(api.cancelHallCall(4, 'DOWN'));
+      await settle(api.registerHallCall(4, 'DOWN'));
+      await advance(300);
+
+      expect(events).toEqual([['callRegistered', 4], ['callCancelled', 4], ['callRegistered', 4]]);
+    });
+
+    test('does not report the last event again after reset node', async () => {
+      const { api } = setup;
+      const answered = recordEvents(api, 'callAnswered');
+      const cancelled = recordEvents(api, 'callCancelled');
+
+      await settle(api.connect());
+      await settle(api.registerCarCall(2));
+      await settle(api.waitForDoorState('OPEN', { floor: 2, timeout: 5000 }));
+      expect(answered).toEqual([{ floor: 2, type: 'CAR' }]);
+
+      await settle(api.resetNode());
+      await advance(300);
+
+      expect(answered).toHaveLength(1);
+      expect(cancelled).toEqual([]);
+    });
+
+    test('does not report an event from before connecting', async () => {
+      const { elevator, api } = setup;
+      elevator.nmtState = 'OPERATIONAL';
+      elevator.writeObject(0x6102, 1, 3); // Car call to floor 3 before the API connects
+
+      const registered = recordEvents(api, 'callRegistered');
+      await settle(api.connect());
+      await advance(300);
+
+      expect(registered).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * ElevatorAPI.connection.test.js
+ *
+ * disconnect() while a connection attempt is still in progress
+ */
+
+const { setupConnectedElevator, recordEvents, settle } = require('../support/virtualElevator');
+
+// Promise resolved from outside
+function deferred() {
+  let resolve;
+  const promise = new Promise(res => { resolve = res; });
+  return { promise, resolve };
+}
+
+describe('ElevatorAPI disconnect while connecting', () => {
+  const setup = setupConnectedElevator({ connect: false, api: { reconnect: true } });
+  let transport;
+  let api;
+  let connected;
+
+  beforeEach(() => {
+    ({ transport, api } = setup);
+    connected = recordEvents(api, 'connected');
+  });
+
+  test('closes a transport that finishes connecting afterwards', async () => {
+    const transportConnected = deferred();
+    const connect = transport.connect.bind(transport);
+    jest.spyOn(transport, 'connect').mockImplementation(async () => {
+      await transportConnected.promise;
+      return connect();
+    });
+
+    const connecting = api.connect();
+    const disconnecting = api.disconnect();
+    transportConnected.resolve();
+
+    await expect(settle(connecting)).resolves.toBe(false);
+    await expect(settle(disconnecting)).resolves.toBe(true);
+    expect(connected).toEqual([]);
+    expect(api.connectionState).toBe('disconnected');
+    expect(api.connected).toBe(false);
+    expect(transport.connected).toBe(false);
+  });
+
+  test('abandons bringing the node up', async () => {
+    const mappingsLoaded = deferred();
+    jest.spyOn(api, 'loadPdoMappings').mockImplementation(() => mappingsLoaded.promise);
+
+    const connecting = api.connect();
+    await settle(new Promise(resolve => setImmediate(resolve)));
+    expect(transport.connected).toBe(true);
+
+    await settle(api.disconnect());
+    mappingsLoaded.resolve();
+
+    await expect(settle(connecting)).resolves.toBe(false);
+    expect(connected).toEqual([]);
+    expect(api.connectionState).toBe('disconnected');
+    expect(transport.connected).toBe(false);
+    expect(api.reconnectTimer).toBeNull();
+  });
+
+  test('connects again afterwards', async () => {
+    const connecting = api.connect();
+    await settle(api.disconnect());
+    await settle(connecting);
+
+    await expect(settle(api.connect())).resolves.toBe(true);
+    expect(connected).toHaveLength(1);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * ElevatorAPI.emergency.test.js
+ *
+ * EMCY messages from the elevator as emergency and emergencyCleared events,
+ * and the error register (0x1001) and error history (0x1003) they leave
+ */
+
+const EMCYProtocol = require('../../src/transport/EMCYProtocol');
+const { setupConnectedElevator, recordEvents, advance, settle } = require('../support/virtualElevator');
+
+const { ERROR_CODE, ERROR_REGISTER } = EMCYProtocol;
+
+describe('ElevatorAPI emergencies', () => {
+  const setup = setupConnectedElevator();
+
+  // Lift-specific codes count as device profile errors
+  test('emits emergency with the code, register and description of a fault', async () => {
+    const emergencies = recordEvents(setup.api, 'emergency');
+
+    setup.elevator.injectFault(ERROR_CODE.DOOR_FAULT, Buffer.from([0x34, 0x12]));
+    await advance(10);
+
+    expect(emergencies).toEqual([{
+      code: ERROR_CODE.DOOR_FAULT,
+      register: ERROR_REGISTER.GENERIC | ERROR_REGISTER.DEVICE_PROFILE,
+      manufacturerData: Buffer.from([0x34, 0x12, 0, 0, 0]),
+      description: 'Door fault',
+    }]);
+  });
+
+  test('sets the error register bit of the error class', async () => {
+    setup.elevator.injectFault(ERROR_CODE.TEMPERATURE);
+    await advance(10);
+
+    await expect(settle(setup.api.getErrorRegister())).resolves.toBe(ERROR_REGISTER.GENERIC | ERROR_REGISTER.TEMPERATURE);
+  });
+
+  test('emits emergencyCleared with the remaining register once each fault clears', async () => {
+    const cleared = recordEvents(setup.api, 'emergencyCleared');
+    setup.elevator.injectFault(ERROR_CODE.TEMPERATURE);
+    setup.elevator.injectFault(ERROR_CODE.DOOR_FAULT);
+
+    setup.elevator.clearFault(ERROR_CODE.TEMPERATURE);
+    await advance(10);
+    expect(cleared).toEqual([{ register: ERROR_REGISTER.GENERIC | ERROR_REGISTER.DEVICE_PROFILE }]);
+
+    setup.elevator.clearFault(ERROR_CODE.DOOR_FAULT);
+    await advance(10);
+    expect(cleared).toEqual([{ register: ERROR_REGISTER.GENERIC | ERROR_REGISTER.DEVICE_PROFILE }, { register: 0 }]);
+    await expect(settle(setup.api.getErrorRegister())).resolves.toBe(0);
+  });
+
+  test('does not repeat a fault that is still active', async () => {
+    const emergencies = recordEvents(setup.api, 'emergency');
+
+    setup.elevator.injectFault(ERROR_CODE.DRIVE_FAULT);
+    setup.elevator.injectFault(ERROR_CODE.DRIVE_FAULT);
+    await advance(10);
+
+    expect(emergencies).toHaveLength(1);
+  });
+
+  test('reports an emergency stop as an EMCY and in the manufacturer status', async () => {
+    const emergencies = recordEvents(setup.api, 'emergency');
+    const cleared = recordEvents(setup.api, 'emergencyCleared');
+
+    await settle(setup.api.setEmergencyStop(true));
+    await advance(10);
+    expect(emergencies).toEqual([expect.objectContaining({ code: ERROR_CODE.EMERGENCY_STOP, description: 'Emergency stop' })]);
+    await expect(settle(setup.api.isInEmergencyState())).resolves.toBe(true);
+
+    await settle(setup.api.setEmergencyStop(false));
+    await advance(10);
+    expect(cleared).toEqual([{ register: 0 }]);
+    await expect(settle(setup.api.isInEmergencyState())).resolves.toBe(false);
+  });
+
+  test('lists past errors most recent first in the error history', async () => {
+    setup.elevator.injectFault(ERROR_CODE.DOOR_FAULT, Buffer.from([0x07, 0x00]));
+    setup.elevator.clearFault(ERROR_CODE.DOOR_FAULT);
+    setup.elevator.injectFault(ERROR_CODE.CAR_OVERLOAD);
+
+    await expect(settle(setup.api.getErrorHistory())).resolves.toEqual([
+      { code: ERROR_CODE.CAR_OVERLOAD, description: 'Car overload', additionalInfo: 0 },
+      { code: ERROR_CODE.DOOR_FAULT, description: 'Door fault', additionalInfo: 7 },
+    ]);
+  });
+
+  test('keeps the last eight errors in the history', async () => {
+    for (let i = 1; i <= 10; i++) {
+      setup.elevator.injectFault(ERROR_CODE.DEVICE_SPECIFIC + i);
+      setup.elevator.clearFault(ERROR_CODE.DEVICE_SPECIFIC + i);
+    }
+
+    const history = await settle(setup.api.getErrorHistory());
+
+    expect(history.map(({ code }) => code - ERROR_CODE.DEVICE_SPECIFIC)).toEqual([10, 9, 8, 7, 6, 5, 4, 3]);
+  });
+
+  test('empties the error history on request', async () => {
+    setup.elevator.injectFault(ERROR_CODE.DOOR_FAULT);
+
+    await settle(setup.api.clearErrorHistory());
+
+    await expect(settle(setup.api.getErrorHistory())).resolves.toEqual([]);
+  });
+});
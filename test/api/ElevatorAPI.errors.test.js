@@ -0,0 +1,76 @@
+/**
+ * ElevatorAPI.errors.test.js
+ *
+ * Requests the elevator refuses: the SDO abort it answers with, and the
+ * ElevatorProtocolError with abort code, index and sub-index ElevatorAPI
+ * rejects with
+ */
+
+const ElevatorProtocolError = require('../../src/api/ElevatorProtocolError');
+const SDOProtocol = require('../../src/transport/SDOProtocol');
+const { setupConnectedElevator, settle } = require('../support/virtualElevator');
+
+const { ABORT_CODE } = ElevatorProtocolError;
+
+describe('ElevatorAPI protocol errors', () => {
+  const setup = setupConnectedElevator();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  // The error `promise` rejects with
+  async function rejection(promise) {
+    return settle(promise).then(
+      () => { throw new Error('Expected a rejection'); },
+      error => error);
+  }
+
+  test.each([
+    ['reading an object that does not exist', api => api.readObject(0x7000), ABORT_CODE.OBJECT_DOES_NOT_EXIST, 0x7000, 0],
+    ['reading a sub-index that does not exist', api => api.readObject(0x2010, 9), ABORT_CODE.SUB_INDEX_DOES_NOT_EXIST, 0x2010, 9],
+    ['reading a write-only object', api => api.readObject(0x2010, 1), ABORT_CODE.WRITE_ONLY, 0x2010, 1],
+    ['writing a read-only object', api => api.writeObject(0x6001, 2), ABORT_CODE.READ_ONLY, 0x6001, 0],
+    ['requesting a floor above the top floor', api => api.requestFloor(99), ABORT_CODE.VALUE_TOO_HIGH, 0x6002, 0],
+    ['writing a value below the minimum', api => api.writeObject(0x6002, 0), ABORT_CODE.VALUE_TOO_LOW, 0x6002, 0],
+  ])('%s rejects with its abort code', async (name, call, abortCode, index, subIndex) => {
+    const error = await rejection(call(setup.api));
+
+    expect(error).toBeInstanceOf(ElevatorProtocolError);
+    expect(error).toEqual(expect.objectContaining({ name: 'ElevatorProtocolError', abortCode, index, subIndex }));
+    expect(error.description).toBe(SDOProtocol.ABORT_DESCRIPTION[abortCode]);
+  });
+
+  test('names the abort code and object in the message', async () => {
+    const error = await rejection(setup.api.requestFloor(99));
+
+    expect(error.message).toMatch(/^Value of parameter written too high.*\(abort code 0x06090031, object 0x6002:0\)/);
+  });
+
+  test('leaves the car where it is when the floor is refused', async () => {
+    await rejection(setup.api.requestFloor(99));
+
+    expect(setup.elevator.state.targetFloor).toBeFalsy();
+    await expect(settle(setup.api.getCurrentFloor())).resolves.toBe(1);
+  });
+
+  test('answers a refused request with an SDO abort frame', () => {
+    const request = { id: 0x601, data: Buffer.from([0x40, 0x00, 0x70, 0x00, 0, 0, 0, 0]) };
+
+    const response = setup.elevator.handleSdoRequest(request);
+
+    expect(response.id).toBe(0x581);
+    expect(response.data[0]).toBe(SDOProtocol.ABORT);
+    expect(response.data.readUInt16LE(1)).toBe(0x7000);
+    expect(response.data.readUInt32LE(4)).toBe(ABORT_CODE.OBJECT_DOES_NOT_EXIST);
+  });
+
+  test('tells a refused request apart from a lost connection', async () => {
+    await settle(setup.api.disconnect());
+
+    const error = await rejection(setup.api.requestFloor(3));
+
+    expect(error).not.toBeInstanceOf(ElevatorProtocolError);
+    expect(error.message).toBe('Not connected to elevator');
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * ElevatorAPI.heartbeat.test.js
+ *
+ * Noticing a node that went silent, by its heartbeat or by node guarding:
+ * connectionLost and connectionRestored, and calls failing fast meanwhile
+ */
+
+const NMTProtocol = require('../../src/transport/NMTProtocol');
+const { setupConnectedElevator, recordEvents, advance, settle } = require('../support/virtualElevator');
+
+// Frames with `id` the transport receives
+function recordFrames(transport, id) {
+  const frames = [];
+  transport.on('message', frame => {
+    if (frame.id === id) frames.push(frame);
+  });
+  return frames;
+}
+
+describe('ElevatorAPI heartbeat', () => {
+  const setup = setupConnectedElevator({ api: { heartbeatTime: 100 } });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('sets the producer heartbeat time on the node', async () => {
+    const heartbeats = recordFrames(setup.transport, NMTProtocol.COB_ID.NMT_ERROR_CONTROL + 1);
+
+    await advance(1000);
+
+    expect(setup.elevator.objectDictionary[NMTProtocol.OBJECT.PRODUCER_HEARTBEAT_TIME].value).toBe(100);
+    expect(heartbeats).toHaveLength(10);
+    expect(heartbeats[0].data).toEqual(Buffer.from([NMTProtocol.STATE.OPERATIONAL]));
+  });
+
+  test('emits connectionLost after twice the heartbeat time without one', async () => {
+    const lost = recordEvents(setup.api, 'connectionLost');
+
+    setup.elevator.setBusOnline(false);
+    await advance(150);
+    expect(lost).toEqual([]);
+
+    await advance(100);
+    expect(lost).toHaveLength(1);
+    expect(setup.api.isConnectionLost()).toBe(true);
+  });
+
+  test('fails calls in progress when the heartbeat stops', async () => {
+    // Drop off the bus just after the request went out, so it is never answered
+    const reading = setup.api.getCurrentFloor();
+    setup.elevator.setBusOnline(false);
+
+    const started = Date.now();
+    await expect(settle(reading)).rejects.toThrow('Nothing heard from node 1 for 200ms');
+    expect(Date.now() - started).toBeLessThanOrEqual(250);
+  });
+
+  test('fails new calls at once while the node is silent', async () => {
+    setup.elevator.setBusOnline(false);
+    await advance(300);
+
+    await expect(setup.api.requestFloor(3)).rejects.toThrow('Nothing heard from node 1');
+  });
+
+  test('emits connectionRestored with the node state on the next heartbeat', async () => {
+    const restored = recordEvents(setup.api, 'connectionRestored');
+    setup.elevator.setBusOnline(false);
+    await advance(300);
+
+    setup.elevator.setBusOnline(true);
+    await advance(100);
+
+    expect(restored).toEqual(['OPERATIONAL']);
+    expect(setup.api.isConnectionLost()).toBe(false);
+    await expect(settle(setup.api.getCurrentFloor())).resolves.toBe(1);
+  });
+});
+
+describe('ElevatorAPI node guarding', () => {
+  const setup = setupConnectedElevator({ api: { guardTime: 100, lifeTimeFactor: 3 } });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('polls the node every guard time', async () => {
+    const responses = recordFrames(setup.transport, NMTProtocol.COB_ID.NMT_ERROR_CONTROL + 1);
+
+    await advance(500);
+
+    expect(responses).toHaveLength(5);
+    // The toggle bit alternates from one response to the next
+    const toggles = responses.map(({ data }) => data[0] & 0x80);
+    toggles.slice(1).forEach((toggle, i) => expect(toggle).not.toBe(toggles[i]));
+  });
+
+  test('emits connectionLost after the life time without a response', async () => {
+    const lost = recordEvents(setup.api, 'connectionLost');
+
+    setup.elevator.setBusOnline(false);
+    await advance(250);
+    expect(lost).toEqual([]);
+
+    await advance(100);
+    expect(lost).toHaveLength(1);
+    expect(lost[0].message).toBe('Nothing heard from node 1 for 300ms');
+  });
+
+  test('emits connectionRestored once the node answers again', async () => {
+    const restored = recordEvents(setup.api, 'connectionRestored');
+    await advance(100); // Let the START sent on connect reach the node
+    setup.elevator.setBusOnline(false);
+    await advance(400);
+
+    setup.elevator.setBusOnline(true);
+    await advance(100);
+
+    expect(restored).toEqual(['OPERATIONAL']);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * ElevatorAPI.nmt.test.js
+ *
+ * The node's NMT states as ElevatorAPI drives them, motion commands refused
+ * outside operational, and bringing the node up when NMT commands or SDO
+ * transfers go unanswered
+ */
+
+const NMTProtocol = require('../../src/transport/NMTProtocol');
+const PDOProtocol = require('../../src/transport/PDOProtocol');
+const ElevatorProtocolError = require('../../src/api/ElevatorProtocolError');
+const { setupConnectedElevator, recordEvents, advance, settle } = require('../support/virtualElevator');
+
+describe('ElevatorAPI NMT states', () => {
+  const setup = setupConnectedElevator();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  // Boot-up messages the transport receives
+  function recordBootUps(transport) {
+    const bootUps = [];
+    transport.on('message', frame => {
+      if (frame.id === NMTProtocol.COB_ID.NMT_ERROR_CONTROL + 1 && frame.data[0] === NMTProtocol.STATE.INITIALISATION) {
+        bootUps.push(frame);
+      }
+    });
+    return bootUps;
+  }
+
+  test('brings the node to operational on connect', () => {
+    expect(setup.elevator.nmtState).toBe('OPERATIONAL');
+    expect(setup.api.getNmtState()).toBe('OPERATIONAL');
+  });
+
+  test.each([
+    ['stopNode', 'STOPPED'],
+    ['enterPreOperational', 'PRE_OPERATIONAL'],
+    ['startNode', 'OPERATIONAL'],
+  ])('%s puts the node in %s', async (method, state) => {
+    await settle(setup.api.enterPreOperational());
+    const states = recordEvents(setup.api, 'nmtStateChanged');
+
+    await settle(setup.api[method]());
+    await advance(10);
+
+    expect(setup.elevator.nmtState).toBe(state);
+    expect(setup.api.getNmtState()).toBe(state);
+    expect(states).toEqual(state === 'PRE_OPERATIONAL' ? [] : [state]);
+  });
+
+  test('refuses motion commands unless the node is operational', async () => {
+    await settle(setup.api.stopNode());
+
+    const error = await settle(setup.api.requestFloor(3)).catch(rejection => rejection);
+
+    expect(error).toBeInstanceOf(ElevatorProtocolError);
+    expect(error.abortCode).toBe(ElevatorProtocolError.ABORT_CODE.DEVICE_STATE);
+    expect(setup.elevator.state.currentFloor).toBe(1);
+  });
+
+  test('has a pre-operational node refuse motion commands itself', async () => {
+    await settle(setup.api.enterPreOperational());
+    await advance(10);
+
+    const response = await settle(setup.transport.sendMessage({ index: 0x6002, data: 3, size: 1 }));
+
+    expect(response.success).toBe(false);
+    expect(response.error.abortCode).toBe(ElevatorProtocolError.ABORT_CODE.DEVICE_STATE);
+  });
+
+  test('brings the node back to operational after a node reset', async () => {
+    const bootUps = recordBootUps(setup.transport);
+    await settle(setup.api.registerCarCall(6));
+
+    await settle(setup.api.resetNode());
+    await advance(100);
+
+    expect(bootUps).toHaveLength(1);
+    expect(setup.elevator.state.calls.CAR.size).toBe(0);
+    expect(setup.elevator.nmtState).toBe('OPERATIONAL');
+    expect(setup.api.getNmtState()).toBe('OPERATIONAL');
+  });
+
+  test('restores the communication parameters on a communication reset', async () => {
+    const eventTimer = [PDOProtocol.TPDO_COMMUNICATION, PDOProtocol.COMMUNICATION_SUB.EVENT_TIMER];
+    const bootUps = recordBootUps(setup.transport);
+    await settle(setup.api.writeObject(eventTimer[0], 2000, 2, eventTimer[1]));
+
+    await settle(setup.api.resetCommunication());
+    await advance(100);
+
+    expect(bootUps).toHaveLength(1);
+    await expect(settle(setup.api.readObject(...eventTimer))).resolves.toEqual(expect.objectContaining({ data: 0 }));
+    expect(setup.elevator.nmtState).toBe('OPERATIONAL');
+  });
+});
+
+// Lose the first `count` NMT START commands on their way to the node
+function loseStart(transport, count = 1) {
+  const send = transport.sendNmtCommand.bind(transport);
+  let lost = 0;
+  return jest.spyOn(transport, 'sendNmtCommand').mockImplementation(async (command, ...args) => {
+    if (command === NMTProtocol.COMMAND.START && lost < count) {
+      lost++;
+      return { success: true };
+    }
+    return send(command, ...args);
+  });
+}
+
+// Refuse reads of the second TPDO's mapping with `abortCode`
+function refuseTpdoMapping(api, abortCode) {
+  const readObject = api.readObject.bind(api);
+  jest.spyOn(api, 'readObject').mockImplementation((index, subIndex) => {
+    if (index === PDOProtocol.TPDO_MAPPING + 1) {
+      return Promise.reject(new ElevatorProtocolError(abortCode, index, subIndex));
+    }
+    return readObject(index, subIndex);
+  });
+}
+
+describe('ElevatorAPI node start-up with heartbeats', () => {
+  const setup = setupConnectedElevator({ connect: false, api: { heartbeatTime: 100 } });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('repeats a lost START when the heartbeat shows the node not operational', async () => {
+    const { elevator, transport, api } = setup;
+    const sendNmtCommand = loseStart(transport, 2);
+
+    await settle(api.connect());
+    expect(elevator.nmtState).toBe('PRE_OPERATIONAL');
+
+    await advance(300);
+    expect(elevator.nmtState).toBe('OPERATIONAL');
+    expect(api.getNmtState()).toBe('OPERATIONAL');
+    expect(sendNmtCommand.mock.calls.filter(([command]) => command === NMTProtocol.COMMAND.START)).toHaveLength(3);
+
+    await advance(500);
+    expect(sendNmtCommand.mock.calls.filter(([command]) => command === NMTProtocol.COMMAND.START)).toHaveLength(3);
+  });
+
+  test('repeats the state last commanded', async () => {
+    const { elevator, transport, api } = setup;
+
+    await settle(api.connect());
+    await settle(api.stopNode());
+    await transport.sendNmtCommand(NMTProtocol.COMMAND.START);
+    await advance(200);
+
+    expect(elevator.nmtState).toBe('STOPPED');
+  });
+});
+
+describe('ElevatorAPI node start-up', () => {
+  const setup = setupConnectedElevator({ connect: false });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('skips TPDOs the node refuses to describe', async () => {
+    refuseTpdoMapping(setup.api, ElevatorProtocolError.ABORT_CODE.OBJECT_DOES_NOT_EXIST);
+
+    await expect(settle(setup.api.connect())).resolves.toBe(true);
+    expect(setup.api.pdoMappings.size).toBe(3);
+  });
+
+  test('fails to connect when reading the PDO configuration times out', async () => {
+    refuseTpdoMapping(setup.api, ElevatorProtocolError.ABORT_CODE.TIMEOUT);
+
+    await expect(settle(setup.api.connect())).resolves.toBe(false);
+    expect(setup.api.connected).toBe(false);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * ElevatorAPI.pdo.test.js
+ *
+ * Status and floor reaching ElevatorAPI as mapped TPDOs: the mappings read
+ * on connect, the transmission type, inhibit time and event timer of the
+ * elevator's TPDOs, RPDOs it receives and the mapping rules it enforces
+ */
+
+const PDOProtocol = require('../../src/transport/PDOProtocol');
+const ElevatorProtocolError = require('../../src/api/ElevatorProtocolError');
+const { setupConnectedElevator, recordEvents, advance, settle } = require('../support/virtualElevator');
+
+const STATUS_TPDO = 0x181;
+const FLOOR_TPDO = 0x281;
+
+// Frames with `id` the transport receives, with the time they arrived
+function recordFrames(transport, id) {
+  const frames = [];
+  transport.on('message', frame => {
+    if (frame.id === id) frames.push({ time: Date.now(), data: Buffer.from(frame.data) });
+  });
+  return frames;
+}
+
+describe('ElevatorAPI PDOs', () => {
+  const setup = setupConnectedElevator();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('reads the TPDO mappings on connect', () => {
+    expect(setup.api.pdoMappings.get(STATUS_TPDO)).toEqual([{ index: 0x6000, subIndex: 0, bitLength: 8 }]);
+    expect(setup.api.pdoMappings.get(FLOOR_TPDO)).toEqual([{ index: 0x6001, subIndex: 0, bitLength: 8 }]);
+  });
+
+  test('reports the floor from TPDOs without reading it', async () => {
+    const floors = recordEvents(setup.api, 'floorChanged');
+    const floorFrames = recordFrames(setup.transport, FLOOR_TPDO);
+    const readObject = jest.spyOn(setup.api, 'readObject');
+
+    await settle(setup.api.requestFloor(4));
+    await advance(2000);
+
+    expect(floorFrames.map(({ data }) => data[0])).toEqual([4]);
+    expect(floors).toEqual([4]);
+    expect(setup.api.pdoState.floor).toBe(4);
+    expect(readObject).not.toHaveBeenCalled();
+  });
+
+  test('applies a target floor received in RPDO1', async () => {
+    await settle(setup.transport.sendPdo(0x201, Buffer.from([5])));
+    await advance(2000);
+
+    expect(setup.elevator.state.currentFloor).toBe(5);
+  });
+
+  test('refuses to change a mapping entry while the mapping is enabled', async () => {
+    const error = await settle(setup.api.writeObject(PDOProtocol.TPDO_MAPPING, PDOProtocol.encodeMapping(0x6001, 0, 8), 4, 1))
+      .catch(rejection => rejection);
+
+    expect(error).toBeInstanceOf(ElevatorProtocolError);
+    expect(error.abortCode).toBe(ElevatorProtocolError.ABORT_CODE.DEVICE_STATE);
+  });
+
+  test('refuses to map an object that cannot be mapped', async () => {
+    const { api } = setup;
+    await settle(api.writeObject(PDOProtocol.TPDO_MAPPING, 0, 1, 0));
+    await settle(api.writeObject(PDOProtocol.TPDO_MAPPING, PDOProtocol.encodeMapping(0x1017, 0, 16), 4, 1));
+
+    const error = await settle(api.writeObject(PDOProtocol.TPDO_MAPPING, 1, 1, 0)).catch(rejection => rejection);
+
+    expect(error).toBeInstanceOf(ElevatorProtocolError);
+    expect(error.abortCode).toBe(ElevatorProtocolError.ABORT_CODE.OBJECT_CANNOT_BE_MAPPED);
+  });
+});
+
+describe('ElevatorAPI PDOs with an event timer', () => {
+  const setup = setupConnectedElevator({ elevator: { tpdoEventTimer: 1000 } });
+
+  test('repeats unchanged TPDOs every event timer period', async () => {
+    const frames = recordFrames(setup.transport, FLOOR_TPDO);
+
+    await advance(3000);
+
+    expect(frames).toHaveLength(3);
+    expect(frames.map(({ data }) => data[0])).toEqual([1, 1, 1]);
+  });
+});
+
+describe('ElevatorAPI PDOs with an inhibit time', () => {
+  // 500 ms, in multiples of 100 µs
+  const setup = setupConnectedElevator({ elevator: { tpdoInhibitTime: 5000 } });
+
+  test('keeps TPDOs at least the inhibit time apart', async () => {
+    const frames = recordFrames(setup.transport, STATUS_TPDO);
+
+    await settle(setup.api.requestFloor(3));
+    await advance(3000);
+
+    expect(frames.length).toBeGreaterThan(1);
+    frames.slice(1).forEach((frame, i) => {
+      expect(frame.time - frames[i].time).toBeGreaterThanOrEqual(500);
+    });
+  });
+});
+
+describe('ElevatorAPI PDOs with synchronous transmission', () => {
+  const setup = setupConnectedElevator({ api: { pdoTransmissionType: 1 } });
+
+  test('sets the transmission type of every TPDO on connect', async () => {
+    for (let n = 0; n < PDOProtocol.TPDO_COB_ID.length; n++) {
+      expect(setup.elevator.getTpdo(n).transmissionType).toBe(1);
+    }
+  });
+
+  test('sends TPDOs only after a SYNC', async () => {
+    const frames = recordFrames(setup.transport, FLOOR_TPDO);
+
+    await advance(1000);
+    expect(frames).toEqual([]);
+
+    setup.transport.sendSync();
+    await advance(10);
+    expect(frames.map(({ data }) => data[0])).toEqual([1]);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * ElevatorAPI.reservation.test.js
+ *
+ * Reserving and releasing the car, another robot's reservation, the lease
+ * lapsing when its heartbeats stop, and reserveCar() leaving the car free
+ * when it could not keep the lease renewed
+ */
+
+const ReservationProtocol = require('../../src/transport/ReservationProtocol');
+const ElevatorProtocolError = require('../../src/api/ElevatorProtocolError');
+const { setupConnectedElevator, recordEvents, advance, settle } = require('../support/virtualElevator');
+
+describe('ElevatorAPI reserveCar', () => {
+  const setup = setupConnectedElevator();
+  let elevator;
+  let api;
+
+  beforeEach(() => {
+    ({ elevator, api } = setup);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  // Answer reads of the lease time with `answer` instead of asking the car
+  function mockLeaseTimeRead(answer) {
+    const readObject = api.readObject.bind(api);
+    jest.spyOn(api, 'readObject').mockImplementation((index, subIndex) => {
+      if (index === ReservationProtocol.OBJECT.RESERVATION && subIndex === ReservationProtocol.SUB.LEASE_TIME) {
+        return answer(index, subIndex);
+      }
+      return readObject(index, subIndex);
+    });
+  }
+
+  async function expectCarFree() {
+    expect(api.reservation).toBeNull();
+    await expect(settle(api.getReservation())).resolves.toEqual(expect.objectContaining({ owner: 0, state: 'FREE' }));
+  }
+
+  test('renews the lease while the car is reserved', async () => {
+    await settle(api.reserveCar(7, { leaseTime: 3000 }));
+    await advance(10000);
+
+    await expect(settle(api.getReservation())).resolves.toEqual(expect.objectContaining({ owner: 7, state: 'RESERVED' }));
+    await settle(api.releaseCar());
+  });
+
+  test('reserves the car for its owner', async () => {
+    await expect(settle(api.reserveCar(7, { leaseTime: 3000 }))).resolves.toBe(true);
+
+    expect(api.reservation).toEqual(expect.objectContaining({ owner: 7 }));
+    await expect(settle(api.getReservation())).resolves.toEqual(expect.objectContaining({ owner: 7, state: 'RESERVED' }));
+    await settle(api.releaseCar());
+  });
+
+  test('does not reserve a car another robot holds', async () => {
+    await settle(api.writeObject(ReservationProtocol.OBJECT.RESERVATION, ReservationProtocol.encodeCommand('ACQUIRE', 9), 4,
+      ReservationProtocol.SUB.COMMAND));
+
+    const error = await settle(api.reserveCar(7)).catch(rejection => rejection);
+
+    expect(error).toBeInstanceOf(ElevatorProtocolError);
+    expect(error.abortCode).toBe(ElevatorProtocolError.ABORT_CODE.DEVICE_STATE);
+    expect(api.reservation).toBeNull();
+    expect(elevator.reservation).toEqual(expect.objectContaining({ owner: 9 }));
+  });
+
+  test('frees the car and stops renewing the lease on release', async () => {
+    await settle(api.reserveCar(7, { leaseTime: 3000 }));
+    const heartbeat = jest.spyOn(api, 'sendReservationHeartbeat');
+
+    await expect(settle(api.releaseCar())).resolves.toBe(true);
+    await advance(10000);
+
+    await expectCarFree();
+    expect(heartbeat).not.toHaveBeenCalled();
+  });
+
+  test('emits reservationLost once the lease lapsed while heartbeats were lost', async () => {
+    const lostEvents = recordEvents(api, 'reservationLost');
+    await settle(api.reserveCar(7, { leaseTime: 3000 }));
+
+    let losing = true;
+    const writeReservationCommand = api.writeReservationCommand.bind(api);
+    jest.spyOn(api, 'writeReservationCommand').mockImplementation((command, ...args) => {
+      if (command === 'HEARTBEAT' && losing) {
+        const { OBJECT, SUB } = ReservationProtocol;
+        return Promise.reject(new ElevatorProtocolError(ElevatorProtocolError.ABORT_CODE.TIMEOUT, OBJECT.RESERVATION, SUB.COMMAND));
+      }
+      return writeReservationCommand(command, ...args);
+    });
+
+    await advance(3500);
+    expect(elevator.reservation).toBeNull();
+    expect(api.reservation).not.toBeNull();
+    expect(lostEvents).toEqual([]);
+
+    losing = false;
+    await advance(1000);
+
+    expect(lostEvents).toEqual([{ owner: 7, error: expect.any(ElevatorProtocolError) }]);
+    expect(lostEvents[0].error.abortCode).toBe(ElevatorProtocolError.ABORT_CODE.DEVICE_STATE);
+    await expectCarFree();
+  });
+
+  test('does not reserve the car when the lease time cannot be read', async () => {
+    mockLeaseTimeRead((index, subIndex) => Promise.reject(
+      new ElevatorProtocolError(ElevatorProtocolError.ABORT_CODE.TIMEOUT, index, subIndex)));
+
+    await expect(settle(api.reserveCar(7))).rejects.toThrow(ElevatorProtocolError);
+    await expectCarFree();
+  });
+
+  test('does not reserve the car for a lease too short to renew', async () => {
+    mockLeaseTimeRead(async () => ({ success: true, data: 2 }));
+
+    await expect(settle(api.reserveCar(7))).rejects.toThrow('Invalid reservation heartbeat interval: 0ms');
+    await expectCarFree();
+  });
+
+  test('rejects a negative heartbeat interval', async () => {
+    await expect(settle(api.reserveCar(7, { heartbeatInterval: -1000 }))).rejects.toThrow('Invalid reservation heartbeat interval');
+    await expectCarFree();
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * ElevatorAPI.ride.test.js
+ *
+ * callTo() and waitUntil() time limits, and ride() handing its signal and
+ * the time left to `board` and stopping there when aborted while boarding
+ */
+
+const ElevatorTimeoutError = require('../../src/api/ElevatorTimeoutError');
+const { setupConnectedElevator, advance, settle } = require('../support/virtualElevator');
+
+describe('ElevatorAPI callTo', () => {
+  const setup = setupConnectedElevator();
+
+  test('resolves once the doors are open at the floor', async () => {
+    await expect(settle(setup.api.callTo(4))).resolves.toEqual({ floor: 4, doorState: 'OPEN' });
+    expect(setup.elevator.state.currentFloor).toBe(4);
+  });
+
+  test('rejects with an ElevatorTimeoutError when the car is not there in time', async () => {
+    const calling = setup.api.callTo(8, { timeout: 200 });
+
+    const error = await settle(calling).catch(rejection => rejection);
+
+    expect(error).toBeInstanceOf(ElevatorTimeoutError);
+    expect(error.message).toBe('Timed out after 200ms waiting for doors OPEN at floor 8');
+    expect(error.timeout).toBe(200);
+  });
+
+  test('leaves the call standing after timing out', async () => {
+    await settle(setup.api.callTo(8, { timeout: 200 })).catch(() => {});
+    await advance(2000);
+
+    expect(setup.elevator.state.currentFloor).toBe(8);
+  });
+
+  test('does not call the car with an aborted signal', async () => {
+    const requestFloor = jest.spyOn(setup.api, 'requestFloor');
+
+    await expect(setup.api.callTo(4, { signal: AbortSignal.abort() })).rejects.toThrow(expect.objectContaining({ name: 'AbortError' }));
+    expect(requestFloor).not.toHaveBeenCalled();
+  });
+});
+
+describe('ElevatorAPI waitUntil', () => {
+  const setup = setupConnectedElevator();
+
+  test('resolves at once when the condition holds', async () => {
+    await expect(settle(setup.api.waitForFloor(1))).resolves.toEqual({ floor: 1, doorState: expect.any(String) });
+  });
+
+  test('rejects with an ElevatorTimeoutError after the timeout and stops watching', async () => {
+    let error = null;
+    setup.api.waitUntil(state => state.floor === 5, 'floor 5', { timeout: 1000 }).catch(rejection => { error = rejection; });
+
+    await advance(999);
+    expect(error).toBeNull();
+    await advance(1);
+
+    expect(error).toBeInstanceOf(ElevatorTimeoutError);
+    expect(error.message).toBe('Timed out after 1000ms waiting for floor 5');
+    expect(setup.api.pendingCalls.size).toBe(0);
+  });
+
+  test('waits indefinitely without a timeout', async () => {
+    let result = null;
+    setup.api.waitForFloor(5).then(state => { result = state; });
+
+    await advance(60000);
+    expect(result).toBeNull();
+
+    await settle(setup.api.requestFloor(5));
+    await advance(1000);
+    expect(result).toEqual(expect.objectContaining({ floor: 5 }));
+  });
+
+  test('rejects with the reason of an aborted signal', async () => {
+    const controller = new AbortController();
+    const waiting = setup.api.waitForFloor(5, { signal: controller.signal, timeout: 1000 });
+
+    controller.abort(new Error('robot gave up'));
+
+    await expect(waiting).rejects.toThrow('robot gave up');
+  });
+});
+
+describe('ElevatorAPI ride', () => {
+  const setup = setupConnectedElevator();
+  let elevator;
+  let api;
+
+  beforeEach(() => {
+    ({ elevator, api } = setup);
+  });
+
+  test('limits the whole ride to its timeout', async () => {
+    const board = jest.fn(() => new Promise(resolve => setTimeout(resolve, 1000)));
+
+    const error = await settle(api.ride(3, 6, { board, timeout: 4000 })).catch(rejection => rejection);
+
+    expect(error).toBeInstanceOf(ElevatorTimeoutError);
+    expect(error.message).toContain('waiting for doors OPEN at floor 6');
+  });
+
+  test('rides to the second floor after boarding', async () => {
+    const board = jest.fn(() => advance(100));
+
+    const arrived = await settle(api.ride(3, 6, { board }));
+
+    expect(arrived).toEqual({ floor: 6, doorState: 'OPEN' });
+    expect(board).toHaveBeenCalledWith({ signal: null, timeout: 0 });
+  });
+
+  test('passes the signal and what is left of the timeout to board', async () => {
+    const controller = new AbortController();
+    let boarding = null;
+
+    await settle(api.ride(3, 6, {
+      signal: controller.signal,
+      timeout: 10000,
+      board: async (options) => { boarding = options; }
+    }));
+
+    expect(boarding.signal).toBe(controller.signal);
+    expect(boarding.timeout).toBeGreaterThan(0);
+    expect(boarding.timeout).toBeLessThan(10000);
+  });
+
+  test('does not send the car on when aborted while boarding', async () => {
+    const controller = new AbortController();
+    const requestFloor = jest.spyOn(api, 'requestFloor');
+
+    const riding = api.ride(3, 6, {
+      signal: controller.signal,
+      board: async () => { controller.abort(); }
+    });
+
+    await expect(settle(riding)).rejects.toThrow(expect.objectContaining({ name: 'AbortError' }));
+    expect(requestFloor.mock.calls).toEqual([[3]]);
+
+    await advance(2000);
+    expect(elevator.state.currentFloor).toBe(3);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * ElevatorAPI.sync.test.js
+ *
+ * The transport's SYNC producer, synchronous TPDOs on the elevator and the
+ * per-cycle snapshots ElevatorAPI.onSync delivers
+ */
+
+const SYNCProtocol = require('../../src/transport/SYNCProtocol');
+const { setupConnectedElevator, recordEvents, advance, settle } = require('../support/virtualElevator');
+
+const FLOOR_TPDO = 0x281;
+
+// Floors received in the floor TPDO
+function recordFloorPdos(transport) {
+  const floors = [];
+  transport.on('message', frame => {
+    if (frame.id === FLOOR_TPDO) floors.push(frame.data[0]);
+  });
+  return floors;
+}
+
+describe('ElevatorAPI SYNC', () => {
+  const setup = setupConnectedElevator({
+    transport: { syncPeriod: 100, syncWindow: 20, syncCounterOverflow: 4 },
+    api: { pdoTransmissionType: 1 },
+  });
+
+  test('tells the node the SYNC COB-ID, cycle period and window', () => {
+    const { objectDictionary } = setup.elevator;
+
+    expect(objectDictionary[SYNCProtocol.OBJECT.COB_ID_SYNC].value).toBe(SYNCProtocol.COB_ID);
+    expect(objectDictionary[SYNCProtocol.OBJECT.COMMUNICATION_CYCLE_PERIOD].value).toBe(100000);
+    expect(objectDictionary[SYNCProtocol.OBJECT.SYNCHRONOUS_WINDOW_LENGTH].value).toBe(20000);
+  });
+
+  test('sends SYNC every period with a counter up to the overflow value', async () => {
+    const syncs = [];
+    setup.transport.on('sync', sync => syncs.push(sync));
+
+    await advance(600);
+
+    expect(syncs.map(({ counter }) => counter)).toEqual([1, 2, 3, 4, 1, 2]);
+  });
+
+  test('delivers a snapshot the synchronous window after each SYNC', async () => {
+    const snapshots = [];
+    setup.api.onSync(snapshot => snapshots.push({ ...snapshot, deliveredAfter: Date.now() - snapshot.timestamp }));
+
+    await advance(300);
+
+    expect(snapshots).toHaveLength(3);
+    snapshots.forEach(snapshot => {
+      expect(snapshot).toEqual(expect.objectContaining({ floor: 1, doorState: expect.any(String), direction: expect.any(String) }));
+      expect(snapshot.deliveredAfter).toBe(20);
+    });
+  });
+
+  test('follows a ride from one snapshot to the next', async () => {
+    const snapshots = recordEvents(setup.api, 'sync');
+
+    await settle(setup.api.requestFloor(4));
+    await advance(2000);
+
+    expect(snapshots[0]).toEqual(expect.objectContaining({ floor: 1, direction: 'UP' }));
+    expect(snapshots[snapshots.length - 1]).toEqual(expect.objectContaining({ floor: 4, doorState: 'OPEN' }));
+  });
+
+  test('has the node send its cyclic TPDOs on every SYNC', async () => {
+    const floors = recordFloorPdos(setup.transport);
+
+    await advance(500);
+
+    expect(floors).toEqual([1, 1, 1, 1, 1]);
+  });
+});
+
+describe('ElevatorAPI SYNC with acyclic synchronous TPDOs', () => {
+  const setup = setupConnectedElevator({
+    transport: { syncPeriod: 100 },
+    api: { pdoTransmissionType: 0 },
+  });
+
+  test('has the node send a TPDO on the first SYNC and after its data changed', async () => {
+    const floors = recordFloorPdos(setup.transport);
+
+    await advance(500);
+    expect(floors).toEqual([1]);
+
+    await settle(setup.api.requestFloor(4));
+    await advance(2000);
+    expect(floors).toEqual([1, 4]);
+  });
+});
+
+describe('ElevatorAPI SYNC with TPDOs on every second SYNC', () => {
+  const setup = setupConnectedElevator({
+    transport: { syncPeriod: 100 },
+    api: { pdoTransmissionType: 2 },
+  });
+
+  test('has the node send its TPDOs on every second SYNC', async () => {
+    const floors = recordFloorPdos(setup.transport);
+
+    await advance(600);
+
+    expect(floors).toEqual([1, 1, 1]);
+  });
+});
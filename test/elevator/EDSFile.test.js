@@ -0,0 +1,237 @@
+/**
+ * EDSFile.test.js
+ *
+ * Reading EDS and DCF text into object dictionary entries, writing them
+ * back, and VirtualElevator running on an object dictionary file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EDSFile = require('../../src/elevator/EDSFile');
+const VirtualElevator = require('../../src/elevator/VirtualElevator');
+const DataType = require('../../src/transport/DataType');
+const { useFakeTimers } = require('../support/virtualElevator');
+
+const { DATA_TYPE } = DataType;
+
+const EDS = `
+[FileInfo]
+FileName=car.eds
+EDSVersion=4.0
+
+[DeviceInfo]
+VendorName=Test
+ProductName=Test car
+
+[MandatoryObjects]
+SupportedObjects=2
+1=0x1000
+2=0x1001
+
+[OptionalObjects]
+SupportedObjects=2
+1=0x1018
+2=0x1800
+
+[ManufacturerObjects]
+SupportedObjects=1
+1=0x2000
+
+[1000]
+ParameterName=Device type
+ObjectType=0x7
+DataType=0x0007
+AccessType=ro
+DefaultValue=0x00020191
+PDOMapping=0
+
+[1001]
+ParameterName=Error register
+DataType=0x0005
+AccessType=ro
+DefaultValue=0
+PDOMapping=1
+
+[1018]
+ParameterName=Identity object
+ObjectType=0x9
+SubNumber=2
+
+[1018sub0]
+ParameterName=Highest sub-index supported
+DataType=0x0005
+AccessType=const
+DefaultValue=1
+
+[1018sub1]
+ParameterName=Vendor-ID
+DataType=0x0007
+AccessType=ro
+DefaultValue=0x1234
+
+[1800]
+ParameterName=TPDO1 communication parameter
+ObjectType=0x9
+SubNumber=2
+
+[1800sub0]
+ParameterName=Highest sub-index supported
+DataType=0x0005
+AccessType=const
+DefaultValue=1
+
+[1800sub1]
+ParameterName=COB-ID
+DataType=0x0007
+AccessType=rw
+DefaultValue=$NODEID+0x180
+
+[2000]
+ParameterName=Speed limit
+DataType=0x0006
+AccessType=rww
+DefaultValue=100
+LowLimit=10
+HighLimit=0x0200
+`;
+
+describe('EDSFile', () => {
+  describe('parse', () => {
+    test('reads variables with their data type, access, values and limits', () => {
+      const { objects } = EDSFile.parse(EDS);
+
+      expect(objects[0x1000]).toEqual({
+        name: 'Device type', dataType: DATA_TYPE.UNSIGNED32, access: 'ro', value: 0x20191, defaultValue: 0x20191,
+      });
+      expect(objects[0x1001]).toEqual(expect.objectContaining({ dataType: DATA_TYPE.UNSIGNED8, pdoMapping: true }));
+      expect(objects[0x2000]).toEqual(expect.objectContaining({ access: 'rw', value: 100, min: 10, max: 0x200 }));
+    });
+
+    test('reads records with their sub-indices', () => {
+      const { objects } = EDSFile.parse(EDS);
+
+      expect(objects[0x1018].objectType).toBe('RECORD');
+      expect(objects[0x1018].subs).toEqual({
+        0: expect.objectContaining({ access: 'const', value: 1 }),
+        1: expect.objectContaining({ name: 'Vendor-ID', value: 0x1234 }),
+      });
+    });
+
+    test('resolves values relative to the node ID', () => {
+      const { objects } = EDSFile.parse(EDS, { nodeId: 5 });
+
+      expect(objects[0x1800].subs[1]).toEqual(expect.objectContaining({ value: 0x185, nodeIdRelative: true }));
+    });
+
+    test('takes the node ID and current values of a DCF', () => {
+      const dcf = `${EDS}
+[DeviceComissioning]
+NodeId=3
+
+[2000]
+ParameterName=Speed limit
+DataType=0x0006
+AccessType=rw
+DefaultValue=100
+ParameterValue=250
+`;
+      const { nodeId, objects } = EDSFile.parse(dcf);
+
+      expect(nodeId).toBe(3);
+      expect(objects[0x1800].subs[1].value).toBe(0x183);
+      expect(objects[0x2000]).toEqual(expect.objectContaining({ value: 250, defaultValue: 100 }));
+    });
+
+    test('reads every object section when the object lists are missing', () => {
+      const { objects } = EDSFile.parse('[1001]\nDataType=0x0005\nDefaultValue=0\n[1017]\nDataType=0x0006\nDefaultValue=500\n');
+
+      expect(Object.keys(objects).map(Number)).toEqual([0x1001, 0x1017]);
+      expect(objects[0x1017].value).toBe(500);
+    });
+
+    test('rejects an object listed without a section', () => {
+      expect(() => EDSFile.parse('[OptionalObjects]\nSupportedObjects=1\n1=0x1017\n'))
+        .toThrow('EDS lists object 0x1017 but has no [1017] section');
+    });
+
+    test('rejects lines outside a section', () => {
+      expect(() => EDSFile.parse('; comment\nDataType=0x0005\n')).toThrow('EDS line 2: expected key=value inside a section');
+    });
+  });
+
+  describe('serialize', () => {
+    test('writes objects that read back the same', () => {
+      const { objects } = EDSFile.parse(EDS, { nodeId: 1 });
+
+      const text = EDSFile.serialize(objects, { nodeId: 1 });
+
+      expect(EDSFile.parse(text, { nodeId: 1 }).objects).toEqual(objects);
+      expect(text).toContain('DefaultValue=$NODEID+0x180');
+    });
+
+    test('lists the objects by kind', () => {
+      const text = EDSFile.serialize(EDSFile.parse(EDS).objects);
+
+      expect(text).toContain('[MandatoryObjects]\nSupportedObjects=3\n1=0x1000\n2=0x1001\n3=0x1018\n');
+      expect(text).toContain('[OptionalObjects]\nSupportedObjects=1\n1=0x1800\n');
+      expect(text).toContain('[ManufacturerObjects]\nSupportedObjects=1\n1=0x2000\n');
+    });
+
+    test('writes the node ID and current values to a DCF', () => {
+      const { objects } = EDSFile.parse(EDS, { nodeId: 4 });
+      objects[0x2000].value = 300;
+
+      const text = EDSFile.serialize(objects, { dcf: true, nodeId: 4, bitrate: 500000 });
+      const parsed = EDSFile.parse(text);
+
+      expect(text).toContain('[DeviceComissioning]\nNodeId=4\nBaudrate=500\n');
+      expect(parsed.nodeId).toBe(4);
+      expect(parsed.objects[0x2000]).toEqual(expect.objectContaining({ value: 300, defaultValue: 100 }));
+    });
+  });
+
+  describe('VirtualElevator', () => {
+    let dir;
+
+    beforeEach(() => {
+      useFakeTimers();
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eds-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      jest.clearAllTimers();
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    });
+
+    const createElevator = config => new VirtualElevator({ floors: 8, ...config });
+
+    test('runs on the object dictionary it exported', () => {
+      const file = path.join(dir, 'car.dcf');
+      const original = createElevator({ nodeId: 2 });
+      original.objectDictionary[0x2001].value = 1;
+      original.saveObjectDictionary(file);
+
+      const loaded = createElevator({ objectDictionaryFile: file });
+
+      expect(loaded.config.nodeId).toBe(2);
+      expect(loaded.objectDictionary[0x2001].value).toBe(1);
+      expect(Object.keys(loaded.objectDictionary)).toEqual(Object.keys(original.objectDictionary));
+    });
+
+    test('keeps the defaults of objects the simulation needs that the file lacks', () => {
+      const file = path.join(dir, 'car.eds');
+      fs.writeFileSync(file, EDS);
+
+      const elevator = createElevator({ objectDictionaryFile: file });
+
+      expect(elevator.objectDictionary[0x2000].name).toBe('Speed limit');
+      expect(elevator.objectDictionary[0x6001]).toEqual(expect.objectContaining({ name: 'Current floor' }));
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('object 0x6001 missing from'));
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * VirtualElevator.objectDictionary.test.js
+ *
+ * The elevator's typed object dictionary: sub-indices of arrays and records,
+ * access types, data type ranges, min/max limits and default values
+ */
+
+const VirtualElevator = require('../../src/elevator/VirtualElevator');
+const ElevatorProtocolError = require('../../src/api/ElevatorProtocolError');
+const CallProtocol = require('../../src/transport/CallProtocol');
+const { useFakeTimers } = require('../support/virtualElevator');
+
+const { ABORT_CODE } = ElevatorProtocolError;
+const { CAR_CALL } = CallProtocol.OBJECT;
+
+describe('VirtualElevator object dictionary', () => {
+  let elevator;
+
+  beforeEach(() => {
+    useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    elevator = new VirtualElevator({ floors: 8, floorTravelTime: 100, doorOpenTime: 500 });
+    elevator.setNmtState('OPERATIONAL'); // Motion commands are refused before
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  // The abort code `fn` throws with
+  function abortCodeOf(fn) {
+    try {
+      fn();
+    } catch (error) {
+      expect(error).toBeInstanceOf(ElevatorProtocolError);
+      return error.abortCode;
+    }
+    throw new Error('Expected an ElevatorProtocolError');
+  }
+
+  describe('sub-indices', () => {
+    test('reads each sub-index of an array', () => {
+      elevator.writeObject(CAR_CALL, 1, 3);
+
+      expect(elevator.readObject(CAR_CALL, 0)).toBe(8);
+      expect(elevator.readObject(CAR_CALL, 3)).toBe(1);
+      expect(elevator.readObject(CAR_CALL, 4)).toBe(0);
+    });
+
+    test('refuses sub-indices an object does not have', () => {
+      expect(abortCodeOf(() => elevator.readObject(CAR_CALL, 9))).toBe(ABORT_CODE.SUB_INDEX_DOES_NOT_EXIST);
+      expect(abortCodeOf(() => elevator.readObject(0x6001, 1))).toBe(ABORT_CODE.SUB_INDEX_DOES_NOT_EXIST);
+      expect(abortCodeOf(() => elevator.readObject(0x7000))).toBe(ABORT_CODE.OBJECT_DOES_NOT_EXIST);
+    });
+  });
+
+  describe('access types', () => {
+    test('refuses writes to read-only and constant entries', () => {
+      expect(abortCodeOf(() => elevator.writeObject(0x6001, 3))).toBe(ABORT_CODE.READ_ONLY);
+      expect(abortCodeOf(() => elevator.writeObject(0x1000, 0))).toBe(ABORT_CODE.READ_ONLY);
+      expect(abortCodeOf(() => elevator.writeObject(CAR_CALL, 4, 0))).toBe(ABORT_CODE.READ_ONLY);
+      expect(elevator.readObject(0x1000)).toBe(0x191);
+    });
+
+    test('refuses reads of write-only entries', () => {
+      expect(abortCodeOf(() => elevator.readObject(0x2010, 1))).toBe(ABORT_CODE.WRITE_ONLY);
+    });
+
+    test('reads constant strings', () => {
+      expect(elevator.readObject(0x1008)).toBe('RISE Virtual Elevator');
+      expect(elevator.readObject(0x100A)).toBe('0.1.0');
+    });
+  });
+
+  describe('values', () => {
+    test('refuses values outside the range of the data type', () => {
+      expect(abortCodeOf(() => elevator.writeObject(0x2001, 0x100))).toBe(ABORT_CODE.VALUE_TOO_HIGH);
+      expect(abortCodeOf(() => elevator.writeObject(0x2001, -1))).toBe(ABORT_CODE.VALUE_TOO_LOW);
+    });
+
+    test('refuses values of another type', () => {
+      expect(abortCodeOf(() => elevator.writeObject(0x2001, '1'))).toBe(ABORT_CODE.DATA_LENGTH_MISMATCH);
+      expect(abortCodeOf(() => elevator.writeObject(0x2000, 12))).toBe(ABORT_CODE.DATA_LENGTH_MISMATCH);
+    });
+
+    test('refuses values beyond the limits of the entry', () => {
+      expect(abortCodeOf(() => elevator.writeObject(0x6002, 0))).toBe(ABORT_CODE.VALUE_TOO_LOW);
+      expect(abortCodeOf(() => elevator.writeObject(0x6002, 9))).toBe(ABORT_CODE.VALUE_TOO_HIGH);
+      expect(abortCodeOf(() => elevator.writeObject(0x2001, 2))).toBe(ABORT_CODE.VALUE_TOO_HIGH);
+      expect(abortCodeOf(() => elevator.writeObject(0x2010, 99, 4))).toBe(ABORT_CODE.VALUE_TOO_LOW);
+    });
+
+    test('keeps the value when a write is refused', () => {
+      abortCodeOf(() => elevator.writeObject(0x6002, 9));
+
+      expect(elevator.readObject(0x6002)).toBe(0);
+      expect(elevator.state.targetFloor).toBeNull();
+    });
+
+    test('accepts values within the limits', () => {
+      elevator.writeObject(0x2010, 100, 4);
+      elevator.writeObject(0x2000, 'G,1,2,3,4,5,6,7');
+
+      expect(elevator.readObject(0x2010, 4)).toBe(100);
+      expect(elevator.config.floorLabels[0]).toBe('G');
+    });
+  });
+
+  describe('default values', () => {
+    test('default to the initial value', () => {
+      expect(elevator.objectDictionary[0x6010].defaultValue).toBe(0);
+      expect(elevator.objectDictionary[0x2010].subs[4].defaultValue).toBe(30000);
+    });
+
+    test('are restored to the device profile commands on reset node', () => {
+      elevator.writeObject(0x6010, 1);
+      elevator.writeObject(CAR_CALL, 1, 5);
+
+      elevator.resetNode();
+
+      expect(elevator.readObject(0x6010)).toBe(0);
+      expect(elevator.readObject(CAR_CALL, 5)).toBe(0);
+    });
+  });
+});
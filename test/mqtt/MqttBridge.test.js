@@ -0,0 +1,156 @@
+/**
+ * MqttBridge.test.js
+ *
+ * Commands over MQTT need the credentials and permissions that the same
+ * request to ElevatorServer would
+ */
+
+const MqttBridge = require('../../src/mqtt/MqttBridge');
+const VirtualMqttBroker = require('../../src/mqtt/VirtualMqttBroker');
+const { createVirtualElevator, useFakeTimers, advance, settle } = require('../support/virtualElevator');
+
+const auth = {
+  clients: [
+    { id: 'robot-1', role: 'robot', apiKey: 'robot-key', floors: [1, 2, 3] },
+    { id: 'tenant-1', role: 'tenant', apiKey: 'tenant-key' },
+    { id: 'desk', role: 'operator', apiKey: 'operator-key' },
+  ],
+};
+
+describe('MqttBridge', () => {
+  let api;
+  let broker;
+  let bridge;
+  let robot;
+  let responses;
+  let nextRequestId;
+
+  beforeEach(async () => {
+    useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ({ api } = createVirtualElevator());
+    await settle(api.connect());
+
+    broker = new VirtualMqttBroker();
+    robot = broker.createClient();
+    responses = new Map();
+    nextRequestId = 1;
+    robot.on('message', (topic, payload) => {
+      const response = JSON.parse(payload.toString());
+      responses.set(response.requestId, response);
+    });
+    await settle(new Promise(resolve => robot.subscribe('building/hq/elevator/car-a/response', resolve)));
+  });
+
+  afterEach(async () => {
+    if (bridge) await settle(bridge.stop());
+    bridge = null;
+    await settle(api.disconnect());
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  async function startBridge(config = { auth }) {
+    bridge = new MqttBridge({ client: broker.createClient(), building: 'hq', elevators: { 'car-a': api }, ...config });
+    await settle(bridge.start());
+  }
+
+  // Publish a command and resolve with the bridge's response to it
+  async function command(name, message) {
+    const requestId = nextRequestId++;
+    robot.publish(`building/hq/elevator/car-a/command/${name}`, JSON.stringify({ ...message, requestId }));
+
+    await settle(new Promise(resolve => {
+      const check = setInterval(() => {
+        if (responses.has(requestId)) {
+          clearInterval(check);
+          resolve();
+        }
+      }, 1);
+    }));
+    return responses.get(requestId);
+  }
+
+  const errorCode = response => response.ok ? null : response.error.code;
+
+  test('refuses to start without auth on an untrusted network', async () => {
+    bridge = new MqttBridge({ client: broker.createClient(), building: 'hq', elevators: { 'car-a': api } });
+
+    await expect(bridge.start()).rejects.toThrow('MqttBridge needs an auth configuration');
+    bridge = null;
+  });
+
+  test('accepts commands without credentials on a trusted network', async () => {
+    await startBridge({ trustedNetwork: true });
+
+    await expect(command('call', { floor: 7 })).resolves.toEqual(expect.objectContaining({ ok: true, floor: 7 }));
+  });
+
+  test('runs a command with a valid API key', async () => {
+    await startBridge();
+    const requestFloor = jest.spyOn(api, 'requestFloor');
+
+    const response = await command('call', { floor: 3, apiKey: 'robot-key' });
+
+    expect(response).toEqual({ requestId: 1, command: 'call', ok: true, floor: 3, type: 'DESTINATION' });
+    expect(requestFloor).toHaveBeenCalledWith(3);
+  });
+
+  test('runs a command with a token', async () => {
+    await startBridge();
+    const { token } = bridge.auth.issueToken(bridge.auth.authenticateCredentials({ apiKey: 'robot-key' }));
+
+    expect(errorCode(await command('call', { floor: 2, token }))).toBeNull();
+  });
+
+  test('rejects commands without valid credentials', async () => {
+    await startBridge();
+    const requestFloor = jest.spyOn(api, 'requestFloor');
+
+    expect(errorCode(await command('call', { floor: 3 }))).toBe('UNAUTHORIZED');
+    expect(errorCode(await command('call', { floor: 3, apiKey: 'wrong' }))).toBe('UNAUTHORIZED');
+    expect(errorCode(await command('door', { command: 'open', token: 'a.b.c' }))).toBe('UNAUTHORIZED');
+    expect(requestFloor).not.toHaveBeenCalled();
+  });
+
+  test('rejects a floor the client may not use', async () => {
+    await startBridge();
+    const requestFloor = jest.spyOn(api, 'requestFloor');
+
+    const response = await command('call', { floor: 5, apiKey: 'robot-key' });
+
+    expect(response.error).toEqual({ code: 'FORBIDDEN', message: 'Client robot-1 may not use floor 5' });
+    expect(requestFloor).not.toHaveBeenCalled();
+  });
+
+  test('applies the role permissions to door commands', async () => {
+    await startBridge();
+    const openDoor = jest.spyOn(api, 'openDoor');
+
+    expect(errorCode(await command('door', { command: 'open', apiKey: 'tenant-key' }))).toBe('FORBIDDEN');
+    expect(errorCode(await command('door', { command: 'open', apiKey: 'robot-key' }))).toBeNull();
+    expect(openDoor).toHaveBeenCalledTimes(1);
+  });
+
+  test('lets only operators open the door between floors', async () => {
+    await startBridge();
+    await settle(api.requestFloor(6));
+    await advance(150);
+    expect(await settle(api.getDirection())).toBe('UP');
+
+    const response = await command('door', { command: 'open', apiKey: 'robot-key' });
+
+    expect(response.error).toEqual(expect.objectContaining({ code: 'FORBIDDEN' }));
+    expect(response.error.message).toMatch('door:open-between-floors');
+    expect(errorCode(await command('door', { command: 'open', apiKey: 'operator-key' }))).not.toBe('FORBIDDEN');
+  });
+
+  test('reports invalid commands like the HTTP server', async () => {
+    await startBridge();
+
+    const response = await command('call', { floor: 0, apiKey: 'robot-key' });
+
+    expect(response.error).toEqual({ code: 'INVALID_REQUEST', message: 'floor must be a positive integer' });
+  });
+});
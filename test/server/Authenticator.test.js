@@ -0,0 +1,238 @@
+/**
+ * Authenticator.test.js
+ */
+
+const Authenticator = require('../../src/server/Authenticator');
+const HttpError = require('../../src/server/HttpError');
+
+const { ROLE, PERMISSION } = Authenticator;
+
+const clients = [
+  { id: 'robot-1', role: ROLE.ROBOT, apiKey: 'robot-key', floors: [1, 2, 3] },
+  { id: 'tenant-1', role: ROLE.TENANT, apiKey: 'tenant-key' },
+  { id: 'desk', role: ROLE.OPERATOR, apiKey: 'operator-key' },
+];
+
+// Request with the given headers, as far as authenticate() looks at it
+const request = (headers = {}) => ({ headers });
+
+// Signed token with any payload, e.g. one that has expired
+function signToken(auth, payload) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+  return `${data}.${auth.sign(data)}`;
+}
+
+// The HttpError thrown by `fn`
+function thrown(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Nothing thrown');
+}
+
+describe('Authenticator', () => {
+  let auth;
+
+  beforeEach(() => {
+    auth = new Authenticator({ clients, tokenSecret: 'test-secret', tokenLifetime: 60 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('clients', () => {
+    test('need an id and an API key', () => {
+      expect(() => auth.addClient({ id: 'x', role: ROLE.ROBOT })).toThrow('Clients need an id and an apiKey');
+      expect(() => auth.addClient({ apiKey: 'k', role: ROLE.ROBOT })).toThrow('Clients need an id and an apiKey');
+    });
+
+    test('need a known role', () => {
+      expect(() => auth.addClient({ id: 'x', apiKey: 'k', role: 'janitor' })).toThrow('Unknown role janitor for client x');
+    });
+  });
+
+  describe('API keys', () => {
+    test('authenticate the client with its role and floors', () => {
+      const principal = auth.authenticate(request({ 'x-api-key': 'robot-key' }));
+
+      expect(principal).toEqual({
+        id: 'robot-1',
+        role: ROLE.ROBOT,
+        permissions: new Set(Authenticator.ROLE_PERMISSIONS[ROLE.ROBOT]),
+        floors: new Set([1, 2, 3]),
+        viaToken: false,
+      });
+    });
+
+    test('leave clients without floors unrestricted', () => {
+      expect(auth.authenticate(request({ 'x-api-key': 'operator-key' })).floors).toBeNull();
+    });
+
+    test('are accepted in the query string', () => {
+      const url = new URL('http://localhost/stream?apiKey=tenant-key');
+
+      expect(auth.authenticate(request(), url).id).toBe('tenant-1');
+    });
+
+    test('reject a missing or unknown key with 401', () => {
+      const missing = thrown(() => auth.authenticate(request()));
+      const unknown = thrown(() => auth.authenticate(request({ 'x-api-key': 'robot-kez' })));
+
+      expect(missing).toBeInstanceOf(HttpError);
+      expect(missing).toEqual(expect.objectContaining({ status: 401, code: 'UNAUTHORIZED' }));
+      expect(unknown).toEqual(expect.objectContaining({ status: 401, message: 'Invalid API key' }));
+    });
+  });
+
+  describe('tokens', () => {
+    let token;
+
+    beforeEach(() => {
+      ({ token } = auth.issueToken(auth.authenticate(request({ 'x-api-key': 'robot-key' }))));
+    });
+
+    test('are issued as HS256 JWTs for the client', () => {
+      const [header, payload] = token.split('.').slice(0, 2).map(part => JSON.parse(Buffer.from(part, 'base64url')));
+
+      expect(header).toEqual({ alg: 'HS256', typ: 'JWT' });
+      expect(payload).toEqual({ sub: 'robot-1', iat: expect.any(Number), exp: payload.iat + 60 });
+      expect(auth.issueToken(auth.principal(clients[0], false))).toEqual(expect.objectContaining({ tokenType: 'Bearer', expiresIn: 60 }));
+    });
+
+    test('authenticate as a bearer token or in the query string', () => {
+      const bearer = auth.authenticate(request({ authorization: `Bearer ${token}` }));
+      const query = auth.authenticate(request(), new URL(`http://localhost/stream?access_token=${token}`));
+
+      expect(bearer).toEqual(expect.objectContaining({ id: 'robot-1', viaToken: true }));
+      expect(query).toEqual(expect.objectContaining({ id: 'robot-1', viaToken: true }));
+    });
+
+    test('are preferred over an API key', () => {
+      const principal = auth.authenticate(request({ authorization: `Bearer ${token}`, 'x-api-key': 'operator-key' }));
+
+      expect(principal.id).toBe('robot-1');
+    });
+
+    test('reject a tampered signature', () => {
+      const [header, payload, signature] = token.split('.');
+      const flipped = `${signature.slice(0, -2)}${signature.endsWith('AA') ? 'BB' : 'AA'}`;
+
+      expect(() => auth.verifyToken(`${header}.${payload}.${flipped}`)).toThrow('Invalid or expired token');
+    });
+
+    test('reject a payload changed after signing', () => {
+      const [header, , signature] = token.split('.');
+      const payload = Buffer.from(JSON.stringify({ sub: 'desk', exp: 9999999999 })).toString('base64url');
+
+      expect(() => auth.verifyToken(`${header}.${payload}.${signature}`)).toThrow('Invalid or expired token');
+    });
+
+    test('reject tokens signed with another secret', () => {
+      const other = new Authenticator({ clients, tokenSecret: 'other-secret' });
+      const { token: foreign } = other.issueToken(other.principal(clients[2], false));
+
+      expect(() => auth.verifyToken(foreign)).toThrow('Invalid or expired token');
+    });
+
+    test('reject unsigned and malformed tokens', () => {
+      const [header, payload] = token.split('.');
+
+      expect(() => auth.verifyToken(`${header}.${payload}.`)).toThrow('Invalid or expired token');
+      expect(() => auth.verifyToken(`${header}.${payload}`)).toThrow('Invalid or expired token');
+      expect(() => auth.verifyToken(signToken(auth, 'not an object').replace(/^[^.]+\.[^.]+/, 'x.%%%'))).toThrow('Invalid or expired token');
+      expect(() => auth.verifyToken(42)).toThrow('Invalid or expired token');
+    });
+
+    test('expire after the token lifetime', () => {
+      const issuedAt = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(issuedAt + 59 * 1000);
+      expect(auth.verifyToken(token).id).toBe('robot-1');
+
+      Date.now.mockReturnValue(issuedAt + 61 * 1000);
+      const error = thrown(() => auth.authenticate(request({ authorization: `Bearer ${token}` })));
+      expect(error).toEqual(expect.objectContaining({ status: 401, message: 'Invalid or expired token' }));
+    });
+
+    test('need an expiry', () => {
+      expect(() => auth.verifyToken(signToken(auth, { sub: 'robot-1' }))).toThrow('Invalid or expired token');
+    });
+
+    test('are revoked by removing the client', () => {
+      auth.removeClient('robot-1');
+
+      expect(() => auth.verifyToken(token)).toThrow('Invalid or expired token');
+      expect(() => auth.authenticate(request({ 'x-api-key': 'robot-key' }))).toThrow('Invalid API key');
+    });
+
+    test('pick up changes to the client on every request', () => {
+      auth.addClient({ ...clients[0], floors: [1] });
+
+      expect(auth.verifyToken(token).floors).toEqual([1]);
+      expect(auth.authenticate(request({ authorization: `Bearer ${token}` })).floors).toEqual(new Set([1]));
+    });
+  });
+
+  describe('credentials in a message', () => {
+    test('accept an API key or a token', () => {
+      const { token } = auth.issueToken(auth.authenticateCredentials({ apiKey: 'tenant-key' }));
+
+      expect(auth.authenticateCredentials({ apiKey: 'tenant-key' }).id).toBe('tenant-1');
+      expect(auth.authenticateCredentials({ token }).id).toBe('tenant-1');
+    });
+
+    test('reject missing credentials with 401', () => {
+      expect(thrown(() => auth.authenticateCredentials({}))).toEqual(expect.objectContaining({ status: 401, code: 'UNAUTHORIZED' }));
+    });
+  });
+
+  describe('permissions', () => {
+    const principal = id => auth.principal(clients.find(client => client.id === id), false);
+
+    test('allow what the role permits', () => {
+      expect(() => auth.authorize(principal('robot-1'), PERMISSION.DOOR_OPEN)).not.toThrow();
+      expect(() => auth.authorize(principal('tenant-1'), PERMISSION.HALL_CALL)).not.toThrow();
+    });
+
+    test('refuse the rest with 403', () => {
+      const error = thrown(() => auth.authorize(principal('tenant-1'), PERMISSION.DOOR_OPEN));
+
+      expect(error).toEqual(expect.objectContaining({ status: 403, code: 'FORBIDDEN' }));
+      expect(error.message).toBe('Role tenant does not have permission door:open');
+    });
+
+    test.each([ROLE.ROBOT, ROLE.TENANT, ROLE.MAINTENANCE])('keep %s from the emergency stop and opening between floors', (role) => {
+      const client = auth.principal({ id: 'x', role }, false);
+
+      expect(() => auth.authorize(client, PERMISSION.EMERGENCY)).toThrow(HttpError);
+      expect(() => auth.authorize(client, PERMISSION.DOOR_OPEN_BETWEEN_FLOORS)).toThrow(HttpError);
+    });
+
+    test('give operators every permission', () => {
+      Object.values(PERMISSION).forEach(permission => {
+        expect(() => auth.authorize(principal('desk'), permission)).not.toThrow();
+      });
+    });
+
+    test('limit clients to their floors', () => {
+      expect(() => auth.authorizeFloor(principal('robot-1'), 3)).not.toThrow();
+      expect(thrown(() => auth.authorizeFloor(principal('robot-1'), 4)))
+        .toEqual(expect.objectContaining({ status: 403, message: 'Client robot-1 may not use floor 4' }));
+      expect(() => auth.authorizeFloor(principal('desk'), 40)).not.toThrow();
+    });
+
+    test('follow configured roles', () => {
+      const custom = new Authenticator({
+        roles: { ...Authenticator.ROLE_PERMISSIONS, visitor: [PERMISSION.READ] },
+        clients: [{ id: 'v', role: 'visitor', apiKey: 'v-key' }],
+      });
+      const visitor = custom.authenticate(request({ 'x-api-key': 'v-key' }));
+
+      expect(() => custom.authorize(visitor, PERMISSION.READ)).not.toThrow();
+      expect(() => custom.authorize(visitor, PERMISSION.CAR_CALL)).toThrow('Role visitor does not have permission calls:car');
+    });
+  });
+});
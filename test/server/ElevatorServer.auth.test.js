@@ -0,0 +1,248 @@
+/**
+ * ElevatorServer.auth.test.js
+ *
+ * Credentials and permissions checked on each route, and on the WebSocket
+ * upgrade of the stream, when the server has an auth configuration
+ */
+
+const Authenticator = require('../../src/server/Authenticator');
+const { useFakeTimers, advance, settle } = require('../support/virtualElevator');
+const { startElevatorServer, stopElevatorServer, request, openStream } = require('../support/elevatorServer');
+
+const { PERMISSION } = Authenticator;
+
+const auth = {
+  tokenSecret: 'test-secret',
+  roles: { ...Authenticator.ROLE_PERMISSIONS, visitor: [PERMISSION.READ, PERMISSION.DESTINATION_CALL] },
+  clients: [
+    { id: 'robot-1', role: 'robot', apiKey: 'robot-key', floors: [1, 2, 3] },
+    { id: 'tenant-1', role: 'tenant', apiKey: 'tenant-key' },
+    { id: 'desk', role: 'operator', apiKey: 'operator-key' },
+    { id: 'visitor-1', role: 'visitor', apiKey: 'visitor-key' },
+  ],
+};
+
+const ROBOT = { 'X-API-Key': 'robot-key' };
+const TENANT = { 'X-API-Key': 'tenant-key' };
+const OPERATOR = { 'X-API-Key': 'operator-key' };
+
+describe('ElevatorServer authentication', () => {
+  let setup;
+
+  beforeEach(async () => {
+    useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    setup = await startElevatorServer({ auth });
+  });
+
+  afterEach(async () => {
+    await stopElevatorServer(setup);
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const send = (method, path, options) => request(setup.server, method, path, options);
+  const bearer = token => ({ Authorization: `Bearer ${token}` });
+
+  async function issueToken(headers) {
+    const { body } = await send('POST', '/auth/token', { headers });
+    return body.token;
+  }
+
+  describe('401', () => {
+    test('without credentials', async () => {
+      const response = await send('GET', '/elevators');
+
+      expect(response.status).toBe(401);
+      expect(response.headers['www-authenticate']).toBe('Bearer realm="elevators"');
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
+    });
+
+    test('with an unknown API key', async () => {
+      const response = await send('GET', '/elevators', { headers: { 'X-API-Key': 'guess' } });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error.message).toBe('Invalid API key');
+    });
+
+    test('with a malformed token', async () => {
+      const response = await send('GET', '/elevators', { headers: bearer('not-a-token') });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error.message).toBe('Invalid or expired token');
+    });
+
+    test('with a tampered signature', async () => {
+      const [header, payload, signature] = (await issueToken(ROBOT)).split('.');
+      const tampered = `${header}.${payload}.${signature.slice(1)}${signature[0] === 'A' ? 'B' : 'A'}`;
+
+      expect((await send('GET', '/elevators', { headers: bearer(tampered) })).status).toBe(401);
+    });
+
+    test('with an expired token', async () => {
+      const token = await issueToken(ROBOT);
+      expect((await send('GET', '/elevators', { headers: bearer(token) })).status).toBe(200);
+
+      await advance(3601 * 1000);
+      const response = await send('GET', '/elevators', { headers: bearer(token) });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error.message).toBe('Invalid or expired token');
+    });
+
+    test('with the token of a removed client', async () => {
+      const token = await issueToken(ROBOT);
+      setup.server.auth.removeClient('robot-1');
+
+      expect((await send('GET', '/elevators', { headers: bearer(token) })).status).toBe(401);
+      expect((await send('GET', '/elevators', { headers: ROBOT })).status).toBe(401);
+    });
+  });
+
+  describe('tokens', () => {
+    test('are issued for an API key and accepted instead of it', async () => {
+      const { status, body } = await send('POST', '/auth/token', { headers: ROBOT });
+
+      expect(status).toBe(200);
+      expect(body).toEqual({ token: expect.any(String), tokenType: 'Bearer', expiresIn: 3600 });
+      expect((await send('GET', '/elevators/car-a/state', { headers: bearer(body.token) })).status).toBe(200);
+    });
+
+    test('are not issued for a token', async () => {
+      const token = await issueToken(ROBOT);
+      const response = await send('POST', '/auth/token', { headers: bearer(token) });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  test('serves the OpenAPI document without credentials', async () => {
+    expect((await send('GET', '/openapi.json')).status).toBe(200);
+  });
+
+  describe('403', () => {
+    test('for a call type the role may not place', async () => {
+      const response = await send('POST', '/elevators/car-a/calls', {
+        headers: { 'X-API-Key': 'visitor-key' },
+        body: { floor: 2, type: 'CAR' },
+      });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toEqual({ code: 'FORBIDDEN', message: 'Role visitor does not have permission calls:car' });
+    });
+
+    test('for a floor the client may not use', async () => {
+      const allowed = await send('POST', '/elevators/car-a/calls', { headers: ROBOT, body: { floor: 3 } });
+      const refused = await send('POST', '/elevators/car-a/calls', { headers: ROBOT, body: { floor: 5 } });
+
+      expect(allowed.status).toBe(202);
+      expect(refused.status).toBe(403);
+      expect(refused.body.error.message).toBe('Client robot-1 may not use floor 5');
+    });
+
+    test('for opening the door at a floor the client may not use', async () => {
+      await send('POST', '/elevators/car-a/calls', { headers: OPERATOR, body: { floor: 5 } });
+      await advance(5000);
+
+      const response = await send('POST', '/elevators/car-a/door', { headers: ROBOT, body: { command: 'open' } });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.message).toBe('Client robot-1 may not use floor 5');
+    });
+
+    test('for tenants operating the door', async () => {
+      const open = await send('POST', '/elevators/car-a/door', { headers: TENANT, body: { command: 'open' } });
+      const close = await send('POST', '/elevators/car-a/door', { headers: TENANT, body: { command: 'close' } });
+
+      expect(open.status).toBe(403);
+      expect(close.status).toBe(403);
+    });
+  });
+
+  describe.each([['robot', ROBOT], ['tenant', TENANT]])('%s', (role, headers) => {
+    test('may not use the emergency stop', async () => {
+      const response = await send('POST', '/elevators/car-a/emergency', { headers, body: { active: true } });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.message).toBe(`Role ${role} does not have permission emergency`);
+      expect(await settle(setup.api.isInEmergencyState())).toBe(false);
+    });
+
+    test('may not open the door between floors', async () => {
+      await settle(setup.api.requestFloor(3));
+      await advance(150);
+      expect(await settle(setup.api.getDirection())).toBe('UP');
+
+      const response = await send('POST', '/elevators/car-a/door', { headers, body: { command: 'open' } });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('FORBIDDEN');
+    });
+  });
+
+  describe('operator', () => {
+    test('may use the emergency stop', async () => {
+      const response = await send('POST', '/elevators/car-a/emergency', { headers: OPERATOR, body: { active: true } });
+
+      expect(response.status).toBe(202);
+      expect(await settle(setup.api.isInEmergencyState())).toBe(true);
+    });
+
+    test('may open the door between floors', async () => {
+      await settle(setup.api.requestFloor(6));
+      await advance(150);
+
+      const response = await send('POST', '/elevators/car-a/door', { headers: OPERATOR, body: { command: 'open' } });
+
+      expect(response.status).not.toBe(403);
+    });
+  });
+
+  describe('stream', () => {
+    let clients;
+
+    beforeEach(() => {
+      clients = [];
+    });
+
+    afterEach(() => {
+      clients.forEach(client => client.close());
+    });
+
+    async function connect(path, headers) {
+      const client = await openStream(setup.server, path, headers);
+      clients.push(client);
+      return client;
+    }
+
+    test('refuses the upgrade without credentials', async () => {
+      const response = await openStream(setup.server, '/stream');
+
+      expect(response.status).toBe(401);
+      expect(response.headers['www-authenticate']).toBe('Bearer realm="elevators"');
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
+    });
+
+    test('refuses the upgrade with an unknown API key', async () => {
+      const response = await openStream(setup.server, '/stream?apiKey=guess');
+
+      expect(response.status).toBe(401);
+    });
+
+    test('accepts an API key header', async () => {
+      const client = await connect('/stream', TENANT);
+
+      expect((await client.next('snapshot')).elevators).toHaveLength(1);
+    });
+
+    test('accepts an API key or token in the query string', async () => {
+      const token = await issueToken(ROBOT);
+      const byKey = await connect('/stream?apiKey=robot-key');
+      const byToken = await connect(`/stream?access_token=${token}`);
+
+      expect((await byKey.next('snapshot')).seq).toBe(1);
+      expect((await byToken.next('snapshot')).seq).toBe(1);
+    });
+  });
+});
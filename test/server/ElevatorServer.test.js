@@ -0,0 +1,226 @@
+/**
+ * ElevatorServer.test.js
+ *
+ * Routes of the REST API and the status codes they answer with, on a server
+ * without authentication
+ */
+
+const { useFakeTimers, advance, settle } = require('../support/virtualElevator');
+const { startElevatorServer, stopElevatorServer, request } = require('../support/elevatorServer');
+
+describe('ElevatorServer', () => {
+  let setup;
+
+  beforeEach(async () => {
+    useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    setup = await startElevatorServer();
+  });
+
+  afterEach(async () => {
+    await stopElevatorServer(setup);
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const send = (method, path, options) => request(setup.server, method, path, options);
+
+  describe('GET /openapi.json', () => {
+    test('describes every route', async () => {
+      const { status, body } = await send('GET', '/openapi.json');
+
+      expect(status).toBe(200);
+      expect(body.openapi).toMatch(/^3\./);
+      expect(Object.keys(body.paths)).toEqual(expect.arrayContaining([
+        '/elevators', '/elevators/{id}/state', '/elevators/{id}/calls', '/elevators/{id}/door', '/elevators/{id}/emergency',
+      ]));
+    });
+  });
+
+  describe('GET /elevators', () => {
+    test('lists the elevators and their connection', async () => {
+      const { status, body } = await send('GET', '/elevators');
+
+      expect(status).toBe(200);
+      expect(body).toEqual({
+        elevators: [{ id: 'car-a', connected: true, connectionLost: false, nmtState: 'OPERATIONAL' }],
+      });
+    });
+  });
+
+  describe('GET /elevators/:id/state', () => {
+    test('reads the state from the elevator', async () => {
+      const { status, body } = await send('GET', '/elevators/car-a/state');
+
+      expect(status).toBe(200);
+      expect(body).toEqual({
+        id: 'car-a',
+        floor: 1,
+        doorState: expect.any(String),
+        direction: 'STATIONARY',
+        emergency: false,
+        nmtState: 'OPERATIONAL',
+      });
+    });
+
+    test('is 404 for an unknown elevator', async () => {
+      const { status, body } = await send('GET', '/elevators/car-z/state');
+
+      expect(status).toBe(404);
+      expect(body).toEqual({ error: { code: 'NOT_FOUND', message: 'Unknown elevator car-z' } });
+    });
+
+    test('is 503 for a disconnected elevator', async () => {
+      await settle(setup.api.disconnect());
+
+      const { status, body } = await send('GET', '/elevators/car-a/state');
+
+      expect(status).toBe(503);
+      expect(body.error.code).toBe('NOT_CONNECTED');
+    });
+
+    test('decodes the elevator ID', async () => {
+      setup.server.addElevator('car a', setup.api);
+
+      expect((await send('GET', '/elevators/car%20a/state')).body.id).toBe('car a');
+    });
+
+    test('is 400 for a malformed path', async () => {
+      const { status, body } = await send('GET', '/elevators/%E0%A4%A/state');
+
+      expect(status).toBe(400);
+      expect(body.error.code).toBe('INVALID_REQUEST');
+    });
+  });
+
+  describe('POST /elevators/:id/calls', () => {
+    test('sends the car to the floor', async () => {
+      const { status, body } = await send('POST', '/elevators/car-a/calls', { body: { floor: 3 } });
+      await advance(1000);
+
+      expect(status).toBe(202);
+      expect(body).toEqual({ id: 'car-a', floor: 3, type: 'DESTINATION' });
+      expect(setup.elevator.state.currentFloor).toBe(3);
+    });
+
+    test('registers hall calls', async () => {
+      const { status } = await send('POST', '/elevators/car-a/calls', { body: { floor: 4, type: 'HALL_DOWN' } });
+
+      expect(status).toBe(202);
+      expect(setup.elevator.state.calls.HALL_DOWN).toEqual(new Set([4]));
+    });
+
+    test.each([
+      [{ floor: 0 }, 'floor must be a positive integer'],
+      [{ floor: '3' }, 'floor must be a positive integer'],
+      [{ floor: 3, type: 'UP' }, 'type must be one of DESTINATION, CAR, HALL_UP, HALL_DOWN'],
+    ])('is 400 for %j', async (call, message) => {
+      const { status, body } = await send('POST', '/elevators/car-a/calls', { body: call });
+
+      expect(status).toBe(400);
+      expect(body).toEqual({ error: { code: 'INVALID_REQUEST', message } });
+    });
+
+    test('is 400 for a body that is not a JSON object', async () => {
+      const invalid = await send('POST', '/elevators/car-a/calls', { body: '{"floor":' });
+      const array = await send('POST', '/elevators/car-a/calls', { body: [3] });
+
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error.message).toMatch(/^Invalid JSON body/);
+      expect(array.status).toBe(400);
+      expect(array.body.error.message).toBe('Request body must be a JSON object');
+    });
+
+    test('is 413 for a body over 16 KiB', async () => {
+      const { status, body } = await send('POST', '/elevators/car-a/calls', { body: { floor: 3, padding: 'x'.repeat(16 * 1024) } });
+
+      expect(status).toBe(413);
+      expect(body.error.code).toBe('PAYLOAD_TOO_LARGE');
+    });
+
+    test('reports the abort code of a refused call', async () => {
+      const { status, body } = await send('POST', '/elevators/car-a/calls', { body: { floor: 99 } });
+
+      expect(status).toBe(422);
+      expect(body.error).toEqual(expect.objectContaining({ code: 'VALUE_TOO_HIGH', abortCode: '0x06090031' }));
+    });
+  });
+
+  describe('POST /elevators/:id/door', () => {
+    test('opens and closes the door', async () => {
+      const open = await send('POST', '/elevators/car-a/door', { body: { command: 'open' } });
+      await advance(100);
+      expect(setup.elevator.state.doorState).not.toBe('CLOSED');
+
+      const close = await send('POST', '/elevators/car-a/door', { body: { command: 'close' } });
+      await advance(5000);
+
+      expect(open).toEqual(expect.objectContaining({ status: 202, body: { id: 'car-a', command: 'open' } }));
+      expect(close.status).toBe(202);
+      expect(setup.elevator.state.doorState).toBe('CLOSED');
+    });
+
+    test('is 400 for an unknown command', async () => {
+      const { status, body } = await send('POST', '/elevators/car-a/door', { body: { command: 'slam' } });
+
+      expect(status).toBe(400);
+      expect(body.error.message).toBe('command must be one of open, close');
+    });
+  });
+
+  describe('POST /elevators/:id/emergency', () => {
+    test('sets and clears the emergency stop', async () => {
+      expect((await send('POST', '/elevators/car-a/emergency', { body: { active: true } })).status).toBe(202);
+      expect(await settle(setup.api.isInEmergencyState())).toBe(true);
+
+      expect((await send('POST', '/elevators/car-a/emergency', { body: { active: false } })).status).toBe(202);
+      expect(await settle(setup.api.isInEmergencyState())).toBe(false);
+    });
+
+    test('is 400 without a boolean', async () => {
+      expect((await send('POST', '/elevators/car-a/emergency', { body: { active: 'yes' } })).status).toBe(400);
+    });
+  });
+
+  test('is 404 for an unknown path', async () => {
+    const { status, body } = await send('GET', '/lifts');
+
+    expect(status).toBe(404);
+    expect(body).toEqual({ error: { code: 'NOT_FOUND', message: 'No resource at /lifts' } });
+  });
+
+  test('is 405 with the allowed methods for another method', async () => {
+    const { status, headers, body } = await send('DELETE', '/elevators/car-a/calls');
+
+    expect(status).toBe(405);
+    expect(headers.allow).toBe('POST');
+    expect(body.error.code).toBe('METHOD_NOT_ALLOWED');
+  });
+
+  test('is 404 for POST /auth/token without authentication', async () => {
+    expect((await send('POST', '/auth/token')).status).toBe(404);
+  });
+
+  test('is 500 for unexpected errors, which are logged', async () => {
+    jest.spyOn(setup.api, 'getCurrentFloor').mockRejectedValue(new Error('boom'));
+
+    const { status, body } = await send('GET', '/elevators/car-a/state');
+
+    expect(status).toBe(500);
+    expect(body).toEqual({ error: { code: 'INTERNAL_ERROR', message: 'boom' } });
+    expect(console.error).toHaveBeenCalledWith('Elevator server request failed:', expect.any(Error));
+  });
+
+  test('stops with clients still connected', async () => {
+    const { server } = setup;
+    const port = server.port;
+
+    await settle(server.stop());
+
+    expect(server.port).toBeNull();
+    await expect(request({ port }, 'GET', '/elevators')).rejects.toThrow(/ECONNREFUSED/);
+    await settle(server.start());
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * ElevatorStream.test.js
+ *
+ * WebSocket clients of ElevatorServer: the snapshot on connecting,
+ * subscribing to and unsubscribing from elevators, the events streamed and
+ * their sequence numbers
+ */
+
+const ElevatorStream = require('../../src/server/ElevatorStream');
+const { createVirtualElevator, recordEvents, useFakeTimers, settle } = require('../support/virtualElevator');
+const { startElevatorServer, stopElevatorServer, openStream } = require('../support/elevatorServer');
+
+describe('ElevatorStream', () => {
+  let setup;
+  let other;
+  let clients;
+
+  beforeEach(async () => {
+    useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    setup = await startElevatorServer();
+
+    other = createVirtualElevator({ elevator: { floors: 4 } });
+    await settle(other.api.connect());
+    setup.server.addElevator('car-b', other.api);
+    clients = [];
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => client.close());
+    await stopElevatorServer(setup);
+    await settle(other.api.disconnect());
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  async function connect(path) {
+    const client = await openStream(setup.server, path);
+    clients.push(client);
+    return client;
+  }
+
+  const ids = message => message.elevators.map(elevator => elevator.id);
+
+  // The next event message for `event`, skipping other events
+  async function nextEvent(client, event) {
+    let message;
+    do {
+      message = await client.next('event');
+    } while (message.event !== event);
+    return message;
+  }
+
+  test('sends a snapshot of every elevator on connecting', async () => {
+    const client = await connect('/stream');
+
+    const snapshot = await client.next('snapshot');
+
+    expect(snapshot).toEqual(expect.objectContaining({ type: 'snapshot', seq: 1, timestamp: expect.any(Number) }));
+    expect(snapshot.elevators).toEqual([
+      expect.objectContaining({ id: 'car-a', floor: 1, direction: 'STATIONARY', emergency: false, nmtState: 'OPERATIONAL' }),
+      expect.objectContaining({ id: 'car-b', floor: 1 }),
+    ]);
+  });
+
+  test('subscribes to the elevators in the query string', async () => {
+    const client = await connect('/stream?elevators=car-b');
+
+    expect(ids(await client.next('snapshot'))).toEqual(['car-b']);
+  });
+
+  test('reports an elevator that cannot be read in the snapshot', async () => {
+    await settle(other.api.disconnect());
+    const client = await connect('/stream');
+
+    const { elevators } = await client.next('snapshot');
+
+    expect(elevators[1]).toEqual({ id: 'car-b', error: { code: 'NOT_CONNECTED', message: 'Elevator car-b is not connected' } });
+  });
+
+  test('acknowledges a subscription and sends a snapshot of the elevators added', async () => {
+    const client = await connect('/stream?elevators=car-a');
+    await client.next('snapshot');
+
+    client.send({ type: 'subscribe', elevators: ['car-a', 'car-b'] });
+
+    expect(await client.next('subscribed')).toEqual(expect.objectContaining({ seq: 2, elevators: ['car-a', 'car-b'] }));
+    const snapshot = await client.next('snapshot');
+    expect(snapshot.seq).toBe(3);
+    expect(ids(snapshot)).toEqual(['car-b']);
+  });
+
+  test('sends no snapshot when already subscribed', async () => {
+    const client = await connect('/stream?elevators=car-a');
+    await client.next('snapshot');
+
+    client.send({ type: 'subscribe', elevators: ['car-a'] });
+    await client.next('subscribed');
+    client.send({ type: 'unsubscribe', elevators: [] });
+    await client.next('unsubscribed');
+
+    expect(client.messages.map(message => message.type)).toEqual(['snapshot', 'subscribed', 'unsubscribed']);
+  });
+
+  test('acknowledges unsubscribing with the elevators left', async () => {
+    const client = await connect('/stream');
+    await client.next('snapshot');
+
+    client.send({ type: 'unsubscribe', elevators: ['car-a'] });
+
+    expect(await client.next('unsubscribed')).toEqual(expect.objectContaining({ elevators: ['car-b'] }));
+  });
+
+  test('refuses to subscribe to an unknown elevator', async () => {
+    const client = await connect('/stream?elevators=car-a');
+    await client.next('snapshot');
+
+    client.send({ type: 'subscribe', elevators: ['car-z'] });
+
+    expect((await client.next('error')).error).toEqual({ code: 'NOT_FOUND', message: 'Unknown elevator car-z' });
+  });
+
+  test.each([
+    ['not JSON', '{"type":', /^Invalid JSON/],
+    ['without elevators', { type: 'subscribe' }, /^Expected \{ type, elevators/],
+    ['of an unknown type', { type: 'watch', elevators: [] }, /^Unknown message type watch/],
+  ])('answers a message %s with an error', async (name, message, error) => {
+    const client = await connect('/stream');
+    await client.next('snapshot');
+
+    client.send(message);
+
+    const { error: body } = await client.next('error');
+    expect(body.code).toBe('INVALID_MESSAGE');
+    expect(body.message).toMatch(error);
+  });
+
+  test('is 404 on other paths', async () => {
+    const response = await openStream(setup.server, '/events');
+
+    expect(response.status).toBe(404);
+  });
+
+  test('streams the events of subscribed elevators with consecutive sequence numbers', async () => {
+    const client = await connect('/stream?elevators=car-a');
+    await client.next('snapshot');
+
+    await settle(setup.api.requestFloor(2));
+    const arrived = await nextEvent(client, 'floorChanged');
+
+    expect(arrived).toEqual(expect.objectContaining({ type: 'event', timestamp: expect.any(Number), elevator: 'car-a', event: 'floorChanged', data: 2 }));
+    const events = client.messages.filter(message => message.type === 'event');
+    expect(events[0]).toEqual(expect.objectContaining({ event: 'directionChanged', data: 'UP' }));
+    expect(events.map(message => message.seq)).toEqual(events.map((message, i) => i + 2));
+  });
+
+  test('sends no events of elevators the client is not subscribed to', async () => {
+    const watching = await connect('/stream?elevators=car-a');
+    const client = await connect('/stream?elevators=car-a,car-b');
+    await watching.next('snapshot');
+    await client.next('snapshot');
+    client.send({ type: 'unsubscribe', elevators: ['car-a'] });
+    await client.next('unsubscribed');
+
+    await settle(setup.api.requestFloor(2));
+    await nextEvent(watching, 'floorChanged');
+    await settle(other.api.requestFloor(3));
+
+    expect((await nextEvent(client, 'floorChanged')).elevator).toBe('car-b');
+    expect(client.messages.filter(message => message.elevator === 'car-a')).toEqual([]);
+  });
+
+  test('drops events for a client that does not keep up, leaving a gap in the sequence', async () => {
+    const client = await connect('/stream?elevators=car-a');
+    await client.next('snapshot');
+    const streamed = ElevatorStream.STREAMED_EVENTS.map(event => recordEvents(setup.api, event));
+
+    setup.server.stream.config.maxBufferedAmount = -1;
+    await settle(setup.api.setEmergencyStop(true));
+    setup.server.stream.config.maxBufferedAmount = 256 * 1024;
+    const dropped = streamed.flat().length;
+    client.send({ type: 'subscribe', elevators: [] });
+
+    expect(dropped).toBeGreaterThan(0);
+    expect((await client.next('subscribed')).seq).toBe(2 + dropped);
+    expect(client.messages.filter(message => message.type === 'event')).toEqual([]);
+  });
+});
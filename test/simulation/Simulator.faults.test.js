@@ -0,0 +1,39 @@
+/**
+ * Simulator.faults.test.js
+ *
+ * A robot changing floors through ElevatorAPI over a link that loses a
+ * fifth of everything sent either way
+ */
+
+const Simulator = require('../../src/simulation/Simulator');
+const { useFakeTimers, settle } = require('../support/virtualElevator');
+
+describe('Simulator with faults', () => {
+  let simulator;
+
+  beforeEach(() => {
+    useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await Promise.all(simulator.apis.map(api => api.disconnect()));
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test.each([1, 2, 3])('gets the robot to its floor with 20 %% of frames dropped (seed %i)', async (seed) => {
+    simulator = new Simulator({ robotCount: 1, floors: 8, simulationSpeed: 4, faults: { drop: 0.2, seed } });
+    const [robot] = simulator.robots;
+    const [api] = simulator.apis;
+
+    await settle(simulator.ready, { step: 50 });
+    await settle(robot.changeFloor(5), { step: 50, limit: 300000 });
+
+    expect(robot.state.currentFloor).toBe(5);
+    expect(simulator.elevators[0].nmtState).toBe('OPERATIONAL');
+    expect(api.transport.stats.drop).toBeGreaterThan(0);
+  });
+});
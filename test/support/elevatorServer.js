@@ -0,0 +1,170 @@
+/**
+ * elevatorServer.js
+ *
+ * Test setup: an ElevatorServer on a free local port in front of a virtual
+ * elevator (see virtualElevator), and small HTTP and WebSocket clients for
+ * it. Requests go through settle, so they work on jest's fake timers.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const WebSocket = require('../../src/server/WebSocket');
+const ElevatorServer = require('../../src/server/ElevatorServer');
+const { createVirtualElevator, settle } = require('./virtualElevator');
+
+// Connect a virtual elevator as 'car-a' and start a server for it.
+// `options`: ElevatorServer config, and `elevator` options for
+// createVirtualElevator.
+async function startElevatorServer({ elevator, ...config } = {}) {
+  const setup = createVirtualElevator(elevator);
+  await settle(setup.api.connect());
+
+  const server = new ElevatorServer({ port: 0, elevators: { 'car-a': setup.api }, ...config });
+  await settle(server.start());
+
+  return { ...setup, server };
+}
+
+// Stop the server and disconnect the elevator
+async function stopElevatorServer({ server, api }) {
+  await settle(server.stop());
+  await settle(api.disconnect());
+}
+
+// Send a request, resolving with { status, headers, body } where body is the
+// parsed JSON response. `body` is sent as JSON unless it is a string.
+function request(server, method, path, { body, headers = {} } = {}) {
+  const text = body === undefined || typeof body === 'string' ? body : JSON.stringify(body);
+
+  const sending = new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: server.port, method, path, headers }, (response) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        resolve({ status: response.statusCode, headers: response.headers, body: raw ? JSON.parse(raw) : null });
+      });
+    });
+    req.on('error', reject);
+    req.end(text);
+  });
+
+  return settle(sending, { step: 1 });
+}
+
+// Client end of a stream connection: messages received so far, parsed, and
+// helpers to send and wait for messages
+class StreamClient {
+  constructor(socket, head) {
+    this.socket = socket;
+    this.buffer = head;
+    this.messages = [];
+    this.closeCode = null;
+
+    socket.on('data', chunk => this.handleData(chunk));
+    this.handleData(Buffer.alloc(0));
+  }
+
+  // Send a message, shorter than 126 bytes, as a masked text frame
+  send(message) {
+    this.sendFrame(WebSocket.OPCODE.TEXT, Buffer.from(typeof message === 'string' ? message : JSON.stringify(message)));
+  }
+
+  sendFrame(opcode, payload) {
+    const mask = crypto.randomBytes(4);
+    const masked = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+    this.socket.write(Buffer.concat([Buffer.from([0x80 | opcode, 0x80 | payload.length]), mask, masked]));
+  }
+
+  // Resolve with the first message received of `type` after the ones
+  // already taken, waiting for it if needed
+  next(type) {
+    const find = () => {
+      const index = this.messages.findIndex(message => !message.taken && message.type === type);
+      if (index === -1) return null;
+      this.messages[index].taken = true;
+      return this.messages[index];
+    };
+
+    return settle(new Promise((resolve) => {
+      const check = () => {
+        const message = find();
+        if (message) {
+          resolve(message);
+        } else {
+          setTimeout(check, 1);
+        }
+      };
+      check();
+    }), { step: 1, limit: 5000 });
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+
+  // Server frames are unmasked and shorter than 64 KiB here
+  handleData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length >= 2) {
+      let length = this.buffer[1] & 0x7F;
+      let offset = 2;
+      if (length === 126) {
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      }
+      if (this.buffer.length < offset + length) return;
+
+      const opcode = this.buffer[0] & 0x0F;
+      const payload = this.buffer.subarray(offset, offset + length);
+      this.buffer = this.buffer.subarray(offset + length);
+
+      if (opcode === WebSocket.OPCODE.TEXT) {
+        this.messages.push(JSON.parse(payload.toString('utf8')));
+      } else if (opcode === WebSocket.OPCODE.CLOSE) {
+        this.closeCode = payload.readUInt16BE(0);
+      }
+    }
+  }
+}
+
+// Open a WebSocket to `path` (e.g. '/stream?elevators=car-a'). Resolves
+// with a StreamClient, or with the { status, body } of a refused upgrade.
+function openStream(server, path = '/stream', headers = {}) {
+  const opening = new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: server.port,
+      path,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+        'Sec-WebSocket-Version': '13',
+        ...headers,
+      },
+    });
+
+    req.on('upgrade', (response, socket, head) => resolve(new StreamClient(socket, head)));
+    req.on('response', (response) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        resolve({ status: response.statusCode, headers: response.headers, body: raw ? JSON.parse(raw) : null });
+      });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+
+  return settle(opening, { step: 1 });
+}
+
+module.exports = {
+  startElevatorServer,
+  stopElevatorServer,
+  request,
+  openStream,
+};
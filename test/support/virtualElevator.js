@@ -0,0 +1,101 @@
+/**
+ * virtualElevator.js
+ *
+ * Test setup: a VirtualElevator on a VirtualCanBus, with an ElevatorAPI
+ * connected to it through a CANopenTransport. Tests run on jest's fake
+ * timers (see useFakeTimers), so door and travel times pass instantly.
+ */
+
+const VirtualCanBus = require('../../src/transport/VirtualCanBus');
+const VirtualElevator = require('../../src/elevator/VirtualElevator');
+const CANopenTransport = require('../../src/transport/CANopenTransport');
+const ElevatorAPI = require('../../src/api/ElevatorAPI');
+
+// Create the bus, elevator, transport and API. `options`: { elevator,
+// transport, api } configs, merged over fast test defaults.
+function createVirtualElevator(options = {}) {
+  const bus = new VirtualCanBus({ timeScale: 0 });
+  const elevator = new VirtualElevator({
+    nodeId: 1,
+    floors: 8,
+    doorOpenTime: 500,
+    floorTravelTime: 100,
+    ...options.elevator
+  });
+  bus.attachNode(elevator);
+
+  const transport = new CANopenTransport({ canBus: bus, nodeId: elevator.config.nodeId, ...options.transport });
+  const api = new ElevatorAPI(transport, options.api);
+
+  return { bus, elevator, transport, api };
+}
+
+// Record the data of every `event` the API emits
+function recordEvents(api, event) {
+  const events = [];
+  api.on(event, data => events.push(data));
+  return events;
+}
+
+// Fake setTimeout, setInterval and Date. Promise callbacks and process.nextTick
+// stay real, so frames and SDO responses are delivered as time advances.
+function useFakeTimers() {
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask'] });
+}
+
+// Let `ms` of fake time pass
+function advance(ms) {
+  return jest.advanceTimersByTimeAsync(ms);
+}
+
+// Advance fake time in `step` ms steps until `promise` settles, for at most
+// `limit` ms; resolves or rejects like `promise`
+async function settle(promise, { step = 10, limit = 120000 } = {}) {
+  let settled = false;
+  promise.then(() => { settled = true; }, () => { settled = true; });
+
+  for (let elapsed = 0; !settled; elapsed += step) {
+    if (elapsed >= limit) {
+      throw new Error(`Still pending after ${limit}ms of fake time`);
+    }
+    await advance(step);
+  }
+  return promise;
+}
+
+// Hooks for a describe block whose tests each get a fresh virtual elevator:
+// before each test, switch to fake timers, silence console.log, create the
+// elevator and connect the API; after it, disconnect and restore timers and
+// mocks. Returns an object that holds { bus, elevator, transport, api }
+// during each test. `options` are those of createVirtualElevator, plus
+// `connect: false` for tests that connect the API themselves.
+function setupConnectedElevator({ connect = true, ...options } = {}) {
+  const setup = {};
+
+  beforeEach(async () => {
+    useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    Object.assign(setup, createVirtualElevator(options));
+    if (connect) {
+      await settle(setup.api.connect());
+    }
+  });
+
+  afterEach(async () => {
+    await settle(setup.api.disconnect());
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  return setup;
+}
+
+module.exports = {
+  createVirtualElevator,
+  setupConnectedElevator,
+  recordEvents,
+  useFakeTimers,
+  advance,
+  settle,
+};
@@ -0,0 +1,234 @@
+/**
+ * CANopenGateway.test.js
+ *
+ * The gateway in front of a virtual elevator, driven over TCP by a line
+ * client and by GatewayTransport
+ */
+
+const net = require('net');
+const CANopenGateway = require('../../src/transport/CANopenGateway');
+const GatewayTransport = require('../../src/transport/GatewayTransport');
+const EMCYProtocol = require('../../src/transport/EMCYProtocol');
+const ElevatorProtocolError = require('../../src/api/ElevatorProtocolError');
+const { createVirtualElevator, useFakeTimers, advance, settle } = require('../support/virtualElevator');
+
+// TCP client collecting the gateway's lines
+class LineClient {
+  constructor(port) {
+    this.lines = [];
+    this.buffer = '';
+    this.socket = net.connect({ host: '127.0.0.1', port });
+    this.socket.setEncoding('utf8');
+    this.socket.on('data', (chunk) => {
+      this.buffer += chunk;
+      const lines = this.buffer.split('\n');
+      this.buffer = lines.pop();
+      this.lines.push(...lines);
+    });
+  }
+
+  // Resolve with the first line received that matches `pattern`
+  waitFor(pattern) {
+    return settle(new Promise((resolve) => {
+      const check = () => {
+        const line = this.lines.find(candidate => pattern.test(candidate));
+        if (line !== undefined) {
+          resolve(line);
+        } else {
+          setTimeout(check, 1);
+        }
+      };
+      check();
+    }), { step: 1, limit: 5000 });
+  }
+
+  // Send a command with sequence number `sequence` and resolve with the body
+  // of its response
+  async send(sequence, command) {
+    this.socket.write(`[${sequence}] ${command}\n`);
+    const line = await this.waitFor(new RegExp(`^\\[${sequence}\\] `));
+    return line.slice(line.indexOf(' ') + 1);
+  }
+}
+
+describe('CANopenGateway', () => {
+  let setup;
+  let gateway;
+  let client;
+
+  beforeEach(async () => {
+    useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    setup = createVirtualElevator();
+    gateway = new CANopenGateway({ transports: [setup.transport], port: 0 });
+    await settle(gateway.start());
+    client = new LineClient(gateway.port);
+    await settle(new Promise(resolve => client.socket.once('connect', resolve)));
+  });
+
+  afterEach(async () => {
+    client.socket.destroy();
+    await settle(gateway.stop());
+    await settle(setup.transport.disconnect());
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('commands', () => {
+    test('read objects with their data type', async () => {
+      expect(await client.send(1, '1 1 read 0x6001 0 u8')).toBe('1');
+      expect(await client.send(2, '1 r 0x1008 0 vs')).toMatch(/^".*"$/);
+    });
+
+    test('write objects', async () => {
+      await client.send(1, '1 start');
+
+      expect(await client.send(2, '1 1 write 0x6002 0 u8 3')).toBe('OK');
+      await advance(1000);
+      expect(await client.send(3, 'r 0x6001 0 u8')).toBe('3');
+    });
+
+    test('send NMT commands', async () => {
+      expect(await client.send(1, '1 start')).toBe('OK');
+      await advance(10);
+      expect(setup.elevator.nmtState).toBe('OPERATIONAL');
+
+      expect(await client.send(2, '1 preop')).toBe('OK');
+      await advance(10);
+      expect(setup.elevator.nmtState).toBe('PRE_OPERATIONAL');
+    });
+
+    test('answer SDO aborts with the abort code', async () => {
+      expect(await client.send(1, '1 read 0x5fff 0 u8')).toBe('ERROR: 0x06020000');
+    });
+
+    test('answer each request, in order, with its sequence number', async () => {
+      client.socket.write('[7] 1 r 0x6001 0 u8\n[8] info version\n');
+
+      await client.waitFor(/^\[8\] /);
+      expect(client.lines).toEqual(['[7] 1', '[8] rise-api CANopen gateway 1.0']);
+    });
+
+    test.each([
+      ['1 1 frobnicate', 'ERROR: 100'],
+      ['1 read 0x6001', 'ERROR: 101'],
+      ['1 write 0x6002 0 u8 300', 'ERROR: 101'],
+      ['1 read 0x6001 0 u64', 'ERROR: 101'],
+      ['2 1 read 0x6001 0 u8', 'ERROR: 106'],
+      ['9 read 0x6001 0 u8', 'ERROR: 107'],
+      ['set node 9', 'ERROR: 107'],
+      ['reset everything', 'ERROR: 101'],
+    ])('refuse "%s" with %s', async (command, response) => {
+      expect(await client.send(1, command)).toBe(response);
+    });
+
+    test('use the node set as the connection default', async () => {
+      expect(await client.send(1, 'set node 1')).toBe('OK');
+      expect(await client.send(2, 'read 0x6001 0 u8')).toBe('1');
+    });
+  });
+
+  describe('events', () => {
+    test('forward EMCYs of the node', async () => {
+      setup.transport.emit('message', EMCYProtocol.encode(1, 0x8130, 0x11, Buffer.from([1, 2])));
+
+      expect(await client.waitFor(/EMCY/)).toBe('1 1 EMCY 0x8130 0x11 01 02 00 00 00');
+    });
+
+    test('drop a malformed EMCY and go on forwarding', async () => {
+      setup.transport.emit('message', { id: EMCYProtocol.COB_ID + 1, data: Buffer.from([0x30]) });
+      setup.transport.emit('message', { id: 0x181, data: Buffer.from([0x10, 0x00]) });
+
+      expect(await client.waitFor(/PDO/)).toBe('1 PDO 0x181 10 00');
+      expect(client.lines).toEqual(['1 PDO 0x181 10 00']);
+      expect(console.error).toHaveBeenCalledWith('Failed to parse EMCY message:', 'Not an EMCY frame');
+    });
+
+    test('report a lost heartbeat', async () => {
+      await client.send(1, '1 start_heartbeat 100');
+
+      expect(await client.waitFor(/ERROR/)).toBe('1 1 ERROR 203');
+    });
+  });
+
+  describe('GatewayTransport', () => {
+    let transport;
+
+    beforeEach(async () => {
+      transport = new GatewayTransport({ port: gateway.port, nodeId: 1 });
+      await settle(transport.connect());
+    });
+
+    afterEach(async () => {
+      await settle(transport.disconnect());
+    });
+
+    // Lines the transport sent to the gateway
+    function recordRequests() {
+      const lines = [];
+      const write = transport.socket.write.bind(transport.socket);
+      jest.spyOn(transport.socket, 'write').mockImplementation((text, ...args) => {
+        lines.push(text.trim());
+        return write(text, ...args);
+      });
+      return lines;
+    }
+
+    test('reads objects as domains', async () => {
+      const lines = recordRequests();
+
+      const response = await settle(transport.sendMessage({ index: 0x6001, isRead: true }));
+
+      expect(lines).toEqual(['[1] 1 1 read 0x6001 0 d']);
+      expect(response).toEqual({ success: true, data: 1, raw: Buffer.from([1]) });
+    });
+
+    test('writes integers, strings and buffers', async () => {
+      const lines = recordRequests();
+
+      await settle(transport.sendMessage({ index: 0x1017, subIndex: 0, data: 500, size: 2 }));
+      await settle(transport.sendMessage({ index: 0x2000, data: 'G,1,2' }));
+
+      expect(lines).toEqual(['[1] 1 1 write 0x1017 0 u16 500', '[2] 1 1 write 0x2000 0 vs "G,1,2"']);
+    });
+
+    test('sends NMT commands by name', async () => {
+      const lines = recordRequests();
+
+      await settle(transport.sendNmtCommand(0x81));
+      await settle(transport.sendNmtCommand(0x01, 0));
+
+      expect(lines).toEqual(['[1] 1 1 reset node', '[2] 1 0 start']);
+    });
+
+    test('fails a transfer the node aborts with its abort code', async () => {
+      const response = await settle(transport.sendMessage({ index: 0x5fff, isRead: true }));
+
+      expect(response.success).toBe(false);
+      expect(response.error).toBeInstanceOf(ElevatorProtocolError);
+      expect(response.error.abortCode).toBe(ElevatorProtocolError.ABORT_CODE.OBJECT_DOES_NOT_EXIST);
+    });
+
+    test('turns EMCY events back into frames', async () => {
+      const messages = [];
+      transport.on('message', message => messages.push(message));
+
+      setup.transport.emit('message', EMCYProtocol.encode(1, 0x8130, 0x11, Buffer.from([1, 2])));
+      await settle(new Promise(resolve => transport.once('message', resolve)), { step: 1 });
+
+      expect(messages).toEqual([EMCYProtocol.encode(1, 0x8130, 0x11, Buffer.from([1, 2, 0, 0, 0]))]);
+    });
+
+    test('times out when the gateway does not answer', async () => {
+      jest.spyOn(gateway, 'handleLine').mockImplementation(() => {});
+
+      const response = await settle(transport.sendMessage({ index: 0x6001, isRead: true }));
+
+      expect(response.error.abortCode).toBe(ElevatorProtocolError.ABORT_CODE.TIMEOUT);
+      expect(response.error.message).toContain('no response from gateway within 3000ms');
+    });
+  });
+});
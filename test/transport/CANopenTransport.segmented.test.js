@@ -0,0 +1,189 @@
+/**
+ * CANopenTransport.segmented.test.js
+ *
+ * Segmented SDO transfers of objects longer than 4 bytes: the frames, the
+ * virtual elevator's SDO server, the transport's client and the ElevatorAPI
+ * string helpers
+ */
+
+const EventEmitter = require('events');
+const SDOProtocol = require('../../src/transport/SDOProtocol');
+const CANopenTransport = require('../../src/transport/CANopenTransport');
+const CandumpLog = require('../../src/transport/CandumpLog');
+const { createVirtualElevator, useFakeTimers, advance, settle } = require('../support/virtualElevator');
+
+const { ABORT_CODE } = SDOProtocol;
+const bytes = (...values) => Buffer.from(values);
+
+describe('segmented SDO transfers', () => {
+  describe('frames', () => {
+    test('announce the size of a segmented download and upload', () => {
+      expect(SDOProtocol.encodeSegmentedDownloadRequest(0x2000, 0, 21)).toEqual(bytes(0x21, 0x00, 0x20, 0x00, 21, 0, 0, 0));
+      expect(SDOProtocol.encodeSegmentedUploadResponse(0x1008, 0, 21)).toEqual(bytes(0x41, 0x08, 0x10, 0x00, 21, 0, 0, 0));
+    });
+
+    test('carry the toggle bit, unused byte count and last flag in the command byte', () => {
+      expect(SDOProtocol.encodeUploadSegmentRequest(false)).toEqual(bytes(0x60, 0, 0, 0, 0, 0, 0, 0));
+      expect(SDOProtocol.encodeUploadSegmentRequest(true)).toEqual(bytes(0x70, 0, 0, 0, 0, 0, 0, 0));
+      expect(SDOProtocol.encodeUploadSegment(false, Buffer.from('abcdefg'), false)).toEqual(Buffer.concat([bytes(0x00), Buffer.from('abcdefg')]));
+      expect(SDOProtocol.encodeUploadSegment(true, Buffer.from('abc'), true)).toEqual(bytes(0x19, 0x61, 0x62, 0x63, 0, 0, 0, 0));
+      expect(SDOProtocol.encodeDownloadSegment(true, Buffer.from('ab'), true)).toEqual(bytes(0x1B, 0x61, 0x62, 0, 0, 0, 0, 0));
+      expect(SDOProtocol.encodeDownloadSegmentResponse(true)).toEqual(bytes(0x30, 0, 0, 0, 0, 0, 0, 0));
+    });
+
+    test('refuse more than 7 bytes per segment', () => {
+      expect(() => SDOProtocol.encodeDownloadSegment(false, Buffer.alloc(8), true)).toThrow('Segment data cannot exceed 7 bytes');
+    });
+
+    test('decode to the used data only', () => {
+      expect(SDOProtocol.decode(bytes(0x19, 0x61, 0x62, 0x63, 0, 0, 0, 0), true)).toEqual({
+        type: 'uploadSegment', toggle: true, last: true, data: Buffer.from('abc'),
+      });
+      expect(SDOProtocol.decode(bytes(0x41, 0x08, 0x10, 0x00, 21, 0, 0, 0), true)).toEqual({
+        type: 'upload', index: 0x1008, subIndex: 0, segmented: true, size: 21,
+      });
+    });
+  });
+
+  describe('with the virtual elevator', () => {
+    let setup;
+    let frames;
+
+    beforeEach(async () => {
+      useFakeTimers();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      frames = [];
+      const capture = { write: ({ id, data }, direction) => frames.push({ direction, id, data }) };
+      setup = createVirtualElevator({ transport: { capture } });
+      await settle(setup.api.connect());
+      frames.length = 0;
+    });
+
+    afterEach(async () => {
+      await settle(setup.api.disconnect());
+      jest.clearAllTimers();
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    });
+
+    const sdoCommands = direction => frames
+      .filter(frame => frame.direction === direction && (frame.id === 0x601 || frame.id === 0x581))
+      .map(frame => frame.data[0]);
+
+    test('uploads the device name in segments with alternating toggle bits', async () => {
+      expect(await settle(setup.api.getDeviceName())).toBe('RISE Virtual Elevator');
+
+      // 21 bytes: 7 + 7 + 7, the last segment flagged
+      expect(sdoCommands(CandumpLog.DIRECTION.TRANSMIT)).toEqual([0x40, 0x60, 0x70, 0x60]);
+      expect(sdoCommands(CandumpLog.DIRECTION.RECEIVE)).toEqual([0x41, 0x00, 0x10, 0x01]);
+    });
+
+    test('reads other strings and buffers', async () => {
+      expect(await settle(setup.api.getSoftwareVersion())).toEqual(expect.any(String));
+      expect(await settle(setup.api.getFloorLabels())).toEqual(['1', '2', '3', '4', '5', '6', '7', '8']);
+      expect(await settle(setup.api.readBuffer(0x1008))).toEqual(Buffer.from('RISE Virtual Elevator', 'latin1'));
+    });
+
+    test('downloads a long string in segments', async () => {
+      const labels = 'B2,B1,G,1,2,3,4,5';
+
+      await settle(setup.api.writeObject(0x2000, labels));
+
+      expect(sdoCommands(CandumpLog.DIRECTION.TRANSMIT)).toEqual([0x21, 0x00, 0x10, 0x09]);
+      expect(sdoCommands(CandumpLog.DIRECTION.RECEIVE)).toEqual([0x60, 0x20, 0x30, 0x20]);
+      expect(setup.elevator.config.floorLabels).toEqual(labels.split(','));
+      expect(await settle(setup.api.getFloorLabels())).toEqual(labels.split(','));
+    });
+
+    test('aborts a segment with the wrong toggle bit at the server', () => {
+      const request = data => setup.elevator.handleSdoRequest({ id: 0x601, data });
+
+      request(SDOProtocol.encodeUploadRequest(0x1008, 0));
+      const response = request(SDOProtocol.encodeUploadSegmentRequest(true));
+
+      expect(SDOProtocol.decode(response.data, true)).toEqual({
+        type: 'abort', index: 0x1008, subIndex: 0, abortCode: ABORT_CODE.TOGGLE_BIT_NOT_ALTERNATED,
+      });
+    });
+
+    test('aborts a segment without a transfer in progress at the server', () => {
+      const response = setup.elevator.handleSdoRequest({ id: 0x601, data: SDOProtocol.encodeUploadSegmentRequest(false) });
+
+      expect(SDOProtocol.decode(response.data, true).abortCode).toBe(ABORT_CODE.COMMAND_SPECIFIER_INVALID);
+    });
+
+    test('aborts a download shorter than announced at the server', () => {
+      const request = data => setup.elevator.handleSdoRequest({ id: 0x601, data });
+
+      request(SDOProtocol.encodeSegmentedDownloadRequest(0x2000, 0, 10));
+      const response = request(SDOProtocol.encodeDownloadSegment(false, Buffer.from('1,2'), true));
+
+      expect(SDOProtocol.decode(response.data, true).abortCode).toBe(ABORT_CODE.DATA_LENGTH_MISMATCH);
+      expect(setup.elevator.config.floorLabels).toHaveLength(8);
+    });
+  });
+
+  describe('client', () => {
+    let backend;
+    let transport;
+
+    beforeEach(async () => {
+      useFakeTimers();
+      backend = new EventEmitter();
+      backend.sent = [];
+      Object.assign(backend, {
+        setFilters() {},
+        async start() {},
+        async stop() {},
+        send(frame) { backend.sent.push(frame); },
+      });
+      transport = new CANopenTransport({ simulationMode: false, backend, sdoTimeout: 100, sdoRetries: 0 });
+      await transport.connect();
+    });
+
+    afterEach(() => {
+      jest.clearAllTimers();
+      jest.useRealTimers();
+    });
+
+    // Answer the next request with `data` once it was sent
+    async function respond(data) {
+      await advance(0);
+      backend.emit('frame', { id: 0x581, data });
+    }
+
+    test('aborts when the server repeats a toggle bit', async () => {
+      const reading = transport.sendMessage({ index: 0x1008, isRead: true });
+      await respond(SDOProtocol.encodeSegmentedUploadResponse(0x1008, 0, 14));
+      await respond(SDOProtocol.encodeUploadSegment(false, Buffer.from('abcdefg'), false));
+      await respond(SDOProtocol.encodeUploadSegment(false, Buffer.from('hijklmn'), true));
+
+      const response = await reading;
+
+      expect(response.error.abortCode).toBe(ABORT_CODE.TOGGLE_BIT_NOT_ALTERNATED);
+      expect(SDOProtocol.decode(backend.sent[backend.sent.length - 1].data, false)).toEqual({
+        type: 'abort', index: 0x1008, subIndex: 0, abortCode: ABORT_CODE.TOGGLE_BIT_NOT_ALTERNATED,
+      });
+    });
+
+    test('fails when fewer bytes arrive than announced', async () => {
+      const reading = transport.sendMessage({ index: 0x1008, isRead: true });
+      await respond(SDOProtocol.encodeSegmentedUploadResponse(0x1008, 0, 10));
+      await respond(SDOProtocol.encodeUploadSegment(false, Buffer.from('abc'), true));
+
+      const response = await reading;
+
+      expect(response.error.abortCode).toBe(ABORT_CODE.DATA_LENGTH_MISMATCH);
+      expect(response.error.message).toContain('received 3 bytes, expected 10');
+    });
+
+    test('returns the data as a Buffer', async () => {
+      const reading = transport.sendMessage({ index: 0x1008, isRead: true });
+      await respond(SDOProtocol.encodeSegmentedUploadResponse(0x1008, 0, 5));
+      await respond(SDOProtocol.encodeUploadSegment(false, Buffer.from('Lift1'), true));
+
+      expect(await reading).toEqual({ success: true, data: Buffer.from('Lift1'), raw: Buffer.from('Lift1') });
+    });
+  });
+});
@@ -0,0 +1,316 @@
+/**
+ * CANopenTransport.test.js
+ *
+ * SDO transfers over a stubbed CAN backend: which response completes which
+ * request, repeating unanswered requests, and one transfer at a time per node;
+ * and what the transport stops when the bus goes down
+ */
+
+const EventEmitter = require('events');
+const CANopenTransport = require('../../src/transport/CANopenTransport');
+const SDOProtocol = require('../../src/transport/SDOProtocol');
+const ElevatorProtocolError = require('../../src/api/ElevatorProtocolError');
+const { useFakeTimers, advance, settle } = require('../support/virtualElevator');
+
+// CAN backend that records the frames sent and receives what the test emits
+class StubBackend extends EventEmitter {
+  constructor() {
+    super();
+    this.sent = [];
+  }
+
+  setFilters() {}
+
+  async start() {}
+
+  async stop() {}
+
+  send(frame) {
+    this.sent.push(frame);
+  }
+}
+
+describe('CANopenTransport SDO transfers', () => {
+  let backend;
+
+  beforeEach(() => {
+    useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    backend = new StubBackend();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  async function createTransport(config) {
+    const transport = new CANopenTransport({ simulationMode: false, backend, sdoTimeout: 100, sdoRetries: 0, ...config });
+    await transport.connect();
+    return transport;
+  }
+
+  // Frames sent to node `nodeId` and what they ask for
+  function requests(nodeId = 1) {
+    return backend.sent
+      .filter(frame => frame.id === SDOProtocol.COB_ID.SDO_RX + nodeId)
+      .map(frame => SDOProtocol.decode(frame.data, false));
+  }
+
+  // Answer a read of `index` from node `nodeId` with `value`
+  function respond(index, value, nodeId = 1) {
+    backend.emit('frame', { id: SDOProtocol.COB_ID.SDO_TX + nodeId, data: SDOProtocol.encodeUploadResponse(index, 0, value) });
+  }
+
+  const read = (transport, index, options) => transport.sendMessage({ index, isRead: true, ...options });
+
+  describe('responses', () => {
+    test('complete the request for the same object', async () => {
+      const transport = await createTransport();
+
+      const reading = read(transport, 0x6001);
+      await advance(0);
+      respond(0x6001, 4);
+
+      await expect(reading).resolves.toEqual(expect.objectContaining({ success: true, data: 4 }));
+    });
+
+    test('for another object are ignored', async () => {
+      const transport = await createTransport();
+
+      const reading = read(transport, 0x6001);
+      await advance(0);
+      respond(0x6002, 7);
+      respond(0x6001, 4);
+
+      await expect(reading).resolves.toEqual(expect.objectContaining({ data: 4 }));
+    });
+
+    test('from another node are ignored', async () => {
+      const transport = await createTransport();
+
+      const reading = read(transport, 0x6001);
+      await advance(0);
+      respond(0x6001, 7, 2);
+      respond(0x6001, 4);
+
+      await expect(reading).resolves.toEqual(expect.objectContaining({ data: 4 }));
+    });
+
+    test('to a segment request do not complete an initiate request', async () => {
+      const transport = await createTransport();
+
+      const reading = read(transport, 0x6001);
+      await advance(0);
+      backend.emit('frame', { id: 0x581, data: SDOProtocol.encodeUploadSegment(false, Buffer.from('abc'), true) });
+      respond(0x6001, 4);
+
+      await expect(reading).resolves.toEqual(expect.objectContaining({ data: 4 }));
+    });
+
+    test('arriving early for a queued request are ignored', async () => {
+      const transport = await createTransport();
+
+      const first = read(transport, 0x6001);
+      const second = read(transport, 0x6002);
+      await advance(0);
+      respond(0x6002, 7);
+      respond(0x6001, 4);
+      await expect(first).resolves.toEqual(expect.objectContaining({ data: 4 }));
+
+      await advance(0);
+      respond(0x6002, 8);
+      await expect(second).resolves.toEqual(expect.objectContaining({ data: 8 }));
+    });
+
+    test('arriving late for a timed out request are ignored', async () => {
+      const transport = await createTransport();
+
+      const first = await settle(read(transport, 0x6001));
+      const second = read(transport, 0x6002);
+      await advance(0);
+      respond(0x6001, 4);
+      respond(0x6002, 7);
+
+      expect(first.success).toBe(false);
+      await expect(second).resolves.toEqual(expect.objectContaining({ data: 7 }));
+    });
+  });
+
+  describe('timeouts', () => {
+    test('repeat the request sdoRetries times, aborting each attempt', async () => {
+      const transport = await createTransport({ sdoRetries: 2 });
+
+      const response = await settle(read(transport, 0x6001));
+
+      expect(response.success).toBe(false);
+      expect(response.error).toBeInstanceOf(ElevatorProtocolError);
+      expect(response.error.abortCode).toBe(SDOProtocol.ABORT_CODE.TIMEOUT);
+      expect(response.error.message).toContain('no response within 100ms, 3 attempts');
+      expect(requests().map(request => request.type)).toEqual([
+        'upload', 'abort', 'upload', 'abort', 'upload', 'abort',
+      ]);
+    });
+
+    test('take each attempt sdoTimeout', async () => {
+      const transport = await createTransport({ sdoRetries: 1 });
+      let settled = false;
+      read(transport, 0x6001).then(() => { settled = true; });
+
+      await advance(199);
+      expect(settled).toBe(false);
+      await advance(1);
+      expect(settled).toBe(true);
+    });
+
+    test('are repeated as often as the message asks', async () => {
+      const transport = await createTransport({ sdoRetries: 3 });
+
+      const response = await settle(read(transport, 0x6001, { retries: 0, timeout: 50 }));
+
+      expect(response.error.message).toContain('no response within 50ms');
+      expect(requests().filter(request => request.type === 'upload')).toHaveLength(1);
+    });
+
+    test('succeed when a repeated request is answered', async () => {
+      const transport = await createTransport({ sdoRetries: 2 });
+
+      const reading = read(transport, 0x6001);
+      await advance(100);
+      respond(0x6001, 4);
+
+      await expect(reading).resolves.toEqual(expect.objectContaining({ success: true, data: 4 }));
+    });
+
+    test('are not repeated once the node is lost', async () => {
+      const transport = await createTransport({ sdoRetries: 2, sdoTimeout: 300, heartbeatConsumerTime: 200 });
+
+      const response = await settle(read(transport, 0x6001));
+
+      expect(response.success).toBe(false);
+      expect(requests().filter(request => request.type === 'upload')).toHaveLength(1);
+    });
+  });
+
+  describe('queue', () => {
+    test('runs transfers to the same node one at a time', async () => {
+      const transport = await createTransport();
+
+      const first = read(transport, 0x6001);
+      const second = read(transport, 0x6002);
+      await advance(0);
+      expect(requests().map(request => request.index)).toEqual([0x6001]);
+
+      respond(0x6001, 4);
+      await first;
+      await advance(0);
+      expect(requests().map(request => request.index)).toEqual([0x6001, 0x6002]);
+
+      respond(0x6002, 7);
+      await expect(second).resolves.toEqual(expect.objectContaining({ data: 7 }));
+    });
+
+    test('is shared by transports on the same backend', async () => {
+      const first = await createTransport();
+      const second = await createTransport();
+
+      const reading = read(first, 0x6001);
+      const other = read(second, 0x6002);
+      await advance(0);
+      expect(requests().map(request => request.index)).toEqual([0x6001]);
+
+      respond(0x6001, 4);
+      await reading;
+      await advance(0);
+      respond(0x6002, 7);
+      await expect(other).resolves.toEqual(expect.objectContaining({ data: 7 }));
+    });
+
+    test('goes on after a failed transfer', async () => {
+      const transport = await createTransport();
+
+      const first = read(transport, 0x6001);
+      const second = read(transport, 0x6002);
+      await advance(100);
+      respond(0x6002, 7);
+
+      expect((await first).success).toBe(false);
+      await expect(second).resolves.toEqual(expect.objectContaining({ data: 7 }));
+    });
+
+    test('does not hold up transfers to other nodes', async () => {
+      const node1 = await createTransport({ nodeId: 1 });
+      const node2 = await createTransport({ nodeId: 2 });
+
+      const first = read(node1, 0x6001);
+      const second = read(node2, 0x6001);
+      await advance(0);
+      expect(requests(1)).toHaveLength(1);
+      expect(requests(2)).toHaveLength(1);
+
+      respond(0x6001, 7, 2);
+      await expect(second).resolves.toEqual(expect.objectContaining({ data: 7 }));
+      respond(0x6001, 4, 1);
+      await expect(first).resolves.toEqual(expect.objectContaining({ data: 4 }));
+    });
+  });
+});
+
+describe('CANopenTransport bus down', () => {
+  let backend;
+  let transport;
+
+  beforeEach(async () => {
+    useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    backend = new StubBackend();
+    transport = new CANopenTransport({ simulationMode: false, backend, sdoTimeout: 100, sdoRetries: 0 });
+    await transport.connect();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('rejects pending transfers and emits disconnected', async () => {
+    const disconnected = jest.fn();
+    transport.on('disconnected', disconnected);
+    const reading = transport.sendMessage({ index: 0x6001, isRead: true });
+    await advance(0);
+
+    const error = new Error('bus-off');
+    backend.emit('down', error);
+
+    await expect(reading).resolves.toEqual(expect.objectContaining({ success: false, error }));
+    expect(transport.connected).toBe(false);
+    expect(disconnected).toHaveBeenCalledWith(error);
+  });
+
+  test('stops watching the node', async () => {
+    const lost = jest.fn();
+    transport.on('nodeLost', lost);
+    transport.startHeartbeatConsumer(500);
+
+    backend.emit('down', new Error('bus-off'));
+    await advance(2000);
+
+    expect(lost).not.toHaveBeenCalled();
+    expect(transport.livenessTimer).toBeNull();
+  });
+
+  test('stops node guarding and the SYNC producer', async () => {
+    transport.startNodeGuarding(100, 3);
+    transport.startSync(100);
+
+    backend.emit('down', new Error('bus-off'));
+    const sent = backend.sent.length;
+    await advance(1000);
+
+    expect(backend.sent).toHaveLength(sent);
+    expect(transport.guardTimer).toBeNull();
+    expect(transport.syncTimer).toBeNull();
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * CallProtocol.test.js
+ */
+
+const CallProtocol = require('../../src/transport/CallProtocol');
+
+describe('CallProtocol', () => {
+  test('encodes and decodes call events with their sequence counter', () => {
+    const value = CallProtocol.encodeEvent(7, 'HALL_DOWN', 'ANSWERED', 200);
+
+    expect(value).toBe(0xC8020207);
+    expect(CallProtocol.decodeEvent(value)).toEqual({ floor: 7, type: 'HALL_DOWN', event: 'ANSWERED', sequence: 200 });
+  });
+
+  test('numbers events from 1 to 255', () => {
+    expect(CallProtocol.nextSequence(0)).toBe(1);
+    expect(CallProtocol.nextSequence(CallProtocol.encodeEvent(1, 'CAR', 'REGISTERED', 1))).toBe(2);
+    expect(CallProtocol.nextSequence(CallProtocol.encodeEvent(1, 'CAR', 'REGISTERED', 255))).toBe(1);
+  });
+
+  test('rejects unknown call types and events', () => {
+    expect(() => CallProtocol.decodeEvent(0x00040003)).toThrow('Invalid call event 0x40003');
+    expect(() => CallProtocol.decodeEvent(0x00000103)).toThrow('Invalid call event');
+  });
+});
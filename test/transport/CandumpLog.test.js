@@ -0,0 +1,93 @@
+/**
+ * CandumpLog.test.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CandumpLog = require('../../src/transport/CandumpLog');
+
+const FIXTURE = path.join(__dirname, '../fixtures/ride-3-2.log');
+
+// Frame lines of the fixture, without its comments
+function fixtureLines() {
+  return fs.readFileSync(FIXTURE, 'utf8').split('\n').filter(line => line !== '' && !line.startsWith('#'));
+}
+
+describe('CandumpLog', () => {
+  describe('parseLine', () => {
+    test('parses a frame with its direction', () => {
+      expect(CandumpLog.parseLine('(1700000000.123456) can0 581#4F01600003000000 R')).toEqual({
+        timestamp: 1700000000123.456,
+        interface: 'can0',
+        frame: { id: 0x581, data: Buffer.from('4F01600003000000', 'hex') },
+        direction: 'R',
+      });
+    });
+
+    test('parses a frame without a direction, as logged by candump', () => {
+      const entry = CandumpLog.parseLine('(1700000000.000001) vcan0 181#21');
+
+      expect(entry.direction).toBeNull();
+      expect(entry.interface).toBe('vcan0');
+      expect(entry.frame).toEqual({ id: 0x181, data: Buffer.from([0x21]) });
+    });
+
+    test('parses remote and extended frames', () => {
+      expect(CandumpLog.parseLine('(1700000000.500000) can0 701#R').frame)
+        .toEqual({ id: 0x701, data: Buffer.alloc(0), rtr: true });
+      expect(CandumpLog.parseLine('(1700000000.500000) can0 18FF0001#0102 T').frame)
+        .toEqual({ id: 0x18FF0001, data: Buffer.from([1, 2]), extended: true });
+    });
+
+    test('skips blank lines and comments', () => {
+      expect(CandumpLog.parseLine('')).toBeNull();
+      expect(CandumpLog.parseLine('  # recorded on site')).toBeNull();
+    });
+
+    test('rejects lines that are not frames', () => {
+      expect(() => CandumpLog.parseLine('can0 181#21')).toThrow('Invalid candump log line: can0 181#21');
+      expect(() => CandumpLog.parseLine('(1700000000.1) can0 181#21')).toThrow('Invalid candump log line');
+      expect(() => CandumpLog.parseLine('(1700000000.100000) can0 181#2 T')).toThrow('Invalid candump log line');
+    });
+  });
+
+  describe('formatLine', () => {
+    test('round-trips every line of a recording', () => {
+      fixtureLines().forEach(line => {
+        const { timestamp, interface: canInterface, frame, direction } = CandumpLog.parseLine(line);
+        expect(CandumpLog.formatLine(frame, timestamp, canInterface, direction)).toBe(line);
+      });
+    });
+
+    test('round-trips lines without a direction', () => {
+      fixtureLines().map(line => line.replace(/ [TR]$/, '')).forEach(line => {
+        const { timestamp, interface: canInterface, frame, direction } = CandumpLog.parseLine(line);
+        expect(CandumpLog.formatLine(frame, timestamp, canInterface, direction)).toBe(line);
+      });
+    });
+
+    test('formats remote and extended frames', () => {
+      expect(CandumpLog.formatLine({ id: 0x701, rtr: true }, 1700000000500)).toBe('(1700000000.500000) can0 701#R');
+      expect(CandumpLog.formatLine({ id: 0x18FF0001, data: [1, 2] }, 1700000000500, 'can1', 'T'))
+        .toBe('(1700000000.500000) can1 18FF0001#0102 T');
+    });
+  });
+
+  test('parses a whole recording', () => {
+    const entries = CandumpLog.readFile(FIXTURE);
+
+    expect(entries).toHaveLength(fixtureLines().length);
+    expect(entries[0]).toEqual(expect.objectContaining({ timestamp: 1700000000000, direction: 'T' }));
+  });
+
+  test('records frames in memory', () => {
+    const writer = new CandumpLog.CandumpWriter({ interface: 'vcan0' });
+    writer.write({ id: 0x601, data: Buffer.from('4000100000000000', 'hex') }, 'T', 'can0', 1700000000000);
+    writer.write({ id: 0x581, data: Buffer.from('4F00100000000000', 'hex') }, 'R', 'can0', 1700000000001.5);
+
+    expect(writer.toString()).toBe(
+      '(1700000000.000000) vcan0 601#4000100000000000 T\n' +
+      '(1700000000.001500) vcan0 581#4F00100000000000 R\n'
+    );
+  });
+});
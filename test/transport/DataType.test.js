@@ -0,0 +1,88 @@
+/**
+ * DataType.test.js
+ *
+ * CANopen data types: which JS values they hold, and their encoding in
+ * SDO and PDO data
+ */
+
+const DataType = require('../../src/transport/DataType');
+
+const { DATA_TYPE } = DataType;
+
+describe('DataType', () => {
+  describe('isValid', () => {
+    test.each([
+      ['UNSIGNED8', 0, 0xFF],
+      ['UNSIGNED16', 0, 0xFFFF],
+      ['UNSIGNED32', 0, 0xFFFFFFFF],
+      ['INTEGER8', -0x80, 0x7F],
+      ['INTEGER16', -0x8000, 0x7FFF],
+      ['INTEGER32', -0x80000000, 0x7FFFFFFF],
+    ])('accepts %s values from %i to %i only', (name, min, max) => {
+      const type = DATA_TYPE[name];
+      expect(DataType.RANGE[type]).toEqual({ min, max });
+      expect(DataType.isValid(type, min)).toBe(true);
+      expect(DataType.isValid(type, max)).toBe(true);
+      expect(DataType.isValid(type, min - 1)).toBe(false);
+      expect(DataType.isValid(type, max + 1)).toBe(false);
+    });
+
+    test('refuses fractions and non-numbers for the integer types', () => {
+      expect(DataType.isValid(DATA_TYPE.UNSIGNED8, 1.5)).toBe(false);
+      expect(DataType.isValid(DATA_TYPE.UNSIGNED8, '1')).toBe(false);
+      expect(DataType.isValid(DATA_TYPE.INTEGER16, true)).toBe(false);
+    });
+
+    test('takes true/false for BOOLEAN, strings for the string types and Buffers for the others', () => {
+      expect(DataType.isValid(DATA_TYPE.BOOLEAN, false)).toBe(true);
+      expect(DataType.isValid(DATA_TYPE.BOOLEAN, 1)).toBe(false);
+      expect(DataType.isValid(DATA_TYPE.REAL32, 1.5)).toBe(true);
+      expect(DataType.isValid(DATA_TYPE.VISIBLE_STRING, 'Lobby')).toBe(true);
+      expect(DataType.isValid(DATA_TYPE.VISIBLE_STRING, Buffer.from('Lobby'))).toBe(false);
+      expect(DataType.isValid(DATA_TYPE.OCTET_STRING, Buffer.from([1, 2]))).toBe(true);
+      expect(DataType.isValid(DATA_TYPE.DOMAIN, 'data')).toBe(false);
+    });
+
+    test('refuses values of an unknown type', () => {
+      expect(DataType.isValid(0x20, 0)).toBe(false);
+    });
+  });
+
+  describe('encode', () => {
+    test('writes the fixed-length types little-endian in their size', () => {
+      expect(DataType.encode(DATA_TYPE.UNSIGNED8, 5)).toEqual(Buffer.from([5]));
+      expect(DataType.encode(DATA_TYPE.UNSIGNED16, 0x1234)).toEqual(Buffer.from([0x34, 0x12]));
+      expect(DataType.encode(DATA_TYPE.UNSIGNED32, 0x191)).toEqual(Buffer.from([0x91, 0x01, 0, 0]));
+      expect(DataType.encode(DATA_TYPE.INTEGER16, -2)).toEqual(Buffer.from([0xFE, 0xFF]));
+      expect(DataType.encode(DATA_TYPE.BOOLEAN, true)).toEqual(Buffer.from([1]));
+      expect(DataType.encode(DATA_TYPE.REAL32, 1)).toEqual(Buffer.from([0, 0, 0x80, 0x3F]));
+    });
+
+    test('writes strings as Latin-1 or UTF-16 and copies Buffers', () => {
+      expect(DataType.encode(DATA_TYPE.VISIBLE_STRING, 'Café')).toEqual(Buffer.from([0x43, 0x61, 0x66, 0xE9]));
+      expect(DataType.encode(DATA_TYPE.UNICODE_STRING, 'G')).toEqual(Buffer.from([0x47, 0]));
+      expect(DataType.encode(DATA_TYPE.DOMAIN, Buffer.from([1, 2, 3]))).toEqual(Buffer.from([1, 2, 3]));
+    });
+  });
+
+  describe('decode', () => {
+    test.each([
+      ['UNSIGNED32', 0xFFFFFFFF],
+      ['INTEGER8', -0x80],
+      ['INTEGER32', -123456],
+      ['BOOLEAN', false],
+      ['REAL32', 0.5],
+      ['VISIBLE_STRING', 'Ground,First'],
+      ['UNICODE_STRING', 'Ground'],
+      ['OCTET_STRING', Buffer.from([0xDE, 0xAD])],
+    ])('reads back the %s it encoded', (name, value) => {
+      const type = DATA_TYPE[name];
+      expect(DataType.decode(type, DataType.encode(type, value))).toEqual(value);
+    });
+
+    test('refuses fixed-length data of the wrong size', () => {
+      expect(() => DataType.decode(DATA_TYPE.UNSIGNED16, Buffer.from([1]))).toThrow('UNSIGNED16 takes 2 bytes, got 1');
+      expect(() => DataType.decode(DATA_TYPE.UNSIGNED8, Buffer.from([1, 0]))).toThrow('UNSIGNED8 takes 1 bytes, got 2');
+    });
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * FaultInjectionTransport.test.js
+ *
+ * Each fault kind on its own, with probability 1 so the outcome does not
+ * depend on the random numbers drawn
+ */
+
+const EventEmitter = require('events');
+const FaultInjectionTransport = require('../../src/transport/FaultInjectionTransport');
+const ElevatorProtocolError = require('../../src/api/ElevatorProtocolError');
+const { useFakeTimers, advance, settle } = require('../support/virtualElevator');
+
+// Transport that answers every request at once and records what it was sent
+class StubTransport extends EventEmitter {
+  constructor() {
+    super();
+    this.config = { nodeId: 1, sdoTimeout: 100, sdoRetries: 2 };
+    this.connected = false;
+    this.sent = [];
+  }
+
+  async connect() {
+    this.connected = true;
+    return true;
+  }
+
+  async disconnect() {
+    this.connected = false;
+    return true;
+  }
+
+  async sendMessage(message) {
+    this.sent.push(message);
+    return message.isRead ? { success: true, data: 0x0F } : { success: true };
+  }
+
+  async sendPdo(cobId, data) {
+    this.sent.push({ cobId, data });
+    return { success: true };
+  }
+
+  async sendNmtCommand(command) {
+    this.sent.push({ command });
+    return { success: true };
+  }
+}
+
+// Number of bits in which two buffers or integers differ
+function bitsChanged(a, b) {
+  const bytes = Buffer.isBuffer(a) ? a.map((byte, i) => byte ^ b[i]) : [a ^ b];
+  return Array.from(bytes).reduce((count, byte) => count + byte.toString(2).split('1').length - 1, 0);
+}
+
+describe('FaultInjectionTransport', () => {
+  let inner;
+  let faults;
+
+  beforeEach(() => {
+    useFakeTimers();
+    inner = new StubTransport();
+    faults = [];
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  async function createTransport(options) {
+    const transport = new FaultInjectionTransport(inner, { seed: 7, ...options });
+    transport.on('fault', fault => faults.push(fault));
+    await transport.connect();
+    return transport;
+  }
+
+  // Messages the transport emits, by the order they arrive in
+  function receive(transport) {
+    const received = [];
+    transport.on('message', message => received.push(message));
+    return received;
+  }
+
+  const frame = (byte) => ({ id: 0x181, data: Buffer.from([byte, 0x00]) });
+
+  describe('drop', () => {
+    test('times out an SDO request after every attempt was lost', async () => {
+      const transport = await createTransport({ drop: 1 });
+
+      const response = await settle(transport.sendMessage({ index: 0x6002, data: 3, size: 1 }), { step: 50 });
+
+      expect(response.success).toBe(false);
+      expect(response.error).toBeInstanceOf(ElevatorProtocolError);
+      expect(response.error.abortCode).toBe(ElevatorProtocolError.ABORT_CODE.TIMEOUT);
+      expect(inner.sent).toEqual([]);
+      expect(transport.stats.drop).toBe(3);
+      expect(faults[0]).toEqual({ fault: 'drop', direction: 'outbound', request: { index: 0x6002, subIndex: 0, isRead: false } });
+    });
+
+    test('loses PDOs and NMT commands silently', async () => {
+      const transport = await createTransport({ drop: 1 });
+
+      await expect(transport.sendPdo(0x201, Buffer.from([1]))).resolves.toEqual({ success: true });
+      await expect(transport.sendNmtCommand(0x01)).resolves.toEqual({ success: true });
+      expect(inner.sent).toEqual([]);
+      expect(transport.stats.drop).toBe(2);
+    });
+
+    test('loses events of the link only', async () => {
+      const transport = await createTransport({ drop: 1 });
+      const received = receive(transport);
+      const lost = jest.fn();
+      transport.on('nodeLost', lost);
+
+      inner.emit('message', frame(1));
+      inner.emit('nodeLost', new Error('silent'));
+
+      expect(received).toEqual([]);
+      expect(lost).toHaveBeenCalledTimes(1);
+      expect(faults).toEqual([{ fault: 'drop', direction: 'inbound', event: 'message' }]);
+    });
+  });
+
+  describe('delay', () => {
+    test('holds a request back within the delay range', async () => {
+      const transport = await createTransport({ delay: 1, delayMin: 100, delayMax: 200 });
+
+      const sending = transport.sendPdo(0x201, Buffer.from([1]));
+      await advance(99);
+      expect(inner.sent).toEqual([]);
+
+      await advance(101);
+      await sending;
+      expect(inner.sent).toHaveLength(1);
+      expect(transport.stats.delay).toBe(1);
+    });
+
+    test('holds an event back within the delay range', async () => {
+      const transport = await createTransport({ delay: 1, delayMin: 100, delayMax: 200 });
+      const received = receive(transport);
+
+      inner.emit('message', frame(1));
+      await advance(99);
+      expect(received).toEqual([]);
+
+      await advance(101);
+      expect(received).toEqual([frame(1)]);
+    });
+  });
+
+  describe('duplicate', () => {
+    test('sends a request twice', async () => {
+      const transport = await createTransport({ duplicate: 1 });
+
+      await transport.sendPdo(0x201, Buffer.from([1]));
+      await transport.sendNmtCommand(0x01);
+
+      expect(inner.sent).toEqual([
+        { cobId: 0x201, data: Buffer.from([1]) },
+        { cobId: 0x201, data: Buffer.from([1]) },
+        { command: 0x01 },
+        { command: 0x01 },
+      ]);
+      expect(transport.stats.duplicate).toBe(2);
+    });
+
+    test('repeats an SDO request once it was answered', async () => {
+      const transport = await createTransport({ duplicate: 1 });
+
+      await expect(transport.sendMessage({ index: 0x6002, data: 3, size: 1 })).resolves.toEqual({ success: true });
+      await settle(new Promise(resolve => setImmediate(resolve)));
+
+      expect(inner.sent).toHaveLength(2);
+    });
+
+    test('emits an event twice', async () => {
+      const transport = await createTransport({ duplicate: 1 });
+      const received = receive(transport);
+
+      inner.emit('message', frame(1));
+
+      expect(received).toEqual([frame(1), frame(1)]);
+    });
+  });
+
+  describe('reorder', () => {
+    test('lets the next event overtake', async () => {
+      const transport = await createTransport({ reorder: 1 });
+      const received = receive(transport);
+
+      inner.emit('message', frame(1));
+      expect(received).toEqual([]);
+
+      inner.emit('message', frame(2));
+      expect(received).toEqual([frame(2), frame(1)]);
+    });
+
+    test('releases a held event after the reorder window', async () => {
+      const transport = await createTransport({ reorder: 1, reorderWindow: 200 });
+      const received = receive(transport);
+
+      inner.emit('message', frame(1));
+      await advance(199);
+      expect(received).toEqual([]);
+
+      await advance(1);
+      expect(received).toEqual([frame(1)]);
+    });
+
+    test('lets the next request overtake', async () => {
+      const transport = await createTransport({ reorder: 1 });
+
+      const first = transport.sendPdo(0x201, Buffer.from([1]));
+      const second = transport.sendPdo(0x201, Buffer.from([2]));
+      await Promise.all([first, second]);
+
+      expect(inner.sent.map(({ data }) => data[0])).toEqual([2, 1]);
+    });
+  });
+
+  describe('corrupt', () => {
+    test('flips one bit of a value written', async () => {
+      const transport = await createTransport({ corrupt: 1 });
+
+      await transport.sendMessage({ index: 0x6002, data: 3, size: 1 });
+
+      expect(inner.sent[0].data).not.toBe(3);
+      expect(bitsChanged(inner.sent[0].data, 3)).toBe(1);
+      expect(inner.sent[0].data).toBeLessThan(0x100);
+    });
+
+    test('flips one bit of a value read', async () => {
+      const transport = await createTransport({ corrupt: 1 });
+
+      const response = await transport.sendMessage({ index: 0x6001, isRead: true });
+
+      expect(inner.sent[0]).toEqual({ index: 0x6001, isRead: true });
+      expect(bitsChanged(response.data, 0x0F)).toBe(1);
+    });
+
+    test('flips one bit of a received frame', async () => {
+      const transport = await createTransport({ corrupt: 1 });
+      const received = receive(transport);
+
+      inner.emit('message', frame(1));
+
+      expect(received).toHaveLength(1);
+      expect(bitsChanged(received[0].data, frame(1).data)).toBe(1);
+      expect(faults).toEqual([{ fault: 'corrupt', direction: 'inbound', event: 'message' }]);
+    });
+
+    test('passes events without a value unchanged', async () => {
+      const transport = await createTransport({ corrupt: 1 });
+      const states = [];
+      transport.on('nodeState', state => states.push(state));
+
+      inner.emit('nodeState', 'OPERATIONAL');
+
+      expect(states).toEqual(['OPERATIONAL']);
+      expect(transport.stats.corrupt).toBe(0);
+    });
+  });
+
+  test('applies the schedule windows in time since connecting', async () => {
+    const transport = await createTransport({ schedule: [{ at: 1000, duration: 500, drop: 1 }] });
+    const received = receive(transport);
+
+    inner.emit('message', frame(1));
+    await advance(1000);
+    inner.emit('message', frame(2));
+    await advance(500);
+    inner.emit('message', frame(3));
+
+    expect(received).toEqual([frame(1), frame(3)]);
+  });
+
+  test('meets the same faults with the same seed', async () => {
+    const run = async () => {
+      inner = new StubTransport();
+      faults = [];
+      const transport = await createTransport({ drop: 0.3, duplicate: 0.3, corrupt: 0.3, seed: 42 });
+      const received = receive(transport);
+      for (let i = 0; i < 20; i++) inner.emit('message', frame(i));
+      return { received, faults };
+    };
+
+    expect(await run()).toEqual(await run());
+  });
+});
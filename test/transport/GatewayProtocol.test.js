@@ -0,0 +1,181 @@
+/**
+ * GatewayProtocol.test.js
+ *
+ * Parsing and formatting the lines of the CiA 309-3 style ASCII gateway
+ */
+
+const GatewayProtocol = require('../../src/transport/GatewayProtocol');
+const DataType = require('../../src/transport/DataType');
+
+const { ERROR, GatewayError } = GatewayProtocol;
+const { DATA_TYPE } = DataType;
+
+// The GatewayError code thrown by `fn`
+function errorCode(fn) {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(GatewayError);
+    return error.code;
+  }
+  throw new Error('Nothing thrown');
+}
+
+describe('GatewayProtocol', () => {
+  describe('parseRequest', () => {
+    test('reads the sequence number, network, node and command', () => {
+      expect(GatewayProtocol.parseRequest('[12] 1 4 read 0x6001 0 u8')).toEqual({
+        sequence: 12, network: 1, node: 4, command: 'read', args: ['0x6001', '0', 'u8'],
+      });
+    });
+
+    test('takes a single number as the node', () => {
+      expect(GatewayProtocol.parseRequest('[1] 4 start')).toEqual(expect.objectContaining({ network: null, node: 4 }));
+    });
+
+    test('leaves network and node to the connection defaults when omitted', () => {
+      expect(GatewayProtocol.parseRequest('[1] start')).toEqual(expect.objectContaining({ network: null, node: null, command: 'start' }));
+    });
+
+    test('accepts commands without a sequence number, in any case', () => {
+      expect(GatewayProtocol.parseRequest('  1 2 WRITE 0x6002 0 u8 5 ')).toEqual({
+        sequence: null, network: 1, node: 2, command: 'write', args: ['0x6002', '0', 'u8', '5'],
+      });
+    });
+
+    test('keeps quoted strings together, with "" for a quote', () => {
+      const { args } = GatewayProtocol.parseRequest('[1] 1 w 0x2000 0 vs "Lobby ""B"", east"');
+
+      expect(args[3]).toEqual({ quoted: 'Lobby "B", east' });
+    });
+
+    test('rejects a line without a command', () => {
+      expect(errorCode(() => GatewayProtocol.parseRequest('[1] 1 2'))).toBe(ERROR.SYNTAX_ERROR);
+      expect(errorCode(() => GatewayProtocol.parseRequest('[1] 1 "read"'))).toBe(ERROR.SYNTAX_ERROR);
+    });
+
+    test('rejects an unterminated string', () => {
+      expect(errorCode(() => GatewayProtocol.parseRequest('[1] 1 w 0x2000 0 vs "Lobby'))).toBe(ERROR.SYNTAX_ERROR);
+    });
+  });
+
+  describe('parseNumber', () => {
+    test('reads decimal and hex', () => {
+      expect(GatewayProtocol.parseNumber('42')).toBe(42);
+      expect(GatewayProtocol.parseNumber('0x6001')).toBe(0x6001);
+    });
+
+    test('is null for anything else', () => {
+      expect(GatewayProtocol.parseNumber('-1')).toBeNull();
+      expect(GatewayProtocol.parseNumber('6001h')).toBeNull();
+      expect(GatewayProtocol.parseNumber(undefined)).toBeNull();
+    });
+  });
+
+  describe('typeOf', () => {
+    test('maps type names to data types', () => {
+      expect(GatewayProtocol.typeOf('u16')).toBe(DATA_TYPE.UNSIGNED16);
+      expect(GatewayProtocol.typeOf('VS')).toBe(DATA_TYPE.VISIBLE_STRING);
+    });
+
+    test('rejects unknown types', () => {
+      expect(errorCode(() => GatewayProtocol.typeOf('u64'))).toBe(ERROR.SYNTAX_ERROR);
+    });
+  });
+
+  describe('parseValue', () => {
+    test.each([
+      ['u8', '0xff', 255],
+      ['i16', '-300', -300],
+      ['b', 'true', true],
+      ['b', '0', false],
+      ['r32', '1.5', 1.5],
+      ['vs', { quoted: 'a b' }, 'a b'],
+    ])('reads %s %j', (type, token, value) => {
+      expect(GatewayProtocol.parseValue(GatewayProtocol.typeOf(type), token)).toEqual(value);
+    });
+
+    test('reads domains as base64', () => {
+      expect(GatewayProtocol.parseValue(DATA_TYPE.DOMAIN, 'AQID')).toEqual(Buffer.from([1, 2, 3]));
+    });
+
+    test.each([
+      ['u8', '256'],
+      ['u8', '-1'],
+      ['i8', 'x'],
+      ['b', 'yes'],
+      ['r32', ''],
+    ])('rejects %s %j', (type, token) => {
+      expect(errorCode(() => GatewayProtocol.parseValue(GatewayProtocol.typeOf(type), token))).toBe(ERROR.SYNTAX_ERROR);
+    });
+
+    test('rejects a missing value', () => {
+      expect(errorCode(() => GatewayProtocol.parseValue(DATA_TYPE.UNSIGNED8, undefined))).toBe(ERROR.SYNTAX_ERROR);
+    });
+  });
+
+  describe('formatValue', () => {
+    test('formats values read by their type', () => {
+      expect(GatewayProtocol.formatValue(DATA_TYPE.INTEGER16, Buffer.from([0xd4, 0xfe]))).toBe('-300');
+      expect(GatewayProtocol.formatValue(DATA_TYPE.BOOLEAN, Buffer.from([1]))).toBe('1');
+      expect(GatewayProtocol.formatValue(DATA_TYPE.VISIBLE_STRING, Buffer.from('say "hi"'))).toBe('"say ""hi"""');
+      expect(GatewayProtocol.formatValue(DATA_TYPE.DOMAIN, Buffer.from([1, 2, 3]))).toBe('AQID');
+    });
+  });
+
+  describe('requests', () => {
+    test('are addressed to the network and node', () => {
+      expect(GatewayProtocol.formatRequest(7, 1, 3, 'read 0x6001 0 d')).toBe('[7] 1 3 read 0x6001 0 d');
+    });
+
+    test('write integers, strings and buffers with their type', () => {
+      expect(GatewayProtocol.formatWrite(0x6002, 0, 5)).toBe('write 0x6002 0 u8 5');
+      expect(GatewayProtocol.formatWrite(0x1017, 0, 500, 2)).toBe('write 0x1017 0 u16 500');
+      expect(GatewayProtocol.formatWrite(0x2000, 0, 'G,"1",2')).toBe('write 0x2000 0 vs "G,""1"",2"');
+      expect(GatewayProtocol.formatWrite(0x2100, 1, Buffer.from([1, 2, 3]))).toBe('write 0x2100 1 d AQID');
+    });
+
+    test('round-trip through parseRequest', () => {
+      const line = GatewayProtocol.formatRequest(3, 1, 2, GatewayProtocol.formatWrite(0x2000, 0, 'a "b"'));
+      const request = GatewayProtocol.parseRequest(line);
+
+      expect(GatewayProtocol.parseValue(GatewayProtocol.typeOf(request.args[2]), request.args[3])).toBe('a "b"');
+    });
+  });
+
+  describe('responses', () => {
+    test('format errors in decimal, aborts in hex', () => {
+      expect(GatewayProtocol.formatResponse(4, GatewayProtocol.formatError(ERROR.UNSUPPORTED_NODE))).toBe('[4] ERROR: 107');
+      expect(GatewayProtocol.formatError(0x06020000, true)).toBe('ERROR: 0x06020000');
+      expect(GatewayProtocol.formatResponse(null, 'OK')).toBe('OK');
+    });
+
+    test('parse values, OK, errors and aborts', () => {
+      expect(GatewayProtocol.parseResponse('[1] 3')).toEqual({ sequence: 1, ok: true, value: '3', error: null, abort: false });
+      expect(GatewayProtocol.parseResponse('[2] OK')).toEqual({ sequence: 2, ok: true, value: null, error: null, abort: false });
+      expect(GatewayProtocol.parseResponse('[3] ERROR: 103')).toEqual({ sequence: 3, ok: false, value: null, error: 103, abort: false });
+      expect(GatewayProtocol.parseResponse('[4] ERROR: 0x06020000')).toEqual(expect.objectContaining({ ok: false, error: 0x06020000, abort: true }));
+    });
+
+    test('need a sequence number', () => {
+      expect(() => GatewayProtocol.parseResponse('OK')).toThrow('Invalid gateway response: OK');
+    });
+  });
+
+  describe('parseEvent', () => {
+    test('reads node events', () => {
+      expect(GatewayProtocol.parseEvent('1 4 EMCY 0x8130 0x11 00 01')).toEqual({
+        network: 1, node: 4, type: 'EMCY', args: ['0x8130', '0x11', '00', '01'],
+      });
+    });
+
+    test('reads network events without a node', () => {
+      expect(GatewayProtocol.parseEvent('1 PDO 0x181 10 00')).toEqual({ network: 1, node: null, type: 'PDO', args: ['0x181', '10', '00'] });
+      expect(GatewayProtocol.parseEvent('1 SYNC')).toEqual({ network: 1, node: null, type: 'SYNC', args: [] });
+    });
+
+    test('rejects lines that are not events', () => {
+      expect(() => GatewayProtocol.parseEvent('hello')).toThrow('Invalid gateway event');
+    });
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * KONETransport.test.js
+ */
+
+const VirtualElevator = require('../../src/elevator/VirtualElevator');
+const VirtualKoneController = require('../../src/elevator/VirtualKoneController');
+const KONETransport = require('../../src/transport/KONETransport');
+const { useFakeTimers, settle } = require('../support/virtualElevator');
+
+describe('KONETransport', () => {
+  let transport;
+
+  beforeEach(async () => {
+    useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const controller = new VirtualKoneController(new VirtualElevator({ id: 'car-a' }));
+    transport = new KONETransport({ controller });
+    await settle(transport.connect());
+  });
+
+  afterEach(async () => {
+    await transport.disconnect();
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('answers requests', async () => {
+    const status = await settle(transport.request('get-status'));
+
+    expect(status).toEqual(expect.objectContaining({ floor: 1 }));
+    expect(transport.pendingRequests.size).toBe(0);
+  });
+
+  test('leaves no timer or pending request behind when sending fails', async () => {
+    jest.clearAllTimers();
+    transport.session.close();
+
+    await expect(transport.request('get-status')).rejects.toThrow('KONE session is closed');
+    expect(transport.pendingRequests.size).toBe(0);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
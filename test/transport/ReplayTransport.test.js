@@ -0,0 +1,172 @@
+/**
+ * ReplayTransport.test.js
+ *
+ * Replays test/fixtures/ride-3-2.log, recorded from ElevatorAPI calling a
+ * VirtualElevator to floor 3 and then to floor 2
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ElevatorAPI = require('../../src/api/ElevatorAPI');
+const ReplayTransport = require('../../src/transport/ReplayTransport');
+const CandumpLog = require('../../src/transport/CandumpLog');
+const { recordEvents, useFakeTimers, settle } = require('../support/virtualElevator');
+
+const FIXTURE = path.join(__dirname, '../fixtures/ride-3-2.log');
+
+// Resolve with the transport's 'replayEnd'
+function replayEnd(transport) {
+  return new Promise(resolve => transport.once('replayEnd', resolve));
+}
+
+// SDO expedited upload request for an object
+function uploadRequest(index, subIndex = 0) {
+  const data = Buffer.alloc(8);
+  data[0] = 0x40;
+  data.writeUInt16LE(index, 1);
+  data[3] = subIndex;
+  return { id: 0x601, data };
+}
+
+describe('ReplayTransport', () => {
+  beforeEach(() => {
+    useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe.each([
+    ['with directions', log => log],
+    ['without directions', log => log.replace(/ [TR]$/gm, '')],
+  ])('replaying a log %s', (name, prepare) => {
+    test('drives ElevatorAPI through the recorded floors', async () => {
+      const transport = new ReplayTransport({ log: prepare(fs.readFileSync(FIXTURE, 'utf8')), nodeId: 1, speed: Infinity });
+      const api = new ElevatorAPI(transport);
+      const floors = recordEvents(api, 'floorChanged');
+      const unmatched = [];
+      transport.on('unmatched', frame => unmatched.push(frame));
+      const ended = replayEnd(transport);
+
+      expect(await settle(api.connect())).toBe(true);
+      await settle(ended);
+
+      expect(floors).toEqual([1, 3, 2]);
+      expect(unmatched).toEqual([]);
+      await settle(api.disconnect());
+    });
+  });
+
+  test('plays frames back at their recorded times divided by speed', async () => {
+    const transport = new ReplayTransport({ file: FIXTURE, nodeId: 1, speed: 10 });
+    const api = new ElevatorAPI(transport);
+    const floors = recordEvents(api, 'floorChanged');
+    await settle(api.connect());
+
+    // Floor 3 was reached 0.46 s into the recording, floor 2 after 4.1 s
+    await jest.advanceTimersByTimeAsync(100);
+    expect(floors).toEqual([1, 3]);
+    await jest.advanceTimersByTimeAsync(400);
+    expect(floors).toEqual([1, 3, 2]);
+
+    await settle(api.disconnect());
+  });
+
+  describe('findResponse', () => {
+    let port;
+
+    beforeEach(async () => {
+      port = new ReplayTransport.ReplayPort(CandumpLog.readFile(FIXTURE));
+      await port.start();
+    });
+
+    afterEach(() => port.stop());
+
+    test('answers a request with the response recorded after it', () => {
+      const response = port.findResponse(uploadRequest(0x1800, 1));
+
+      expect(response).toEqual({ id: 0x581, data: Buffer.from('4300180181010000', 'hex') });
+    });
+
+    test('answers repeated requests with the responses in log order', () => {
+      // Both target floor writes (0x6002) share their first four bytes
+      const write = floor => ({ id: 0x601, data: Buffer.from([0x2F, 0x02, 0x60, 0x00, floor, 0, 0, 0]) });
+
+      expect(port.findResponse(write(3))).toEqual({ id: 0x581, data: Buffer.from('6002600000000000', 'hex') });
+      expect(port.findResponse(write(2))).toEqual({ id: 0x581, data: Buffer.from('6002600000000000', 'hex') });
+      expect(port.findResponse(write(2))).toBeNull();
+    });
+
+    test('does not answer requests to another node', () => {
+      expect(port.findResponse({ ...uploadRequest(0x1800, 1), id: 0x602 })).toBeNull();
+    });
+
+    test('reports requests the log has no response to', async () => {
+      const unmatched = [];
+      const frames = [];
+      port.on('unmatched', frame => unmatched.push(frame));
+      port.on('frame', frame => frames.push(frame));
+
+      port.send(uploadRequest(0x1008));
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(unmatched).toEqual([uploadRequest(0x1008)]);
+      expect(frames.filter(frame => frame.id === 0x581)).toEqual([]);
+    });
+
+    test('skips a request the log has no response to', () => {
+      // The first read of 0x6001 timed out and was repeated
+      const log = [
+        '(1700000000.000000) can0 601#4001600000000000 T',
+        '(1700000000.100000) can0 601#4001600000000000 T',
+        '(1700000000.101000) can0 581#4F01600003000000 R',
+      ].join('\n');
+      port = new ReplayTransport.ReplayPort(CandumpLog.parse(log));
+
+      expect(port.findResponse(uploadRequest(0x6001))).toEqual({ id: 0x581, data: Buffer.from('4F01600003000000', 'hex') });
+      expect(port.findResponse(uploadRequest(0x6001))).toBeNull();
+    });
+
+    test('does not answer with the response to a later request', () => {
+      const log = [
+        '(1700000000.000000) can0 601#4001600000000000 T',
+        '(1700000000.100000) can0 601#4002600000000000 T',
+        '(1700000000.101000) can0 581#4F02600005000000 R',
+      ].join('\n');
+      port = new ReplayTransport.ReplayPort(CandumpLog.parse(log));
+
+      expect(port.findResponse(uploadRequest(0x6001))).toBeNull();
+      expect(port.findResponse(uploadRequest(0x6002))).toEqual({ id: 0x581, data: Buffer.from('4F02600005000000', 'hex') });
+    });
+
+    test('reports a repeated request once the log ran out of responses to it', async () => {
+      const unmatched = [];
+      const responses = [];
+      port.on('unmatched', frame => unmatched.push(frame));
+      port.on('frame', frame => frame.id === 0x581 && responses.push(frame));
+
+      port.send(uploadRequest(0x1800, 1));
+      port.send(uploadRequest(0x1800, 1));
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(responses).toHaveLength(1);
+      expect(unmatched).toEqual([uploadRequest(0x1800, 1)]);
+    });
+
+    test('lets an unanswered request time out in ElevatorAPI', async () => {
+      const transport = new ReplayTransport({ file: FIXTURE, nodeId: 1, speed: Infinity, sdoRetries: 0 });
+      const api = new ElevatorAPI(transport);
+      const unmatched = [];
+      transport.on('unmatched', frame => unmatched.push(frame));
+      await settle(api.connect());
+
+      await expect(settle(api.getDeviceName())).rejects.toThrow(/abort code 0x05040000/);
+      expect(unmatched).toHaveLength(1);
+      await settle(api.disconnect());
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * SDOProtocol.test.js
+ *
+ * Expedited SDO frames byte for byte, as in docs/CANopen_Protocol.md, and
+ * the frames CANopenTransport puts on the bus for an object access
+ */
+
+const SDOProtocol = require('../../src/transport/SDOProtocol');
+const CandumpLog = require('../../src/transport/CandumpLog');
+const { createVirtualElevator, useFakeTimers, settle } = require('../support/virtualElevator');
+
+const { TRANSMIT, RECEIVE } = CandumpLog.DIRECTION;
+
+const bytes = (...values) => Buffer.from(values);
+
+describe('SDOProtocol', () => {
+  describe('expedited requests', () => {
+    test('read with 0x40, the index little-endian and the sub-index', () => {
+      expect(SDOProtocol.encodeUploadRequest(0x6001, 0)).toEqual(bytes(0x40, 0x01, 0x60, 0x00, 0, 0, 0, 0));
+      expect(SDOProtocol.encodeUploadRequest(0x1018, 2)).toEqual(bytes(0x40, 0x18, 0x10, 0x02, 0, 0, 0, 0));
+    });
+
+    test.each([
+      [1, 0x2F, bytes(0x05, 0, 0, 0)],
+      [2, 0x2B, bytes(0xF4, 0x01, 0, 0)],
+      [3, 0x27, bytes(0x56, 0x34, 0x12, 0)],
+      [4, 0x23, bytes(0x78, 0x56, 0x34, 0x12)],
+    ])('write %i byte(s) with its size in the command byte', (size, command, data) => {
+      const value = data.readUIntLE(0, size);
+
+      expect(SDOProtocol.encodeDownloadRequest(0x6002, 0, value, size)).toEqual(Buffer.concat([bytes(command, 0x02, 0x60, 0x00), data]));
+    });
+
+    test('write a Buffer with its own length', () => {
+      expect(SDOProtocol.encodeDownloadRequest(0x2000, 1, bytes(0x41, 0x42))).toEqual(bytes(0x2B, 0x00, 0x20, 0x01, 0x41, 0x42, 0, 0));
+    });
+
+    test('refuse values that do not fit the size', () => {
+      expect(() => SDOProtocol.encodeDownloadRequest(0x6002, 0, 256, 1)).toThrow(RangeError);
+      expect(() => SDOProtocol.encodeDownloadRequest(0x6002, 0, -1, 1)).toThrow(RangeError);
+      expect(() => SDOProtocol.encodeDownloadRequest(0x6002, 0, 1, 5)).toThrow('Invalid expedited data size: 5');
+    });
+  });
+
+  describe('expedited responses', () => {
+    test('answer a read with 0x4F/0x4B/0x43 and the value', () => {
+      expect(SDOProtocol.encodeUploadResponse(0x6001, 0, 3)).toEqual(bytes(0x4F, 0x01, 0x60, 0x00, 0x03, 0, 0, 0));
+      expect(SDOProtocol.encodeUploadResponse(0x1017, 0, 500, 2)).toEqual(bytes(0x4B, 0x17, 0x10, 0x00, 0xF4, 0x01, 0, 0));
+      expect(SDOProtocol.encodeUploadResponse(0x1018, 1, 0x12345678, 4)).toEqual(bytes(0x43, 0x18, 0x10, 0x01, 0x78, 0x56, 0x34, 0x12));
+    });
+
+    test('confirm a write with 0x60', () => {
+      expect(SDOProtocol.encodeDownloadResponse(0x6002, 0)).toEqual(bytes(0x60, 0x02, 0x60, 0x00, 0, 0, 0, 0));
+    });
+  });
+
+  describe('decode', () => {
+    test('reads the value and size of an upload response', () => {
+      expect(SDOProtocol.decode(bytes(0x4B, 0x17, 0x10, 0x00, 0xF4, 0x01, 0xAA, 0xAA), true)).toEqual({
+        type: 'upload', index: 0x1017, subIndex: 0, segmented: false, size: 2, raw: bytes(0xF4, 0x01), data: 500,
+      });
+    });
+
+    test('takes 4 bytes when the size is not indicated', () => {
+      expect(SDOProtocol.decode(bytes(0x42, 0x01, 0x60, 0x00, 1, 2, 3, 4), true)).toEqual(expect.objectContaining({ size: 4, data: 0x04030201 }));
+    });
+
+    test('reads requests with the client command specifiers', () => {
+      expect(SDOProtocol.decode(bytes(0x40, 0x01, 0x60, 0x00, 0, 0, 0, 0), false)).toEqual({ type: 'upload', index: 0x6001, subIndex: 0 });
+      expect(SDOProtocol.decode(bytes(0x2F, 0x02, 0x60, 0x00, 0x05, 0, 0, 0), false)).toEqual(expect.objectContaining({ type: 'download', index: 0x6002, data: 5, size: 1 }));
+    });
+
+    test('reads a write confirmation', () => {
+      expect(SDOProtocol.decode(bytes(0x60, 0x02, 0x60, 0x00, 0, 0, 0, 0), true)).toEqual({ type: 'download', index: 0x6002, subIndex: 0 });
+    });
+
+    test('reads the abort code of an abort', () => {
+      expect(SDOProtocol.decode(SDOProtocol.encodeAbort(0x6002, 0, SDOProtocol.ABORT_CODE.VALUE_TOO_HIGH), true)).toEqual({
+        type: 'abort', index: 0x6002, subIndex: 0, abortCode: 0x06090031,
+      });
+    });
+
+    test('refuses frames that are not 8 bytes', () => {
+      expect(() => SDOProtocol.decode(bytes(0x40, 0x01, 0x60), true)).toThrow('SDO frame must be exactly 8 bytes');
+    });
+
+    test('refuses unknown command specifiers', () => {
+      expect(() => SDOProtocol.decode(bytes(0xE0, 0, 0, 0, 0, 0, 0, 0), true)).toThrow('Unsupported SDO command specifier: 0xe0');
+    });
+  });
+
+  describe('on the bus', () => {
+    let setup;
+    let frames;
+
+    beforeEach(async () => {
+      useFakeTimers();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      frames = [];
+      setup = createVirtualElevator({ transport: { capture: { write: ({ id, data }, direction) => frames.push({ direction, id, data }) } } });
+      await settle(setup.api.connect());
+      frames.length = 0;
+    });
+
+    afterEach(async () => {
+      await settle(setup.api.disconnect());
+      jest.clearAllTimers();
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    });
+
+    // SDO frames sent and received, leaving out PDOs and error control
+    const sdoFrames = () => frames.filter(frame => (frame.id & ~0x7F) === SDOProtocol.COB_ID.SDO_RX || (frame.id & ~0x7F) === SDOProtocol.COB_ID.SDO_TX);
+
+    test('reads with a request to 0x600 + node and a response from 0x580 + node', async () => {
+      await settle(setup.api.readObject(0x6001));
+
+      expect(sdoFrames()).toEqual([
+        { direction: TRANSMIT, id: 0x601, data: bytes(0x40, 0x01, 0x60, 0x00, 0, 0, 0, 0) },
+        { direction: RECEIVE, id: 0x581, data: bytes(0x4F, 0x01, 0x60, 0x00, 0x01, 0, 0, 0) },
+      ]);
+    });
+
+    test('writes with an expedited download of the given size', async () => {
+      await settle(setup.api.writeObject(0x1017, 250, 2));
+
+      expect(sdoFrames()).toEqual([
+        { direction: TRANSMIT, id: 0x601, data: bytes(0x2B, 0x17, 0x10, 0x00, 0xFA, 0x00, 0, 0) },
+        { direction: RECEIVE, id: 0x581, data: bytes(0x60, 0x17, 0x10, 0x00, 0, 0, 0, 0) },
+      ]);
+    });
+
+    test('uses the COB-IDs of its node ID', async () => {
+      expect(setup.transport.calculateCanId(false)).toBe(0x601);
+      expect(setup.transport.calculateCanId(true)).toBe(0x581);
+    });
+  });
+});
@@ -0,0 +1,310 @@
+/**
+ * SocketCANBackend.test.js
+ *
+ * Runs the backend against a stubbed `socketcan` channel and a faked
+ * /sys/class/net, so no CAN interface is needed
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const { execFile } = require('child_process');
+const SocketCANBackend = require('../../src/transport/SocketCANBackend');
+
+jest.mock('child_process', () => ({ execFile: jest.fn() }));
+
+// Stands in for the raw channel of the `socketcan` package
+class StubChannel extends EventEmitter {
+  constructor() {
+    super();
+    this.sent = [];
+    this.rxFilters = null;
+    this.errorFilters = null;
+    this.started = false;
+  }
+
+  setRxFilters(filters) {
+    this.rxFilters = filters;
+  }
+
+  setErrorFilters(mask) {
+    this.errorFilters = mask;
+  }
+
+  start() {
+    this.started = true;
+  }
+
+  stop() {
+    this.started = false;
+  }
+
+  send(message) {
+    this.sent.push(message);
+  }
+}
+
+describe('SocketCANBackend', () => {
+  let operstate;
+  let channel;
+  let createRawChannel;
+
+  beforeEach(() => {
+    operstate = 'up';
+    channel = new StubChannel();
+    createRawChannel = jest.fn(() => channel);
+
+    jest.spyOn(fs, 'existsSync').mockImplementation(path => path === '/sys/class/net/vcan0');
+    jest.spyOn(fs, 'readFileSync').mockImplementation((path) => {
+      if (path !== '/sys/class/net/vcan0/operstate') throw new Error('ENOENT');
+      return `${operstate}\n`;
+    });
+    jest.spyOn(SocketCANBackend.prototype, 'loadSocketCAN').mockImplementation(() => ({ createRawChannel }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  function createBackend(config = {}) {
+    return new SocketCANBackend({ interface: 'vcan0', linkCheckInterval: 0, ...config });
+  }
+
+  describe('start', () => {
+    test('opens a raw channel and listens for error frames', async () => {
+      const backend = createBackend();
+      await backend.start();
+
+      expect(createRawChannel).toHaveBeenCalledWith('vcan0', true);
+      expect(channel.started).toBe(true);
+      expect(channel.errorFilters).toBe(0x1FFFFFFF);
+      expect(backend.open).toBe(true);
+    });
+
+    test('treats the "unknown" state of virtual interfaces as up', async () => {
+      operstate = 'unknown';
+      const backend = createBackend();
+
+      await expect(backend.start()).resolves.toBeUndefined();
+    });
+
+    test('rejects a missing interface', async () => {
+      const backend = createBackend({ interface: 'can7' });
+
+      await expect(backend.start()).rejects.toThrow('CAN interface can7 does not exist');
+      expect(createRawChannel).not.toHaveBeenCalled();
+    });
+
+    test('rejects an interface that is down', async () => {
+      operstate = 'down';
+      const backend = createBackend();
+
+      await expect(backend.start()).rejects.toThrow('CAN interface vcan0 is down');
+    });
+
+    test('reports a channel that cannot be opened', async () => {
+      createRawChannel.mockImplementation(() => {
+        throw new Error('Operation not permitted');
+      });
+      const backend = createBackend();
+
+      await expect(backend.start()).rejects.toThrow('Failed to open CAN interface vcan0: Operation not permitted');
+      expect(backend.open).toBe(false);
+    });
+
+    test('explains how to install the optional socketcan package', () => {
+      SocketCANBackend.prototype.loadSocketCAN.mockRestore();
+      jest.doMock('socketcan', () => {
+        throw new Error("Cannot find module 'socketcan'");
+      }, { virtual: true });
+
+      expect(() => createBackend().loadSocketCAN()).toThrow('requires the optional `socketcan` package');
+      jest.dontMock('socketcan');
+    });
+  });
+
+  describe('bitrate', () => {
+    // Answer each `ip` invocation with the error (or null) returned by `fail`
+    function mockIp(fail = () => null) {
+      execFile.mockImplementation((command, args, callback) => {
+        const error = fail(args);
+        callback(error ? new Error(error) : null);
+      });
+    }
+
+    afterEach(() => execFile.mockReset());
+
+    test('sets the bitrate with the interface down', async () => {
+      mockIp();
+      await createBackend({ configureBitrate: true, bitrate: 500000 }).start();
+
+      expect(execFile.mock.calls.map(([, args]) => args.join(' '))).toEqual([
+        'link set vcan0 down',
+        'link set vcan0 type can bitrate 500000',
+        'link set vcan0 up',
+      ]);
+    });
+
+    test('brings the interface back up when the bitrate is rejected', async () => {
+      mockIp(args => args.includes('bitrate') ? 'Invalid argument' : null);
+      const backend = createBackend({ configureBitrate: true, bitrate: 123 });
+
+      await expect(backend.start()).rejects.toThrow('Failed to set bitrate 123 on vcan0: Invalid argument');
+      expect(execFile.mock.calls[2][1]).toEqual(['link', 'set', 'vcan0', 'up']);
+      expect(createRawChannel).not.toHaveBeenCalled();
+    });
+
+    test('reports missing permissions', async () => {
+      mockIp(() => 'Operation not permitted');
+
+      await expect(createBackend({ configureBitrate: true }).start())
+        .rejects.toThrow('Failed to configure vcan0: Operation not permitted');
+      expect(execFile).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('filters', () => {
+    test('applies configured filters on start', async () => {
+      const filters = [{ id: 0x581, mask: 0x7FF }];
+      await createBackend({ filters }).start();
+
+      expect(channel.rxFilters).toEqual(filters);
+    });
+
+    test('leaves the channel unfiltered without filters', async () => {
+      await createBackend().start();
+
+      expect(channel.rxFilters).toBeNull();
+    });
+
+    test('replaces the filters of an open channel', async () => {
+      const backend = createBackend();
+      await backend.start();
+
+      const filters = [{ id: 0x701, mask: 0x7FF }];
+      backend.setFilters(filters);
+
+      expect(channel.rxFilters).toEqual(filters);
+    });
+
+    test('keeps filters set while closed for the next start', async () => {
+      const backend = createBackend();
+      const filters = [{ id: 0x181, mask: 0x7FF }];
+      backend.setFilters(filters);
+
+      expect(channel.rxFilters).toBeNull();
+      await backend.start();
+      expect(channel.rxFilters).toEqual(filters);
+    });
+  });
+
+  describe('send', () => {
+    test('encodes frames as standard frames', async () => {
+      const backend = createBackend();
+      await backend.start();
+
+      const data = Buffer.from([0x40, 0x01, 0x60, 0x00]);
+      backend.send({ id: 0x601, data });
+      backend.send({ id: 0x701, data: Buffer.alloc(0), rtr: 1 });
+
+      expect(channel.sent).toEqual([
+        { id: 0x601, ext: false, rtr: false, data },
+        { id: 0x701, ext: false, rtr: true, data: Buffer.alloc(0) },
+      ]);
+    });
+
+    test('throws while not open', () => {
+      expect(() => createBackend().send({ id: 0x601, data: Buffer.alloc(8) }))
+        .toThrow('CAN interface vcan0 is not open');
+    });
+  });
+
+  describe('receive', () => {
+    let backend;
+
+    beforeEach(async () => {
+      backend = createBackend();
+      await backend.start();
+    });
+
+    test('decodes frames with the kernel timestamp', () => {
+      const frames = [];
+      backend.on('frame', frame => frames.push(frame));
+
+      const data = Buffer.from([0x4B, 0x01, 0x60, 0x00, 0x03, 0x00, 0x00, 0x00]);
+      channel.emit('onMessage', { id: 0x581, data, ts_sec: 1700000000, ts_usec: 250000 });
+
+      expect(frames).toEqual([{ id: 0x581, data, rtr: false, timestamp: 1700000000250 }]);
+    });
+
+    test('stamps frames without a kernel timestamp on receipt', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1234);
+      const frames = [];
+      backend.on('frame', frame => frames.push(frame));
+
+      channel.emit('onMessage', { id: 0x701, data: Buffer.alloc(0), rtr: true });
+
+      expect(frames).toEqual([{ id: 0x701, data: Buffer.alloc(0), rtr: true, timestamp: 1234 }]);
+    });
+
+    test('reports error frames as bus errors', () => {
+      const errors = [];
+      const frames = [];
+      backend.on('busError', error => errors.push(error));
+      backend.on('frame', frame => frames.push(frame));
+
+      channel.emit('onMessage', { id: 0x4, err: true, data: Buffer.alloc(8) });
+
+      expect(frames).toEqual([]);
+      expect(errors).toHaveLength(1);
+      expect(errors[0].errorClass).toBe(0x4);
+      expect(backend.open).toBe(true);
+    });
+
+    test('closes the channel on bus-off', () => {
+      const down = jest.fn();
+      backend.on('down', down);
+
+      channel.emit('onMessage', { id: 0x40, err: true, data: Buffer.alloc(8) });
+
+      expect(down).toHaveBeenCalledWith(expect.objectContaining({ message: 'CAN interface vcan0 is bus-off' }));
+      expect(backend.open).toBe(false);
+      expect(channel.started).toBe(false);
+    });
+
+    test('reports a channel stopped from outside', () => {
+      const down = jest.fn();
+      backend.on('down', down);
+
+      channel.emit('onStopped');
+
+      expect(down).toHaveBeenCalledWith(expect.objectContaining({ message: 'CAN interface vcan0 stopped' }));
+    });
+
+    test('does not report its own stop', async () => {
+      const down = jest.fn();
+      backend.on('down', down);
+
+      await backend.stop();
+      channel.emit('onStopped');
+
+      expect(down).not.toHaveBeenCalled();
+    });
+  });
+
+  test('reports the interface going down', async () => {
+    jest.useFakeTimers();
+    const backend = createBackend({ linkCheckInterval: 1000 });
+    const down = jest.fn();
+    backend.on('down', down);
+    await backend.start();
+
+    jest.advanceTimersByTime(1000);
+    expect(down).not.toHaveBeenCalled();
+
+    operstate = 'down';
+    jest.advanceTimersByTime(1000);
+    expect(down).toHaveBeenCalledWith(expect.objectContaining({ message: 'CAN interface vcan0 went down' }));
+    expect(backend.open).toBe(false);
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * VirtualCanBus.test.js
+ *
+ * Frames between ports and virtual elevator nodes: who receives them,
+ * arbitration by COB-ID, time on the wire, and several clients sharing the
+ * traffic of one elevator
+ */
+
+const VirtualCanBus = require('../../src/transport/VirtualCanBus');
+const VirtualElevator = require('../../src/elevator/VirtualElevator');
+const CANopenTransport = require('../../src/transport/CANopenTransport');
+const ElevatorAPI = require('../../src/api/ElevatorAPI');
+const { recordEvents, useFakeTimers, advance, settle } = require('../support/virtualElevator');
+
+const { frameBits, frameTime } = VirtualCanBus;
+
+describe('VirtualCanBus', () => {
+  beforeEach(() => {
+    useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  // Open a port and record the frames it receives
+  async function openPort(bus, config) {
+    const port = bus.createPort(config);
+    port.received = [];
+    port.on('frame', frame => port.received.push(frame));
+    await port.start();
+    return port;
+  }
+
+  const frame = (id, bytes = [0]) => ({ id, data: Buffer.from(bytes) });
+  const ids = frames => frames.map(({ id }) => id);
+
+  describe('ports', () => {
+    test('deliver a frame to every other port but not back to the sender', async () => {
+      const bus = new VirtualCanBus({ timeScale: 0 });
+      const [a, b, c] = [await openPort(bus), await openPort(bus), await openPort(bus)];
+
+      a.send(frame(0x181, [1, 2]));
+      await advance(10);
+
+      expect(a.received).toEqual([]);
+      expect(b.received).toEqual([{ id: 0x181, data: Buffer.from([1, 2]), rtr: false, timestamp: expect.any(Number) }]);
+      expect(c.received).toHaveLength(1);
+    });
+
+    test('receive only frames passing their filters', async () => {
+      const bus = new VirtualCanBus({ timeScale: 0 });
+      const sender = await openPort(bus);
+      const receiver = await openPort(bus, { filters: [{ id: 0x01, mask: 0x7F }] });
+
+      sender.send(frame(0x181));
+      sender.send(frame(0x182));
+      sender.send(frame(0x581));
+      await advance(10);
+
+      expect(ids(receiver.received)).toEqual([0x181, 0x581]);
+    });
+
+    test('neither send nor receive until started', async () => {
+      const bus = new VirtualCanBus({ timeScale: 0 });
+      const sender = await openPort(bus);
+      const closed = bus.createPort();
+      const received = [];
+      closed.on('frame', received.push.bind(received));
+
+      expect(() => closed.send(frame(0x181))).toThrow('Virtual CAN port is not open');
+      sender.send(frame(0x181));
+      await advance(10);
+
+      expect(received).toEqual([]);
+    });
+
+    test('receive nothing once removed', async () => {
+      const bus = new VirtualCanBus({ timeScale: 0 });
+      const sender = await openPort(bus);
+      const removed = await openPort(bus);
+
+      bus.removePort(removed);
+      sender.send(frame(0x181));
+      await advance(10);
+
+      expect(removed.received).toEqual([]);
+    });
+  });
+
+  describe('arbitration', () => {
+    test('sends the waiting frame with the lowest COB-ID first', async () => {
+      const bus = new VirtualCanBus({ timeScale: 0 });
+      const sender = await openPort(bus);
+      const receiver = await openPort(bus);
+
+      // The first frame takes the bus at once; the others wait for it
+      sender.send(frame(0x701));
+      sender.send(frame(0x581));
+      sender.send(frame(0x181));
+      sender.send(frame(0x000, [1, 0]));
+      await advance(10);
+
+      expect(ids(receiver.received)).toEqual([0x701, 0x000, 0x181, 0x581]);
+    });
+
+    test('sends frames with the same COB-ID in the order they were queued', async () => {
+      const bus = new VirtualCanBus({ timeScale: 0 });
+      const sender = await openPort(bus);
+      const receiver = await openPort(bus);
+
+      [1, 2, 3].forEach(byte => sender.send(frame(0x181, [byte])));
+      await advance(10);
+
+      expect(receiver.received.map(({ data }) => data[0])).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('timing', () => {
+    test('counts the bits of a frame with worst-case stuffing', () => {
+      expect(frameBits(frame(0x181, [0, 0, 0, 0, 0, 0, 0, 0]))).toBe(47 + 64 + 24);
+      expect(frameBits({ id: 0x701, data: Buffer.alloc(0), rtr: true })).toBe(47 + 8);
+      expect(frameTime(frame(0x181, [0, 0, 0, 0, 0, 0, 0, 0]), 125000)).toBeCloseTo(1.08);
+    });
+
+    test('delivers a frame after its time on the wire at the bitrate', async () => {
+      const bus = new VirtualCanBus({ bitrate: 13500 });
+      const sender = await openPort(bus);
+      const receiver = await openPort(bus);
+
+      // 135 bits at 13.5 kbit/s: 10 ms each
+      sender.send(frame(0x181, [0, 0, 0, 0, 0, 0, 0, 0]));
+      sender.send(frame(0x182, [0, 0, 0, 0, 0, 0, 0, 0]));
+      await advance(9);
+      expect(receiver.received).toEqual([]);
+
+      await advance(1);
+      expect(ids(receiver.received)).toEqual([0x181]);
+
+      await advance(9);
+      expect(ids(receiver.received)).toEqual([0x181]);
+
+      await advance(1);
+      expect(ids(receiver.received)).toEqual([0x181, 0x182]);
+    });
+
+    test('counts the frames and bits sent', async () => {
+      const bus = new VirtualCanBus({ timeScale: 0 });
+      const sender = await openPort(bus);
+
+      sender.send(frame(0x181, [0, 0, 0, 0, 0, 0, 0, 0]));
+      sender.send(frame(0x181, [0, 0, 0, 0, 0, 0, 0, 0]));
+      await advance(10);
+
+      expect(bus.stats).toEqual({ frames: 2, bits: 270 });
+    });
+  });
+
+  describe('nodes', () => {
+    function createElevator(nodeId) {
+      return new VirtualElevator({ nodeId, floors: 8, doorOpenTime: 500, floorTravelTime: 100 });
+    }
+
+    test('refuse a second node with the same node ID', () => {
+      const bus = new VirtualCanBus({ timeScale: 0 });
+      bus.attachNode(createElevator(1));
+
+      expect(() => bus.attachNode(createElevator(1))).toThrow('Node ID 1 is already in use on the bus');
+    });
+
+    test('answer SDO requests addressed to them', async () => {
+      const bus = new VirtualCanBus({ timeScale: 0 });
+      bus.attachNode(createElevator(1));
+      bus.attachNode(createElevator(2));
+      const client = await openPort(bus);
+
+      // Read the current floor (0x6001) of node 2
+      client.send(frame(0x602, [0x40, 0x01, 0x60, 0x00, 0, 0, 0, 0]));
+      await advance(10);
+
+      expect(ids(client.received)).toEqual([0x582]);
+      expect(client.received[0].data.subarray(0, 5)).toEqual(Buffer.from([0x4F, 0x01, 0x60, 0x00, 1]));
+    });
+
+    test('no longer send or receive once detached', async () => {
+      const bus = new VirtualCanBus({ timeScale: 0 });
+      const elevator = createElevator(1);
+      bus.attachNode(elevator);
+      const client = await openPort(bus);
+
+      bus.detachNode(elevator);
+      client.send(frame(0x601, [0x40, 0x01, 0x60, 0x00, 0, 0, 0, 0]));
+      await advance(10);
+
+      expect(client.received).toEqual([]);
+      expect(bus.getNode(1)).toBeNull();
+    });
+
+    test('share their traffic with every client on the bus', async () => {
+      const bus = new VirtualCanBus({ timeScale: 0 });
+      const elevator = createElevator(1);
+      bus.attachNode(elevator);
+      const robot = new ElevatorAPI(new CANopenTransport({ canBus: bus, nodeId: 1 }));
+      const dashboard = new ElevatorAPI(new CANopenTransport({ canBus: bus, nodeId: 1 }), { nmtMaster: false });
+      await settle(robot.connect());
+      await settle(dashboard.connect());
+      const robotFloors = recordEvents(robot, 'floorChanged');
+      const dashboardFloors = recordEvents(dashboard, 'floorChanged');
+
+      await settle(robot.requestFloor(5));
+      await advance(1000);
+
+      expect(robotFloors).toEqual([5]);
+      expect(dashboardFloors).toEqual([5]);
+      await settle(dashboard.disconnect());
+      await settle(robot.disconnect());
+    });
+  });
+});